@@ -5,7 +5,11 @@
 
 // 全域變數
 let isEditMode = false; // 目前是否處於編輯模式
+let adminUserId = ''; // 目前登入的管理員 LINE User ID（由 LIFF 取得）
 let originalData = []; // 儲存原始資料，用於取消修改時復原
+let settingsRevision = null; // 目前畫面設定所依據的修訂版本，儲存時送回後端檢查是否過期
+let loadedSettings = null; // 依據版本的設定內容，合併衝突時作為共同基準
+let pendingConflict = null; // 發生衝突時暫存 { local, response }，供合併或重新載入使用
 
 // 拖拽相關變數
 let draggedItem = null; // 目前被拖拽的項目
@@ -30,6 +34,13 @@ const modalCancelBtn = document.getElementById('modalCancelBtn');
 const modalConfirmBtn = document.getElementById('modalConfirmBtn');
 const dragHint = document.getElementById('dragHint');
 
+// 設定衝突模態框
+const conflictModal = document.getElementById('conflictModal');
+const conflictSummary = document.getElementById('conflictSummary');
+const conflictChanges = document.getElementById('conflictChanges');
+const conflictReloadBtn = document.getElementById('conflictReloadBtn');
+const conflictMergeBtn = document.getElementById('conflictMergeBtn');
+
 // 新增的卸甲、延甲相關 DOM 元素引用
 const removalOptions = document.getElementById('removalOptions');
 const extensionOptions = document.getElementById('extensionOptions');
@@ -38,6 +49,174 @@ const quantityOptionsList = document.getElementById('quantityOptionsList');
 const addQuantityContainer = document.getElementById('addQuantityContainer');
 const addQuantityBtn = document.getElementById('addQuantityBtn');
 
+// 帳號綁定審核列表
+const linkRequestList = document.getElementById('linkRequestList');
+
+// 設定版本紀錄列表
+const settingsHistoryList = document.getElementById('settingsHistoryList');
+
+// 操作紀錄查詢
+const auditList = document.getElementById('auditList');
+const auditSearchBtn = document.getElementById('auditSearchBtn');
+const auditFilterInputs = {
+    startDate: document.getElementById('auditStartDate'),
+    endDate: document.getElementById('auditEndDate'),
+    actorType: document.getElementById('auditActorType'),
+    actor: document.getElementById('auditActor')
+};
+
+// 操作紀錄的動作與對象顯示名稱
+const AUDIT_ACTION_LABELS = {
+    saveBooking: '新增預約',
+    saveCustomer: '客戶建檔',
+    relinkCustomer: '客戶改綁 LINE 帳號',
+    updateAdminSettings: '更新後台設定',
+    restoreSettingsVersion: '還原後台設定',
+    updateBooking: '後台修改預約',
+    updateBookingStatus: '更新預約狀態',
+    cancelBooking: '客戶取消預約',
+    rescheduleBooking: '客戶預約改期',
+    createTimeSlots: '新增時段',
+    moveTimeSlot: '移動時段',
+    deleteTimeSlot: '刪除時段',
+    copyTimeSlotWeek: '複製一週時段',
+    saveSlotTemplate: '儲存時段範本',
+    deleteSlotTemplate: '刪除時段範本',
+    publishSlotTemplates: '依範本發布時段',
+    ensureScheduledTriggers: '啟用自動排程',
+    calendarSyncCancel: '日曆刪除同步'
+};
+const AUDIT_ACTOR_TYPE_LABELS = {
+    customer: '客戶',
+    admin: '管理員',
+    system: '系統'
+};
+
+// 預約總覽
+const agendaList = document.getElementById('agendaList');
+const agendaSearchBtn = document.getElementById('agendaSearchBtn');
+const agendaInputs = {
+    date: document.getElementById('agendaDate'),
+    view: document.getElementById('agendaView'),
+    status: document.getElementById('agendaStatus'),
+    service: document.getElementById('agendaService'),
+    customer: document.getElementById('agendaCustomer'),
+    prev: document.getElementById('agendaPrevBtn'),
+    next: document.getElementById('agendaNextBtn')
+};
+const AGENDA_WEEKDAY_LABELS = ['日', '一', '二', '三', '四', '五', '六'];
+const AGENDA_EDITABLE_STATUSES = ['pending', 'confirmed', 'checked-in']; // 需與後端 adminEditableStatuses 一致
+let agendaBookings = []; // 目前列出的預約，供修改預約使用
+let agendaTechnicians = []; // 美甲師名單（由 listBookings 回傳）
+
+// 建立預約（電話或現場預約）
+const manualBooking = {
+    keyword: document.getElementById('manualCustomerKeyword'),
+    searchBtn: document.getElementById('manualCustomerSearchBtn'),
+    results: document.getElementById('manualCustomerResults'),
+    name: document.getElementById('manualName'),
+    phone: document.getElementById('manualPhone'),
+    createCustomer: document.getElementById('manualCreateCustomer'),
+    date: document.getElementById('manualDate'),
+    time: document.getElementById('manualTime'),
+    service: document.getElementById('manualService'),
+    removal: document.getElementById('manualRemoval'),
+    quantity: document.getElementById('manualQuantity'),
+    remarks: document.getElementById('manualRemarks'),
+    override: document.getElementById('manualOverride'),
+    overrideRow: document.getElementById('manualOverrideRow'),
+    overrideReason: document.getElementById('manualOverrideReason'),
+    submitBtn: document.getElementById('manualSubmitBtn')
+};
+let manualBookingKey = null; // 建立預約的 idempotencyKey（重複點擊時沿用，成功後清除）
+
+// 修改預約模態框
+const bookingEdit = {
+    modal: document.getElementById('bookingEditModal'),
+    summary: document.getElementById('bookingEditSummary'),
+    date: document.getElementById('bookingEditDate'),
+    time: document.getElementById('bookingEditTime'),
+    technician: document.getElementById('bookingEditTechnician'),
+    service: document.getElementById('bookingEditService'),
+    removal: document.getElementById('bookingEditRemoval'),
+    quantity: document.getElementById('bookingEditQuantity'),
+    remarks: document.getElementById('bookingEditRemarks'),
+    override: document.getElementById('bookingEditOverride'),
+    overrideRow: document.getElementById('bookingEditOverrideRow'),
+    overrideReason: document.getElementById('bookingEditOverrideReason'),
+    notify: document.getElementById('bookingEditNotify'),
+    cancelBtn: document.getElementById('bookingEditCancelBtn'),
+    saveBtn: document.getElementById('bookingEditSaveBtn')
+};
+let editingBooking = null; // 正在修改的預約 { booking, selection }，selection 為開啟時的服務選擇
+const BOOKING_FIELD_LABELS = {
+    date: '日期',
+    time: '時間',
+    services: '服務項目',
+    removal: '卸甲',
+    quantity: '延甲',
+    remarks: '備註',
+    technician: '美甲師',
+    durationMinutes: '服務時長'
+};
+
+// 可預約時段管理
+const slotManager = {
+    date: document.getElementById('slotWeekDate'),
+    prev: document.getElementById('slotPrevBtn'),
+    next: document.getElementById('slotNextBtn'),
+    list: document.getElementById('slotWeekList'),
+    moveRow: document.getElementById('slotMoveRow'),
+    moveLabel: document.getElementById('slotMoveLabel'),
+    moveDate: document.getElementById('slotMoveDate'),
+    moveTime: document.getElementById('slotMoveTime'),
+    moveConfirmBtn: document.getElementById('slotMoveConfirmBtn'),
+    moveCancelBtn: document.getElementById('slotMoveCancelBtn'),
+    copyWeeks: document.getElementById('slotCopyWeeks'),
+    copyBtn: document.getElementById('slotCopyBtn')
+};
+let movingSlot = null; // 正在移動的時段 { eventId, date, time }
+
+// 每週時段範本
+const templateManager = {
+    list: document.getElementById('templateList'),
+    hint: document.getElementById('templateHint'),
+    triggerBtn: document.getElementById('templateTriggerBtn'),
+    newBtn: document.getElementById('templateNewBtn'),
+    form: document.getElementById('templateForm'),
+    name: document.getElementById('templateName'),
+    enabled: document.getElementById('templateEnabled'),
+    from: document.getElementById('templateFrom'),
+    to: document.getElementById('templateTo'),
+    weekdays: [0, 1, 2, 3, 4, 5, 6].map(weekday => document.getElementById('templateWeekday' + weekday)),
+    exceptions: document.getElementById('templateExceptions'),
+    saveBtn: document.getElementById('templateSaveBtn'),
+    cancelBtn: document.getElementById('templateCancelBtn'),
+    previewMonth: document.getElementById('templatePreviewMonth'),
+    previewBtn: document.getElementById('templatePreviewBtn'),
+    previewSummary: document.getElementById('templatePreviewSummary'),
+    previewList: document.getElementById('templatePreviewList'),
+    publishBtn: document.getElementById('templatePublishBtn')
+};
+const TEMPLATE_WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0]; // 範本以週一到週日顯示
+let editingTemplateId = ''; // 正在編輯的範本ID（新增時為空字串）
+let previewedTemplateMonth = ''; // 目前預覽的月份（YYYY-MM）
+
+// 後端驗證錯誤的區塊對應的項目選擇器
+const SETTINGS_SECTION_SELECTORS = {
+    services: '.service-item',
+    removals: '.removal-item',
+    extension: '.extension-item',
+    quantities: '.quantity-item'
+};
+
+// 預約規則欄位
+const ruleInputs = {
+    advanceHours: document.getElementById('ruleAdvanceHours'),
+    openingDay: document.getElementById('ruleOpeningDay'),
+    openingHour: document.getElementById('ruleOpeningHour')
+};
+
 /**
  * 頁面載入完成後初始化
  */
@@ -45,10 +224,74 @@ document.addEventListener('DOMContentLoaded', async function() {
     console.log('後台管理系統載入完成');
     initializeEventListeners();
     
+    // 以 LINE 帳號識別管理員
+    adminUserId = await initAdminLiff();
+    if (!adminUserId) {
+        lockAdminPage('無法取得 LINE 帳號，請從 LINE 開啟後台頁面');
+        return;
+    }
+    
     // 從 Google Sheets 載入資料
     await loadSettingsFromSheet();
+    
+    // 預設顯示今天的預約
+    agendaInputs.date.value = toTaipeiDateKey(new Date());
+    manualBooking.date.value = agendaInputs.date.value;
+    await loadAgenda();
+    
+    // 預設顯示本週的可預約時段
+    slotManager.date.value = agendaInputs.date.value;
+    await loadTimeSlotWeek();
+    
+    // 載入時段範本，預設預覽下個月
+    templateManager.previewMonth.value = getNextMonthKey(agendaInputs.date.value);
+    await loadSlotTemplates();
+    
+    // 載入待審核的帳號綁定申請
+    await loadAccountLinkRequests();
+    
+    // 載入設定版本紀錄
+    await loadSettingsHistory();
+    
+    // 預設查詢最近 7 天的操作紀錄
+    setDefaultAuditDates();
+    await loadAuditLog();
 });
 
+/**
+ * 初始化 LIFF 並取得管理員的 LINE User ID
+ * @returns {Promise<string>} LINE User ID，失敗時為空字串
+ */
+async function initAdminLiff() {
+    try {
+        if (typeof initLiff !== 'function') {
+            console.error('❌ liff-service.js 未載入');
+            return '';
+        }
+        
+        const liffSuccess = await initLiff();
+        if (!liffSuccess || !isLiffReady()) {
+            console.error('❌ LIFF 初始化失敗或未登入');
+            return '';
+        }
+        
+        return getLineUserId() || '';
+    } catch (error) {
+        console.error('❌ LIFF 初始化失敗:', error);
+        return '';
+    }
+}
+
+/**
+ * 鎖定後台頁面（非管理員或無法識別身分時），停用編輯功能並顯示原因
+ * @param {string} message - 顯示給用戶的訊息
+ */
+function lockAdminPage(message) {
+    editBtn.disabled = true;
+    editBtn.classList.add('hidden');
+    showErrorMessage(message);
+}
+
 /**
  * 從 Google Sheets 載入設定資料
  */
@@ -60,11 +303,17 @@ async function loadSettingsFromSheet() {
         showLoadingIndicator();
         
         // 呼叫 API 取得設定
-        const response = await getAdminSettings();
+        const response = await getAdminSettings(adminUserId);
         
         if (response.success && response.data) {
             console.log('✅ 資料載入成功:', response.data);
             
+            // 記錄修訂版本與基準資料（儲存時檢查是否被其他管理員更新）
+            settingsRevision = response.revision ?? 0;
+            loadedSettings = response.data;
+            populateAgendaServiceOptions();
+            populateManualBookingOptions();
+            
             // 渲染資料到頁面
             renderSettings(response.data);
             
@@ -80,6 +329,12 @@ async function loadSettingsFromSheet() {
         console.error('❌ 從 Google Sheets 載入資料失敗:', error);
         hideLoadingIndicator();
         
+        // 非管理員不可檢視或修改設定
+        if (error.code === 'ADMIN_REQUIRED') {
+            lockAdminPage(error.message);
+            return;
+        }
+        
         // 如果載入失敗，使用預設的靜態資料
         console.warn('⚠️ 使用預設靜態資料');
         saveOriginalData();
@@ -108,6 +363,11 @@ function renderSettings(settings) {
         renderExtensionSettings(settings.extension);
     }
     
+    // 渲染預約規則
+    if (settings.bookingRules) {
+        renderBookingRules(settings.bookingRules);
+    }
+    
     console.log('✅ 資料渲染完成');
 }
 
@@ -124,11 +384,14 @@ function renderServiceItems(services) {
     
     sortedServices.forEach(service => {
         const itemHTML = `
-            <div class="service-item" data-service-id="${service.id}" data-enabled="${service.enabled}" data-sort="${service.sort}">
+            <div class="service-item" data-service-id="${service.id}" data-duration="${service.duration ?? ''}" data-enabled="${service.enabled}" data-sort="${service.sort}">
                 <button class="delete-btn hidden" title="刪除此服務項目">×</button>
                 <span class="service-text">${escapeHtml(service.name)}</span>
+                <span class="duration-text">${formatDurationText(service.duration)}</span>
                 <input type="text" class="service-edit-input hidden" value="${escapeHtml(service.name)}">
                 <div class="edit-controls hidden">
+                    <input type="number" class="duration-edit-input" min="0" step="5" value="${service.duration ?? ''}" placeholder="時長">
+                    <span class="switch-label">分鐘</span>
                     <label class="switch">
                         <input type="checkbox" ${service.enabled ? 'checked' : ''}>
                         <span class="slider"></span>
@@ -156,11 +419,14 @@ function renderRemovalOptions(removals) {
     
     sortedRemovals.forEach(removal => {
         const itemHTML = `
-            <div class="removal-item" data-removal-id="${removal.id}" data-enabled="${removal.enabled}">
+            <div class="removal-item" data-removal-id="${removal.id}" data-duration="${removal.duration ?? ''}" data-enabled="${removal.enabled}">
                 <button class="delete-btn hidden" title="刪除此選項">×</button>
                 <span class="service-text">${escapeHtml(removal.name)}</span>
+                <span class="duration-text">${formatDurationText(removal.duration)}</span>
                 <input type="text" class="service-edit-input hidden" value="${escapeHtml(removal.name)}">
                 <div class="edit-controls hidden">
+                    <input type="number" class="duration-edit-input" min="0" step="5" value="${removal.duration ?? ''}" placeholder="時長">
+                    <span class="switch-label">分鐘</span>
                     <label class="switch">
                         <input type="checkbox" ${removal.enabled ? 'checked' : ''}>
                         <span class="slider"></span>
@@ -172,112 +438,1285 @@ function renderRemovalOptions(removals) {
         container.insertAdjacentHTML('beforeend', itemHTML);
     });
     
-    console.log(`✅ 已渲染 ${sortedRemovals.length} 個卸甲選項`);
+    console.log(`✅ 已渲染 ${sortedRemovals.length} 個卸甲選項`);
+}
+
+/**
+ * 渲染延甲設定
+ * @param {Object} extension - 延甲設定物件
+ */
+function renderExtensionSettings(extension) {
+    // 渲染延甲功能開關
+    const extensionContainer = extensionOptions;
+    extensionContainer.innerHTML = ''; // 清空現有內容
+    
+    const extensionId = extension.id || 'EXT10001';
+    const extensionEnabled = extension.enabled !== false; // 預設為 true
+    
+    // 如果延甲功能啟用，數量選項區域應該顯示
+    const quantitySectionHidden = extensionEnabled ? '' : 'hidden';
+    
+    // 生成數量選項的 HTML
+    let quantitiesHTML = '';
+    if (extension.quantities && extension.quantities.length > 0) {
+        const sortedQuantities = extension.quantities.sort((a, b) => a.sort - b.sort);
+        sortedQuantities.forEach(quantity => {
+            quantitiesHTML += `
+                <div class="quantity-item" data-quantity-id="${quantity.id}" data-duration="${quantity.duration ?? ''}" data-enabled="${quantity.enabled}">
+                    <button class="delete-btn hidden" title="刪除此選項">×</button>
+                    <span class="service-text">${escapeHtml(quantity.name)}</span>
+                    <span class="duration-text">${formatDurationText(quantity.duration)}</span>
+                    <input type="text" class="service-edit-input hidden" value="${escapeHtml(quantity.name)}">
+                    <div class="edit-controls hidden">
+                        <input type="number" class="duration-edit-input" min="0" step="5" value="${quantity.duration ?? ''}" placeholder="時長">
+                        <span class="switch-label">分鐘</span>
+                        <label class="switch">
+                            <input type="checkbox" ${quantity.enabled ? 'checked' : ''}>
+                            <span class="slider"></span>
+                        </label>
+                        <span class="switch-label">啟用</span>
+                    </div>
+                </div>
+            `;
+        });
+    }
+    
+    const extensionHTML = `
+        <div class="extension-item" data-extension-id="${extensionId}" data-enabled="${extensionEnabled}">
+            <span class="service-text">延甲功能</span>
+            <div class="edit-controls hidden">
+                <label class="switch">
+                    <input type="checkbox" ${extensionEnabled ? 'checked' : ''}>
+                    <span class="slider"></span>
+                </label>
+                <span class="switch-label">啟用</span>
+            </div>
+        </div>
+        
+        <div class="extension-quantity-section ${quantitySectionHidden}" id="extensionQuantitySection">
+            <h4 class="quantity-section-title">數量選項</h4>
+            <div class="quantity-options-list" id="quantityOptionsList">
+                ${quantitiesHTML}
+            </div>
+            
+            <div class="add-quantity-container hidden" id="addQuantityContainer">
+                <button class="add-service-btn" id="addQuantityBtn">
+                    + 新增數量選項
+                </button>
+            </div>
+        </div>
+    `;
+    
+    extensionContainer.insertAdjacentHTML('beforeend', extensionHTML);
+    
+    console.log('✅ 已渲染延甲設定', {
+        enabled: extensionEnabled,
+        quantitiesCount: extension.quantities ? extension.quantities.length : 0
+    });
+}
+
+/**
+ * 渲染延甲數量選項
+ * @param {Array} quantities - 數量選項陣列
+ */
+function renderQuantityOptions(quantities) {
+    const container = document.getElementById('quantityOptionsList');
+    if (!container) return;
+    
+    container.innerHTML = ''; // 清空現有內容
+    
+    // 按排序順序排列
+    const sortedQuantities = quantities.sort((a, b) => a.sort - b.sort);
+    
+    sortedQuantities.forEach(quantity => {
+        const itemHTML = `
+            <div class="quantity-item" data-quantity-id="${quantity.id}" data-duration="${quantity.duration ?? ''}" data-enabled="${quantity.enabled}">
+                <button class="delete-btn hidden" title="刪除此選項">×</button>
+                <span class="service-text">${escapeHtml(quantity.name)}</span>
+                <span class="duration-text">${formatDurationText(quantity.duration)}</span>
+                <input type="text" class="service-edit-input hidden" value="${escapeHtml(quantity.name)}">
+                <div class="edit-controls hidden">
+                    <input type="number" class="duration-edit-input" min="0" step="5" value="${quantity.duration ?? ''}" placeholder="時長">
+                    <span class="switch-label">分鐘</span>
+                    <label class="switch">
+                        <input type="checkbox" ${quantity.enabled ? 'checked' : ''}>
+                        <span class="slider"></span>
+                    </label>
+                    <span class="switch-label">啟用</span>
+                </div>
+            </div>
+        `;
+        container.insertAdjacentHTML('beforeend', itemHTML);
+    });
+    
+    console.log(`✅ 已渲染 ${sortedQuantities.length} 個延甲數量選項`);
+}
+
+/**
+ * 渲染預約規則
+ * @param {Object} rules - { advanceHours, openingDay, openingHour }
+ */
+function renderBookingRules(rules) {
+    Object.keys(ruleInputs).forEach(function(key) {
+        if (ruleInputs[key]) {
+            ruleInputs[key].value = rules[key] ?? '';
+        }
+    });
+}
+
+/**
+ * 讀取預約規則欄位
+ * @returns {Object} 預約規則（未填寫的欄位為 null）
+ */
+function collectBookingRules() {
+    const rules = {};
+    Object.keys(ruleInputs).forEach(function(key) {
+        const value = ruleInputs[key] ? ruleInputs[key].value.trim() : '';
+        rules[key] = value === '' ? null : Number(value);
+    });
+    return rules;
+}
+
+/**
+ * 切換預約規則欄位是否可編輯
+ * @param {boolean} editable - 是否可編輯
+ */
+function setBookingRulesEditable(editable) {
+    Object.keys(ruleInputs).forEach(function(key) {
+        if (ruleInputs[key]) {
+            ruleInputs[key].disabled = !editable;
+        }
+    });
+}
+
+/**
+ * 取得台北時間的日期字串
+ * @param {Date} date - 日期
+ * @returns {string} YYYY-MM-DD
+ */
+function toTaipeiDateKey(date) {
+    return date.toLocaleDateString('en-CA', { timeZone: 'Asia/Taipei' });
+}
+
+/**
+ * 日期字串加減天數
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {number} days - 天數（可為負數）
+ * @returns {string} YYYY-MM-DD
+ */
+function addDaysToDateKey(dateKey, days) {
+    const date = new Date(dateKey + 'T00:00:00Z');
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * 取得目前檢視的日期區間（週檢視為週一到週日）
+ * @returns {Object} { startDate, endDate }
+ */
+function getAgendaRange() {
+    const anchor = agendaInputs.date.value || toTaipeiDateKey(new Date());
+    if (agendaInputs.view.value !== 'week') {
+        return { startDate: anchor, endDate: anchor };
+    }
+    
+    const startDate = getWeekStartDateKey(anchor);
+    return { startDate: startDate, endDate: addDaysToDateKey(startDate, 6) };
+}
+
+/**
+ * 取得日期所在週的週一
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+function getWeekStartDateKey(dateKey) {
+    const weekday = new Date(dateKey + 'T00:00:00Z').getUTCDay();
+    return addDaysToDateKey(dateKey, -((weekday + 6) % 7));
+}
+
+/**
+ * 以後台設定的服務項目建立服務篩選選項
+ */
+function populateAgendaServiceOptions() {
+    const services = (loadedSettings && loadedSettings.services) || [];
+    agendaInputs.service.innerHTML = '<option value="">全部</option>' + services
+        .map(service => `<option value="${escapeHtml(String(service.name))}">${escapeHtml(String(service.name))}</option>`)
+        .join('');
+}
+
+/**
+ * 依目前的檢視方式與篩選條件查詢預約
+ */
+async function loadAgenda() {
+    const range = getAgendaRange();
+    const filters = {
+        startDate: range.startDate,
+        endDate: range.endDate,
+        status: agendaInputs.status.value,
+        service: agendaInputs.service.value,
+        customer: agendaInputs.customer.value.trim()
+    };
+    
+    agendaSearchBtn.disabled = true;
+    agendaList.innerHTML = '<div class="link-request-empty">查詢中...</div>';
+    
+    try {
+        const response = await listBookings(filters, adminUserId);
+        agendaBookings = response.bookings || [];
+        agendaTechnicians = response.technicians || [];
+        renderAgenda(range, response.bookings || [], response.totalCount, response.truncated);
+    } catch (error) {
+        console.error('❌ 查詢預約列表失敗:', error);
+        agendaList.innerHTML = `<div class="link-request-empty">${escapeHtml(error.message)}</div>`;
+    } finally {
+        agendaSearchBtn.disabled = false;
+    }
+}
+
+/**
+ * 往前或往後切換一段（日檢視一天、週檢視一週）
+ * @param {number} direction - -1 往前、1 往後
+ */
+function shiftAgenda(direction) {
+    const step = agendaInputs.view.value === 'week' ? 7 : 1;
+    agendaInputs.date.value = addDaysToDateKey(agendaInputs.date.value || toTaipeiDateKey(new Date()), direction * step);
+    loadAgenda();
+}
+
+/**
+ * 渲染預約列表（依日期分組，週檢視會列出沒有預約的日期）
+ * @param {Object} range - { startDate, endDate }
+ * @param {Array} bookings - 預約 [{ date, time, customerName, phone, services, removal, quantity, remarks, status, statusLabel, technician }]
+ * @param {number} totalCount - 符合條件的總筆數
+ * @param {boolean} truncated - 是否只回傳部分預約
+ */
+function renderAgenda(range, bookings, totalCount, truncated) {
+    const days = [];
+    for (let date = range.startDate; date <= range.endDate; date = addDaysToDateKey(date, 1)) {
+        days.push(date);
+    }
+    
+    const groups = days.map(date => {
+        const dayBookings = bookings.filter(booking => booking.date === date);
+        const weekday = AGENDA_WEEKDAY_LABELS[new Date(date + 'T00:00:00Z').getUTCDay()];
+        const items = dayBookings.map(booking => `
+            <div class="agenda-item status-${escapeHtml(String(booking.status))}">
+                <span class="agenda-status">${escapeHtml(String(booking.statusLabel || booking.status))}</span>
+                ${booking.eventId && AGENDA_EDITABLE_STATUSES.includes(booking.status)
+                    ? `<button class="agenda-edit-btn" data-event-id="${escapeHtml(String(booking.eventId))}">修改</button>`
+                    : ''}
+                <strong>${escapeHtml(String(booking.time))} ${escapeHtml(String(booking.customerName || ''))}</strong>
+                ${escapeHtml(String(booking.phone || ''))}<br>
+                服務：${escapeHtml(String(booking.services || '無'))}<br>
+                卸甲：${escapeHtml(String(booking.removal || '無'))}　延甲：${escapeHtml(String(booking.quantity || '無'))}
+                ${booking.technician ? `<br>美甲師：${escapeHtml(String(booking.technician))}` : ''}
+                ${booking.remarks ? `<br>備註：${escapeHtml(String(booking.remarks))}` : ''}
+            </div>
+        `).join('');
+        
+        return `
+            <div class="agenda-day">
+                <div class="agenda-day-title">${escapeHtml(date)}（${weekday}）・${dayBookings.length} 筆</div>
+                ${items || '<div class="agenda-day-empty">沒有預約</div>'}
+            </div>
+        `;
+    }).join('');
+    
+    const note = truncated
+        ? `<div class="link-request-empty">共 ${totalCount} 筆，僅顯示前 ${bookings.length} 筆，請縮小查詢範圍</div>`
+        : '';
+    
+    agendaList.innerHTML = groups + note;
+    
+    agendaList.querySelectorAll('.agenda-edit-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            const booking = agendaBookings.find(item => String(item.eventId) === button.dataset.eventId);
+            if (booking) {
+                openBookingEditModal(booking);
+            }
+        });
+    });
+}
+
+/**
+ * 開啟修改預約模態框，帶入預約目前的內容
+ * 服務項目依名稱對應到後台設定的選項；對應不到時預設為維持原服務內容
+ * @param {Object} booking - listBookings 回傳的預約
+ */
+function openBookingEditModal(booking) {
+    const settings = loadedSettings || {};
+    const extension = settings.extension || {};
+    const findIdByName = (items, name) => {
+        const item = (items || []).find(entry => String(entry.name) === String(name));
+        return item ? String(item.id) : '';
+    };
+    
+    bookingEdit.summary.textContent = `${booking.customerName || ''}　${booking.phone || ''}（${booking.statusLabel || booking.status}）`;
+    bookingEdit.date.value = booking.date;
+    bookingEdit.time.value = booking.time;
+    bookingEdit.remarks.value = booking.remarks || '';
+    
+    const technicians = agendaTechnicians.includes(booking.technician) || !booking.technician
+        ? agendaTechnicians
+        : [booking.technician].concat(agendaTechnicians);
+    bookingEdit.technician.innerHTML = technicians
+        .map(name => `<option value="${escapeHtml(String(name))}">${escapeHtml(String(name))}</option>`)
+        .join('');
+    bookingEdit.technician.value = booking.technician || technicians[0] || '';
+    
+    bookingEdit.service.innerHTML = buildSettingsItemOptions(settings.services, '維持原服務內容');
+    bookingEdit.removal.innerHTML = buildSettingsItemOptions(settings.removals, '無');
+    bookingEdit.quantity.innerHTML = buildSettingsItemOptions(extension.enabled ? extension.quantities : [], '無');
+    
+    bookingEdit.service.value = findIdByName(settings.services, booking.services);
+    bookingEdit.removal.value = findIdByName(settings.removals, booking.removal);
+    bookingEdit.quantity.value = findIdByName(extension.quantities, String(booking.quantity || '').replace(/^延甲 - /, ''));
+    updateBookingEditServiceInputs();
+    
+    bookingEdit.override.checked = false;
+    bookingEdit.overrideRow.classList.add('hidden');
+    bookingEdit.overrideReason.value = '';
+    bookingEdit.notify.checked = false;
+    
+    editingBooking = { booking: booking, selection: getBookingEditSelection() };
+    bookingEdit.modal.classList.remove('hidden');
+}
+
+/**
+ * 隱藏修改預約模態框
+ */
+function hideBookingEditModal() {
+    bookingEdit.modal.classList.add('hidden');
+    editingBooking = null;
+}
+
+/**
+ * 取得目前的服務選擇（服務、卸甲、延甲）
+ * @returns {string} 用於比對是否變更的字串
+ */
+function getBookingEditSelection() {
+    return [bookingEdit.service.value, bookingEdit.removal.value, bookingEdit.quantity.value].join('|');
+}
+
+/**
+ * 維持原服務內容時，卸甲與延甲也維持不變（不可單獨修改）
+ */
+function updateBookingEditServiceInputs() {
+    const keepServices = !bookingEdit.service.value;
+    bookingEdit.removal.disabled = keepServices;
+    bookingEdit.quantity.disabled = keepServices;
+}
+
+/**
+ * 送出修改預約（只送出有變更的欄位）
+ */
+async function submitBookingEdit() {
+    if (!editingBooking) {
+        return;
+    }
+    
+    const booking = editingBooking.booking;
+    const selectedText = select => (select.value ? select.options[select.selectedIndex].textContent : '');
+    const changes = {};
+    
+    if (!bookingEdit.date.value || !bookingEdit.time.value) {
+        showErrorMessage('請填寫預約日期與時間');
+        return;
+    }
+    if (bookingEdit.date.value !== booking.date) changes.date = bookingEdit.date.value;
+    if (bookingEdit.time.value !== booking.time) changes.time = bookingEdit.time.value;
+    if (bookingEdit.technician.value && bookingEdit.technician.value !== booking.technician) {
+        changes.technician = bookingEdit.technician.value;
+    }
+    if (bookingEdit.remarks.value.trim() !== String(booking.remarks || '')) {
+        changes.remarks = bookingEdit.remarks.value.trim();
+    }
+    if (bookingEdit.service.value && getBookingEditSelection() !== editingBooking.selection) {
+        changes.service = bookingEdit.service.value;
+        changes.serviceText = selectedText(bookingEdit.service);
+        changes.removal = bookingEdit.removal.value;
+        changes.removalText = selectedText(bookingEdit.removal);
+        changes.quantity = bookingEdit.quantity.value;
+        changes.quantityText = bookingEdit.quantity.value ? `延甲 - ${selectedText(bookingEdit.quantity)}` : '';
+    }
+    
+    if (Object.keys(changes).length === 0) {
+        showErrorMessage('預約內容沒有變更');
+        return;
+    }
+    
+    const overrideReason = bookingEdit.override.checked ? bookingEdit.overrideReason.value.trim() : '';
+    if (bookingEdit.override.checked && !overrideReason) {
+        showErrorMessage('略過時段檢查時請填寫原因');
+        return;
+    }
+    
+    bookingEdit.saveBtn.disabled = true;
+    
+    try {
+        const result = await updateBooking(booking.eventId, changes, {
+            notifyCustomer: bookingEdit.notify.checked,
+            overrideReason: overrideReason
+        }, adminUserId);
+        
+        const changedText = (result.changedFields || []).map(field => BOOKING_FIELD_LABELS[field] || field).join('、');
+        const lineWarning = result.lineMessage && !result.lineMessage.success ? '，但 LINE 通知發送失敗' : '';
+        showSuccessMessage(`已更新 ${booking.customerName || ''} 的預約（${changedText}）${lineWarning}`);
+        
+        hideBookingEditModal();
+        await loadAgenda();
+    } catch (error) {
+        const hint = ['TIME_SLOT_CONFLICT', 'TECHNICIAN_UNAVAILABLE'].includes(error.code) ? '（可勾選略過時段檢查並填寫原因）' : '';
+        showErrorMessage('修改預約失敗：' + escapeHtml(error.message) + hint);
+    } finally {
+        bookingEdit.saveBtn.disabled = false;
+    }
+}
+
+/**
+ * 以後台設定的項目建立下拉選項（只列出啟用中的項目）
+ * @param {Array} items - 服務、卸甲或延甲數量項目
+ * @param {string} emptyLabel - 空白選項的文字（未提供時不加入空白選項）
+ * @returns {string} option 標籤 HTML
+ */
+function buildSettingsItemOptions(items, emptyLabel) {
+    return (emptyLabel ? `<option value="">${emptyLabel}</option>` : '') + (items || [])
+        .filter(item => item.enabled)
+        .map(item => `<option value="${escapeHtml(String(item.id))}">${escapeHtml(String(item.name))}</option>`)
+        .join('');
+}
+
+/**
+ * 以後台設定建立「建立預約」的服務、卸甲、延甲選項（只列出啟用中的項目）
+ */
+function populateManualBookingOptions() {
+    const settings = loadedSettings || {};
+    const extension = settings.extension || {};
+    manualBooking.service.innerHTML = buildSettingsItemOptions(settings.services, '');
+    manualBooking.removal.innerHTML = buildSettingsItemOptions(settings.removals, '無');
+    manualBooking.quantity.innerHTML = buildSettingsItemOptions(extension.enabled ? extension.quantities : [], '無');
+}
+
+/**
+ * 搜尋既有客戶
+ */
+async function searchManualBookingCustomers() {
+    const keyword = manualBooking.keyword.value.trim();
+    if (keyword.length < 2) {
+        showErrorMessage('請輸入至少 2 個字的姓名或手機');
+        return;
+    }
+    
+    manualBooking.searchBtn.disabled = true;
+    manualBooking.results.innerHTML = '<div class="link-request-empty">搜尋中...</div>';
+    
+    try {
+        const response = await searchCustomers(keyword, adminUserId);
+        const customers = response.customers || [];
+        if (customers.length === 0) {
+            manualBooking.results.innerHTML = '<div class="link-request-empty">找不到客戶，可直接填寫資料並勾選新客戶</div>';
+            return;
+        }
+        
+        manualBooking.results.innerHTML = customers.map((customer, index) => `
+            <button class="manual-customer-option" data-index="${index}">
+                ${escapeHtml(customer.name)}　${escapeHtml(customer.phone)}
+                ${customer.hasLineAccount ? '' : '（無 LINE 帳號）'}・預約 ${customer.bookingCount} 次
+            </button>
+        `).join('');
+        
+        manualBooking.results.querySelectorAll('.manual-customer-option').forEach(button => {
+            button.addEventListener('click', () => {
+                const customer = customers[Number(button.dataset.index)];
+                manualBooking.name.value = customer.name;
+                manualBooking.phone.value = customer.phone;
+                manualBooking.createCustomer.checked = false;
+                manualBooking.results.innerHTML = '';
+            });
+        });
+    } catch (error) {
+        manualBooking.results.innerHTML = `<div class="link-request-empty">${escapeHtml(error.message)}</div>`;
+    } finally {
+        manualBooking.searchBtn.disabled = false;
+    }
+}
+
+/**
+ * 送出後台建立預約
+ */
+async function submitManualBooking() {
+    const selectedText = select => (select.value ? select.options[select.selectedIndex].textContent : '');
+    const booking = {
+        customerName: manualBooking.name.value.trim(),
+        phone: manualBooking.phone.value.trim(),
+        date: manualBooking.date.value,
+        time: manualBooking.time.value,
+        service: manualBooking.service.value || null,
+        serviceText: selectedText(manualBooking.service),
+        removal: manualBooking.removal.value || null,
+        removalText: selectedText(manualBooking.removal),
+        quantity: manualBooking.quantity.value || null,
+        quantityText: manualBooking.quantity.value ? `延甲 - ${selectedText(manualBooking.quantity)}` : '',
+        remarks: manualBooking.remarks.value.trim()
+    };
+    
+    if (!booking.customerName || !booking.phone || !booking.date || !booking.time || !booking.service) {
+        showErrorMessage('請填寫客戶姓名、手機、日期、時間與服務項目');
+        return;
+    }
+    
+    const overrideReason = manualBooking.override.checked ? manualBooking.overrideReason.value.trim() : '';
+    if (manualBooking.override.checked && !overrideReason) {
+        showErrorMessage('略過時段檢查時請填寫原因');
+        return;
+    }
+    
+    if (!manualBookingKey) {
+        const randomArray = new Uint32Array(4);
+        crypto.getRandomValues(randomArray);
+        manualBookingKey = `${Array.from(randomArray).map(num => num.toString(36)).join('')}_${Date.now().toString(36)}`;
+    }
+    booking.idempotencyKey = manualBookingKey;
+    
+    manualBooking.submitBtn.disabled = true;
+    
+    try {
+        const result = await adminCreateBooking(booking, {
+            createCustomer: manualBooking.createCustomer.checked,
+            overrideReason: overrideReason
+        }, adminUserId);
+        
+        manualBookingKey = null;
+        const calendarWarning = result.calendarEvent && !result.calendarEvent.success ? '，但日曆活動建立失敗' : '';
+        showSuccessMessage(`已建立 ${booking.date} ${booking.time} ${booking.customerName} 的預約${calendarWarning}`);
+        
+        ['name', 'phone', 'time', 'remarks', 'overrideReason'].forEach(key => { manualBooking[key].value = ''; });
+        manualBooking.createCustomer.checked = false;
+        manualBooking.override.checked = false;
+        manualBooking.overrideRow.classList.add('hidden');
+        
+        await loadAgenda();
+    } catch (error) {
+        const hint = ['TIME_SLOT_CONFLICT', 'TIME_SLOT_RESERVED'].includes(error.code) ? '（可勾選略過時段檢查並填寫原因）' : '';
+        showErrorMessage('建立預約失敗：' + escapeHtml(error.message) + hint);
+    } finally {
+        manualBooking.submitBtn.disabled = false;
+    }
+}
+
+/**
+ * 取得可預約時段目前檢視的週（週一到週日）
+ * @returns {Object} { startDate, endDate }
+ */
+function getSlotWeekRange() {
+    const startDate = getWeekStartDateKey(slotManager.date.value || toTaipeiDateKey(new Date()));
+    return { startDate: startDate, endDate: addDaysToDateKey(startDate, 6) };
+}
+
+/**
+ * 載入目前檢視週的可預約時段
+ */
+async function loadTimeSlotWeek() {
+    const range = getSlotWeekRange();
+    slotManager.list.innerHTML = '<div class="link-request-empty">載入中...</div>';
+    
+    try {
+        const response = await listTimeSlots(range.startDate, range.endDate, adminUserId);
+        renderTimeSlotWeek(range, response.slots || []);
+    } catch (error) {
+        console.error('❌ 查詢時段失敗:', error);
+        slotManager.list.innerHTML = `<div class="link-request-empty">${escapeHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * 往前或往後切換一週
+ * @param {number} direction - -1 往前、1 往後
+ */
+function shiftTimeSlotWeek(direction) {
+    slotManager.date.value = addDaysToDateKey(slotManager.date.value || toTaipeiDateKey(new Date()), direction * 7);
+    hideTimeSlotMove();
+    loadTimeSlotWeek();
+}
+
+/**
+ * 渲染一週的可預約時段（每天可新增時段；舊時段只能刪除）
+ * @param {Object} range - { startDate, endDate }
+ * @param {Array} slots - 時段 [{ eventId, date, time, structured, title }]
+ */
+function renderTimeSlotWeek(range, slots) {
+    const days = [];
+    for (let date = range.startDate; date <= range.endDate; date = addDaysToDateKey(date, 1)) {
+        days.push(date);
+    }
+    
+    slotManager.list.innerHTML = days.map(date => {
+        const weekday = AGENDA_WEEKDAY_LABELS[new Date(date + 'T00:00:00Z').getUTCDay()];
+        const chips = slots
+            .map((slot, index) => ({ slot: slot, index: index }))
+            .filter(item => item.slot.date === date)
+            .map(item => `
+                <span class="slot-chip${item.slot.structured ? '' : ' legacy'}"
+                      title="${item.slot.structured ? '' : escapeHtml('日曆活動：' + String(item.slot.title))}">
+                    ${escapeHtml(String(item.slot.time))}
+                    ${item.slot.structured ? `<button class="slot-move-btn" data-index="${item.index}">移動</button>` : ''}
+                    <button class="slot-delete-btn" data-index="${item.index}">刪除</button>
+                </span>
+            `).join('');
+        
+        return `
+            <div class="agenda-day">
+                <div class="agenda-day-title">${escapeHtml(date)}（${weekday}）</div>
+                <div class="slot-chips">${chips || '<span class="agenda-day-empty">沒有時段</span>'}</div>
+                <div class="slot-add-row">
+                    <input type="time" class="audit-input slot-add-time" data-date="${escapeHtml(date)}">
+                    <button class="audit-search-btn slot-add-btn" data-date="${escapeHtml(date)}">新增</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+    
+    slotManager.list.querySelectorAll('.slot-move-btn').forEach(button => {
+        button.addEventListener('click', () => startTimeSlotMove(slots[Number(button.dataset.index)]));
+    });
+    slotManager.list.querySelectorAll('.slot-delete-btn').forEach(button => {
+        button.addEventListener('click', () => removeTimeSlot(slots[Number(button.dataset.index)], slots));
+    });
+    slotManager.list.querySelectorAll('.slot-add-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            const input = slotManager.list.querySelector(`.slot-add-time[data-date="${button.dataset.date}"]`);
+            addTimeSlot(button.dataset.date, input.value);
+        });
+    });
+}
+
+/**
+ * 新增一個時段
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ */
+async function addTimeSlot(date, time) {
+    if (!time) {
+        showErrorMessage('請選擇要新增的時間');
+        return;
+    }
+    
+    try {
+        const result = await createTimeSlots(date, [time], adminUserId);
+        showSuccessMessage(`${date} ${result.message}`);
+        await loadTimeSlotWeek();
+    } catch (error) {
+        showErrorMessage('新增時段失敗：' + escapeHtml(error.message));
+    }
+}
+
+/**
+ * 刪除時段（舊活動若包含多個時間會一併刪除）
+ * @param {Object} slot - 要刪除的時段
+ * @param {Array} slots - 目前列出的所有時段
+ */
+async function removeTimeSlot(slot, slots) {
+    const sameEventTimes = slots.filter(item => item.eventId === slot.eventId).map(item => item.time);
+    const confirmText = sameEventTimes.length > 1
+        ? `此日曆活動包含 ${sameEventTimes.join('、')} 多個時段，將一併刪除，確定嗎？`
+        : `確定要刪除 ${slot.date} ${slot.time} 的時段嗎？已成立的預約不受影響。`;
+    if (!confirm(confirmText)) {
+        return;
+    }
+    
+    try {
+        await deleteTimeSlot(slot.eventId, adminUserId);
+        showSuccessMessage(`已刪除 ${slot.date} ${sameEventTimes.join('、')} 的時段`);
+        hideTimeSlotMove();
+        await loadTimeSlotWeek();
+    } catch (error) {
+        showErrorMessage('刪除時段失敗：' + escapeHtml(error.message));
+    }
+}
+
+/**
+ * 顯示移動時段的表單
+ * @param {Object} slot - 要移動的時段
+ */
+function startTimeSlotMove(slot) {
+    movingSlot = slot;
+    slotManager.moveLabel.textContent = `移動 ${slot.date} ${slot.time} 的時段到：`;
+    slotManager.moveDate.value = slot.date;
+    slotManager.moveTime.value = slot.time;
+    slotManager.moveRow.classList.remove('hidden');
+}
+
+/**
+ * 隱藏移動時段的表單
+ */
+function hideTimeSlotMove() {
+    movingSlot = null;
+    slotManager.moveRow.classList.add('hidden');
+}
+
+/**
+ * 送出移動時段
+ */
+async function confirmTimeSlotMove() {
+    if (!movingSlot) {
+        return;
+    }
+    
+    const newDate = slotManager.moveDate.value;
+    const newTime = slotManager.moveTime.value;
+    if (!newDate || !newTime) {
+        showErrorMessage('請選擇新的日期與時間');
+        return;
+    }
+    
+    slotManager.moveConfirmBtn.disabled = true;
+    
+    try {
+        await moveTimeSlot(movingSlot.eventId, newDate, newTime, adminUserId);
+        showSuccessMessage(`已將 ${movingSlot.date} ${movingSlot.time} 的時段移到 ${newDate} ${newTime}`);
+        hideTimeSlotMove();
+        await loadTimeSlotWeek();
+    } catch (error) {
+        showErrorMessage('移動時段失敗：' + escapeHtml(error.message));
+    } finally {
+        slotManager.moveConfirmBtn.disabled = false;
+    }
+}
+
+/**
+ * 將目前檢視週的時段複製到之後幾週
+ */
+async function copyCurrentTimeSlotWeek() {
+    const range = getSlotWeekRange();
+    const weeks = Number(slotManager.copyWeeks.value);
+    if (!confirm(`確定要將 ${range.startDate}～${range.endDate} 的時段複製到之後 ${weeks} 週嗎？已存在的時段會略過。`)) {
+        return;
+    }
+    
+    slotManager.copyBtn.disabled = true;
+    
+    try {
+        const result = await copyTimeSlotWeek(range.startDate, weeks, adminUserId);
+        showSuccessMessage(`已複製到 ${result.startDate}～${result.endDate}：${result.message}`);
+    } catch (error) {
+        showErrorMessage('複製時段失敗：' + escapeHtml(error.message));
+    } finally {
+        slotManager.copyBtn.disabled = false;
+    }
+}
+
+/**
+ * 取得日期的下個月
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {string} YYYY-MM
+ */
+function getNextMonthKey(dateKey) {
+    const [year, month] = dateKey.split('-').map(Number);
+    return month === 12 ? `${year + 1}-01` : `${year}-${String(month + 1).padStart(2, '0')}`;
+}
+
+/**
+ * 載入每週時段範本
+ */
+async function loadSlotTemplates() {
+    try {
+        const response = await listSlotTemplates(adminUserId);
+        renderSlotTemplates(response.templates || []);
+        const missingTriggers = response.missingTriggers || [];
+        templateManager.hint.textContent =
+            `每月 ${response.openingDay} 日開放下月預約，系統會在 ${response.publishLeadDays} 天前依啟用中的範本自動發布下個月的時段（已發布的月份不會重複發布）` +
+            (missingTriggers.length > 0 ? `。尚未啟用的自動排程：${missingTriggers.join('、')}` : '');
+        templateManager.triggerBtn.classList.toggle('hidden', missingTriggers.length === 0);
+    } catch (error) {
+        console.error('❌ 載入時段範本失敗:', error);
+        templateManager.list.innerHTML = `<div class="link-request-empty">${escapeHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * 渲染範本列表
+ * @param {Array} templates - 範本 [{ id, name, enabled, effectiveFrom, effectiveTo, weekdays, exceptions }]
+ */
+function renderSlotTemplates(templates) {
+    if (templates.length === 0) {
+        templateManager.list.innerHTML = '<div class="link-request-empty">尚未建立範本</div>';
+        return;
+    }
+    
+    templateManager.list.innerHTML = templates.map((template, index) => {
+        const weekdayLines = TEMPLATE_WEEKDAY_ORDER
+            .filter(weekday => (template.weekdays[weekday] || []).length > 0)
+            .map(weekday => `週${AGENDA_WEEKDAY_LABELS[weekday]}：${escapeHtml(template.weekdays[weekday].join('、'))}`)
+            .join('<br>');
+        const range = `${escapeHtml(template.effectiveFrom || '不限')} ～ ${escapeHtml(template.effectiveTo || '不限')}`;
+        
+        return `
+            <div class="agenda-item${template.enabled ? '' : ' status-cancelled'}">
+                <span class="agenda-status">${template.enabled ? '啟用中' : '已停用'}</span>
+                <button class="agenda-edit-btn template-delete-btn" data-index="${index}">刪除</button>
+                <button class="agenda-edit-btn template-edit-btn" data-index="${index}">編輯</button>
+                <strong>${escapeHtml(template.name)}</strong><br>
+                生效期間：${range}<br>
+                ${weekdayLines}
+                ${template.exceptions.length > 0 ? `<br>例外日期：${template.exceptions.length} 天` : ''}
+            </div>
+        `;
+    }).join('');
+    
+    templateManager.list.querySelectorAll('.template-edit-btn').forEach(button => {
+        button.addEventListener('click', () => openTemplateForm(templates[Number(button.dataset.index)]));
+    });
+    templateManager.list.querySelectorAll('.template-delete-btn').forEach(button => {
+        button.addEventListener('click', () => removeSlotTemplate(templates[Number(button.dataset.index)]));
+    });
+}
+
+/**
+ * 開啟範本編輯表單
+ * @param {Object|null} template - 要編輯的範本，新增時為 null
+ */
+function openTemplateForm(template) {
+    editingTemplateId = template ? template.id : '';
+    templateManager.name.value = template ? template.name : '';
+    templateManager.enabled.checked = template ? template.enabled : true;
+    templateManager.from.value = template ? template.effectiveFrom : '';
+    templateManager.to.value = template ? template.effectiveTo : '';
+    templateManager.weekdays.forEach((input, weekday) => {
+        input.value = template && template.weekdays[weekday] ? template.weekdays[weekday].join(',') : '';
+    });
+    templateManager.exceptions.value = template
+        ? template.exceptions.map(exception => (exception.date + ' ' + exception.times.join(',')).trim()).join('\n')
+        : '';
+    templateManager.saveBtn.textContent = template ? '更新範本' : '儲存範本';
+    templateManager.form.classList.remove('hidden');
+    templateManager.name.focus();
+}
+
+/**
+ * 隱藏範本編輯表單
+ */
+function hideTemplateForm() {
+    editingTemplateId = '';
+    templateManager.form.classList.add('hidden');
+}
+
+/**
+ * 儲存範本，成功後重新載入列表與預覽
+ */
+async function submitSlotTemplate() {
+    const template = {
+        templateId: editingTemplateId,
+        name: templateManager.name.value.trim(),
+        enabled: templateManager.enabled.checked,
+        effectiveFrom: templateManager.from.value,
+        effectiveTo: templateManager.to.value,
+        weekdays: templateManager.weekdays.map(input => input.value.split(/[,、\s]+/).filter(time => time)),
+        exceptions: templateManager.exceptions.value
+    };
+    
+    if (!template.name) {
+        showErrorMessage('請填寫範本名稱');
+        return;
+    }
+    
+    templateManager.saveBtn.disabled = true;
+    
+    try {
+        const result = await saveSlotTemplate(template, adminUserId);
+        showSuccessMessage(result.message);
+        hideTemplateForm();
+        await loadSlotTemplates();
+        if (previewedTemplateMonth) {
+            await previewTemplateMonth();
+        }
+    } catch (error) {
+        showErrorMessage('儲存範本失敗：' + escapeHtml(error.message));
+    } finally {
+        templateManager.saveBtn.disabled = false;
+    }
+}
+
+/**
+ * 刪除範本（已發布的時段不受影響）
+ * @param {Object} template - 要刪除的範本
+ */
+async function removeSlotTemplate(template) {
+    if (!confirm(`確定要刪除範本「${template.name}」嗎？已發布的時段不會被刪除。`)) {
+        return;
+    }
+    
+    try {
+        await deleteSlotTemplate(template.id, adminUserId);
+        showSuccessMessage('範本已刪除');
+        if (editingTemplateId === template.id) {
+            hideTemplateForm();
+        }
+        await loadSlotTemplates();
+    } catch (error) {
+        showErrorMessage('刪除範本失敗：' + escapeHtml(error.message));
+    }
+}
+
+/**
+ * 預覽範本在選擇月份產生的時段
+ */
+async function previewTemplateMonth() {
+    const month = templateManager.previewMonth.value;
+    if (!month) {
+        showErrorMessage('請選擇預覽月份');
+        return;
+    }
+    
+    previewedTemplateMonth = month;
+    templateManager.publishBtn.classList.add('hidden');
+    templateManager.previewSummary.textContent = '';
+    templateManager.previewList.innerHTML = '<div class="link-request-empty">載入中...</div>';
+    
+    try {
+        const response = await previewSlotTemplates(month, adminUserId);
+        renderTemplatePreview(response);
+    } catch (error) {
+        console.error('❌ 預覽範本時段失敗:', error);
+        templateManager.previewList.innerHTML = `<div class="link-request-empty">${escapeHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * 渲染範本預覽（粗體為發布後會新增的時段，淡色為已存在的時段）
+ * @param {Object} preview - { month, days, newCount, existingCount, publishedAt }
+ */
+function renderTemplatePreview(preview) {
+    const publishedText = preview.publishedAt
+        ? `（已於 ${new Date(preview.publishedAt).toLocaleString('zh-TW')} 發布）`
+        : '（尚未發布）';
+    templateManager.previewSummary.textContent =
+        `${preview.month} 將新增 ${preview.newCount} 個時段，${preview.existingCount} 個時段已存在${publishedText}`;
+    
+    if (preview.days.length === 0) {
+        templateManager.previewList.innerHTML = '<div class="link-request-empty">此月份沒有啟用中的範本</div>';
+        return;
+    }
+    
+    templateManager.previewList.innerHTML = preview.days.map(day => {
+        const chips = day.times.map(slot => `
+            <span class="slot-chip ${slot.exists ? 'existing' : 'new'}">${escapeHtml(slot.time)}</span>
+        `).join('');
+        
+        return `
+            <div class="agenda-day">
+                <div class="agenda-day-title">
+                    ${escapeHtml(day.date)}（${AGENDA_WEEKDAY_LABELS[day.weekday]}）· ${escapeHtml(day.templateName)}${day.exception ? '・例外日期' : ''}
+                </div>
+                <div class="slot-chips">${chips || '<span class="agenda-day-empty">公休</span>'}</div>
+            </div>
+        `;
+    }).join('');
+    
+    if (preview.newCount > 0) {
+        templateManager.publishBtn.textContent = `發布 ${preview.month} 的 ${preview.newCount} 個時段`;
+        templateManager.publishBtn.classList.remove('hidden');
+    }
+}
+
+/**
+ * 發布目前預覽月份的範本時段
+ */
+async function publishTemplateMonth() {
+    if (!previewedTemplateMonth || !confirm(`確定要依範本發布 ${previewedTemplateMonth} 的時段嗎？已存在的時段會略過。`)) {
+        return;
+    }
+    
+    templateManager.publishBtn.disabled = true;
+    
+    try {
+        const result = await publishSlotTemplates(previewedTemplateMonth, adminUserId);
+        showSuccessMessage(`${previewedTemplateMonth} ${result.message}`);
+        await previewTemplateMonth();
+        await loadTimeSlotWeek();
+    } catch (error) {
+        showErrorMessage('發布時段失敗：' + escapeHtml(error.message));
+    } finally {
+        templateManager.publishBtn.disabled = false;
+    }
+}
+
+/**
+ * 啟用尚未安裝的自動排程
+ */
+async function enableScheduledTriggers() {
+    templateManager.triggerBtn.disabled = true;
+    
+    try {
+        const result = await ensureScheduledTriggers(adminUserId);
+        showSuccessMessage(result.message);
+        await loadSlotTemplates();
+    } catch (error) {
+        showErrorMessage('啟用自動排程失敗：' + escapeHtml(error.message));
+    } finally {
+        templateManager.triggerBtn.disabled = false;
+    }
+}
+
+/**
+ * 載入待審核的帳號綁定申請
+ */
+async function loadAccountLinkRequests() {
+    try {
+        const response = await getAccountLinkRequests(adminUserId);
+        renderAccountLinkRequests(response.requests || []);
+    } catch (error) {
+        console.error('❌ 載入帳號綁定申請失敗:', error);
+        linkRequestList.innerHTML = `<div class="link-request-empty">${escapeHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * 渲染帳號綁定申請列表
+ * @param {Array} requests - 待審核申請 [{ requestId, phone, requestedName, customerName, requestedAt }]
+ */
+function renderAccountLinkRequests(requests) {
+    if (requests.length === 0) {
+        linkRequestList.innerHTML = '<div class="link-request-empty">目前沒有待審核的綁定申請</div>';
+        return;
+    }
+    
+    linkRequestList.innerHTML = requests.map(request => `
+        <div class="link-request-item" data-request-id="${escapeHtml(request.requestId)}">
+            <div class="link-request-info">
+                <strong>${escapeHtml(request.requestedName || '未提供姓名')}</strong><br>
+                手機：${escapeHtml(request.phone)}（原客戶：${escapeHtml(request.customerName || '未知')}）<br>
+                申請時間：${escapeHtml(new Date(request.requestedAt).toLocaleString('zh-TW'))}
+            </div>
+            <button class="link-approve-btn">核准</button>
+            <button class="link-reject-btn">拒絕</button>
+        </div>
+    `).join('');
+    
+    linkRequestList.querySelectorAll('.link-request-item').forEach(item => {
+        item.querySelector('.link-approve-btn').addEventListener('click', () => handleAccountLinkReview(item, true));
+        item.querySelector('.link-reject-btn').addEventListener('click', () => handleAccountLinkReview(item, false));
+    });
+}
+
+/**
+ * 核准或拒絕帳號綁定申請
+ * @param {Element} item - 申請項目DOM元素
+ * @param {boolean} approve - true 核准、false 拒絕
+ */
+async function handleAccountLinkReview(item, approve) {
+    const confirmText = approve
+        ? '核准後此手機號碼的客戶資料將綁定到申請人的 LINE 帳號，確定要核准嗎？'
+        : '確定要拒絕此綁定申請嗎？';
+    if (!confirm(confirmText)) {
+        return;
+    }
+    
+    item.querySelectorAll('button').forEach(button => { button.disabled = true; });
+    
+    try {
+        const result = await reviewAccountLinkRequest(item.dataset.requestId, approve, adminUserId);
+        showSuccessMessage(result.message);
+    } catch (error) {
+        showErrorMessage('審核失敗：' + error.message);
+    }
+    
+    await loadAccountLinkRequests();
+}
+
+/**
+ * 載入後台設定版本紀錄
+ */
+async function loadSettingsHistory() {
+    try {
+        const response = await getSettingsHistory(adminUserId);
+        renderSettingsHistory(response.versions || [], response.currentVersion);
+    } catch (error) {
+        console.error('❌ 載入設定版本紀錄失敗:', error);
+        settingsHistoryList.innerHTML = `<div class="link-request-empty">${escapeHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * 渲染設定版本列表
+ * @param {Array} versions - 版本紀錄 [{ version, savedAt, author, note, changes }]（最新版本在前）
+ * @param {number} currentVersion - 目前生效的版本號
+ */
+function renderSettingsHistory(versions, currentVersion) {
+    if (versions.length === 0) {
+        settingsHistoryList.innerHTML = '<div class="link-request-empty">尚無版本紀錄，儲存設定後會自動建立</div>';
+        return;
+    }
+    
+    settingsHistoryList.innerHTML = versions.map(entry => {
+        const changeItems = Object.keys(entry.changes || {}).map(path => {
+            const change = entry.changes[path];
+            return `<li>${escapeHtml(path)}：${escapeHtml(formatAuditValue(change.before))} → ${escapeHtml(formatAuditValue(change.after))}</li>`;
+        }).join('');
+        const isCurrent = entry.version === currentVersion;
+        
+        return `
+            <div class="history-item" data-version="${entry.version}">
+                <div class="history-header">
+                    <div class="history-info">
+                        <strong>版本 ${entry.version}${isCurrent ? '（目前）' : ''}</strong>
+                        ${escapeHtml(new Date(entry.savedAt).toLocaleString('zh-TW'))}<br>
+                        ${escapeHtml(entry.note || '')}${entry.author ? `（${escapeHtml(entry.author)}）` : ''}
+                    </div>
+                    ${isCurrent ? '' : '<button class="history-restore-btn">還原</button>'}
+                </div>
+                <details>
+                    <summary>與前一版差異（${Object.keys(entry.changes || {}).length} 項）</summary>
+                    ${changeItems ? `<ul class="audit-changes">${changeItems}</ul>` : '<div>沒有變更</div>'}
+                </details>
+            </div>
+        `;
+    }).join('');
+    
+    settingsHistoryList.querySelectorAll('.history-restore-btn').forEach(button => {
+        const item = button.closest('.history-item');
+        button.addEventListener('click', () => handleRestoreSettingsVersion(button, Number(item.dataset.version)));
+    });
+}
+
+/**
+ * 還原指定的設定版本
+ * @param {Element} button - 還原按鈕
+ * @param {number} version - 要還原的版本號
+ */
+async function handleRestoreSettingsVersion(button, version) {
+    if (isEditMode) {
+        showErrorMessage('請先儲存或取消目前的編輯，再還原版本');
+        return;
+    }
+    if (!confirm(`確定要將後台設定還原為版本 ${version} 嗎？目前的設定會保留在版本紀錄中。`)) {
+        return;
+    }
+    
+    button.disabled = true;
+    
+    try {
+        const result = await restoreSettingsVersion(version, adminUserId);
+        showSuccessMessage(`${result.message}（新版本 ${result.version}）`);
+        await loadSettingsFromSheet();
+    } catch (error) {
+        showErrorMessage('還原失敗：' + error.message);
+    }
+    
+    await loadSettingsHistory();
 }
 
 /**
- * 渲染延甲設定
- * @param {Object} extension - 延甲設定物件
+ * 設定操作紀錄查詢的預設日期區間（最近 7 天，台北時間）
  */
-function renderExtensionSettings(extension) {
-    // 渲染延甲功能開關
-    const extensionContainer = extensionOptions;
-    extensionContainer.innerHTML = ''; // 清空現有內容
-    
-    const extensionId = extension.id || 'EXT10001';
-    const extensionEnabled = extension.enabled !== false; // 預設為 true
+function setDefaultAuditDates() {
+    const toDateKey = date => date.toLocaleDateString('en-CA', { timeZone: 'Asia/Taipei' });
+    const today = new Date();
+    const weekAgo = new Date(today.getTime() - 6 * 24 * 60 * 60 * 1000);
     
-    // 如果延甲功能啟用，數量選項區域應該顯示
-    const quantitySectionHidden = extensionEnabled ? '' : 'hidden';
+    auditFilterInputs.startDate.value = toDateKey(weekAgo);
+    auditFilterInputs.endDate.value = toDateKey(today);
+}
+
+/**
+ * 依篩選條件查詢操作紀錄
+ */
+async function loadAuditLog() {
+    const filters = {
+        startDate: auditFilterInputs.startDate.value,
+        endDate: auditFilterInputs.endDate.value,
+        actorType: auditFilterInputs.actorType.value,
+        actor: auditFilterInputs.actor.value.trim()
+    };
     
-    // 生成數量選項的 HTML
-    let quantitiesHTML = '';
-    if (extension.quantities && extension.quantities.length > 0) {
-        const sortedQuantities = extension.quantities.sort((a, b) => a.sort - b.sort);
-        sortedQuantities.forEach(quantity => {
-            quantitiesHTML += `
-                <div class="quantity-item" data-quantity-id="${quantity.id}" data-enabled="${quantity.enabled}">
-                    <button class="delete-btn hidden" title="刪除此選項">×</button>
-                    <span class="service-text">${escapeHtml(quantity.name)}</span>
-                    <input type="text" class="service-edit-input hidden" value="${escapeHtml(quantity.name)}">
-                    <div class="edit-controls hidden">
-                        <label class="switch">
-                            <input type="checkbox" ${quantity.enabled ? 'checked' : ''}>
-                            <span class="slider"></span>
-                        </label>
-                        <span class="switch-label">啟用</span>
-                    </div>
-                </div>
-            `;
-        });
+    if (filters.startDate && filters.endDate && filters.startDate > filters.endDate) {
+        showErrorMessage('起始日期不可晚於結束日期');
+        return;
     }
     
-    const extensionHTML = `
-        <div class="extension-item" data-extension-id="${extensionId}" data-enabled="${extensionEnabled}">
-            <span class="service-text">延甲功能</span>
-            <div class="edit-controls hidden">
-                <label class="switch">
-                    <input type="checkbox" ${extensionEnabled ? 'checked' : ''}>
-                    <span class="slider"></span>
-                </label>
-                <span class="switch-label">啟用</span>
-            </div>
-        </div>
-        
-        <div class="extension-quantity-section ${quantitySectionHidden}" id="extensionQuantitySection">
-            <h4 class="quantity-section-title">數量選項</h4>
-            <div class="quantity-options-list" id="quantityOptionsList">
-                ${quantitiesHTML}
-            </div>
-            
-            <div class="add-quantity-container hidden" id="addQuantityContainer">
-                <button class="add-service-btn" id="addQuantityBtn">
-                    + 新增數量選項
-                </button>
-            </div>
-        </div>
-    `;
-    
-    extensionContainer.insertAdjacentHTML('beforeend', extensionHTML);
+    auditSearchBtn.disabled = true;
+    auditList.innerHTML = '<div class="link-request-empty">查詢中...</div>';
     
-    console.log('✅ 已渲染延甲設定', {
-        enabled: extensionEnabled,
-        quantitiesCount: extension.quantities ? extension.quantities.length : 0
-    });
+    try {
+        const response = await getAuditLog(filters, adminUserId);
+        renderAuditLog(response.entries || [], response.totalCount, response.truncated);
+    } catch (error) {
+        console.error('❌ 查詢操作紀錄失敗:', error);
+        auditList.innerHTML = `<div class="link-request-empty">${escapeHtml(error.message)}</div>`;
+    } finally {
+        auditSearchBtn.disabled = false;
+    }
 }
 
 /**
- * 渲染延甲數量選項
- * @param {Array} quantities - 數量選項陣列
+ * 將變更值轉為顯示文字
+ * @param {*} value - 變更前或變更後的值
+ * @returns {string} 顯示文字（空值顯示為「（無）」）
  */
-function renderQuantityOptions(quantities) {
-    const container = document.getElementById('quantityOptionsList');
-    if (!container) return;
-    
-    container.innerHTML = ''; // 清空現有內容
-    
-    // 按排序順序排列
-    const sortedQuantities = quantities.sort((a, b) => a.sort - b.sort);
+function formatAuditValue(value) {
+    return value === null || value === undefined || value === '' ? '（無）' : String(value);
+}
+
+/**
+ * 渲染操作紀錄列表
+ * @param {Array} entries - 操作紀錄 [{ timestamp, action, actor, actorType, targetType, targetId, summary, changes }]
+ * @param {number} totalCount - 符合條件的總筆數
+ * @param {boolean} truncated - 是否只回傳部分紀錄
+ */
+function renderAuditLog(entries, totalCount, truncated) {
+    if (entries.length === 0) {
+        auditList.innerHTML = '<div class="link-request-empty">查無符合條件的操作紀錄</div>';
+        return;
+    }
     
-    sortedQuantities.forEach(quantity => {
-        const itemHTML = `
-            <div class="quantity-item" data-quantity-id="${quantity.id}" data-enabled="${quantity.enabled}">
-                <button class="delete-btn hidden" title="刪除此選項">×</button>
-                <span class="service-text">${escapeHtml(quantity.name)}</span>
-                <input type="text" class="service-edit-input hidden" value="${escapeHtml(quantity.name)}">
-                <div class="edit-controls hidden">
-                    <label class="switch">
-                        <input type="checkbox" ${quantity.enabled ? 'checked' : ''}>
-                        <span class="slider"></span>
-                    </label>
-                    <span class="switch-label">啟用</span>
-                </div>
+    const items = entries.map(entry => {
+        const changeItems = Object.keys(entry.changes || {}).map(path => {
+            const change = entry.changes[path];
+            if (path === 'raw') {
+                return `<li>${escapeHtml(change)}</li>`;
+            }
+            return `<li>${escapeHtml(path)}：${escapeHtml(formatAuditValue(change.before))} → ${escapeHtml(formatAuditValue(change.after))}</li>`;
+        }).join('');
+        
+        return `
+            <div class="audit-item">
+                <strong>${escapeHtml(AUDIT_ACTION_LABELS[entry.action] || entry.action)}</strong>
+                ${escapeHtml(new Date(entry.timestamp).toLocaleString('zh-TW'))}<br>
+                操作者：${escapeHtml(AUDIT_ACTOR_TYPE_LABELS[entry.actorType] || entry.actorType)} ${escapeHtml(entry.actor)}<br>
+                對象：${escapeHtml(entry.targetType)} ${escapeHtml(entry.targetId)}
+                ${entry.summary ? `<br>${escapeHtml(entry.summary)}` : ''}
+                ${changeItems ? `<ul class="audit-changes">${changeItems}</ul>` : ''}
             </div>
         `;
-        container.insertAdjacentHTML('beforeend', itemHTML);
-    });
+    }).join('');
     
-    console.log(`✅ 已渲染 ${sortedQuantities.length} 個延甲數量選項`);
+    const note = truncated
+        ? `<div class="link-request-empty">共 ${totalCount} 筆，僅顯示最新 ${entries.length} 筆，請縮小查詢範圍</div>`
+        : '';
+    
+    auditList.innerHTML = items + note;
+}
+
+/**
+ * 格式化服務時長顯示文字
+ * @param {number|null} duration - 時長（分鐘）
+ * @returns {string} 顯示文字，未設定時為空字串
+ */
+function formatDurationText(duration) {
+    if (duration === null || duration === undefined || duration === '') {
+        return '';
+    }
+    return `${duration} 分鐘`;
+}
+
+/**
+ * 讀取項目的時長設定
+ * @param {Element} item - 項目DOM元素
+ * @returns {number|null} 時長（分鐘），未填寫時為 null
+ */
+function readItemDuration(item) {
+    const durationInput = item.querySelector('.duration-edit-input');
+    const value = durationInput ? durationInput.value.trim() : (item.getAttribute('data-duration') || '');
+    return value === '' ? null : Number(value);
 }
 
 /**
@@ -341,6 +1780,94 @@ function initializeEventListeners() {
         restoreOriginalData();
     });
 
+    // 操作紀錄查詢按鈕點擊事件
+    auditSearchBtn.addEventListener('click', function() {
+        loadAuditLog();
+    });
+    
+    // 預約總覽：查詢、切換日期與檢視方式
+    agendaSearchBtn.addEventListener('click', function() {
+        loadAgenda();
+    });
+    agendaInputs.prev.addEventListener('click', function() {
+        shiftAgenda(-1);
+    });
+    agendaInputs.next.addEventListener('click', function() {
+        shiftAgenda(1);
+    });
+    agendaInputs.view.addEventListener('change', function() {
+        loadAgenda();
+    });
+    agendaInputs.date.addEventListener('change', function() {
+        loadAgenda();
+    });
+    
+    // 建立預約：搜尋客戶、略過時段檢查、送出
+    manualBooking.searchBtn.addEventListener('click', function() {
+        searchManualBookingCustomers();
+    });
+    manualBooking.override.addEventListener('change', function() {
+        manualBooking.overrideRow.classList.toggle('hidden', !manualBooking.override.checked);
+    });
+    manualBooking.submitBtn.addEventListener('click', function() {
+        submitManualBooking();
+    });
+    
+    // 可預約時段：切換週、移動、複製
+    slotManager.prev.addEventListener('click', function() {
+        shiftTimeSlotWeek(-1);
+    });
+    slotManager.next.addEventListener('click', function() {
+        shiftTimeSlotWeek(1);
+    });
+    slotManager.date.addEventListener('change', function() {
+        hideTimeSlotMove();
+        loadTimeSlotWeek();
+    });
+    slotManager.moveConfirmBtn.addEventListener('click', function() {
+        confirmTimeSlotMove();
+    });
+    slotManager.moveCancelBtn.addEventListener('click', function() {
+        hideTimeSlotMove();
+    });
+    slotManager.copyBtn.addEventListener('click', function() {
+        copyCurrentTimeSlotWeek();
+    });
+    
+    // 每週時段範本：新增、儲存、取消、預覽、發布與啟用自動排程
+    templateManager.newBtn.addEventListener('click', function() {
+        openTemplateForm(null);
+    });
+    templateManager.saveBtn.addEventListener('click', function() {
+        submitSlotTemplate();
+    });
+    templateManager.cancelBtn.addEventListener('click', function() {
+        hideTemplateForm();
+    });
+    templateManager.previewBtn.addEventListener('click', function() {
+        previewTemplateMonth();
+    });
+    templateManager.publishBtn.addEventListener('click', function() {
+        publishTemplateMonth();
+    });
+    templateManager.triggerBtn.addEventListener('click', function() {
+        enableScheduledTriggers();
+    });
+    
+    // 修改預約：服務選擇、略過時段檢查、取消與儲存
+    bookingEdit.service.addEventListener('change', function() {
+        updateBookingEditServiceInputs();
+    });
+    bookingEdit.override.addEventListener('change', function() {
+        bookingEdit.overrideRow.classList.toggle('hidden', !bookingEdit.override.checked);
+    });
+    bookingEdit.cancelBtn.addEventListener('click', function() {
+        hideBookingEditModal();
+    });
+    bookingEdit.saveBtn.addEventListener('click', function() {
+        submitBookingEdit();
+    });
+    
     // 新增服務項目按鈕點擊事件
     addServiceBtn.addEventListener('click', function() {
         console.log('新增服務項目');
@@ -368,6 +1895,17 @@ function initializeEventListeners() {
         exitEditMode();
     });
 
+    // 設定衝突模態框按鈕事件
+    conflictReloadBtn.addEventListener('click', function() {
+        console.log('捨棄變更，重新載入最新設定');
+        reloadAfterConflict();
+    });
+    
+    conflictMergeBtn.addEventListener('click', function() {
+        console.log('合併變更到最新設定');
+        mergeAfterConflict();
+    });
+
     // 點擊模態框背景關閉
     confirmModal.addEventListener('click', function(e) {
         if (e.target === confirmModal) {
@@ -436,6 +1974,9 @@ function enterEditMode() {
         convertToEditMode(item);
     });
     
+    // 開放預約規則欄位
+    setBookingRulesEditable(true);
+    
     console.log('已進入編輯模式，共 ' + serviceItems.length + ' 個服務項目，' + 
                 removalItems.length + ' 個卸甲選項，' + 
                 quantityItems.length + ' 個數量選項');
@@ -495,6 +2036,9 @@ function exitEditMode() {
         convertToViewMode(item);
     });
     
+    // 鎖定預約規則欄位
+    setBookingRulesEditable(false);
+    
     console.log('已離開編輯模式');
 }
 
@@ -570,6 +2114,16 @@ function convertToEditMode(item) {
     // 確保輸入框的值與顯示文字一致
     editInput.value = serviceText.textContent;
     
+    // 編輯時隱藏時長文字，輸入框帶入目前時長
+    const durationText = item.querySelector('.duration-text');
+    const durationInput = item.querySelector('.duration-edit-input');
+    if (durationText) {
+        durationText.classList.add('hidden');
+    }
+    if (durationInput) {
+        durationInput.value = item.getAttribute('data-duration') || '';
+    }
+    
     // 根據 data-enabled 屬性設定開關狀態
     const isEnabled = item.getAttribute('data-enabled') === 'true';
     const checkbox = editControls.querySelector('input[type="checkbox"]');
@@ -661,6 +2215,16 @@ function convertToViewMode(item) {
         serviceText.textContent = editInput.value;
     }
     
+    // 更新時長顯示（沒有設定時長則隱藏）
+    const durationText = item.querySelector('.duration-text');
+    const durationInput = item.querySelector('.duration-edit-input');
+    if (durationText && durationInput) {
+        const duration = durationInput.value.trim();
+        item.setAttribute('data-duration', duration);
+        durationText.textContent = formatDurationText(duration);
+        durationText.classList.toggle('hidden', duration === '');
+    }
+    
     // 顯示文字，隱藏輸入框、控制項和刪除按鈕
     if (serviceText) {
         serviceText.classList.remove('hidden');
@@ -749,11 +2313,14 @@ function addNewQuantityOption() {
     
     // 創建新的數量選項HTML
     const newItemHTML = `
-        <div class="quantity-item" data-quantity-id="${newId}" data-enabled="true">
+        <div class="quantity-item" data-quantity-id="${newId}" data-duration="" data-enabled="true">
             <button class="delete-btn hidden" title="刪除此選項">×</button>
             <span class="service-text">新數量選項</span>
+            <span class="duration-text hidden"></span>
             <input type="text" class="service-edit-input" value="新數量選項">
             <div class="edit-controls">
+                <input type="number" class="duration-edit-input" min="0" step="5" value="" placeholder="時長">
+                <span class="switch-label">分鐘</span>
                 <label class="switch">
                     <input type="checkbox" checked>
                     <span class="slider"></span>
@@ -791,11 +2358,14 @@ function addNewServiceItem() {
     
     // 創建新的服務項目HTML
     const newItemHTML = `
-        <div class="service-item" data-service-id="${newId}" data-enabled="true" data-sort="${nextSort}">
+        <div class="service-item" data-service-id="${newId}" data-duration="" data-enabled="true" data-sort="${nextSort}">
             <button class="delete-btn hidden" title="刪除此服務項目">×</button>
             <span class="service-text">新服務項目</span>
+            <span class="duration-text hidden"></span>
             <input type="text" class="service-edit-input" value="新服務項目">
             <div class="edit-controls">
+                <input type="number" class="duration-edit-input" min="0" step="5" value="" placeholder="時長">
+                <span class="switch-label">分鐘</span>
                 <label class="switch">
                     <input type="checkbox" checked>
                     <span class="slider"></span>
@@ -831,7 +2401,8 @@ function saveOriginalData() {
         services: [],
         removals: [],
         extension: null,
-        quantities: []
+        quantities: [],
+        bookingRules: collectBookingRules()
     };
     
     // 儲存服務項目
@@ -840,6 +2411,7 @@ function saveOriginalData() {
         const itemData = {
             id: item.getAttribute('data-service-id'),
             name: item.querySelector('.service-text').textContent,
+            duration: readItemDuration(item),
             enabled: item.getAttribute('data-enabled') === 'true',
             sort: parseInt(item.getAttribute('data-sort')) || 0
         };
@@ -852,6 +2424,7 @@ function saveOriginalData() {
         const itemData = {
             id: item.getAttribute('data-removal-id'),
             name: item.querySelector('.service-text').textContent,
+            duration: readItemDuration(item),
             enabled: item.getAttribute('data-enabled') === 'true'
         };
         originalData.removals.push(itemData);
@@ -872,6 +2445,7 @@ function saveOriginalData() {
         const itemData = {
             id: item.getAttribute('data-quantity-id'),
             name: item.querySelector('.service-text').textContent,
+            duration: readItemDuration(item),
             enabled: item.getAttribute('data-enabled') === 'true'
         };
         originalData.quantities.push(itemData);
@@ -888,11 +2462,14 @@ function restoreOriginalData() {
     serviceOptions.innerHTML = '';
     originalData.services.forEach(function(itemData) {
         const itemHTML = `
-            <div class="service-item" data-service-id="${itemData.id}" data-enabled="${itemData.enabled}" data-sort="${itemData.sort}">
+            <div class="service-item" data-service-id="${itemData.id}" data-duration="${itemData.duration ?? ''}" data-enabled="${itemData.enabled}" data-sort="${itemData.sort}">
                 <button class="delete-btn hidden" title="刪除此服務項目">×</button>
                 <span class="service-text">${itemData.name}</span>
+                <span class="duration-text">${formatDurationText(itemData.duration)}</span>
                 <input type="text" class="service-edit-input hidden" value="${itemData.name}">
                 <div class="edit-controls hidden">
+                    <input type="number" class="duration-edit-input" min="0" step="5" value="${itemData.duration ?? ''}" placeholder="時長">
+                    <span class="switch-label">分鐘</span>
                     <label class="switch">
                         <input type="checkbox" ${itemData.enabled ? 'checked' : ''}>
                         <span class="slider"></span>
@@ -908,11 +2485,14 @@ function restoreOriginalData() {
     removalOptions.innerHTML = '';
     originalData.removals.forEach(function(itemData) {
         const itemHTML = `
-            <div class="removal-item" data-removal-id="${itemData.id}" data-enabled="${itemData.enabled}">
+            <div class="removal-item" data-removal-id="${itemData.id}" data-duration="${itemData.duration ?? ''}" data-enabled="${itemData.enabled}">
                 <button class="delete-btn hidden" title="刪除此選項">×</button>
                 <span class="service-text">${itemData.name}</span>
+                <span class="duration-text">${formatDurationText(itemData.duration)}</span>
                 <input type="text" class="service-edit-input hidden" value="${itemData.name}">
                 <div class="edit-controls hidden">
+                    <input type="number" class="duration-edit-input" min="0" step="5" value="${itemData.duration ?? ''}" placeholder="時長">
+                    <span class="switch-label">分鐘</span>
                     <label class="switch">
                         <input type="checkbox" ${itemData.enabled ? 'checked' : ''}>
                         <span class="slider"></span>
@@ -940,11 +2520,14 @@ function restoreOriginalData() {
     quantityOptionsList.innerHTML = '';
     originalData.quantities.forEach(function(itemData) {
         const itemHTML = `
-            <div class="quantity-item" data-quantity-id="${itemData.id}" data-enabled="${itemData.enabled}">
+            <div class="quantity-item" data-quantity-id="${itemData.id}" data-duration="${itemData.duration ?? ''}" data-enabled="${itemData.enabled}">
                 <button class="delete-btn hidden" title="刪除此選項">×</button>
                 <span class="service-text">${itemData.name}</span>
+                <span class="duration-text">${formatDurationText(itemData.duration)}</span>
                 <input type="text" class="service-edit-input hidden" value="${itemData.name}">
                 <div class="edit-controls hidden">
+                    <input type="number" class="duration-edit-input" min="0" step="5" value="${itemData.duration ?? ''}" placeholder="時長">
+                    <span class="switch-label">分鐘</span>
                     <label class="switch">
                         <input type="checkbox" ${itemData.enabled ? 'checked' : ''}>
                         <span class="slider"></span>
@@ -956,6 +2539,9 @@ function restoreOriginalData() {
         quantityOptionsList.insertAdjacentHTML('beforeend', itemHTML);
     });
     
+    // 復原預約規則
+    renderBookingRules(originalData.bookingRules);
+    
     console.log('已復原原始資料');
 }
 
@@ -990,7 +2576,8 @@ async function saveChanges() {
         const settingsData = {
             services: collectServiceItems(),
             removals: collectRemovalOptions(),
-            extension: collectExtensionSettings()
+            extension: collectExtensionSettings(),
+            bookingRules: collectBookingRules()
         };
         
         // 2. 驗證資料
@@ -1000,34 +2587,32 @@ async function saveChanges() {
         
         console.log('📦 準備儲存的資料:', settingsData);
         
-        // 3. 取得 CSRF Token
-        let csrfToken = '';
-        if (typeof getCSRFToken === 'function') {
-            csrfToken = getCSRFToken();
-            console.log('🔒 已取得 CSRF Token');
-        } else {
-            console.warn('⚠️ csrf-protection.js 未載入，無 CSRF 保護');
-        }
-        
-        // 4. 取得用戶 ID（暫時使用固定值，實際應從 LIFF 取得）
-        const userId = 'admin'; // TODO: 從 LIFF 取得實際用戶 ID
-        
-        // 5. 顯示載入狀態
+        // 3. 清除上次的欄位錯誤標示並顯示載入狀態
+        clearFieldErrors();
         showLoadingState();
         
-        // 6. 呼叫 API 更新設定
-        const result = await updateAdminSettings(settingsData, userId, csrfToken);
+        // 4. 呼叫 API 更新設定（以 LIFF 取得的管理員 LINE User ID 驗證權限，CSRF Token 由 API 服務自動加入）
+        const result = await updateAdminSettings(settingsData, adminUserId, settingsRevision);
         
-        // 7. 處理結果
+        // 5. 處理結果
         if (result.success) {
             console.log('✅ 儲存成功！更新了', result.itemsUpdated, '筆資料');
             
+            // 之後的儲存以新版本為基準
+            settingsRevision = result.version;
+            loadedSettings = settingsData;
+            
             // 更新本地的原始資料
             saveOriginalData();
             
             // 隱藏載入狀態並顯示成功訊息
             hideLoadingState();
-            showSuccessMessage('設定已成功儲存到 Google Sheets！');
+            showSuccessMessage(result.version
+                ? `設定已成功儲存到 Google Sheets！（版本 ${result.version}）`
+                : '設定已成功儲存到 Google Sheets！');
+            
+            // 重新載入版本紀錄
+            loadSettingsHistory();
         } else {
             throw new Error(result.error || '儲存失敗');
         }
@@ -1035,10 +2620,246 @@ async function saveChanges() {
     } catch (error) {
         console.error('❌ 儲存變更時發生錯誤:', error);
         hideLoadingState();
+        
+        if (error.code === 'ADMIN_REQUIRED') {
+            exitEditMode();
+            restoreOriginalData();
+            lockAdminPage(error.message);
+            return;
+        }
+        
+        // 後端格式驗證未通過：標示錯誤項目並回到編輯模式修正
+        if (error.code === 'VALIDATION_FAILED' && error.response && error.response.errors) {
+            highlightFieldErrors(error.response.errors);
+            if (!isEditMode) {
+                const snapshot = originalData;
+                enterEditMode();
+                originalData = snapshot;
+            }
+            showErrorMessage(error.message);
+            return;
+        }
+        
+        // 其他管理員已更新設定，讓用戶選擇合併或重新載入
+        if (error.code === 'CONFLICT' && error.response) {
+            showConflictModal(settingsData, error.response);
+            return;
+        }
+        
         showErrorMessage('儲存失敗：' + error.message);
     }
 }
 
+/**
+ * 依後端回傳的欄位錯誤標示對應的項目
+ * @param {Array} errors - 欄位錯誤 [{ section, id, index, field, message }]
+ */
+function highlightFieldErrors(errors) {
+    errors.forEach(fieldError => {
+        let element = null;
+        
+        if (fieldError.section === 'bookingRules') {
+            const input = ruleInputs[fieldError.id];
+            element = input ? input.closest('.rule-item') : null;
+        } else if (SETTINGS_SECTION_SELECTORS[fieldError.section]) {
+            const items = document.querySelectorAll(SETTINGS_SECTION_SELECTORS[fieldError.section]);
+            element = items[fieldError.index ?? 0] || null;
+        }
+        
+        if (element) {
+            element.classList.add('field-error');
+            element.title = element.title ? `${element.title}\n${fieldError.message}` : fieldError.message;
+        }
+    });
+    
+    console.warn('⚠️ 設定資料驗證未通過:', errors);
+}
+
+/**
+ * 清除欄位錯誤標示
+ */
+function clearFieldErrors() {
+    document.querySelectorAll('.field-error').forEach(element => {
+        element.classList.remove('field-error');
+        element.removeAttribute('title');
+    });
+}
+
+/**
+ * 顯示設定衝突模態框，列出其他管理員的變更
+ * @param {Object} localSettings - 本次要儲存的設定
+ * @param {Object} response - 後端 CONFLICT 回應 { currentRevision, remoteSettings, remoteChanges, updatedBy, updatedAt }
+ */
+function showConflictModal(localSettings, response) {
+    pendingConflict = { local: localSettings, response: response };
+    
+    const updatedAt = response.updatedAt ? new Date(response.updatedAt).toLocaleString('zh-TW') : '';
+    conflictSummary.textContent = `其他管理員${updatedAt ? `於 ${updatedAt} ` : ''}已更新設定（版本 ${response.currentRevision}），您的變更尚未儲存。`;
+    
+    if (response.remoteChanges) {
+        const paths = Object.keys(response.remoteChanges);
+        conflictChanges.innerHTML = paths.length > 0
+            ? paths.map(path => {
+                const change = response.remoteChanges[path];
+                return `<li>${escapeHtml(path)}：${escapeHtml(formatAuditValue(change.before))} → ${escapeHtml(formatAuditValue(change.after))}</li>`;
+            }).join('')
+            : '<li>沒有內容變更</li>';
+    } else {
+        conflictChanges.innerHTML = '<li>無法取得變更明細，請重新載入查看最新設定</li>';
+    }
+    
+    // 無法取得遠端設定時只能重新載入
+    conflictMergeBtn.disabled = !response.remoteSettings;
+    conflictModal.classList.remove('hidden');
+}
+
+/**
+ * 隱藏設定衝突模態框
+ */
+function hideConflictModal() {
+    conflictModal.classList.add('hidden');
+    pendingConflict = null;
+}
+
+/**
+ * 捨棄本地變更，重新載入最新設定
+ */
+async function reloadAfterConflict() {
+    hideConflictModal();
+    if (isEditMode) {
+        exitEditMode();
+    }
+    await loadSettingsFromSheet();
+    showSuccessMessage('已載入最新設定');
+}
+
+/**
+ * 將本地變更合併到最新設定，切換為編輯模式讓用戶確認後再次送出
+ * 兩邊都修改的項目以本地變更為準
+ */
+function mergeAfterConflict() {
+    const conflict = pendingConflict;
+    hideConflictModal();
+    if (!conflict) {
+        return;
+    }
+    
+    const remote = conflict.response.remoteSettings;
+    const merged = mergeSettings(loadedSettings || remote, conflict.local, remote);
+    console.log('🔀 已合併設定:', merged);
+    
+    if (isEditMode) {
+        exitEditMode();
+    }
+    
+    // 取消編輯時應回到最新的遠端設定
+    renderSettings(remote);
+    saveOriginalData();
+    const remoteSnapshot = originalData;
+    
+    settingsRevision = conflict.response.currentRevision;
+    loadedSettings = remote;
+    
+    renderSettings(merged);
+    enterEditMode();
+    originalData = remoteSnapshot;
+    
+    showSuccessMessage('已合併最新設定，請確認後再次送出');
+}
+
+/**
+ * 三方合併設定：以遠端設定為底，套用本地相對於基準的變更
+ * @param {Object} base - 載入時的設定（共同基準）
+ * @param {Object} local - 本地要儲存的設定
+ * @param {Object} remote - 其他管理員更新後的設定
+ * @returns {Object} 合併後的設定
+ */
+function mergeSettings(base, local, remote) {
+    const baseExtension = base.extension || {};
+    const localExtension = local.extension || {};
+    const remoteExtension = remote.extension || {};
+    
+    const bookingRules = Object.assign({}, remote.bookingRules);
+    Object.keys(local.bookingRules || {}).forEach(key => {
+        bookingRules[key] = mergeSettingValue((base.bookingRules || {})[key], local.bookingRules[key], bookingRules[key]);
+    });
+    
+    return {
+        services: mergeSettingItems(base.services, local.services, remote.services, true),
+        removals: mergeSettingItems(base.removals, local.removals, remote.removals, false),
+        extension: {
+            id: remoteExtension.id || localExtension.id,
+            enabled: mergeSettingValue(baseExtension.enabled, localExtension.enabled, remoteExtension.enabled),
+            quantities: mergeSettingItems(baseExtension.quantities, localExtension.quantities, remoteExtension.quantities, true)
+        },
+        bookingRules: bookingRules
+    };
+}
+
+/**
+ * 合併單一設定值：本地有修改時採用本地值，否則採用遠端值
+ * @param {*} baseValue - 基準值
+ * @param {*} localValue - 本地值
+ * @param {*} remoteValue - 遠端值
+ * @returns {*} 合併後的值
+ */
+function mergeSettingValue(baseValue, localValue, remoteValue) {
+    return String(localValue ?? '') !== String(baseValue ?? '') ? localValue : remoteValue;
+}
+
+/**
+ * 依 ID 合併項目列表（服務項目、卸甲選項、延甲數量）
+ * - 本地新增或修改的項目套用到遠端列表
+ * - 本地刪除的項目，若遠端未修改則一併刪除
+ * - 本地有調整排序時沿用本地順序，遠端新增的項目排在最後
+ * @param {Array} baseItems - 基準項目
+ * @param {Array} localItems - 本地項目
+ * @param {Array} remoteItems - 遠端項目
+ * @param {boolean} withSort - 是否重新編排 sort 欄位
+ * @returns {Array} 合併後的項目
+ */
+function mergeSettingItems(baseItems, localItems, remoteItems, withSort) {
+    const toMap = items => new Map((items || []).map(item => [item.id, item]));
+    const isSameItem = (a, b) => a.name === b.name && a.enabled === b.enabled && (a.duration ?? null) === (b.duration ?? null);
+    const baseMap = toMap(baseItems);
+    const localMap = toMap(localItems);
+    const merged = toMap(remoteItems);
+    
+    // 套用本地新增與修改
+    (localItems || []).forEach(item => {
+        const baseItem = baseMap.get(item.id);
+        if (!baseItem || !isSameItem(item, baseItem)) {
+            merged.set(item.id, Object.assign({}, merged.get(item.id), item));
+        }
+    });
+    
+    // 套用本地刪除（遠端已修改的項目保留）
+    (baseItems || []).forEach(item => {
+        const remoteItem = merged.get(item.id);
+        if (!localMap.has(item.id) && remoteItem && isSameItem(remoteItem, item)) {
+            merged.delete(item.id);
+        }
+    });
+    
+    // 決定順序
+    const baseOrder = (baseItems || []).map(item => item.id).filter(id => localMap.has(id));
+    const localOrder = (localItems || []).map(item => item.id).filter(id => baseMap.has(id));
+    const localReordered = baseOrder.join('|') !== localOrder.join('|');
+    const orderedIds = localReordered
+        ? (localItems || []).map(item => item.id)
+        : (remoteItems || []).map(item => item.id).concat((localItems || []).map(item => item.id));
+    
+    const result = [];
+    orderedIds.concat(Array.from(merged.keys())).forEach(id => {
+        if (merged.has(id)) {
+            result.push(merged.get(id));
+            merged.delete(id);
+        }
+    });
+    
+    return withSort ? result.map((item, index) => Object.assign({}, item, { sort: index + 1 })) : result;
+}
+
 /**
  * 收集服務項目資料
  * @returns {Array} 服務項目陣列
@@ -1057,7 +2878,8 @@ function collectServiceItems() {
             id: serviceId,
             name: serviceName,
             enabled: isEnabled,
-            sort: sortOrder
+            sort: sortOrder,
+            duration: readItemDuration(item)
         });
         
         // 更新 DOM 屬性
@@ -1084,7 +2906,8 @@ function collectRemovalOptions() {
         options.push({
             id: removalId,
             name: removalName,
-            enabled: isEnabled
+            enabled: isEnabled,
+            duration: readItemDuration(item)
         });
         
         // 更新 DOM 屬性
@@ -1115,7 +2938,8 @@ function collectExtensionSettings() {
             id: quantityId,
             name: quantityName,
             enabled: isEnabled,
-            sort: index + 1
+            sort: index + 1,
+            duration: readItemDuration(item)
         });
         
         // 更新 DOM 屬性
@@ -1159,6 +2983,29 @@ function validateSettings(settings) {
         }
     }
     
+    // 驗證時長必須為非負整數（可留空）
+    const allItems = [...settings.services, ...settings.removals, ...settings.extension.quantities];
+    for (let item of allItems) {
+        if (item.duration !== null && (!Number.isInteger(item.duration) || item.duration < 0)) {
+            showErrorMessage(`「${item.name}」的時長必須是 0 以上的整數分鐘！`);
+            return false;
+        }
+    }
+    
+    // 驗證預約規則範圍（與欄位的 min / max 一致）
+    for (let key of Object.keys(ruleInputs)) {
+        const input = ruleInputs[key];
+        const value = settings.bookingRules[key];
+        if (!input) {
+            continue;
+        }
+        if (!Number.isInteger(value) || value < Number(input.min) || value > Number(input.max)) {
+            const label = document.querySelector(`label[for="${input.id}"]`).textContent;
+            showErrorMessage(`「${label}」必須是 ${input.min}～${input.max} 的整數！`);
+            return false;
+        }
+    }
+    
     return true;
 }
 
@@ -1300,8 +3147,9 @@ function showDeleteMessage(serviceName) {
 
 /**
  * 顯示成功訊息
+ * @param {string} text - 選填，訊息內容（預設為「儲存成功！」）
  */
-function showSuccessMessage() {
+function showSuccessMessage(text) {
     // 簡單的成功提示
     const message = document.createElement('div');
     message.style.cssText = `
@@ -1316,7 +3164,7 @@ function showSuccessMessage() {
         z-index: 2000;
         animation: slideInRight 0.3s ease;
     `;
-    message.textContent = '儲存成功！';
+    message.textContent = text || '儲存成功！';
     
     document.body.appendChild(message);
     
@@ -42,6 +42,7 @@ class ApiService {
                 break;
             case 'getCustomer':
                 jsonpParams.phone = data.phone;
+                jsonpParams.lineUserId = data.lineUserId;
                 break;
             case 'updateBookingStatus':
                 jsonpParams.bookingId = data.bookingId;
@@ -52,6 +53,12 @@ class ApiService {
                 jsonpParams.date = data.date;
                 // 將陣列序列化為JSON字串，後端會重新解析
                 jsonpParams.timeSlots = JSON.stringify(data.timeSlots);
+                if (data.durationMinutes) {
+                    jsonpParams.durationMinutes = data.durationMinutes;
+                }
+                if (data.holdToken) {
+                    jsonpParams.holdToken = data.holdToken;
+                }
                 console.log('🔍 JSONP 陣列參數準備:', {
                     original: data.timeSlots,
                     serialized: jsonpParams.timeSlots,
@@ -68,6 +75,16 @@ class ApiService {
             case 'getGoogleCalendarCredentials':
                 // 不需要額外參數
                 break;
+            case 'adminCreateBooking':
+                // 🔧 巢狀物件無法以 URL 參數傳遞，序列化為JSON字串，後端會重新解析
+                Object.assign(jsonpParams, data);
+                jsonpParams.booking = JSON.stringify(data.booking);
+                break;
+            case 'updateAdminSettings':
+                // 🔧 同上，後台設定為巢狀物件
+                Object.assign(jsonpParams, data);
+                jsonpParams.settings = JSON.stringify(data.settings);
+                break;
             default:
                 // 其他情況直接複製所有屬性
                 Object.assign(jsonpParams, data);
@@ -79,6 +96,11 @@ class ApiService {
             jsonpParams.csrfToken = data.csrfToken;
         }
         
+        // 🪪 同理，ID Token 也必須顯式附上
+        if (data.idToken) {
+            jsonpParams.idToken = data.idToken;
+        }
+        
         return jsonpParams;
     }
     /**
@@ -143,18 +165,38 @@ class ApiService {
     static async sendRequest(data) {
         try {
             // 🛡️ 自動加入 CSRF Token（重要操作保護）
-            // 定義需要 CSRF 保護的操作
+            // 定義需要 CSRF 保護的操作（需與後端 CSRF_PROTECTED_ACTIONS 一致）
             const csrfProtectedActions = [
                 'saveCustomer',         // 儲存客戶資料
                 'saveBooking',          // 儲存預約
                 'updateBookingStatus',  // 更新預約狀態
-                'deleteBooking'         // 刪除預約（如果有）
+                'adminCreateBooking',   // 後台建立預約
+                'updateBooking',        // 後台修改預約
+                'createTimeSlots',      // 後台新增時段
+                'moveTimeSlot',         // 後台移動時段
+                'deleteTimeSlot',       // 後台刪除時段
+                'copyTimeSlotWeek',     // 複製一週時段
+                'saveSlotTemplate',     // 儲存時段範本
+                'deleteSlotTemplate',   // 刪除時段範本
+                'publishSlotTemplates', // 依範本發布時段
+                'cancelBooking',        // 客戶自行取消預約
+                'rescheduleBooking',    // 客戶預約改期
+                'joinWaitlist',         // 加入候補
+                'leaveWaitlist',        // 取消候補
+                'holdTimeSlot',         // 暫時保留時段
+                'updateAdminSettings',  // 更新後台設定
+                'requestAccountLinkCode',     // 取得帳號綁定驗證碼
+                'confirmAccountLink',         // 確認帳號綁定驗證碼
+                'requestAccountLinkApproval', // 申請店家協助綁定
+                'reviewAccountLinkRequest',   // 審核帳號綁定申請
+                'restoreSettingsVersion',     // 還原後台設定版本
+                'ensureScheduledTriggers'     // 啟用自動排程
             ];
             
             if (csrfProtectedActions.includes(data.action) && 
                 typeof CSRFProtection !== 'undefined') {
-                // 取得 CSRF Token 並加入請求
-                const csrfToken = CSRFProtection.getToken();
+                // 向後端取得一次性 CSRF Token 並加入請求
+                const csrfToken = await CSRFProtection.getToken();
                 data.csrfToken = csrfToken;
                 
                 console.log('🛡️ 已加入 CSRF Token', {
@@ -163,6 +205,14 @@ class ApiService {
                 });
             }
             
+            // 🪪 自動附上 LINE ID Token，後端驗證後以 Token 內的用戶身分處理請求
+            if (!data.idToken && typeof getLineIdToken === 'function') {
+                const idToken = getLineIdToken();
+                if (idToken) {
+                    data.idToken = idToken;
+                }
+            }
+            
             // 檢查是否在 LIFF 環境中
             const isLIFF = this.isLIFFEnvironment();
             
@@ -194,7 +244,14 @@ class ApiService {
                 
             } catch (jsonpError) {
                 console.warn('JSONP 請求失敗，嘗試 POST 方式:', jsonpError.message);
-                
+
+                // CSRF Token 只能使用一次：JSONP 逾時時後端可能已處理請求並標記 Token 已使用，
+                // 重送前改用新的 Token，重複送出防護（idempotencyKey）才能回傳原本的結果
+                if (data.csrfToken && typeof CSRFProtection !== 'undefined') {
+                    data.csrfToken = await CSRFProtection.getToken();
+                    console.log('🛡️ 已為 POST 重送更新 CSRF Token');
+                }
+
                 // JSONP 失敗，嘗試傳統 POST 方式
                 // 🔧 CORS 修正：使用 text/plain 以避免觸發 Preflight OPTIONS
                 const fetchOptions = {
@@ -208,8 +265,9 @@ class ApiService {
                     fetchOptions.mode = 'cors';
                 }
 
-                console.log('請求選項:', fetchOptions);
-                console.log('請求內容:', JSON.stringify(data, null, 2));
+                // 🔒 安全日誌：請求內容含 ID Token 與 CSRF Token，只記錄遮罩後的資料
+                console.log('請求選項:', { method: fetchOptions.method, mode: fetchOptions.mode });
+                console.log('請求內容:', SecurityUtils.maskSensitiveData(data));
 
                 const response = await fetch(SCRIPT_URL, fetchOptions);
 
@@ -303,14 +361,17 @@ class ApiService {
     }
 
     /**
-     * 查詢客戶資料
+     * 查詢客戶資料（依手機號碼）
+     * 後端以 ID Token 驗證身分，只回傳屬於本人的資料；查無資料或不屬於本人時 customer 皆為 null
      * @param {string} phone - 手機號碼
+     * @param {string} lineUserId - 目前的 LINE User ID（本地回退模式比對用）
      * @returns {Promise<Object>} - 客戶資料
      */
-    static async getCustomer(phone) {
+    static async getCustomer(phone, lineUserId) {
         const requestData = {
             action: 'getCustomer',
-            phone: phone
+            phone: phone,
+            lineUserId: lineUserId
         };
         
         return await this.sendRequest(requestData);
@@ -332,6 +393,214 @@ class ApiService {
         return await this.sendRequest(requestData);
     }
 
+    /**
+     * 客戶自行取消預約
+     * @param {string} lineUserId - LINE User ID（後端會驗證預約是否屬於此用戶）
+     * @param {string} eventId - 預約的日曆活動 ID
+     * @returns {Promise<Object>} - 取消結果
+     */
+    static async cancelBooking(lineUserId, eventId) {
+        if (!lineUserId || !eventId) {
+            return { success: false, error: '缺少LINE User ID或預約編號' };
+        }
+
+        const requestData = {
+            action: 'cancelBooking',
+            lineUserId: lineUserId,
+            eventId: eventId
+        };
+        
+        return await this.sendRequest(requestData);
+    }
+
+    /**
+     * 客戶預約改期
+     * @param {Object} params - 改期資料
+     * @param {string} params.lineUserId - LINE User ID（後端會驗證預約是否屬於此用戶）
+     * @param {string} params.eventId - 原預約的日曆活動 ID
+     * @param {string} params.newDate - 新日期 (YYYY-MM-DD 格式)
+     * @param {string} params.newTime - 新時間 (HH:MM 格式)
+     * @returns {Promise<Object>} - 改期結果
+     */
+    static async rescheduleBooking({ lineUserId, eventId, newDate, newTime }) {
+        if (!lineUserId || !eventId || !newDate || !newTime) {
+            return { success: false, error: '缺少改期所需資料' };
+        }
+
+        const requestData = {
+            action: 'rescheduleBooking',
+            lineUserId: lineUserId,
+            eventId: eventId,
+            newDate: newDate,
+            newTime: newTime
+        };
+        
+        return await this.sendRequest(requestData);
+    }
+
+    /**
+     * 暫時保留時段（填寫服務內容期間其他人無法預約，逾時自動釋放）
+     * @param {Object} params - 時段資料
+     * @param {string} params.lineUserId - LINE User ID
+     * @param {string} params.date - 預約日期 (YYYY-MM-DD 格式)
+     * @param {string} params.time - 預約時間 (HH:MM 格式)
+     * @param {string} [params.service] - 服務項目 ID，選好服務後提供，後端依服務組合計算保留時長
+     * @param {string} [params.removal] - 卸甲項目 ID
+     * @param {string} [params.quantity] - 延甲數量 ID
+     * @returns {Promise<Object>} - 保留結果（含 holdToken 與 expiresAt）
+     */
+    static async holdTimeSlot({ lineUserId, date, time, service, removal, quantity }) {
+        if (!lineUserId || !date || !time) {
+            return { success: false, error: '缺少LINE User ID或時段資料' };
+        }
+
+        const requestData = {
+            action: 'holdTimeSlot',
+            lineUserId: lineUserId,
+            date: date,
+            time: time
+        };
+        
+        // 🔧 只附上已選擇的項目，避免 JSONP 將 null 轉成 "null" 字串
+        if (service) requestData.service = service;
+        if (removal) requestData.removal = removal;
+        if (quantity) requestData.quantity = quantity;
+        
+        return await this.sendRequest(requestData);
+    }
+
+    /**
+     * 加入候補名單
+     * @param {Object} params - 候補資料
+     * @param {string} params.lineUserId - LINE User ID
+     * @param {string} params.date - 候補日期 (YYYY-MM-DD 格式)
+     * @param {string} [params.time] - 候補時段 (HH:MM 格式)，留空表示候補整天
+     * @returns {Promise<Object>} - 候補結果
+     */
+    static async joinWaitlist({ lineUserId, date, time }) {
+        if (!lineUserId || !date) {
+            return { success: false, error: '缺少LINE User ID或候補日期' };
+        }
+
+        const requestData = {
+            action: 'joinWaitlist',
+            lineUserId: lineUserId,
+            date: date,
+            time: time || ''
+        };
+        
+        return await this.sendRequest(requestData);
+    }
+
+    /**
+     * 取消候補
+     * @param {string} lineUserId - LINE User ID
+     * @param {string} waitlistId - 候補編號
+     * @returns {Promise<Object>} - 取消結果
+     */
+    static async leaveWaitlist(lineUserId, waitlistId) {
+        if (!lineUserId || !waitlistId) {
+            return { success: false, error: '缺少LINE User ID或候補編號' };
+        }
+
+        const requestData = {
+            action: 'leaveWaitlist',
+            lineUserId: lineUserId,
+            waitlistId: waitlistId
+        };
+        
+        return await this.sendRequest(requestData);
+    }
+
+    /**
+     * 取得帳號綁定驗證碼（手機號碼已綁定其他 LINE 帳號時使用）
+     * 驗證碼會傳送到原本綁定的 LINE 帳號
+     * @param {string} lineUserId - LINE User ID
+     * @param {string} phone - 手機號碼
+     * @returns {Promise<Object>} - 傳送結果（含 expiresInMinutes）
+     */
+    static async requestAccountLinkCode(lineUserId, phone) {
+        if (!lineUserId || !phone) {
+            return { success: false, error: '缺少LINE User ID或手機號碼' };
+        }
+
+        const requestData = {
+            action: 'requestAccountLinkCode',
+            lineUserId: lineUserId,
+            phone: phone
+        };
+        
+        return await this.sendRequest(requestData);
+    }
+
+    /**
+     * 確認帳號綁定驗證碼，通過後客戶資料改綁到目前的 LINE 帳號
+     * @param {Object} params - 綁定資料
+     * @param {string} params.lineUserId - LINE User ID
+     * @param {string} params.phone - 手機號碼
+     * @param {string} params.code - 驗證碼
+     * @param {string} [params.name] - 客戶姓名
+     * @returns {Promise<Object>} - 綁定結果
+     */
+    static async confirmAccountLink({ lineUserId, phone, code, name }) {
+        if (!lineUserId || !phone || !code) {
+            return { success: false, error: '缺少LINE User ID、手機號碼或驗證碼' };
+        }
+
+        const requestData = {
+            action: 'confirmAccountLink',
+            lineUserId: lineUserId,
+            phone: phone,
+            code: code,
+            name: name || ''
+        };
+        
+        return await this.sendRequest(requestData);
+    }
+
+    /**
+     * 申請店家協助綁定（無法收到驗證碼時使用）
+     * @param {Object} params - 申請資料
+     * @param {string} params.lineUserId - LINE User ID
+     * @param {string} params.phone - 手機號碼
+     * @param {string} [params.name] - 客戶姓名
+     * @returns {Promise<Object>} - 申請結果（含 requestId）
+     */
+    static async requestAccountLinkApproval({ lineUserId, phone, name }) {
+        if (!lineUserId || !phone) {
+            return { success: false, error: '缺少LINE User ID或手機號碼' };
+        }
+
+        const requestData = {
+            action: 'requestAccountLinkApproval',
+            lineUserId: lineUserId,
+            phone: phone,
+            name: name || ''
+        };
+        
+        return await this.sendRequest(requestData);
+    }
+
+    /**
+     * 查詢候補通知（LINE 領取連結）
+     * @param {string} token - 領取代碼
+     * @param {string} lineUserId - LINE User ID
+     * @returns {Promise<Object>} - 候補通知的日期、時段與領取期限
+     */
+    static async getWaitlistOffer(token, lineUserId) {
+        if (!token || !lineUserId) {
+            return { success: false, error: '缺少領取代碼或LINE User ID' };
+        }
+
+        const requestData = {
+            action: 'getWaitlistOffer',
+            token: token,
+            lineUserId: lineUserId
+        };
+        
+        return await this.sendRequest(requestData);
+    }
+
     /**
      * 🔐 安全的本地存儲操作（支援加密）
      * 
@@ -478,6 +747,17 @@ class ApiService {
                 // 儲存到本地存儲
                 const customers = await this.safeGetLocalStorage('nailCustomers', []);
                 const existingIndex = customers.findIndex(c => c.phone === data.customer.phone);
+                const existingLineUserId = existingIndex >= 0 ? customers[existingIndex].lineUserId : '';
+                
+                // 手機號碼已綁定其他 LINE 帳號時不可覆寫（與後端一致，需完成驗證）
+                if (existingLineUserId && existingLineUserId !== data.customer.lineUserId) {
+                    return {
+                        success: false,
+                        error: 'LINK_VERIFICATION_REQUIRED',
+                        message: '此手機號碼已綁定其他 LINE 帳號，請先完成驗證',
+                        isLocal: true
+                    };
+                }
                 
                 if (existingIndex >= 0) {
                     customers[existingIndex] = {
@@ -536,13 +816,24 @@ class ApiService {
             }
 
             case 'getCustomer': {
-                // 從本地存儲查詢客戶
+                // 從本地存儲查詢客戶（與後端相同，只回傳屬於本人的資料）
                 const localCustomers = await this.safeGetLocalStorage('nailCustomers', []);
-                const customer = localCustomers.find(c => c.phone === data.phone);
+                const customer = localCustomers.find(c => 
+                    c.phone === data.phone && data.lineUserId && c.lineUserId === data.lineUserId
+                );
+                
+                if (!customer) {
+                    return {
+                        success: true,
+                        customer: null,
+                        message: '查無客戶資料',
+                        isLocal: true
+                    };
+                }
                 
                 return {
                     success: true,
-                    customer: customer || null,
+                    customer: customer,
                     isLocal: true
                 };
             }
@@ -574,6 +865,32 @@ class ApiService {
         return await this.sendRequest(requestData);
     }
 
+    /**
+     * 取得首頁資料（系統配置、預約規則、客戶狀態）
+     * @param {string} lineUserId - LINE User ID
+     * @returns {Promise<Object>} - 首頁資料，預約規則位於 config（bookingAdvanceHours、monthlyOpeningDay、monthlyOpeningHour）
+     */
+    static async getHomepageData(lineUserId) {
+        if (!lineUserId) {
+            return { success: false, error: '缺少LINE User ID' };
+        }
+
+        const requestData = {
+            action: 'getHomepageData',
+            lineUserId: lineUserId
+        };
+        
+        return await this.sendRequest(requestData);
+    }
+
+    /**
+     * 取得服務選單（僅含啟用中的服務、卸甲與延甲數量選項）
+     * @returns {Promise<Object>} - 服務選單 { services, removals, extension }
+     */
+    static async getServiceMenu() {
+        return await this.sendRequest({ action: 'getServiceMenu' });
+    }
+
     /**
      * 根據LINE User ID獲取客戶資料
      * @param {string} lineUserId - LINE User ID
@@ -611,9 +928,9 @@ class ApiService {
     }
 
     /**
-     * 取得 Google Calendar 憑證和配置
-     * ⚠️ 此方法會取得敏感資訊，僅供前端使用
-     * @returns {Promise<Object>} - Google Calendar 憑證和配置
+     * 取得 Google Calendar 配置
+     * 日曆讀取由後端代理，回應不含 API Key 或日曆 ID
+     * @returns {Promise<Object>} - Google Calendar 配置（credentials.mode 為 backend_proxy）
      */
     static async getGoogleCalendarCredentials() {
         const requestData = {
@@ -627,9 +944,11 @@ class ApiService {
      * 檢查時段可用性
      * @param {string} date - 查詢日期 (YYYY-MM-DD 格式)
      * @param {Array} timeSlots - 要檢查的時段陣列
+     * @param {number} durationMinutes - 選填，服務時長（分鐘），省略時後端使用預設時長
+     * @param {string} holdToken - 選填，本人的時段保留代碼（不列入衝突計算）
      * @returns {Promise<Object>} - 時段可用性結果
      */
-    static async checkTimeSlotAvailability(date, timeSlots) {
+    static async checkTimeSlotAvailability(date, timeSlots, durationMinutes, holdToken) {
         if (!date || !timeSlots || !Array.isArray(timeSlots)) {
             return { success: false, error: '缺少必要參數' };
         }
@@ -639,6 +958,12 @@ class ApiService {
             date: date,
             timeSlots: timeSlots
         };
+        if (durationMinutes) {
+            requestData.durationMinutes = durationMinutes;
+        }
+        if (holdToken) {
+            requestData.holdToken = holdToken;
+        }
         
         return await this.sendRequest(requestData);
     }
@@ -685,15 +1010,19 @@ class ApiService {
      * 批次查詢多天所有時段的可預約狀態（含衝突檢查）
      * @param {string} startDate - 查詢起始日（YYYY-MM-DD）
      * @param {string} endDate - 查詢結束日（YYYY-MM-DD）
+     * @param {number} durationMinutes - 選填，服務時長（分鐘），只回傳能容納整段時長的時段
      * @returns {Promise<Object>} - 回應結果，格式同後端
      */
-    static async batchCheckTimeSlotAvailability(startDate, endDate) {
+    static async batchCheckTimeSlotAvailability(startDate, endDate, durationMinutes) {
         // 準備請求資料
         const data = {
             action: 'handleBatchCheckTimeSlotAvailability',
             startDate,
             endDate
         };
+        if (durationMinutes) {
+            data.durationMinutes = durationMinutes;
+        }
         // 發送請求，回傳結果
         return await this.sendRequest(data);
     }
@@ -702,23 +1031,38 @@ class ApiService {
 
 // ==================== 後台管理 API ====================
 
+/**
+ * 建立後台 API 錯誤，保留後端錯誤代碼（例如 ADMIN_REQUIRED）供頁面判斷
+ * @param {Object} response - 後端回應
+ * @param {string} fallbackMessage - 後端未提供訊息時的預設訊息
+ * @returns {Error} - 帶有 code 屬性與原始回應（response）的錯誤
+ */
+function createAdminApiError(response, fallbackMessage) {
+    const error = new Error(response.message || response.error || fallbackMessage);
+    error.code = response.error || '';
+    error.response = response;
+    return error;
+}
+
 /**
  * 取得後台管理設定
- * @returns {Promise<Object>} - 設定資料
+ * @param {string} userId - 用戶ID（管理員）
+ * @returns {Promise<Object>} - 設定資料（data）與目前的修訂版本（revision）
  */
-async function getAdminSettings() {
+async function getAdminSettings(userId) {
     console.log('📖 開始取得後台設定');
     
     try {
         const response = await ApiService.sendRequest({
-            action: 'getAdminSettings'
+            action: 'getAdminSettings',
+            userId: userId
         });
         
         if (response.success) {
             console.log('✅ 後台設定取得成功');
             return response;
         } else {
-            throw new Error(response.error || '取得設定失敗');
+            throw createAdminApiError(response, '取得設定失敗');
         }
     } catch (error) {
         console.error('❌ 取得後台設定失敗:', error);
@@ -727,28 +1071,29 @@ async function getAdminSettings() {
 }
 
 /**
- * 更新後台管理設定
+ * 更新後台管理設定（CSRF Token 由 sendRequest 自動加入）
+ * 設定已被其他管理員更新時會拋出 code 為 CONFLICT 的錯誤，error.response 含遠端設定與差異
  * @param {Object} settings - 設定資料
  * @param {string} userId - 用戶ID（管理員）
- * @param {string} csrfToken - CSRF Token
- * @returns {Promise<Object>} - 更新結果
+ * @param {number} revision - 載入設定時取得的修訂版本
+ * @returns {Promise<Object>} - 更新結果（含新的版本號 version）
  */
-async function updateAdminSettings(settings, userId, csrfToken) {
-    console.log('📝 開始更新後台設定');
+async function updateAdminSettings(settings, userId, revision) {
+    console.log('📝 開始更新後台設定，依據版本:', revision);
     
     try {
         const response = await ApiService.sendRequest({
             action: 'updateAdminSettings',
             settings: settings,
-            userId: userId,
-            csrfToken: csrfToken
+            revision: revision,
+            userId: userId
         });
         
         if (response.success) {
             console.log('✅ 後台設定更新成功:', response.itemsUpdated, '筆資料');
             return response;
         } else {
-            throw new Error(response.error || '更新設定失敗');
+            throw createAdminApiError(response, '更新設定失敗');
         }
     } catch (error) {
         console.error('❌ 更新後台設定失敗:', error);
@@ -756,5 +1101,618 @@ async function updateAdminSettings(settings, userId, csrfToken) {
     }
 }
 
+/**
+ * 查詢預約列表（跨年度預約工作表）
+ * @param {Object} filters - 篩選條件
+ * @param {string} filters.startDate - 起始日期（YYYY-MM-DD）
+ * @param {string} filters.endDate - 結束日期（YYYY-MM-DD）
+ * @param {string} [filters.status] - 預約狀態
+ * @param {string} [filters.service] - 服務項目（部分比對）
+ * @param {string} [filters.customer] - 客戶姓名或手機（部分比對）
+ * @param {string} userId - 用戶ID（管理員）
+ * @returns {Promise<Object>} - 預約列表 { bookings, totalCount, truncated, technicians }
+ */
+async function listBookings(filters, userId) {
+    console.log('📖 開始查詢預約列表:', filters.startDate, '~', filters.endDate);
+    
+    try {
+        const response = await ApiService.sendRequest({
+            action: 'listBookings',
+            startDate: filters.startDate,
+            endDate: filters.endDate,
+            status: filters.status || '',
+            service: filters.service || '',
+            customer: filters.customer || '',
+            userId: userId
+        });
+        
+        if (response.success) {
+            console.log('✅ 預約列表查詢成功:', response.totalCount, '筆');
+            return response;
+        } else {
+            throw createAdminApiError(response, '查詢預約列表失敗');
+        }
+    } catch (error) {
+        console.error('❌ 查詢預約列表失敗:', error);
+        throw error;
+    }
+}
+
+/**
+ * 搜尋客戶（後台建立預約時選擇客戶）
+ * @param {string} keyword - 姓名或手機（部分比對，至少 2 個字）
+ * @param {string} userId - 用戶ID（管理員）
+ * @returns {Promise<Object>} - 搜尋結果 { customers }
+ */
+async function searchCustomers(keyword, userId) {
+    console.log('🔍 開始搜尋客戶');
+    
+    try {
+        const response = await ApiService.sendRequest({
+            action: 'searchCustomers',
+            keyword: keyword,
+            userId: userId
+        });
+        
+        if (response.success) {
+            console.log('✅ 客戶搜尋完成:', (response.customers || []).length, '筆');
+            return response;
+        } else {
+            throw createAdminApiError(response, '搜尋客戶失敗');
+        }
+    } catch (error) {
+        console.error('❌ 搜尋客戶失敗:', error);
+        throw error;
+    }
+}
+
+/**
+ * 後台建立預約（電話或現場預約，CSRF Token 由 sendRequest 自動加入）
+ * @param {Object} booking - 預約資料（customerName、phone、date、time、service、removal、quantity、remarks 等）
+ * @param {Object} options - 選項
+ * @param {boolean} [options.createCustomer] - 手機尚未建檔時建立新客戶
+ * @param {string} [options.overrideReason] - 略過時段可用性檢查的原因
+ * @param {string} userId - 用戶ID（管理員）
+ * @returns {Promise<Object>} - 建立結果
+ */
+async function adminCreateBooking(booking, options, userId) {
+    console.log('📝 開始後台建立預約:', booking.date, booking.time);
+    
+    try {
+        const response = await ApiService.sendRequest({
+            action: 'adminCreateBooking',
+            booking: booking,
+            createCustomer: !!options.createCustomer,
+            overrideReason: options.overrideReason || '',
+            userId: userId
+        });
+        
+        if (response.success) {
+            console.log('✅ 後台建立預約成功');
+            return response;
+        } else {
+            throw createAdminApiError(response, '建立預約失敗');
+        }
+    } catch (error) {
+        console.error('❌ 後台建立預約失敗:', error);
+        throw error;
+    }
+}
+
+/**
+ * 後台修改預約（CSRF Token 由 sendRequest 自動加入）
+ * 只送出有提供的欄位，未提供的欄位維持不變
+ * @param {string} eventId - 預約的日曆活動 ID
+ * @param {Object} changes - 修改內容（date、time、technician、remarks、service / serviceText、removal / removalText、quantity / quantityText）
+ * @param {Object} options - 選項
+ * @param {boolean} [options.notifyCustomer] - 以 LINE 通知客戶
+ * @param {string} [options.overrideReason] - 時段或美甲師不可用時略過檢查的原因
+ * @param {string} userId - 用戶ID（管理員）
+ * @returns {Promise<Object>} - 修改結果 { changedFields, bookingData, lineMessage }
+ */
+async function updateBooking(eventId, changes, options, userId) {
+    console.log('✏️ 開始後台修改預約:', eventId);
+    
+    try {
+        const request = {
+            action: 'updateBooking',
+            eventId: eventId,
+            notifyCustomer: !!options.notifyCustomer,
+            overrideReason: options.overrideReason || '',
+            userId: userId
+        };
+        Object.keys(changes).forEach(key => {
+            if (changes[key] !== undefined && changes[key] !== null) {
+                request[key] = changes[key];
+            }
+        });
+        
+        const response = await ApiService.sendRequest(request);
+        
+        if (response.success) {
+            console.log('✅ 後台修改預約成功:', response.changedFields);
+            return response;
+        } else {
+            throw createAdminApiError(response, '修改預約失敗');
+        }
+    } catch (error) {
+        console.error('❌ 後台修改預約失敗:', error);
+        throw error;
+    }
+}
+
+/**
+ * 查詢時段日曆中的可預約時段（後台時段管理）
+ * @param {string} startDate - 起始日期（YYYY-MM-DD）
+ * @param {string} endDate - 結束日期（YYYY-MM-DD）
+ * @param {string} userId - 用戶ID（管理員）
+ * @returns {Promise<Object>} - 時段列表 { slots, businessHours }
+ */
+async function listTimeSlots(startDate, endDate, userId) {
+    console.log('📖 開始查詢時段:', startDate, '~', endDate);
+    
+    try {
+        const response = await ApiService.sendRequest({
+            action: 'listTimeSlots',
+            startDate: startDate,
+            endDate: endDate,
+            userId: userId
+        });
+        
+        if (response.success) {
+            console.log('✅ 時段查詢成功:', (response.slots || []).length, '筆');
+            return response;
+        } else {
+            throw createAdminApiError(response, '查詢時段失敗');
+        }
+    } catch (error) {
+        console.error('❌ 查詢時段失敗:', error);
+        throw error;
+    }
+}
+
+/**
+ * 新增可預約時段（CSRF Token 由 sendRequest 自動加入）
+ * @param {string} date - 日期（YYYY-MM-DD）
+ * @param {Array<string>} times - 時間（HH:MM）
+ * @param {string} userId - 用戶ID（管理員）
+ * @returns {Promise<Object>} - 新增結果 { created, skipped }
+ */
+async function createTimeSlots(date, times, userId) {
+    console.log('📝 開始新增時段:', date, times);
+    
+    try {
+        const response = await ApiService.sendRequest({
+            action: 'createTimeSlots',
+            date: date,
+            times: times.join(','),  // 以逗號分隔，JSONP 請求也能正確傳遞
+            userId: userId
+        });
+        
+        if (response.success) {
+            console.log('✅ 新增時段成功:', response.message);
+            return response;
+        } else {
+            throw createAdminApiError(response, '新增時段失敗');
+        }
+    } catch (error) {
+        console.error('❌ 新增時段失敗:', error);
+        throw error;
+    }
+}
+
+/**
+ * 移動可預約時段（CSRF Token 由 sendRequest 自動加入）
+ * @param {string} eventId - 時段活動 ID
+ * @param {string} newDate - 新日期（YYYY-MM-DD）
+ * @param {string} newTime - 新時間（HH:MM）
+ * @param {string} userId - 用戶ID（管理員）
+ * @returns {Promise<Object>} - 移動結果
+ */
+async function moveTimeSlot(eventId, newDate, newTime, userId) {
+    console.log('🔄 開始移動時段:', newDate, newTime);
+    
+    try {
+        const response = await ApiService.sendRequest({
+            action: 'moveTimeSlot',
+            eventId: eventId,
+            newDate: newDate,
+            newTime: newTime,
+            userId: userId
+        });
+        
+        if (response.success) {
+            console.log('✅ 移動時段成功');
+            return response;
+        } else {
+            throw createAdminApiError(response, '移動時段失敗');
+        }
+    } catch (error) {
+        console.error('❌ 移動時段失敗:', error);
+        throw error;
+    }
+}
+
+/**
+ * 刪除可預約時段（CSRF Token 由 sendRequest 自動加入）
+ * @param {string} eventId - 時段活動 ID
+ * @param {string} userId - 用戶ID（管理員）
+ * @returns {Promise<Object>} - 刪除結果 { date, times }
+ */
+async function deleteTimeSlot(eventId, userId) {
+    console.log('🗑️ 開始刪除時段:', eventId);
+    
+    try {
+        const response = await ApiService.sendRequest({
+            action: 'deleteTimeSlot',
+            eventId: eventId,
+            userId: userId
+        });
+        
+        if (response.success) {
+            console.log('✅ 刪除時段成功:', response.times);
+            return response;
+        } else {
+            throw createAdminApiError(response, '刪除時段失敗');
+        }
+    } catch (error) {
+        console.error('❌ 刪除時段失敗:', error);
+        throw error;
+    }
+}
+
+/**
+ * 將一週的時段複製到之後幾週（CSRF Token 由 sendRequest 自動加入）
+ * @param {string} weekStart - 來源週的任一天（YYYY-MM-DD）
+ * @param {number} weeks - 複製週數
+ * @param {string} userId - 用戶ID（管理員）
+ * @returns {Promise<Object>} - 複製結果 { sourceCount, createdCount, skippedCount }
+ */
+async function copyTimeSlotWeek(weekStart, weeks, userId) {
+    console.log('📋 開始複製一週時段:', weekStart, weeks, '週');
+    
+    try {
+        const response = await ApiService.sendRequest({
+            action: 'copyTimeSlotWeek',
+            weekStart: weekStart,
+            weeks: weeks,
+            userId: userId
+        });
+        
+        if (response.success) {
+            console.log('✅ 複製一週時段成功:', response.message);
+            return response;
+        } else {
+            throw createAdminApiError(response, '複製時段失敗');
+        }
+    } catch (error) {
+        console.error('❌ 複製時段失敗:', error);
+        throw error;
+    }
+}
+
+/**
+ * 取得每週時段範本列表
+ * @param {string} userId - 用戶ID（管理員）
+ * @returns {Promise<Object>} - { templates, publishLeadDays, openingDay }
+ */
+async function listSlotTemplates(userId) {
+    console.log('📖 開始取得時段範本');
+    
+    try {
+        const response = await ApiService.sendRequest({
+            action: 'listSlotTemplates',
+            userId: userId
+        });
+        
+        if (response.success) {
+            console.log('✅ 取得時段範本成功:', (response.templates || []).length, '個');
+            return response;
+        } else {
+            throw createAdminApiError(response, '取得時段範本失敗');
+        }
+    } catch (error) {
+        console.error('❌ 取得時段範本失敗:', error);
+        throw error;
+    }
+}
+
+/**
+ * 新增或修改每週時段範本（CSRF Token 由 sendRequest 自動加入）
+ * 以扁平參數送出（JSONP 請求無法傳遞巢狀物件）：每個星期的時段以逗號分隔，例外日期為多行文字
+ * @param {Object} template - { templateId（修改時提供）, name, enabled, effectiveFrom, effectiveTo,
+ *                            weekdays: { 0-6: [HH:MM] }（0 為週日）, exceptions（每行「YYYY-MM-DD [HH:MM,...]」） }
+ * @param {string} userId - 用戶ID（管理員）
+ * @returns {Promise<Object>} - 儲存結果 { template }
+ */
+async function saveSlotTemplate(template, userId) {
+    console.log('💾 開始儲存時段範本:', template.name);
+    
+    try {
+        const response = await ApiService.sendRequest({
+            action: 'saveSlotTemplate',
+            templateId: template.templateId || '',
+            name: template.name,
+            enabled: template.enabled ? 'true' : 'false',
+            effectiveFrom: template.effectiveFrom || '',
+            effectiveTo: template.effectiveTo || '',
+            weekday0: (template.weekdays[0] || []).join(','),
+            weekday1: (template.weekdays[1] || []).join(','),
+            weekday2: (template.weekdays[2] || []).join(','),
+            weekday3: (template.weekdays[3] || []).join(','),
+            weekday4: (template.weekdays[4] || []).join(','),
+            weekday5: (template.weekdays[5] || []).join(','),
+            weekday6: (template.weekdays[6] || []).join(','),
+            exceptions: template.exceptions || '',
+            userId: userId
+        });
+        
+        if (response.success) {
+            console.log('✅ 儲存時段範本成功:', response.message);
+            return response;
+        } else {
+            throw createAdminApiError(response, '儲存時段範本失敗');
+        }
+    } catch (error) {
+        console.error('❌ 儲存時段範本失敗:', error);
+        throw error;
+    }
+}
+
+/**
+ * 刪除每週時段範本（CSRF Token 由 sendRequest 自動加入）
+ * @param {string} templateId - 範本ID
+ * @param {string} userId - 用戶ID（管理員）
+ * @returns {Promise<Object>} - 刪除結果
+ */
+async function deleteSlotTemplate(templateId, userId) {
+    console.log('🗑️ 開始刪除時段範本:', templateId);
+    
+    try {
+        const response = await ApiService.sendRequest({
+            action: 'deleteSlotTemplate',
+            templateId: templateId,
+            userId: userId
+        });
+        
+        if (response.success) {
+            console.log('✅ 刪除時段範本成功');
+            return response;
+        } else {
+            throw createAdminApiError(response, '刪除時段範本失敗');
+        }
+    } catch (error) {
+        console.error('❌ 刪除時段範本失敗:', error);
+        throw error;
+    }
+}
+
+/**
+ * 預覽範本產生的月份時段
+ * @param {string} month - 月份（YYYY-MM）
+ * @param {string} userId - 用戶ID（管理員）
+ * @returns {Promise<Object>} - { days, newCount, existingCount, publishedAt }
+ */
+async function previewSlotTemplates(month, userId) {
+    console.log('🔍 開始預覽範本時段:', month);
+    
+    try {
+        const response = await ApiService.sendRequest({
+            action: 'previewSlotTemplates',
+            month: month,
+            userId: userId
+        });
+        
+        if (response.success) {
+            console.log('✅ 預覽範本時段成功:', response.newCount, '個新時段');
+            return response;
+        } else {
+            throw createAdminApiError(response, '預覽範本時段失敗');
+        }
+    } catch (error) {
+        console.error('❌ 預覽範本時段失敗:', error);
+        throw error;
+    }
+}
+
+/**
+ * 依範本發布月份時段（CSRF Token 由 sendRequest 自動加入）
+ * @param {string} month - 月份（YYYY-MM）
+ * @param {string} userId - 用戶ID（管理員）
+ * @returns {Promise<Object>} - 發布結果 { createdCount, skippedCount, publishedAt }
+ */
+async function publishSlotTemplates(month, userId) {
+    console.log('📅 開始發布範本時段:', month);
+    
+    try {
+        const response = await ApiService.sendRequest({
+            action: 'publishSlotTemplates',
+            month: month,
+            userId: userId
+        });
+        
+        if (response.success) {
+            console.log('✅ 發布範本時段成功:', response.message);
+            return response;
+        } else {
+            throw createAdminApiError(response, '發布範本時段失敗');
+        }
+    } catch (error) {
+        console.error('❌ 發布範本時段失敗:', error);
+        throw error;
+    }
+}
+
+/**
+ * 啟用自動排程（安裝尚未建立的排程觸發條件）
+ * @param {string} userId - 用戶ID（管理員）
+ * @returns {Promise<Object>} - 安裝結果 { created }
+ */
+async function ensureScheduledTriggers(userId) {
+    console.log('⏰ 開始啟用自動排程');
+    
+    try {
+        const response = await ApiService.sendRequest({
+            action: 'ensureScheduledTriggers',
+            userId: userId
+        });
+        
+        if (response.success) {
+            console.log('✅ 啟用自動排程成功:', response.message);
+            return response;
+        } else {
+            throw createAdminApiError(response, '啟用自動排程失敗');
+        }
+    } catch (error) {
+        console.error('❌ 啟用自動排程失敗:', error);
+        throw error;
+    }
+}
+
+/**
+ * 取得待審核的帳號綁定申請
+ * @param {string} userId - 用戶ID（管理員）
+ * @returns {Promise<Object>} - 申請列表 { requests }
+ */
+async function getAccountLinkRequests(userId) {
+    console.log('📖 開始取得帳號綁定申請');
+    
+    try {
+        const response = await ApiService.sendRequest({
+            action: 'getAccountLinkRequests',
+            userId: userId
+        });
+        
+        if (response.success) {
+            console.log('✅ 帳號綁定申請取得成功:', (response.requests || []).length, '筆');
+            return response;
+        } else {
+            throw createAdminApiError(response, '取得綁定申請失敗');
+        }
+    } catch (error) {
+        console.error('❌ 取得帳號綁定申請失敗:', error);
+        throw error;
+    }
+}
+
+/**
+ * 審核帳號綁定申請（CSRF Token 由 sendRequest 自動加入）
+ * @param {string} requestId - 申請編號
+ * @param {boolean} approve - true 核准、false 拒絕
+ * @param {string} userId - 用戶ID（管理員）
+ * @returns {Promise<Object>} - 審核結果
+ */
+async function reviewAccountLinkRequest(requestId, approve, userId) {
+    console.log('📝 開始審核帳號綁定申請');
+    
+    try {
+        const response = await ApiService.sendRequest({
+            action: 'reviewAccountLinkRequest',
+            requestId: requestId,
+            approve: approve,
+            userId: userId
+        });
+        
+        if (response.success) {
+            console.log('✅ 帳號綁定申請審核完成');
+            return response;
+        } else {
+            throw createAdminApiError(response, '審核綁定申請失敗');
+        }
+    } catch (error) {
+        console.error('❌ 審核帳號綁定申請失敗:', error);
+        throw error;
+    }
+}
+
+/**
+ * 取得後台設定版本紀錄（最新版本在前，每個版本附上與前一版的差異）
+ * @param {string} userId - 用戶ID（管理員）
+ * @returns {Promise<Object>} - 版本紀錄 { versions, currentVersion }
+ */
+async function getSettingsHistory(userId) {
+    console.log('📖 開始讀取設定版本紀錄');
+    
+    try {
+        const response = await ApiService.sendRequest({
+            action: 'getSettingsHistory',
+            userId: userId
+        });
+        
+        if (response.success) {
+            console.log('✅ 設定版本紀錄讀取成功，目前版本:', response.currentVersion);
+            return response;
+        } else {
+            throw createAdminApiError(response, '讀取設定版本紀錄失敗');
+        }
+    } catch (error) {
+        console.error('❌ 讀取設定版本紀錄失敗:', error);
+        throw error;
+    }
+}
+
+/**
+ * 還原後台設定版本（CSRF Token 由 sendRequest 自動加入）
+ * @param {number} version - 要還原的版本號
+ * @param {string} userId - 用戶ID（管理員）
+ * @returns {Promise<Object>} - 還原結果（含新版本號）
+ */
+async function restoreSettingsVersion(version, userId) {
+    console.log('⏪ 開始還原設定版本:', version);
+    
+    try {
+        const response = await ApiService.sendRequest({
+            action: 'restoreSettingsVersion',
+            version: version,
+            userId: userId
+        });
+        
+        if (response.success) {
+            console.log('✅ 設定版本還原成功，新版本:', response.version);
+            return response;
+        } else {
+            throw createAdminApiError(response, '還原設定版本失敗');
+        }
+    } catch (error) {
+        console.error('❌ 還原設定版本失敗:', error);
+        throw error;
+    }
+}
+
+/**
+ * 查詢操作紀錄
+ * @param {Object} filters - 篩選條件
+ * @param {string} [filters.startDate] - 起始日期（YYYY-MM-DD）
+ * @param {string} [filters.endDate] - 結束日期（YYYY-MM-DD）
+ * @param {string} [filters.actorType] - 操作者類型（customer / admin / system）
+ * @param {string} [filters.actor] - 操作者 LINE User ID（部分比對）
+ * @param {string} userId - 用戶ID（管理員）
+ * @returns {Promise<Object>} - 操作紀錄 { entries, totalCount, truncated }
+ */
+async function getAuditLog(filters, userId) {
+    console.log('📖 開始查詢操作紀錄');
+    
+    try {
+        const response = await ApiService.sendRequest({
+            action: 'getAuditLog',
+            startDate: filters.startDate || '',
+            endDate: filters.endDate || '',
+            actorType: filters.actorType || '',
+            actor: filters.actor || '',
+            userId: userId
+        });
+        
+        if (response.success) {
+            console.log('✅ 操作紀錄查詢成功:', response.totalCount, '筆');
+            return response;
+        } else {
+            throw createAdminApiError(response, '查詢操作紀錄失敗');
+        }
+    } catch (error) {
+        console.error('❌ 查詢操作紀錄失敗:', error);
+        throw error;
+    }
+}
+
 // 匯出供其他檔案使用
 window.ApiService = ApiService; 
\ No newline at end of file
@@ -4,6 +4,9 @@
  */
 class CustomerRegistration {
     constructor() {
+        // 等待綁定驗證的顧客資料（手機號碼已綁定其他 LINE 帳號時）
+        this.pendingLinkCustomer = null;
+        
         // 初始化系統
         this.init();
     }
@@ -38,6 +41,24 @@ class CustomerRegistration {
             await this.handlePostRegistrationRedirect();
         });
         
+        // 帳號綁定驗證模態框按鈕事件
+        document.getElementById('sendLinkCodeBtn').addEventListener('click', () => {
+            this.requestLinkCode();
+        });
+        
+        document.getElementById('confirmLinkBtn').addEventListener('click', () => {
+            this.confirmLink();
+        });
+        
+        document.getElementById('requestApprovalBtn').addEventListener('click', () => {
+            this.requestLinkApproval();
+        });
+        
+        document.getElementById('closeLinkBtn').addEventListener('click', () => {
+            this.pendingLinkCustomer = null;
+            this.hideModal('linkModal');
+        });
+        
         // 手機號碼輸入時的即時驗證
         document.getElementById('customerPhone').addEventListener('input', (e) => {
             this.validatePhoneInput(e.target);
@@ -220,29 +241,10 @@ class CustomerRegistration {
             const result = await ApiService.saveCustomer(customer);
             
             if (result.success) {
-                // 保存客戶資料到本地存儲，供其他頁面使用
-                const customerDataForStorage = {
-                    lineUserId: customer.lineUserId,
-                    name: customer.name,
-                    customerName: customer.name, // 新增相容性欄位
-                    phone: customer.phone,
-                    createdAt: new Date().toISOString(),
-                    lastVerified: new Date().toISOString()
-                };
-                
-                // 使用 ApiService 的安全存儲方法
-                ApiService.safeSetLocalStorage('latestCustomerData', customerDataForStorage);
-                // 🔒 安全日誌：遮罩敏感資訊
-                console.log('✅ 客戶資料已保存到本地存儲:', SecurityUtils.maskSensitiveData(customerDataForStorage));
-                
-                // 透過 LIFF 發送建檔確認訊息
-                await this.sendRegistrationConfirmMessage(customer.phone);
-                
-                // 顯示成功訊息
-                this.showSuccessModal(customer);
-                
-                // 重置表單
-                this.resetForm();
+                await this.completeRegistration(customer);
+            } else if (result.error === 'LINK_VERIFICATION_REQUIRED') {
+                // 手機號碼已綁定其他 LINE 帳號，需完成驗證才能綁定
+                this.showLinkModal(customer);
             } else {
                 throw new Error(result.error || '建檔失敗');
             }
@@ -252,6 +254,148 @@ class CustomerRegistration {
         }
     }
     
+    /**
+     * 建檔（或綁定）成功後保存本地資料、發送確認訊息並顯示結果
+     * @param {Object} customer - 顧客資料物件
+     */
+    async completeRegistration(customer) {
+        // 保存客戶資料到本地存儲，供其他頁面使用
+        const customerDataForStorage = {
+            lineUserId: customer.lineUserId,
+            name: customer.name,
+            customerName: customer.name, // 新增相容性欄位
+            phone: customer.phone,
+            createdAt: new Date().toISOString(),
+            lastVerified: new Date().toISOString()
+        };
+        
+        // 使用 ApiService 的安全存儲方法
+        ApiService.safeSetLocalStorage('latestCustomerData', customerDataForStorage);
+        // 🔒 安全日誌：遮罩敏感資訊
+        console.log('✅ 客戶資料已保存到本地存儲:', SecurityUtils.maskSensitiveData(customerDataForStorage));
+        
+        // 透過 LIFF 發送建檔確認訊息
+        await this.sendRegistrationConfirmMessage(customer.phone);
+        
+        // 顯示成功訊息
+        this.showSuccessModal(customer);
+        
+        // 重置表單
+        this.resetForm();
+    }
+    
+    /**
+     * 顯示帳號綁定驗證的模態框
+     * @param {Object} customer - 等待綁定的顧客資料物件
+     */
+    showLinkModal(customer) {
+        this.pendingLinkCustomer = customer;
+        document.getElementById('linkCode').value = '';
+        this.showLinkMessage('');
+        document.getElementById('linkModal').classList.remove('hidden');
+    }
+    
+    /**
+     * 顯示綁定驗證的結果訊息
+     * @param {string} message - 訊息內容
+     * @param {boolean} isSuccess - 是否為成功訊息
+     */
+    showLinkMessage(message, isSuccess = false) {
+        const messageElement = document.getElementById('linkMessage');
+        messageElement.textContent = message;
+        messageElement.classList.toggle('success', isSuccess);
+    }
+    
+    /**
+     * 取得帳號綁定驗證碼（傳送到原本綁定的 LINE 帳號）
+     */
+    async requestLinkCode() {
+        const customer = this.pendingLinkCustomer;
+        if (!customer) return;
+        
+        const sendButton = document.getElementById('sendLinkCodeBtn');
+        sendButton.disabled = true;
+        
+        try {
+            const result = await ApiService.requestAccountLinkCode(customer.lineUserId, customer.phone);
+            
+            if (result.success) {
+                this.showLinkMessage(`驗證碼已傳送，${result.expiresInMinutes} 分鐘內有效`, true);
+            } else {
+                this.showLinkMessage(result.message || result.error || '驗證碼傳送失敗');
+            }
+        } catch (error) {
+            console.error('取得綁定驗證碼失敗:', error);
+            this.showLinkMessage('驗證碼傳送失敗，請稍後再試');
+        } finally {
+            sendButton.disabled = false;
+        }
+    }
+    
+    /**
+     * 確認驗證碼，通過後將客戶資料綁定到目前的 LINE 帳號
+     */
+    async confirmLink() {
+        const customer = this.pendingLinkCustomer;
+        if (!customer) return;
+        
+        const code = document.getElementById('linkCode').value.trim();
+        if (!/^\d{6}$/.test(code)) {
+            this.showLinkMessage('請輸入6位數驗證碼');
+            return;
+        }
+        
+        const confirmButton = document.getElementById('confirmLinkBtn');
+        confirmButton.disabled = true;
+        
+        try {
+            const result = await ApiService.confirmAccountLink({
+                lineUserId: customer.lineUserId,
+                phone: customer.phone,
+                code: code,
+                name: customer.name
+            });
+            
+            if (result.success) {
+                this.pendingLinkCustomer = null;
+                this.hideModal('linkModal');
+                await this.completeRegistration(customer);
+            } else {
+                this.showLinkMessage(result.message || result.error || '綁定失敗');
+            }
+        } catch (error) {
+            console.error('確認綁定驗證碼失敗:', error);
+            this.showLinkMessage('綁定失敗，請稍後再試');
+        } finally {
+            confirmButton.disabled = false;
+        }
+    }
+    
+    /**
+     * 申請店家協助綁定（原 LINE 帳號無法收到驗證碼時）
+     */
+    async requestLinkApproval() {
+        const customer = this.pendingLinkCustomer;
+        if (!customer) return;
+        
+        try {
+            const result = await ApiService.requestAccountLinkApproval({
+                lineUserId: customer.lineUserId,
+                phone: customer.phone,
+                name: customer.name
+            });
+            
+            if (result.success) {
+                this.showLinkMessage(result.message || '已送出綁定申請，店家確認後即完成綁定', true);
+            } else {
+                this.showLinkMessage(result.message || result.error || '申請失敗');
+            }
+        } catch (error) {
+            console.error('申請店家協助綁定失敗:', error);
+            this.showLinkMessage('申請失敗，請稍後再試');
+        }
+    }
+    
     /**
      * 顯示建檔成功的模態框
      * @param {Object} customer - 顧客資料物件
@@ -375,6 +375,18 @@ class LiffService {
         return this.userProfile;
     }
 
+    /**
+     * 取得 LINE ID Token（需在 LIFF 設定中啟用 openid scope）
+     * 後端以此驗證用戶身分，不再信任前端傳入的 User ID
+     * @returns {string|null} ID Token，未登入時為 null
+     */
+    getIDToken() {
+        if (!this.isLoggedIn() || typeof liff.getIDToken !== 'function') {
+            return null;
+        }
+        return liff.getIDToken() || null;
+    }
+
     isLiffEnvironment() {
         return typeof liff !== 'undefined' && this.isInitialized;
     }
@@ -433,6 +445,10 @@ function getUserProfile() {
     return window.liffService.getUserProfile();
 }
 
+function getLineIdToken() {
+    return window.liffService.getIDToken();
+}
+
 function isLiffReady() {
     return window.liffService.isLoggedIn();
 }
@@ -3,6 +3,19 @@
  * 使用 liff-service.js 統一管理 LIFF 初始化
  */
 
+// 預約狀態顯示文字（與後端 BOOKING_STATUS_CONFIG.labels 一致）
+const BOOKING_STATUS_LABELS = {
+    'pending': '待確認',
+    'confirmed': '已確認',
+    'checked-in': '已報到',
+    'completed': '已完成',
+    'no-show': '未到',
+    'cancelled': '已取消'
+};
+
+// 客戶可自行取消或改期的狀態
+const CUSTOMER_EDITABLE_STATUSES = ['pending', 'confirmed'];
+
 // 等待頁面載入完成後初始化系統
 document.addEventListener('DOMContentLoaded', async function() {
     try {
@@ -152,11 +165,92 @@ function showBookingInfo(bookings) {
     bookingInfoContainer.innerHTML = generatedHTML;
     bookingInfoContainer.style.display = 'block';
     
+    // ❎ 綁定取消、改期按鈕
+    bindBookingActionButtons(bookingInfoContainer);
+    
     // 📊 統計資訊更新
     const futureBookingsCount = (generatedHTML.match(/booking-card/g) || []).length;
     console.log(`顯示 ${futureBookingsCount} 筆未來預約記錄`);
 }
 
+/**
+ * 綁定預約卡片上的取消與改期按鈕
+ * @param {HTMLElement} container - 預約卡片容器
+ */
+function bindBookingActionButtons(container) {
+    container.querySelectorAll('.cancel-booking-btn').forEach(button => {
+        button.addEventListener('click', () => cancelUserBooking(button));
+    });
+    container.querySelectorAll('.reschedule-booking-btn').forEach(button => {
+        button.addEventListener('click', () => startReschedule(button));
+    });
+}
+
+/**
+ * 進入改期模式
+ * 將原預約資訊存入 sessionStorage，並回到首頁行事曆選擇新時段（不經過服務選擇）
+ * @param {HTMLButtonElement} button - 被點擊的改期按鈕
+ */
+function startReschedule(button) {
+    const rescheduleInfo = {
+        eventId: button.dataset.eventId,
+        date: button.dataset.date,
+        time: button.dataset.time,
+        label: button.dataset.bookingLabel,
+        timestamp: Date.now()
+    };
+    
+    sessionStorage.setItem('rescheduleBookingInfo', JSON.stringify(rescheduleInfo));
+    console.log('🔄 進入改期模式:', rescheduleInfo.label);
+    
+    window.location.href = 'index.html?mode=reschedule';
+}
+
+/**
+ * 取消預約
+ * 後端會確認此預約屬於目前的 LINE 用戶，並同步刪除日曆活動與預約記錄
+ * @param {HTMLButtonElement} button - 被點擊的取消按鈕
+ */
+async function cancelUserBooking(button) {
+    const eventId = button.dataset.eventId;
+    const bookingLabel = button.dataset.bookingLabel || '此預約';
+    
+    if (!confirm(`確定要取消 ${bookingLabel} 的預約嗎？`)) {
+        return;
+    }
+    
+    const lineUserId = getLineUserId();
+    if (!lineUserId) {
+        alert('無法取得用戶資訊，請重新進入LINE應用程式');
+        return;
+    }
+    
+    const originalText = button.textContent;
+    button.disabled = true;
+    button.textContent = '取消中...';
+    
+    try {
+        const result = await ApiService.cancelBooking(lineUserId, eventId);
+        
+        if (result.success) {
+            console.log('✅ 預約已取消');
+            alert('預約已取消');
+            // 重新載入預約列表
+            loadUserBookings();
+        } else {
+            console.error('❌ 取消預約失敗:', result.error);
+            alert(result.message || '取消預約失敗，請稍後再試');
+            button.disabled = false;
+            button.textContent = originalText;
+        }
+    } catch (error) {
+        console.error('💥 取消預約時發生錯誤:', error);
+        alert('取消預約失敗，請稍後再試');
+        button.disabled = false;
+        button.textContent = originalText;
+    }
+}
+
 /**
  * 顯示載入狀態
  */
@@ -289,9 +383,25 @@ function generateBookingCardHTML(bookingInfo) {
             }
         }
         
+        // 預約狀態（舊資料沒有狀態時視為已確認）
+        const status = BOOKING_STATUS_LABELS[booking.status] ? booking.status : 'confirmed';
+        const statusLabel = BOOKING_STATUS_LABELS[status];
+        
+        // 有日曆活動 ID 且狀態為待確認/已確認的預約才能自行取消或改期
+        const canModify = booking.eventId && CUSTOMER_EDITABLE_STATUSES.includes(status);
+        const actionButtonsHTML = canModify ? `
+                    <div class="booking-actions">
+                        <button type="button" class="reschedule-booking-btn" data-event-id="${booking.eventId}" data-date="${booking.date}" data-time="${displayTime}" data-booking-label="${displayDate} ${displayTime}">改期</button>
+                        <button type="button" class="cancel-booking-btn" data-event-id="${booking.eventId}" data-booking-label="${displayDate} ${displayTime}">取消預約</button>
+                    </div>` : '';
+        
         html += `
             <div class="booking-card">
                 <div class="booking-details">
+                    <!-- 預約狀態 -->
+                    <div class="booking-status-row">
+                        <span class="booking-status-badge status-${status}">${statusLabel}</span>
+                    </div>
                     <!-- 日期時間區域 - 新的2x2格子佈局 -->
                     <div class="datetime-section">
                         <!-- 上左：姓名 -->
@@ -319,6 +429,11 @@ function generateBookingCardHTML(bookingInfo) {
                     <!-- 服務項目區域 -->
                     <div class="service-section">
                         <div class="service-section-title">服務項目</div>
+                        ${booking.technician ? `
+                        <div class="service-item">
+                            <span class="service-label">美甲師：</span>
+                            <span class="service-value">${booking.technician}</span>
+                        </div>` : ''}
                         <div class="service-item">
                             <span class="service-label">服務：</span>
                             <span class="service-value">${booking.services || '無'}</span>
@@ -336,6 +451,7 @@ function generateBookingCardHTML(bookingInfo) {
                             <span class="service-value">${booking.remarks || '無'}</span>
                         </div>
                     </div>
+                    ${actionButtonsHTML}
                 </div>
             </div>
         `;
@@ -0,0 +1,590 @@
+/**
+ * accountLinkService.gs - 帳號綁定模組
+ * 美甲預約系統 - Google Apps Script
+ *
+ * 包含：驗證碼傳送器、以驗證碼重新綁定 LINE 帳號、店家審核綁定申請、帳號綁定紀錄
+ *
+ * 手機號碼已綁定其他 LINE 帳號時，handleSaveCustomer 不會直接覆寫，
+ * 需由原帳號收到的驗證碼確認，或由店家在後台審核通過後才會改綁
+ */
+
+// ==================== 驗證碼傳送器 ====================
+
+// local 傳送器送出的驗證碼（僅保留於本次執行，供測試讀取）
+const ACCOUNT_LINK_LOCAL_OUTBOX = [];
+
+/**
+ * 本機傳送器：不實際傳送，只寫入日誌與 ACCOUNT_LINK_LOCAL_OUTBOX（測試用）
+ * @param {Object} delivery - 傳送資料（currentLineUserId、phone、code、expiryMinutes）
+ * @returns {Object} - 發送結果
+ */
+function sendAccountLinkCodeLocally(delivery) {
+  ACCOUNT_LINK_LOCAL_OUTBOX.push(delivery);
+  console.log('[local] 帳號綁定驗證碼:', delivery.phone, delivery.code);
+  return { success: true, message: '驗證碼已寫入日誌' };
+}
+
+/**
+ * 可用的驗證碼傳送器，依 ACCOUNT_LINK_SENDER 指令碼屬性選擇（預設 line）
+ * 新增簡訊等傳送方式時，註冊 (delivery) => { success, message } 函數即可
+ */
+const ACCOUNT_LINK_SENDERS = {
+  line: sendLineAccountLinkCode,
+  local: sendAccountLinkCodeLocally
+};
+
+// 測試時可透過 setAccountLinkSender 暫時替換傳送器
+let ACCOUNT_LINK_SENDER_OVERRIDE = null;
+
+/**
+ * 替換驗證碼傳送器（測試用）
+ * @param {Function|null} sender - (delivery) => { success, message }，傳入 null 恢復設定值
+ */
+function setAccountLinkSender(sender) {
+  ACCOUNT_LINK_SENDER_OVERRIDE = sender;
+}
+
+/**
+ * 取得目前使用的驗證碼傳送器
+ * @returns {Function} - (delivery) => { success, message }
+ */
+function getAccountLinkSender() {
+  if (ACCOUNT_LINK_SENDER_OVERRIDE) {
+    return ACCOUNT_LINK_SENDER_OVERRIDE;
+  }
+
+  const sender = ACCOUNT_LINK_SENDERS[ACCOUNT_LINK_CONFIG.sender];
+  if (!sender) {
+    throw new Error('未知的驗證碼傳送方式: ' + ACCOUNT_LINK_CONFIG.sender);
+  }
+  return sender;
+}
+
+// ==================== 帳號綁定紀錄 ====================
+
+/**
+ * 新增一筆帳號綁定紀錄
+ * @param {Object} entry - 紀錄內容（action、phone、previousLineUserId、newLineUserId、requestedName、actor、status、note）
+ * @returns {string} - 紀錄ID
+ */
+function appendAccountLinkLog(entry) {
+  const sheet = getSheet(ACCOUNT_LINK_CONFIG.sheetName);
+  const id = 'LINK_' + Date.now() + '_' + Math.random().toString(36).substr(2, 6);
+  const newRow = sheet.getLastRow() + 1;
+
+  sheet.appendRow([
+    id,
+    new Date(),
+    entry.action,
+    entry.phone || '',
+    entry.previousLineUserId || '',
+    entry.newLineUserId || '',
+    entry.requestedName || '',
+    entry.actor || '',
+    entry.status || '',
+    entry.note || ''
+  ]);
+
+  // 手機欄位保持文字格式，避免開頭的 0 被移除
+  const phoneCell = sheet.getRange(newRow, ACCOUNT_LINK_LOG_COLUMNS.PHONE);
+  phoneCell.setNumberFormat('@');
+  phoneCell.setValue(entry.phone || '');
+
+  return id;
+}
+
+/**
+ * 讀取帳號綁定紀錄所有資料列
+ * @returns {Object} - { sheet, entries }，entries 每筆含 row 與欄位資料
+ */
+function readAccountLinkLog() {
+  const sheet = getSheet(ACCOUNT_LINK_CONFIG.sheetName);
+  const lastRow = sheet.getLastRow();
+
+  if (lastRow <= 1) {
+    return { sheet: sheet, entries: [] };
+  }
+
+  const data = sheet.getRange(2, 1, lastRow - 1, ACCOUNT_LINK_LOG_HEADERS.length).getValues();
+  const entries = data.map((values, index) => ({
+    row: index + 2,
+    id: String(values[ACCOUNT_LINK_LOG_COLUMNS.ID - 1] || ''),
+    createdAt: values[ACCOUNT_LINK_LOG_COLUMNS.CREATED_AT - 1],
+    action: String(values[ACCOUNT_LINK_LOG_COLUMNS.ACTION - 1] || ''),
+    phone: String(values[ACCOUNT_LINK_LOG_COLUMNS.PHONE - 1] || ''),
+    previousLineUserId: String(values[ACCOUNT_LINK_LOG_COLUMNS.PREVIOUS_LINE_USER_ID - 1] || ''),
+    newLineUserId: String(values[ACCOUNT_LINK_LOG_COLUMNS.NEW_LINE_USER_ID - 1] || ''),
+    requestedName: String(values[ACCOUNT_LINK_LOG_COLUMNS.REQUESTED_NAME - 1] || ''),
+    status: String(values[ACCOUNT_LINK_LOG_COLUMNS.STATUS - 1] || '')
+  }));
+
+  return { sheet: sheet, entries: entries };
+}
+
+// ==================== 綁定檢查 ====================
+
+/**
+ * 取得手機號碼對應的客戶資料列（含目前綁定的 LINE User ID）
+ * @param {string} phone - 手機號碼
+ * @returns {Object|null} - { row, lineUserId, name }，查無資料回傳 null
+ */
+function findCustomerLinkByPhone(phone) {
+  const rowIndex = findCustomerByPhone(phone);
+  if (rowIndex <= 0) {
+    return null;
+  }
+
+  const values = getSheet(CUSTOMER_SHEET_NAME).getRange(rowIndex, 1, 1, 2).getValues()[0];
+  return {
+    row: rowIndex,
+    lineUserId: String(values[0] || '').trim(),
+    name: values[1] || ''
+  };
+}
+
+/**
+ * 檢查綁定請求：手機號碼格式、查詢次數，以及號碼是否確實綁定在其他 LINE 帳號
+ * @param {Object} data - 包含 lineUserId（已驗證）與 phone
+ * @returns {Object} - { error } 錯誤結果，或 { link } 客戶綁定資料
+ */
+function checkAccountLinkRequest(data) {
+  const fail = (error, message) => ({
+    error: {
+      success: false,
+      error: error,
+      message: message,
+      timestamp: new Date().toISOString()
+    }
+  });
+
+  if (!data || !data.lineUserId || !data.phone) {
+    return fail('MISSING_PARAMS', '缺少 LINE User ID 或手機號碼');
+  }
+
+  if (!SYSTEM_CONFIG.PHONE_REGEX.test(String(data.phone).replace(/[-\s]/g, ''))) {
+    return fail('INVALID_PHONE', '手機號碼格式不正確');
+  }
+
+  // 與手機號碼查詢共用次數限制，避免以綁定流程探測客戶名單
+  if (!consumeCustomerLookupQuota(data.lineUserId)) {
+    return fail('RATE_LIMITED', '操作次數過多，請稍後再試');
+  }
+
+  if (findCustomerByLineUserId(data.lineUserId) > 0) {
+    return fail('ALREADY_REGISTERED', '此 LINE 帳號已有客戶資料，無法綁定其他手機號碼');
+  }
+
+  const link = findCustomerLinkByPhone(data.phone);
+  if (!link || !link.lineUserId || link.lineUserId === data.lineUserId) {
+    return fail('LINK_NOT_REQUIRED', '此手機號碼不需要驗證，請直接建檔');
+  }
+
+  return { link: link };
+}
+
+/**
+ * 將客戶資料改綁到新的 LINE 帳號並留下紀錄
+ * 寫入前再次確認號碼仍綁定在預期的原帳號，避免審核或驗證期間資料已被變更
+ * @param {Object} params - phone、previousLineUserId、newLineUserId、name、actor、actorType、note
+ * @returns {Object} - 處理結果
+ */
+function relinkCustomerAccount(params) {
+  const relinkLock = LockService.getDocumentLock();
+  try {
+    relinkLock.waitLock(30000);
+  } catch (lockError) {
+    console.error('無法取得帳號綁定鎖定:', lockError);
+    return {
+      success: false,
+      error: 'LOCK_TIMEOUT',
+      message: '系統忙碌中，請稍後再試',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  try {
+    clearCustomerCache();
+
+    const link = findCustomerLinkByPhone(params.phone);
+    if (!link || link.lineUserId !== params.previousLineUserId) {
+      return {
+        success: false,
+        error: 'LINK_STATE_CHANGED',
+        message: '客戶資料已變更，請重新操作',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    if (findCustomerByLineUserId(params.newLineUserId) > 0) {
+      return {
+        success: false,
+        error: 'ALREADY_REGISTERED',
+        message: '此 LINE 帳號已有客戶資料，無法綁定其他手機號碼',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const sheet = getSheet(CUSTOMER_SHEET_NAME);
+    sheet.getRange(link.row, 1).setValue(params.newLineUserId);
+    if (params.name) {
+      sheet.getRange(link.row, 2).setValue(params.name);
+    }
+    sheet.getRange(link.row, 4).setValue(new Date());
+    clearCustomerCache();
+
+    appendAccountLinkLog({
+      action: 'relinked',
+      phone: params.phone,
+      previousLineUserId: params.previousLineUserId,
+      newLineUserId: params.newLineUserId,
+      requestedName: params.name,
+      actor: params.actor,
+      note: params.note
+    });
+
+    recordAudit({
+      action: 'relinkCustomer',
+      actor: params.actor,
+      actorType: params.actorType,
+      targetType: 'customer',
+      targetId: params.phone,
+      summary: params.note,
+      before: { lineUserId: params.previousLineUserId, name: link.name },
+      after: { lineUserId: params.newLineUserId, name: params.name || link.name }
+    });
+
+    console.log('客戶資料已改綁 LINE 帳號:', params.note);
+
+    return {
+      success: true,
+      message: '客戶資料已綁定到目前的 LINE 帳號',
+      isExisting: true,
+      timestamp: new Date().toISOString()
+    };
+
+  } finally {
+    relinkLock.releaseLock();
+  }
+}
+
+// ==================== 驗證碼綁定 ====================
+
+/**
+ * 計算驗證碼雜湊（快取中不保存明碼）
+ * @param {string} lineUserId - 申請綁定的 LINE User ID
+ * @param {string} phone - 手機號碼
+ * @param {string} code - 驗證碼
+ * @returns {string} - 十六進位雜湊
+ */
+function hashAccountLinkCode(lineUserId, phone, code) {
+  return toHexString(Utilities.computeDigest(
+    Utilities.DigestAlgorithm.SHA_256,
+    [lineUserId, phone, code].join('.')
+  ));
+}
+
+/**
+ * 產生數字驗證碼
+ * @returns {string} - ACCOUNT_LINK_CONFIG.codeLength 位數字
+ */
+function generateAccountLinkCode() {
+  const digits = Utilities.getUuid().replace(/-/g, '').split('')
+    .map(char => parseInt(char, 16) % 10)
+    .join('');
+  return digits.substring(0, ACCOUNT_LINK_CONFIG.codeLength);
+}
+
+/**
+ * 處理取得帳號綁定驗證碼
+ * 驗證碼傳送到手機號碼原本綁定的 LINE 帳號，由原帳號持有人確認後才能改綁
+ * @param {Object} data - 包含 lineUserId（已驗證）與 phone
+ * @returns {Object} - 處理結果
+ */
+function handleRequestAccountLinkCode(data) {
+  const check = checkAccountLinkRequest(data);
+  if (check.error) {
+    return check.error;
+  }
+
+  const phone = String(data.phone);
+  const cache = CacheService.getScriptCache();
+  const cacheKey = ACCOUNT_LINK_CONFIG.cacheKeyPrefix + data.lineUserId;
+
+  const pending = JSON.parse(cache.get(cacheKey) || 'null');
+  if (pending && Date.now() - pending.sentAt < ACCOUNT_LINK_CONFIG.resendCooldownSeconds * 1000) {
+    return {
+      success: false,
+      error: 'RESEND_TOO_SOON',
+      message: '驗證碼已傳送，請稍後再重新取得',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const code = generateAccountLinkCode();
+  const sendResult = getAccountLinkSender()({
+    currentLineUserId: check.link.lineUserId,
+    phone: phone,
+    code: code,
+    expiryMinutes: ACCOUNT_LINK_CONFIG.codeExpiryMinutes
+  });
+
+  if (!sendResult || !sendResult.success) {
+    console.error('帳號綁定驗證碼傳送失敗:', sendResult && sendResult.message);
+    return {
+      success: false,
+      error: 'LINK_CODE_SEND_FAILED',
+      message: '驗證碼傳送失敗，請改為申請店家協助綁定',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  cache.put(cacheKey, JSON.stringify({
+    phone: phone,
+    previousLineUserId: check.link.lineUserId,
+    codeHash: hashAccountLinkCode(data.lineUserId, phone, code),
+    attempts: 0,
+    sentAt: Date.now()
+  }), ACCOUNT_LINK_CONFIG.codeExpiryMinutes * 60);
+
+  appendAccountLinkLog({
+    action: 'code_sent',
+    phone: phone,
+    previousLineUserId: check.link.lineUserId,
+    newLineUserId: data.lineUserId,
+    actor: data.lineUserId,
+    note: '驗證碼傳送方式: ' + (ACCOUNT_LINK_SENDER_OVERRIDE ? 'override' : ACCOUNT_LINK_CONFIG.sender)
+  });
+
+  return {
+    success: true,
+    message: '驗證碼已傳送至原本綁定的 LINE 帳號',
+    expiresInMinutes: ACCOUNT_LINK_CONFIG.codeExpiryMinutes,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * 處理確認帳號綁定驗證碼，驗證通過後改綁客戶資料
+ * @param {Object} data - 包含 lineUserId（已驗證）、phone、code，選填 name
+ * @returns {Object} - 處理結果
+ */
+function handleConfirmAccountLink(data) {
+  if (!data || !data.lineUserId || !data.phone || !data.code) {
+    return {
+      success: false,
+      error: 'MISSING_PARAMS',
+      message: '缺少手機號碼或驗證碼',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const phone = String(data.phone);
+  const cache = CacheService.getScriptCache();
+  const cacheKey = ACCOUNT_LINK_CONFIG.cacheKeyPrefix + data.lineUserId;
+  const pending = JSON.parse(cache.get(cacheKey) || 'null');
+
+  if (!pending || pending.phone !== phone) {
+    return {
+      success: false,
+      error: 'LINK_CODE_EXPIRED',
+      message: '驗證碼已過期，請重新取得',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  if (hashAccountLinkCode(data.lineUserId, phone, String(data.code).trim()) !== pending.codeHash) {
+    pending.attempts++;
+    const remainingAttempts = ACCOUNT_LINK_CONFIG.maxCodeAttempts - pending.attempts;
+
+    if (remainingAttempts <= 0) {
+      cache.remove(cacheKey);
+      appendAccountLinkLog({
+        action: 'code_locked',
+        phone: phone,
+        previousLineUserId: pending.previousLineUserId,
+        newLineUserId: data.lineUserId,
+        actor: data.lineUserId,
+        note: '驗證碼錯誤次數過多'
+      });
+    } else {
+      const remainingSeconds = Math.floor((pending.sentAt + ACCOUNT_LINK_CONFIG.codeExpiryMinutes * 60 * 1000 - Date.now()) / 1000);
+      cache.put(cacheKey, JSON.stringify(pending), Math.max(remainingSeconds, 1));
+    }
+
+    return {
+      success: false,
+      error: 'LINK_CODE_INVALID',
+      message: remainingAttempts > 0 ? `驗證碼錯誤，還可以再試 ${remainingAttempts} 次` : '驗證碼錯誤次數過多，請重新取得',
+      remainingAttempts: Math.max(remainingAttempts, 0),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  cache.remove(cacheKey);
+
+  return relinkCustomerAccount({
+    phone: phone,
+    previousLineUserId: pending.previousLineUserId,
+    newLineUserId: data.lineUserId,
+    name: data.name,
+    actor: data.lineUserId,
+    actorType: AUDIT_CONFIG.actorTypes.CUSTOMER,
+    note: '原帳號驗證碼確認'
+  });
+}
+
+// ==================== 店家審核綁定 ====================
+
+/**
+ * 處理申請店家協助綁定（無法收到驗證碼時，例如原 LINE 帳號已無法使用）
+ * 申請寫入帳號綁定紀錄，狀態為 pending，由管理員在後台審核
+ * @param {Object} data - 包含 lineUserId（已驗證）、phone，選填 name
+ * @returns {Object} - 處理結果
+ */
+function handleRequestAccountLinkApproval(data) {
+  const check = checkAccountLinkRequest(data);
+  if (check.error) {
+    return check.error;
+  }
+
+  const phone = String(data.phone);
+  const existing = readAccountLinkLog().entries.find(entry =>
+    entry.action === 'approval_requested' &&
+    entry.status === 'pending' &&
+    entry.phone === phone &&
+    entry.newLineUserId === data.lineUserId
+  );
+
+  if (existing) {
+    return {
+      success: true,
+      requestId: existing.id,
+      message: '已收到您的綁定申請，店家確認後即完成綁定',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const requestId = appendAccountLinkLog({
+    action: 'approval_requested',
+    phone: phone,
+    previousLineUserId: check.link.lineUserId,
+    newLineUserId: data.lineUserId,
+    requestedName: data.name,
+    actor: data.lineUserId,
+    status: 'pending'
+  });
+
+  return {
+    success: true,
+    requestId: requestId,
+    message: '已送出綁定申請，店家確認後即完成綁定',
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * 處理取得待審核的綁定申請（僅限管理員）
+ * @param {Object} data - 包含 userId（已驗證的管理員）
+ * @returns {Object} - { requests }
+ */
+function handleGetAccountLinkRequests(data) {
+  const denied = requireAdmin(data && data.userId);
+  if (denied) {
+    return denied;
+  }
+
+  const requests = readAccountLinkLog().entries
+    .filter(entry => entry.action === 'approval_requested' && entry.status === 'pending')
+    .map(entry => {
+      const link = findCustomerLinkByPhone(entry.phone);
+      return {
+        requestId: entry.id,
+        phone: entry.phone,
+        requestedName: entry.requestedName,
+        customerName: link ? link.name : '',
+        requestedAt: entry.createdAt instanceof Date ? entry.createdAt.toISOString() : String(entry.createdAt || '')
+      };
+    });
+
+  return {
+    success: true,
+    requests: requests,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * 處理審核綁定申請（僅限管理員）
+ * @param {Object} data - 包含 userId（已驗證的管理員）、requestId、approve
+ * @returns {Object} - 處理結果
+ */
+function handleReviewAccountLinkRequest(data) {
+  const denied = requireAdmin(data && data.userId);
+  if (denied) {
+    return denied;
+  }
+
+  if (!data.requestId) {
+    return {
+      success: false,
+      error: 'MISSING_PARAMS',
+      message: '缺少申請編號',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const log = readAccountLinkLog();
+  const request = log.entries.find(entry =>
+    entry.id === String(data.requestId) && entry.action === 'approval_requested'
+  );
+
+  if (!request || request.status !== 'pending') {
+    return {
+      success: false,
+      error: 'REQUEST_NOT_FOUND',
+      message: '找不到待審核的綁定申請',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // JSONP 請求的布林值會以字串傳入
+  const approve = data.approve === true || data.approve === 'true';
+  const statusCell = log.sheet.getRange(request.row, ACCOUNT_LINK_LOG_COLUMNS.STATUS);
+
+  if (!approve) {
+    statusCell.setValue('rejected');
+    appendAccountLinkLog({
+      action: 'rejected',
+      phone: request.phone,
+      previousLineUserId: request.previousLineUserId,
+      newLineUserId: request.newLineUserId,
+      actor: data.userId,
+      note: '申請編號 ' + request.id
+    });
+
+    return {
+      success: true,
+      message: '已拒絕綁定申請',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const result = relinkCustomerAccount({
+    phone: request.phone,
+    previousLineUserId: request.previousLineUserId,
+    newLineUserId: request.newLineUserId,
+    name: request.requestedName,
+    actor: data.userId,
+    actorType: AUDIT_CONFIG.actorTypes.ADMIN,
+    note: '店家審核通過，申請編號 ' + request.id
+  });
+
+  // 客戶資料已被變更時，此申請無法再執行；系統忙碌則保留申請稍後再審核
+  if (result.success) {
+    statusCell.setValue('approved');
+  } else if (result.error !== 'LOCK_TIMEOUT') {
+    statusCell.setValue('cancelled');
+  }
+
+  return result.success ? Object.assign(result, { message: '已核准綁定申請' }) : result;
+}
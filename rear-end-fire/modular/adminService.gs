@@ -2,16 +2,40 @@
  * adminService.gs - 後台管理模組
  * 美甲預約系統 - Google Apps Script
  *
- * 包含：後台設定讀取、後台設定更新、管理員驗證
+ * 包含：後台設定讀取、客戶端服務選單、後台設定更新、後台設定驗證、服務時長計算、預約時間規則、管理員驗證、排程觸發條件
  */
 
+/**
+ * 後台預約項目工作表的標題欄位
+ */
+const ADMIN_SETTINGS_HEADERS = ['類型', 'ID', '名稱', '啟用', '排序', '時長（分鐘）', '設定值'];
+
 // ==================== 後台設定讀取 ====================
 
 /**
- * 處理取得後台設定
+ * 處理取得後台設定（僅限管理員）
+ * @param {Object} data - 包含 userId（管理員的 LINE User ID）
  * @returns {Object} - 後台設定資料
  */
-function handleGetAdminSettings() {
+function handleGetAdminSettings(data) {
+  const authError = requireAdmin(data && data.userId);
+  if (authError) {
+    return authError;
+  }
+
+  const result = readAdminSettings();
+  if (result.success) {
+    // 修訂版本：儲存時需一併送回，用來偵測其他管理員的更新
+    result.revision = getCurrentSettingsRevision();
+  }
+  return result;
+}
+
+/**
+ * 讀取後台預約項目工作表（內部使用，不做權限檢查）
+ * @returns {Object} - 後台設定資料
+ */
+function readAdminSettings() {
   try {
     console.log('開始讀取後台設定');
 
@@ -34,7 +58,8 @@ function handleGetAdminSettings() {
       extension: {
         enabled: false,
         quantities: []
-      }
+      },
+      bookingRules: {}
     };
 
     rows.forEach(row => {
@@ -43,8 +68,9 @@ function handleGetAdminSettings() {
       const name = row[2];
       const enabled = row[3] === true || row[3] === 'TRUE';
       const sort = row[4] || 0;
+      const duration = parseDurationMinutes(row[5]);
 
-      const item = { id: String(id), name, enabled, sort };
+      const item = { id: String(id), name, enabled, sort, duration };
 
       switch (type) {
         case 'SERVICE':
@@ -60,11 +86,18 @@ function handleGetAdminSettings() {
         case 'EXTENSION-Q':  // 延甲數量選項
           settings.extension.quantities.push(item);
           break;
+        case BOOKING_RULES_CONFIG.settingType:  // 預約時間規則
+          settings.bookingRules[id] = row[6];
+          break;
       }
     });
 
+    // 未設定或超出範圍的規則使用預設值
+    settings.bookingRules = normalizeBookingRules(settings.bookingRules);
+
     // 按排序順序排列
     settings.services.sort((a, b) => a.sort - b.sort);
+    settings.removals.sort((a, b) => a.sort - b.sort);
     settings.extension.quantities.sort((a, b) => a.sort - b.sort);
 
     console.log('後台設定讀取成功');
@@ -85,22 +118,68 @@ function handleGetAdminSettings() {
   }
 }
 
+// ==================== 客戶端服務選單 ====================
+
+/**
+ * 處理取得服務選單（公開）
+ * 只回傳啟用中的服務、卸甲與延甲數量選項，供預約頁面使用
+ * @returns {Object} - { services, removals, extension }
+ */
+function handleGetServiceMenu() {
+  const settingsResult = readAdminSettings();
+  if (!settingsResult.success) {
+    return settingsResult;
+  }
+
+  const settings = settingsResult.data;
+  const enabledOnly = items => items.filter(item => item.enabled);
+
+  return {
+    success: true,
+    data: {
+      services: enabledOnly(settings.services),
+      removals: enabledOnly(settings.removals),
+      extension: {
+        id: settings.extension.id,
+        enabled: settings.extension.enabled,
+        quantities: settings.extension.enabled ? enabledOnly(settings.extension.quantities) : []
+      }
+    },
+    timestamp: new Date().toISOString()
+  };
+}
+
 // ==================== 後台設定更新 ====================
 
 /**
- * 處理更新後台設定
- * @param {Object} data - 包含設定資料和用戶ID
+ * 處理更新後台設定（僅限管理員）
+ * 每次儲存都會保存一個設定版本（settingsHistoryService.gs），可在後台還原
+ * 請求需帶上載入設定時取得的 revision，版本已過期時回傳 CONFLICT，不會覆寫其他管理員的變更
+ * @param {Object} data - 包含設定資料、revision 和用戶ID
  * @returns {Object} 更新結果
  */
 function handleUpdateAdminSettings(data) {
+  const authError = requireAdmin(data && data.userId);
+  if (authError) {
+    return authError;
+  }
+
+  // 使用 Script Lock 讓版本檢查與整表寫入不會同時進行
+  const settingsLock = LockService.getScriptLock();
   try {
-    console.log('開始更新後台設定');
+    settingsLock.waitLock(30000);
+  } catch (lockError) {
+    console.error('無法取得後台設定鎖定:', lockError);
+    return {
+      success: false,
+      error: 'LOCK_TIMEOUT',
+      message: '設定正在被其他管理員儲存，請稍後再試',
+      timestamp: new Date().toISOString()
+    };
+  }
 
-    // TODO: 這裡應該驗證用戶是否為管理員
-    // const userId = data.userId;
-    // if (!isAdmin(userId)) {
-    //   throw new Error('無權限：僅管理員可以修改設定');
-    // }
+  try {
+    console.log('開始更新後台設定');
 
     const settings = data.settings;
 
@@ -108,128 +187,620 @@ function handleUpdateAdminSettings(data) {
       throw new Error('缺少設定資料');
     }
 
-    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
-    let sheet = spreadsheet.getSheetByName('後台預約項目');
+    const fieldErrors = validateAdminSettingsPayload(settings);
+    if (fieldErrors.length > 0) {
+      console.warn('後台設定格式錯誤:', JSON.stringify(fieldErrors));
+      return {
+        success: false,
+        error: 'VALIDATION_FAILED',
+        message: `設定資料有 ${fieldErrors.length} 個錯誤：${fieldErrors[0].message}`,
+        errors: fieldErrors,
+        timestamp: new Date().toISOString()
+      };
+    }
 
-    // 如果工作表不存在，建立它
-    if (!sheet) {
-      console.log('建立新工作表：後台預約項目');
-      sheet = spreadsheet.insertSheet('後台預約項目');
+    // 變更前的設定（版本檢查、寫入操作紀錄與版本紀錄用）
+    const previousSettings = readAdminSettings();
+
+    const conflict = checkSettingsRevision(data.revision, previousSettings);
+    if (conflict) {
+      return conflict;
+    }
+
+    const itemsUpdated = writeAdminSettings(settings);
+
+    console.log('後台設定更新成功');
+
+    const updatedSettings = readAdminSettings();
+    const version = saveSettingsVersion(
+      updatedSettings.success ? updatedSettings.data : settings,
+      data.userId,
+      '後台儲存',
+      previousSettings
+    );
+
+    recordAudit({
+      action: 'updateAdminSettings',
+      actor: data.userId,
+      actorType: AUDIT_CONFIG.actorTypes.ADMIN,
+      targetType: 'settings',
+      targetId: '後台預約項目',
+      summary: `更新後台設定（${itemsUpdated} 筆），版本 ${version}`,
+      before: previousSettings.success ? previousSettings.data : null,
+      after: updatedSettings.success ? updatedSettings.data : settings
+    });
+
+    return {
+      success: true,
+      message: '設定已成功更新',
+      itemsUpdated: itemsUpdated,
+      version: version,
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error('更新後台設定失敗:', error);
+    return {
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
 
-      // 設定標題行
-      const headers = ['類型', 'ID', '名稱', '啟用', '排序'];
-      sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  } finally {
+    settingsLock.releaseLock();
+  }
+}
 
-      // 設定標題樣式
-      const headerRange = sheet.getRange(1, 1, 1, headers.length);
-      headerRange.setFontWeight('bold');
-      headerRange.setBackground('#e8dbe8');
+/**
+ * 將設定整批寫入後台預約項目工作表（內部使用，不做權限檢查）
+ * 工作表不存在時自動建立；未提供預約規則時保留原設定
+ * @param {Object} settings - 設定資料（services、removals、extension、bookingRules）
+ * @returns {number} - 寫入的資料筆數
+ * @throws {Error} 預約規則不合法
+ */
+function writeAdminSettings(settings) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName('後台預約項目');
+
+  // 如果工作表不存在，建立它
+  if (!sheet) {
+    console.log('建立新工作表：後台預約項目');
+    sheet = spreadsheet.insertSheet('後台預約項目');
+
+    // 設定標題行
+    const headers = ADMIN_SETTINGS_HEADERS;
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+
+    // 設定標題樣式
+    const headerRange = sheet.getRange(1, 1, 1, headers.length);
+    headerRange.setFontWeight('bold');
+    headerRange.setBackground('#e8dbe8');
+
+    // 凍結標題行
+    sheet.setFrozenRows(1);
+  } else if (sheet.getLastColumn() < ADMIN_SETTINGS_HEADERS.length) {
+    // 舊工作表沒有「時長」或「設定值」欄位，補上標題
+    sheet.getRange(1, 1, 1, ADMIN_SETTINGS_HEADERS.length)
+      .setValues([ADMIN_SETTINGS_HEADERS])
+      .setFontWeight('bold');
+  }
 
-      // 凍結標題行
-      sheet.setFrozenRows(1);
+  // 前端未送出預約規則時保留原設定，避免整表重寫時遺失
+  let bookingRules;
+  if (settings.bookingRules) {
+    const ruleErrors = validateBookingRules(settings.bookingRules);
+    if (ruleErrors.length > 0) {
+      throw new Error(ruleErrors.join('、'));
     }
+    bookingRules = normalizeBookingRules(settings.bookingRules);
+  } else {
+    bookingRules = getBookingRules();
+  }
 
-    // 準備新資料
-    const newData = [];
+  // 準備新資料
+  const newData = [];
 
-    // 新增服務項目
-    if (settings.services && Array.isArray(settings.services)) {
-      settings.services.forEach((service, index) => {
+  // 新增服務項目
+  if (settings.services && Array.isArray(settings.services)) {
+    settings.services.forEach((service, index) => {
+      newData.push([
+        'SERVICE',
+        service.id,
+        service.name,
+        service.enabled,
+        service.sort || (index + 1),
+        toDurationCell(service.duration),
+        ''
+      ]);
+    });
+  }
+
+  // 新增卸甲選項
+  if (settings.removals && Array.isArray(settings.removals)) {
+    settings.removals.forEach((removal, index) => {
+      newData.push([
+        'REMOVAL',
+        removal.id,
+        removal.name,
+        removal.enabled,
+        index + 1,  // 卸甲選項也獨立排序
+        toDurationCell(removal.duration),
+        ''
+      ]);
+    });
+  }
+
+  // 新增延甲設定
+  if (settings.extension) {
+    // 延甲功能開關
+    newData.push([
+      'EXTENSION',
+      settings.extension.id || 'EXT10001',  // 使用提供的 ID
+      '延甲功能',
+      settings.extension.enabled,
+      1,  // 延甲主項目排序為 1
+      '',  // 延甲主項目不計時長，由數量選項決定
+      ''
+    ]);
+
+    // 延甲數量選項
+    if (settings.extension.quantities && Array.isArray(settings.extension.quantities)) {
+      settings.extension.quantities.forEach((quantity, index) => {
         newData.push([
-          'SERVICE',
-          service.id,
-          service.name,
-          service.enabled,
-          service.sort || (index + 1)
+          'EXTENSION-Q',  // 延甲數量類型
+          quantity.id,
+          quantity.name,
+          quantity.enabled,
+          quantity.sort || (index + 1),
+          toDurationCell(quantity.duration),
+          ''
         ]);
       });
     }
+  }
 
-    // 新增卸甲選項
-    if (settings.removals && Array.isArray(settings.removals)) {
-      settings.removals.forEach((removal, index) => {
-        newData.push([
-          'REMOVAL',
-          removal.id,
-          removal.name,
-          removal.enabled,
-          index + 1  // 卸甲選項也獨立排序
-        ]);
-      });
+  // 新增預約時間規則
+  Object.keys(BOOKING_RULES_CONFIG.fields).forEach((key, index) => {
+    newData.push([
+      BOOKING_RULES_CONFIG.settingType,
+      key,
+      BOOKING_RULES_CONFIG.fields[key].label,
+      true,
+      index + 1,
+      '',
+      bookingRules[key]
+    ]);
+  });
+
+  // 清空現有資料（保留標題）
+  const lastRow = sheet.getLastRow();
+  if (lastRow > 1) {
+    sheet.getRange(2, 1, lastRow - 1, ADMIN_SETTINGS_HEADERS.length).clearContent();
+  }
+
+  // 寫入新資料
+  if (newData.length > 0) {
+    sheet.getRange(2, 1, newData.length, ADMIN_SETTINGS_HEADERS.length).setValues(newData);
+    console.log('成功寫入 ' + newData.length + ' 筆資料');
+  }
+
+  // 自動調整欄寬
+  sheet.autoResizeColumns(1, ADMIN_SETTINGS_HEADERS.length);
+
+  return newData.length;
+}
+
+// ==================== 後台設定驗證 ====================
+
+/**
+ * 後台設定各區塊對應的工作表類型與顯示名稱
+ */
+const ADMIN_SETTINGS_SECTIONS = {
+  services: { type: 'SERVICE', label: '服務項目' },
+  removals: { type: 'REMOVAL', label: '卸甲選項' },
+  quantities: { type: 'EXTENSION-Q', label: '延甲數量選項' }
+};
+
+/**
+ * 驗證後台設定資料格式
+ * 錯誤以欄位為單位回傳，前端可依 section、id（或 index）標示對應項目
+ * @param {Object} settings - 前端送出的設定資料
+ * @returns {Array<Object>} - [{ section, id, index, field, message }]，全部通過時為空陣列
+ */
+function validateAdminSettingsPayload(settings) {
+  const errors = [];
+  const addError = (section, id, index, field, message) => {
+    errors.push({ section: section, id: id || '', index: index, field: field, message: message });
+  };
+
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    addError('settings', '', null, '', '設定資料格式錯誤');
+    return errors;
+  }
+
+  const extension = settings.extension;
+  if (!extension || typeof extension !== 'object' || Array.isArray(extension)) {
+    addError('extension', '', null, '', '缺少延甲功能設定');
+  } else {
+    const extensionId = String(extension.id || '');
+    if (!ADMIN_SETTINGS_SCHEMA.idPatterns.EXTENSION.test(extensionId)) {
+      addError('extension', extensionId, null, 'id', '延甲功能的 ID 格式錯誤');
     }
+    if (typeof extension.enabled !== 'boolean') {
+      addError('extension', extensionId, null, 'enabled', '延甲功能的啟用狀態必須是布林值');
+    }
+  }
 
-    // 新增延甲設定
-    if (settings.extension) {
-      // 延甲功能開關
-      newData.push([
-        'EXTENSION',
-        settings.extension.id || 'EXT10001',  // 使用提供的 ID
-        '延甲功能',
-        settings.extension.enabled,
-        1  // 延甲主項目排序為 1
-      ]);
+  const lists = {
+    services: settings.services,
+    removals: settings.removals,
+    // 延甲數量選項可省略
+    quantities: extension && typeof extension === 'object' && extension.quantities !== undefined ? extension.quantities : []
+  };
+
+  Object.keys(ADMIN_SETTINGS_SECTIONS).forEach(section => {
+    const items = lists[section];
+    const sectionInfo = ADMIN_SETTINGS_SECTIONS[section];
+
+    if (!Array.isArray(items)) {
+      addError(section, '', null, '', `${sectionInfo.label}必須是陣列`);
+      return;
+    }
+    if (items.length > ADMIN_SETTINGS_SCHEMA.maxItems) {
+      addError(section, '', null, '', `${sectionInfo.label}最多 ${ADMIN_SETTINGS_SCHEMA.maxItems} 筆`);
+      return;
+    }
 
-      // 延甲數量選項
-      if (settings.extension.quantities && Array.isArray(settings.extension.quantities)) {
-        settings.extension.quantities.forEach((quantity, index) => {
-          newData.push([
-            'EXTENSION-Q',  // 延甲數量類型
-            quantity.id,
-            quantity.name,
-            quantity.enabled,
-            quantity.sort || (index + 1)
-          ]);
-        });
+    const seenIds = {};
+    items.forEach((item, index) => {
+      validateAdminSettingsItem(item, index, section, seenIds, addError);
+    });
+  });
+
+  if (settings.bookingRules !== undefined) {
+    const rules = settings.bookingRules;
+    Object.keys(BOOKING_RULES_CONFIG.fields).forEach(key => {
+      const field = BOOKING_RULES_CONFIG.fields[key];
+      const value = rules && typeof rules === 'object' ? rules[key] : undefined;
+      if (!Number.isInteger(value) || value < field.min || value > field.max) {
+        addError('bookingRules', key, null, key, `${field.label}必須是 ${field.min}～${field.max} 的整數`);
       }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * 驗證單一項目（服務項目、卸甲選項、延甲數量選項）
+ * @param {Object} item - 項目資料
+ * @param {number} index - 項目在列表中的位置（從 0 開始）
+ * @param {string} section - 區塊名稱（services、removals、quantities）
+ * @param {Object} seenIds - 已出現的 ID（檢查重複用，會被修改）
+ * @param {Function} addError - (section, id, index, field, message) => void
+ */
+function validateAdminSettingsItem(item, index, section, seenIds, addError) {
+  const sectionInfo = ADMIN_SETTINGS_SECTIONS[section];
+  const position = `第 ${index + 1} 個${sectionInfo.label}`;
+
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    addError(section, '', index, '', `${position}格式錯誤`);
+    return;
+  }
+
+  const id = typeof item.id === 'string' ? item.id : '';
+  if (!id) {
+    addError(section, '', index, 'id', `${position}缺少 ID`);
+  } else if (!ADMIN_SETTINGS_SCHEMA.idPatterns[sectionInfo.type].test(id)) {
+    addError(section, id, index, 'id', `${position}的 ID 格式錯誤`);
+  } else if (seenIds[id]) {
+    addError(section, id, index, 'id', `${position}的 ID 與其他${sectionInfo.label}重複`);
+  }
+  if (id) {
+    seenIds[id] = true;
+  }
+
+  const name = typeof item.name === 'string' ? item.name.trim() : '';
+  if (!name) {
+    addError(section, id, index, 'name', `${position}的名稱不能為空`);
+  } else if (name.length > ADMIN_SETTINGS_SCHEMA.maxNameLength) {
+    addError(section, id, index, 'name', `${position}的名稱不能超過 ${ADMIN_SETTINGS_SCHEMA.maxNameLength} 個字`);
+  } else if (/[<>]/.test(name)) {
+    addError(section, id, index, 'name', `${position}的名稱不能包含 < 或 >`);
+  }
+
+  if (typeof item.enabled !== 'boolean') {
+    addError(section, id, index, 'enabled', `${position}的啟用狀態必須是布林值`);
+  }
+
+  if (item.sort !== undefined && (!Number.isInteger(item.sort) || item.sort < 1)) {
+    addError(section, id, index, 'sort', `${position}的排序必須是 1 以上的整數`);
+  }
+
+  const duration = item.duration;
+  if (duration !== undefined && duration !== null && duration !== '' &&
+      (!Number.isInteger(duration) || duration < 0 || duration > ADMIN_SETTINGS_SCHEMA.maxDuration)) {
+    addError(section, id, index, 'duration', `${position}的時長必須是 0～${ADMIN_SETTINGS_SCHEMA.maxDuration} 的整數分鐘`);
+  }
+}
+
+// ==================== 服務時長計算 ====================
+
+/**
+ * 解析工作表中的時長欄位
+ * @param {*} value - 儲存格內容（分鐘）
+ * @returns {number|null} - 時長（分鐘），未設定或格式錯誤時為 null
+ */
+function parseDurationMinutes(value) {
+  if (value === '' || value === null || value === undefined) {
+    return null;
+  }
+  const minutes = Number(value);
+  if (!isFinite(minutes) || minutes < 0) {
+    return null;
+  }
+  return Math.round(minutes);
+}
+
+/**
+ * 轉換為寫入工作表的時長欄位值
+ * @param {*} value - 前端傳入的時長（分鐘）
+ * @returns {number|string} - 時長（分鐘），未設定時為空字串
+ */
+function toDurationCell(value) {
+  const minutes = parseDurationMinutes(value);
+  return minutes === null ? '' : minutes;
+}
+
+/**
+ * 計算預約組合的總服務時長
+ * 服務項目未設定時長時使用 CALENDAR_CONFIG.defaultDuration；卸甲、延甲未設定時不加時
+ * @param {Object} selection - { service, removal, quantity }（皆為後台項目 ID）
+ * @param {Object} settings - 後台設定（省略時自動讀取）
+ * @returns {number} - 總時長（分鐘）
+ */
+function calculateBookingDurationMinutes(selection, settings) {
+  const defaultMinutes = CALENDAR_CONFIG.defaultDuration * 60;
+
+  if (!settings) {
+    const settingsResult = readAdminSettings();
+    if (!settingsResult.success) {
+      console.warn('讀取後台設定失敗，使用預設服務時長');
+      return defaultMinutes;
     }
+    settings = settingsResult.data;
+  }
 
-    // 清空現有資料（保留標題）
-    const lastRow = sheet.getLastRow();
-    if (lastRow > 1) {
-      sheet.getRange(2, 1, lastRow - 1, 5).clearContent();
+  const findItem = (items, id) => (id ? items.find(item => item.id === String(id)) : null);
+  const service = findItem(settings.services, selection.service);
+  const removal = findItem(settings.removals, selection.removal);
+  const quantity = findItem(settings.extension.quantities, selection.quantity);
+
+  let total = service && service.duration !== null ? service.duration : defaultMinutes;
+  if (removal && removal.duration) {
+    total += removal.duration;
+  }
+  if (quantity && quantity.duration) {
+    total += quantity.duration;
+  }
+
+  return total > 0 ? total : defaultMinutes;
+}
+
+/**
+ * 正規化前端傳入的時長參數（僅用於時段查詢，實際預約以後端計算為準）
+ * @param {*} value - 時長（分鐘）
+ * @returns {number} - 時長（分鐘），無效時使用預設時長
+ */
+function normalizeDurationParam(value) {
+  const minutes = parseDurationMinutes(value);
+  if (!minutes || minutes > 24 * 60) {
+    return CALENDAR_CONFIG.defaultDuration * 60;
+  }
+  return minutes;
+}
+
+// ==================== 預約時間規則 ====================
+
+/**
+ * 驗證前端送出的預約規則
+ * @param {Object} rules - { advanceHours, openingDay, openingHour }
+ * @returns {Array} - 錯誤訊息陣列，全部通過時為空陣列
+ */
+function validateBookingRules(rules) {
+  const errors = [];
+
+  Object.keys(BOOKING_RULES_CONFIG.fields).forEach(key => {
+    const field = BOOKING_RULES_CONFIG.fields[key];
+    const value = Number(rules[key]);
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+      errors.push(`${field.label}必須是 ${field.min}～${field.max} 的整數`);
     }
+  });
+
+  return errors;
+}
+
+/**
+ * 正規化預約規則，未設定或超出範圍的欄位使用預設值
+ * @param {Object} rules - 工作表或前端的預約規則
+ * @returns {Object} - { advanceHours, openingDay, openingHour }
+ */
+function normalizeBookingRules(rules) {
+  const normalized = {};
+
+  Object.keys(BOOKING_RULES_CONFIG.fields).forEach(key => {
+    const field = BOOKING_RULES_CONFIG.fields[key];
+    const raw = rules ? rules[key] : null;
+    const value = (raw === '' || raw === null || raw === undefined) ? NaN : Number(raw);
+    normalized[key] = (Number.isInteger(value) && value >= field.min && value <= field.max)
+      ? value
+      : BOOKING_RULES_CONFIG.defaults[key];
+  });
+
+  return normalized;
+}
 
-    // 寫入新資料
-    if (newData.length > 0) {
-      sheet.getRange(2, 1, newData.length, 5).setValues(newData);
-      console.log('成功寫入 ' + newData.length + ' 筆資料');
+/**
+ * 取得目前的預約時間規則
+ * @param {Object} settings - 後台設定（省略時自動讀取）
+ * @returns {Object} - { advanceHours, openingDay, openingHour }
+ */
+function getBookingRules(settings) {
+  if (!settings) {
+    const settingsResult = readAdminSettings();
+    if (!settingsResult.success) {
+      console.warn('讀取後台設定失敗，使用預設預約規則');
+      return normalizeBookingRules(null);
     }
+    settings = settingsResult.data;
+  }
 
-    // 自動調整欄寬
-    sheet.autoResizeColumns(1, 5);
+  return normalizeBookingRules(settings.bookingRules);
+}
 
-    console.log('後台設定更新成功');
+// ==================== 管理員驗證 ====================
+
+/**
+ * 讀取管理員名單中啟用的 LINE User ID
+ * 名單存放於 ADMIN_CONFIG.sheetName 工作表，店家可直接在試算表新增或停用管理員
+ * @returns {Array<string>} - 管理員 LINE User ID 陣列
+ */
+function getAdminUserIds() {
+  const sheet = getSheet(ADMIN_CONFIG.sheetName);
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) {
+    return [];
+  }
+
+  return sheet.getRange(2, 1, lastRow - 1, ADMIN_ROSTER_HEADERS.length).getValues()
+    .filter(row => row[ADMIN_ROSTER_COLUMNS.LINE_USER_ID - 1] &&
+      (row[ADMIN_ROSTER_COLUMNS.ENABLED - 1] === true || row[ADMIN_ROSTER_COLUMNS.ENABLED - 1] === 'TRUE'))
+    .map(row => String(row[ADMIN_ROSTER_COLUMNS.LINE_USER_ID - 1]).trim());
+}
+
+/**
+ * 驗證用戶是否為管理員
+ * @param {string} userId - LINE User ID
+ * @returns {boolean} 是否為管理員
+ */
+function isAdmin(userId) {
+  if (!userId) {
+    return false;
+  }
+
+  try {
+    return getAdminUserIds().includes(String(userId).trim());
+  } catch (error) {
+    console.error('讀取管理員名單失敗:', error);
+    return false;
+  }
+}
+
+/**
+ * 確認請求者為管理員
+ * @param {string} userId - LINE User ID
+ * @returns {Object|null} - 非管理員時回傳錯誤結果，管理員回傳 null
+ */
+function requireAdmin(userId) {
+  if (isAdmin(userId)) {
+    return null;
+  }
+
+  console.warn('拒絕非管理員的後台請求', { hasUserId: !!userId });
+
+  return {
+    success: false,
+    error: 'ADMIN_REQUIRED',
+    message: '您沒有後台管理權限，請聯絡店家將您的 LINE 帳號加入管理員名單',
+    timestamp: new Date().toISOString()
+  };
+}
+
+// ==================== 排程觸發條件 ====================
+
+/**
+ * 找出尚未安裝的排程觸發條件
+ * @returns {Array<Object>} - SCHEDULED_TRIGGER_CONFIG.triggers 中尚未建立觸發條件的項目
+ */
+function getMissingScheduledTriggers() {
+  const installed = ScriptApp.getProjectTriggers().map(trigger => trigger.getHandlerFunction());
+  return SCHEDULED_TRIGGER_CONFIG.triggers.filter(item => !installed.includes(item.handler));
+}
+
+/**
+ * 依設定建立時間驅動觸發條件
+ * @param {Object} item - SCHEDULED_TRIGGER_CONFIG.triggers 的項目（everyMinutes 或 everyDays + atHour）
+ */
+function createScheduledTrigger(item) {
+  const builder = ScriptApp.newTrigger(item.handler).timeBased();
+
+  if (item.everyMinutes) {
+    builder.everyMinutes(item.everyMinutes);
+  } else {
+    builder.everyDays(item.everyDays).atHour(item.atHour).inTimezone(SYSTEM_CONFIG.TIMEZONE);
+  }
+
+  builder.create();
+}
+
+/**
+ * 處理安裝排程觸發條件（僅限管理員）
+ * 只建立尚未存在的觸發條件，重複執行不會產生重複的排程
+ * @param {Object} data - 包含 userId（已驗證的管理員）
+ * @returns {Object} - { created: 本次建立的排程名稱 }
+ */
+function handleEnsureScheduledTriggers(data) {
+  const authError = requireAdmin(data && data.userId);
+  if (authError) {
+    return authError;
+  }
+
+  // 避免同時點擊時重複建立觸發條件
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    return {
+      success: false,
+      error: 'LOCK_TIMEOUT',
+      message: '系統忙碌中，請稍後再試',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  try {
+    const missing = getMissingScheduledTriggers();
+    missing.forEach(createScheduledTrigger);
+    const created = missing.map(item => item.label);
+
+    if (created.length > 0) {
+      recordAudit({
+        action: 'ensureScheduledTriggers',
+        actor: data.userId,
+        actorType: AUDIT_CONFIG.actorTypes.ADMIN,
+        targetType: 'trigger',
+        targetId: missing.map(item => item.handler).join(','),
+        summary: `啟用自動排程：${created.join('、')}`,
+        before: null,
+        after: missing
+      });
+    }
 
     return {
       success: true,
-      message: '設定已成功更新',
-      itemsUpdated: newData.length,
+      created: created,
+      message: created.length > 0 ? `已啟用自動排程：${created.join('、')}` : '自動排程皆已啟用',
       timestamp: new Date().toISOString()
     };
 
   } catch (error) {
-    console.error('更新後台設定失敗:', error);
+    console.error('安裝排程觸發條件失敗:', error);
     return {
       success: false,
       error: error.message,
+      message: '啟用自動排程失敗，請確認部署帳號已授權觸發條件權限',
       timestamp: new Date().toISOString()
     };
+  } finally {
+    lock.releaseLock();
   }
 }
-
-// ==================== 管理員驗證 ====================
-
-/**
- * 驗證用戶是否為管理員（預留功能）
- * @param {string} userId - LINE User ID
- * @returns {boolean} 是否為管理員
- */
-function isAdmin(userId) {
-  // TODO: 實作管理員驗證邏輯
-  // 可以從另一個工作表讀取管理員列表
-  // 或者使用 PropertiesService 儲存管理員 ID
-
-  // 暫時返回 true，允許所有人更新（開發階段）
-  console.warn('管理員驗證尚未實作，暫時允許所有用戶');
-  return true;
-}
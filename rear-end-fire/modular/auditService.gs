@@ -0,0 +1,191 @@
+/**
+ * auditService.gs - 操作紀錄模組
+ * 美甲預約系統 - Google Apps Script
+ *
+ * 包含：寫入操作紀錄（操作者、對象、變更前後差異）、後台查詢操作紀錄
+ */
+
+// ==================== 差異計算 ====================
+
+/**
+ * 將物件展開為「路徑 → 值」對照表
+ * 陣列中含 id 的項目以 id 作為路徑（排序變動不會被視為整批修改）
+ * @param {*} value - 要展開的值
+ * @param {string} prefix - 目前路徑
+ * @param {Object} output - 輸出對照表（會被修改）
+ * @returns {Object} - output
+ */
+function flattenAuditValue(value, prefix, output) {
+  if (value instanceof Date) {
+    output[prefix] = value.toISOString();
+  } else if (Array.isArray(value)) {
+    value.forEach((item, index) => {
+      const key = item && typeof item === 'object' && item.id !== undefined ? item.id : index;
+      flattenAuditValue(item, prefix ? `${prefix}[${key}]` : `[${key}]`, output);
+    });
+  } else if (value && typeof value === 'object') {
+    Object.keys(value).forEach(key => {
+      flattenAuditValue(value[key], prefix ? `${prefix}.${key}` : key, output);
+    });
+  } else if (value !== undefined && value !== null && value !== '') {
+    output[prefix] = value;
+  }
+  return output;
+}
+
+/**
+ * 計算變更前後的差異
+ * @param {Object|null} before - 變更前資料（新增時為 null）
+ * @param {Object|null} after - 變更後資料（刪除時為 null）
+ * @returns {Object} - { 路徑: { before, after } }，只包含有變動的欄位
+ */
+function computeAuditDiff(before, after) {
+  const beforeValues = flattenAuditValue(before, '', {});
+  const afterValues = flattenAuditValue(after, '', {});
+  const diff = {};
+
+  Object.keys(beforeValues).concat(Object.keys(afterValues)).forEach(path => {
+    if (diff[path] || String(beforeValues[path]) === String(afterValues[path])) {
+      return;
+    }
+    diff[path] = {
+      before: beforeValues[path] !== undefined ? beforeValues[path] : null,
+      after: afterValues[path] !== undefined ? afterValues[path] : null
+    };
+  });
+
+  return diff;
+}
+
+// ==================== 寫入操作紀錄 ====================
+
+/**
+ * 寫入多筆操作紀錄
+ * 紀錄失敗只寫入日誌，不影響原本的操作結果
+ * @param {Array<Object>} entries - 每筆包含 action、actor、actorType、targetType、targetId、summary、before、after
+ */
+function recordAuditEntries(entries) {
+  if (!entries || entries.length === 0) {
+    return;
+  }
+
+  try {
+    const now = new Date();
+    const rows = entries.map(entry => {
+      let changes = JSON.stringify(computeAuditDiff(entry.before || null, entry.after || null));
+      if (changes.length > AUDIT_CONFIG.maxChangesLength) {
+        changes = changes.substring(0, AUDIT_CONFIG.maxChangesLength) + '…（內容過長已截斷）';
+      }
+
+      return [
+        now,
+        entry.action,
+        entry.actor || '',
+        entry.actorType || AUDIT_CONFIG.actorTypes.SYSTEM,
+        entry.targetType || '',
+        entry.targetId || '',
+        entry.summary || '',
+        changes
+      ];
+    });
+
+    const sheet = getSheet(AUDIT_CONFIG.sheetName);
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, AUDIT_LOG_HEADERS.length).setValues(rows);
+
+  } catch (error) {
+    console.error('寫入操作紀錄失敗:', error);
+  }
+}
+
+/**
+ * 寫入一筆操作紀錄
+ * @param {Object} entry - action、actor、actorType、targetType、targetId、summary、before、after
+ */
+function recordAudit(entry) {
+  recordAuditEntries([entry]);
+}
+
+// ==================== 查詢操作紀錄 ====================
+
+/**
+ * 處理查詢操作紀錄（僅限管理員）
+ * 依日期區間與操作者篩選，最新的紀錄在前，最多回傳 AUDIT_CONFIG.maxQueryResults 筆
+ * @param {Object} data - 包含 userId（已驗證的管理員），選填 startDate、endDate（YYYY-MM-DD）、actorType、actor（部分比對）
+ * @returns {Object} - { entries, totalCount, truncated }
+ */
+function handleGetAuditLog(data) {
+  const authError = requireAdmin(data && data.userId);
+  if (authError) {
+    return authError;
+  }
+
+  const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+  const startDate = data.startDate ? String(data.startDate) : '';
+  const endDate = data.endDate ? String(data.endDate) : '';
+  if ((startDate && !DATE_REGEX.test(startDate)) || (endDate && !DATE_REGEX.test(endDate))) {
+    return {
+      success: false,
+      error: 'INVALID_DATE',
+      message: '日期格式錯誤，請使用 YYYY-MM-DD',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  try {
+    const sheet = getSheet(AUDIT_CONFIG.sheetName);
+    const lastRow = sheet.getLastRow();
+    const rows = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, AUDIT_LOG_HEADERS.length).getValues() : [];
+    const actorType = data.actorType ? String(data.actorType) : '';
+    const actorKeyword = data.actor ? String(data.actor).trim().toLowerCase() : '';
+
+    const matched = rows
+      .map(values => {
+        const time = values[AUDIT_LOG_COLUMNS.TIME - 1];
+        return {
+          timestamp: time instanceof Date ? time.toISOString() : String(time || ''),
+          date: time instanceof Date ? getTaipeiDateString(time) : '',
+          action: String(values[AUDIT_LOG_COLUMNS.ACTION - 1] || ''),
+          actor: String(values[AUDIT_LOG_COLUMNS.ACTOR - 1] || ''),
+          actorType: String(values[AUDIT_LOG_COLUMNS.ACTOR_TYPE - 1] || ''),
+          targetType: String(values[AUDIT_LOG_COLUMNS.TARGET_TYPE - 1] || ''),
+          targetId: String(values[AUDIT_LOG_COLUMNS.TARGET_ID - 1] || ''),
+          summary: String(values[AUDIT_LOG_COLUMNS.SUMMARY - 1] || ''),
+          changes: String(values[AUDIT_LOG_COLUMNS.CHANGES - 1] || '')
+        };
+      })
+      .filter(entry => {
+        if (startDate && entry.date < startDate) return false;
+        if (endDate && entry.date > endDate) return false;
+        if (actorType && entry.actorType !== actorType) return false;
+        if (actorKeyword && !entry.actor.toLowerCase().includes(actorKeyword)) return false;
+        return true;
+      })
+      .reverse();
+
+    // 只解析要回傳的紀錄的變更內容
+    const entries = matched.slice(0, AUDIT_CONFIG.maxQueryResults).map(entry => {
+      try {
+        entry.changes = JSON.parse(entry.changes || '{}');
+      } catch (parseError) {
+        entry.changes = { raw: entry.changes };
+      }
+      return entry;
+    });
+
+    return {
+      success: true,
+      entries: entries,
+      totalCount: matched.length,
+      truncated: matched.length > AUDIT_CONFIG.maxQueryResults,
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error('查詢操作紀錄失敗:', error);
+    return {
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
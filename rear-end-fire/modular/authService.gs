@@ -0,0 +1,335 @@
+/**
+ * authService.gs - LINE 身分驗證模組
+ * 美甲預約系統 - Google Apps Script
+ *
+ * 包含：ID Token 驗證器（LINE 官方驗證、本機金鑰）、Token 內容檢查、請求身分套用
+ */
+
+/**
+ * 需要驗證 LINE 身分的動作，以及驗證後要覆寫的用戶 ID 欄位
+ * 這些動作一律以 ID Token 內的用戶為準，忽略前端傳入的 User ID
+ */
+const LINE_IDENTITY_ACTIONS = {
+  saveCustomer: 'lineUserId',
+  saveBooking: 'lineUserId',
+  getHomepageData: 'lineUserId',
+  getCustomerBookings: 'lineUserId',
+  getCustomer: 'lineUserId',
+  getCustomerByLineId: 'lineUserId',
+  verifyCustomerByLineId: 'lineUserId',
+  cancelBooking: 'lineUserId',
+  rescheduleBooking: 'lineUserId',
+  holdTimeSlot: 'lineUserId',
+  joinWaitlist: 'lineUserId',
+  leaveWaitlist: 'lineUserId',
+  getWaitlistOffer: 'lineUserId',
+  getCsrfToken: 'lineUserId',
+  requestAccountLinkCode: 'lineUserId',
+  confirmAccountLink: 'lineUserId',
+  requestAccountLinkApproval: 'lineUserId',
+  getAdminSettings: 'userId',
+  updateAdminSettings: 'userId',
+  updateBookingStatus: 'userId',
+  listBookings: 'userId',
+  adminCreateBooking: 'userId',
+  updateBooking: 'userId',
+  searchCustomers: 'userId',
+  listTimeSlots: 'userId',
+  createTimeSlots: 'userId',
+  moveTimeSlot: 'userId',
+  deleteTimeSlot: 'userId',
+  copyTimeSlotWeek: 'userId',
+  listSlotTemplates: 'userId',
+  saveSlotTemplate: 'userId',
+  deleteSlotTemplate: 'userId',
+  previewSlotTemplates: 'userId',
+  publishSlotTemplates: 'userId',
+  ensureScheduledTriggers: 'userId',
+  getAccountLinkRequests: 'userId',
+  getAuditLog: 'userId',
+  getSettingsHistory: 'userId',
+  restoreSettingsVersion: 'userId',
+  reviewAccountLinkRequest: 'userId'
+};
+
+// ==================== ID Token 驗證器 ====================
+
+/**
+ * 以 LINE 官方驗證端點驗證 ID Token（LINE 伺服器會檢查簽章、audience 與有效期限）
+ * @param {string} idToken - LIFF 取得的 ID Token
+ * @param {string} channelId - LINE Login Channel ID
+ * @returns {Object} - Token 內容（payload）
+ */
+function verifyIdTokenWithLine(idToken, channelId) {
+  const response = UrlFetchApp.fetch(ID_TOKEN_CONFIG.verifyUrl, {
+    method: 'post',
+    payload: {
+      id_token: idToken,
+      client_id: channelId
+    },
+    muteHttpExceptions: true
+  });
+
+  const body = JSON.parse(response.getContentText() || '{}');
+  if (response.getResponseCode() !== 200) {
+    throw new Error(body.error_description || body.error || 'LINE 驗證端點拒絕此 ID Token');
+  }
+
+  return body;
+}
+
+/**
+ * 以本機金鑰（HS256）驗證 ID Token，供測試使用，不需連線到 LINE
+ * 金鑰存放於 ID_TOKEN_LOCAL_SECRET 指令碼屬性，測試 Token 可用 signLocalIdToken 產生
+ * @param {string} idToken - ID Token
+ * @returns {Object} - Token 內容（payload）
+ */
+function verifyIdTokenWithLocalKey(idToken) {
+  const secret = ID_TOKEN_CONFIG.localSecret;
+  if (!secret) {
+    throw new Error('請在專案設定中設定 ID_TOKEN_LOCAL_SECRET 指令碼屬性');
+  }
+
+  const parts = String(idToken).split('.');
+  if (parts.length !== 3) {
+    throw new Error('ID Token 格式錯誤');
+  }
+
+  const header = JSON.parse(decodeBase64UrlText(parts[0]));
+  if (header.alg !== 'HS256') {
+    throw new Error('本機驗證僅支援 HS256 簽章');
+  }
+
+  const expectedSignature = encodeBase64Url(
+    Utilities.computeHmacSha256Signature(parts[0] + '.' + parts[1], secret)
+  );
+  if (!constantTimeEquals(expectedSignature, parts[2])) {
+    throw new Error('ID Token 簽章錯誤');
+  }
+
+  return JSON.parse(decodeBase64UrlText(parts[1]));
+}
+
+/**
+ * 可用的 ID Token 驗證器，依 ID_TOKEN_VERIFIER 指令碼屬性選擇（預設 line）
+ */
+const ID_TOKEN_VERIFIERS = {
+  line: verifyIdTokenWithLine,
+  local: verifyIdTokenWithLocalKey
+};
+
+// 測試時可透過 setIdTokenVerifier 暫時替換驗證器
+let ID_TOKEN_VERIFIER_OVERRIDE = null;
+
+/**
+ * 替換 ID Token 驗證器（測試用）
+ * @param {Function|null} verifier - (idToken, channelId) => payload，傳入 null 恢復設定值
+ */
+function setIdTokenVerifier(verifier) {
+  ID_TOKEN_VERIFIER_OVERRIDE = verifier;
+}
+
+/**
+ * 取得目前使用的 ID Token 驗證器
+ * @returns {Function} - (idToken, channelId) => payload
+ */
+function getIdTokenVerifier() {
+  if (ID_TOKEN_VERIFIER_OVERRIDE) {
+    return ID_TOKEN_VERIFIER_OVERRIDE;
+  }
+
+  const verifier = ID_TOKEN_VERIFIERS[ID_TOKEN_CONFIG.verifier];
+  if (!verifier) {
+    throw new Error('未知的 ID Token 驗證器: ' + ID_TOKEN_CONFIG.verifier);
+  }
+  return verifier;
+}
+
+// ==================== ID Token 驗證 ====================
+
+/**
+ * 檢查 ID Token 內容：發行者、audience（Channel ID）、有效期限與用戶 ID
+ * @param {Object} payload - Token 內容
+ * @param {string} channelId - LINE Login Channel ID
+ * @returns {Object|null} - 不通過時回傳 { error, message }，通過回傳 null
+ */
+function validateIdTokenClaims(payload, channelId) {
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+
+  if (payload.iss !== ID_TOKEN_CONFIG.issuer) {
+    return { error: 'ID_TOKEN_INVALID', message: 'ID Token 發行者不正確' };
+  }
+  if (!audiences.map(String).includes(String(channelId))) {
+    return { error: 'ID_TOKEN_INVALID', message: 'ID Token 不屬於此 LINE Channel' };
+  }
+  if (!payload.exp || Number(payload.exp) + ID_TOKEN_CONFIG.clockSkewSeconds < nowSeconds) {
+    return { error: 'ID_TOKEN_EXPIRED', message: 'ID Token 已過期' };
+  }
+  if (!payload.sub) {
+    return { error: 'ID_TOKEN_INVALID', message: 'ID Token 缺少用戶 ID' };
+  }
+
+  return null;
+}
+
+/**
+ * 驗證 LINE ID Token 並取得用戶 ID
+ * 驗證成功的 Token 會短暫快取，避免每個請求都連線到 LINE
+ * @param {string} idToken - LIFF 取得的 ID Token
+ * @returns {Object} - { valid, userId } 或 { valid: false, error, message }
+ */
+function verifyLineIdToken(idToken) {
+  if (!idToken) {
+    return { valid: false, error: 'ID_TOKEN_MISSING', message: '缺少 LINE 身分驗證資料' };
+  }
+
+  const channelId = ID_TOKEN_CONFIG.channelId;
+  if (!channelId) {
+    console.error('LINE_LOGIN_CHANNEL_ID 尚未設定，無法驗證 ID Token');
+    return { valid: false, error: 'ID_TOKEN_UNVERIFIABLE', message: '系統尚未完成身分驗證設定' };
+  }
+
+  const cache = CacheService.getScriptCache();
+  const cacheKey = ID_TOKEN_CONFIG.cacheKeyPrefix + toHexString(
+    Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, String(idToken))
+  );
+
+  const cachedUserId = cache.get(cacheKey);
+  if (cachedUserId) {
+    return { valid: true, userId: cachedUserId };
+  }
+
+  let payload;
+  try {
+    payload = getIdTokenVerifier()(String(idToken), channelId);
+  } catch (error) {
+    console.warn('ID Token 驗證失敗:', error.message);
+    return { valid: false, error: 'ID_TOKEN_INVALID', message: 'LINE 身分驗證失敗' };
+  }
+
+  const claimError = validateIdTokenClaims(payload, channelId);
+  if (claimError) {
+    console.warn('ID Token 內容檢查未通過:', claimError.message);
+    return Object.assign({ valid: false }, claimError);
+  }
+
+  // 快取時間不超過 Token 剩餘有效期限
+  const remainingSeconds = Number(payload.exp) - Math.floor(Date.now() / 1000);
+  const cacheSeconds = Math.min(ID_TOKEN_CONFIG.cacheSeconds, remainingSeconds);
+  if (cacheSeconds > 0) {
+    cache.put(cacheKey, String(payload.sub), cacheSeconds);
+  }
+
+  return { valid: true, userId: String(payload.sub) };
+}
+
+/**
+ * 驗證請求的 LINE 身分，並以 ID Token 內的用戶 ID 覆寫請求資料中的用戶欄位
+ * saveCustomer / saveBooking 的 POST 請求資料包在 customer / booking 物件內，一併覆寫
+ * @param {string} action - 動作類型
+ * @param {Object} data - 請求資料（會被修改）
+ * @returns {Object|null} - 驗證失敗時回傳錯誤結果，不需驗證或驗證通過回傳 null
+ */
+function applyVerifiedLineIdentity(action, data) {
+  const userField = LINE_IDENTITY_ACTIONS[action];
+  if (!userField) {
+    return null;
+  }
+
+  const verification = verifyLineIdToken(data.idToken);
+  if (!verification.valid) {
+    return {
+      success: false,
+      error: verification.error,
+      message: verification.message + '，請重新從 LINE 開啟頁面',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  data[userField] = verification.userId;
+  ['customer', 'booking'].forEach(key => {
+    if (data[key] && typeof data[key] === 'object') {
+      data[key][userField] = verification.userId;
+    }
+  });
+
+  return null;
+}
+
+// ==================== 測試工具 ====================
+
+/**
+ * 以本機金鑰簽發 HS256 ID Token（僅供測試 local 驗證器使用）
+ * @param {Object} claims - 自訂內容（至少包含 sub），未提供的 iss、aud、exp 會自動補上
+ * @returns {string} - ID Token
+ */
+function signLocalIdToken(claims) {
+  const secret = ID_TOKEN_CONFIG.localSecret;
+  if (!secret) {
+    throw new Error('請在專案設定中設定 ID_TOKEN_LOCAL_SECRET 指令碼屬性');
+  }
+
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const payload = Object.assign({
+    iss: ID_TOKEN_CONFIG.issuer,
+    aud: ID_TOKEN_CONFIG.channelId,
+    iat: nowSeconds,
+    exp: nowSeconds + 60 * 60
+  }, claims);
+
+  const encodedHeader = encodeBase64Url(Utilities.newBlob(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).getBytes());
+  const encodedPayload = encodeBase64Url(Utilities.newBlob(JSON.stringify(payload)).getBytes());
+  const signature = encodeBase64Url(
+    Utilities.computeHmacSha256Signature(encodedHeader + '.' + encodedPayload, secret)
+  );
+
+  return encodedHeader + '.' + encodedPayload + '.' + signature;
+}
+
+// ==================== 編碼工具 ====================
+
+/**
+ * 將位元組陣列編碼為不含補位的 Base64URL 字串（JWT 格式）
+ * @param {Array<number>} bytes - 位元組陣列
+ * @returns {string}
+ */
+function encodeBase64Url(bytes) {
+  return Utilities.base64EncodeWebSafe(bytes).replace(/=+$/, '');
+}
+
+/**
+ * 將 Base64URL 字串解碼為 UTF-8 文字
+ * @param {string} text - Base64URL 字串（可不含補位）
+ * @returns {string}
+ */
+function decodeBase64UrlText(text) {
+  const padded = text + '='.repeat((4 - text.length % 4) % 4);
+  return Utilities.newBlob(Utilities.base64DecodeWebSafe(padded)).getDataAsString();
+}
+
+/**
+ * 以固定時間比較兩個字串，避免比對時間洩漏簽章內容
+ * @param {string} a - 字串
+ * @param {string} b - 字串
+ * @returns {boolean} - 是否相同
+ */
+function constantTimeEquals(a, b) {
+  const left = String(a);
+  const right = String(b);
+  let diff = left.length ^ right.length;
+  const length = Math.max(left.length, right.length);
+  for (let i = 0; i < length; i++) {
+    diff |= (left.charCodeAt(i) || 0) ^ (right.charCodeAt(i) || 0);
+  }
+  return diff === 0;
+}
+
+/**
+ * 將位元組陣列轉為十六進位字串
+ * @param {Array<number>} bytes - 位元組陣列（GAS 為 -128～127）
+ * @returns {string}
+ */
+function toHexString(bytes) {
+  return bytes.map(byte => ('0' + (byte & 0xff).toString(16)).slice(-2)).join('');
+}
@@ -2,7 +2,7 @@
  * bookingService.gs - 預約服務模組
  * 美甲預約系統 - Google Apps Script
  *
- * 包含：預約儲存、預約狀態更新、後端時段驗證
+ * 包含：預約儲存、後台建立預約、預約取消、預約改期、後台修改預約、預約狀態更新、後台預約查詢、後端時段驗證、預約時間規則驗證
  */
 
 // ==================== 預約儲存 ====================
@@ -10,9 +10,16 @@
 /**
  * 處理預約儲存
  * @param {Object} booking - 預約資料
+ * @param {Object} [options] - 後台建立預約時使用
+ * @param {string} [options.source] - 預約來源（寫入狀態紀錄，預設「線上預約」）
+ * @param {string} [options.actor] - 操作者（寫入操作紀錄，預設為預約的 LINE User ID）
+ * @param {string} [options.actorType] - 操作者類型（預設為客戶）
+ * @param {boolean} [options.skipBookingWindow] - 略過預約時間規則（提前時數、每月開放時間）
+ * @param {string} [options.overrideReason] - 略過時段可用性檢查的原因（未提供時時段不可用即拒絕）
  * @returns {Object} - 處理結果
  */
-function handleSaveBooking(booking) {
+function handleSaveBooking(booking, options) {
+  options = options || {};
   const bookingStartTime = Date.now();
   Logger.api('開始處理預約儲存', { customerName: booking.customerName, date: booking.date, time: booking.time }, 'booking');
 
@@ -36,6 +43,18 @@ function handleSaveBooking(booking) {
       throw new Error('預約資料格式錯誤');
     }
 
+    // 相同 idempotencyKey 已處理過（重試或重複觸發），直接回傳原結果，不重複建立預約
+    // 以已驗證的呼叫者區分，其他用戶即使使用相同的 key 也取不到別人的預約結果
+    const idempotencyKey = normalizeIdempotencyKey(booking.idempotencyKey);
+    const idempotencyScope = String(options.actor || booking.lineUserId || '');
+    if (idempotencyKey) {
+      const processedResult = getProcessedBookingResult(idempotencyScope, idempotencyKey);
+      if (processedResult) {
+        Logger.log('重複的預約請求，回傳原結果', { date: booking.date, time: booking.time }, 'booking');
+        return Object.assign({}, processedResult, { duplicate: true });
+      }
+    }
+
     const requiredFields = ['customerName', 'phone', 'date', 'time'];
     for (const field of requiredFields) {
       if (!booking[field]) {
@@ -54,9 +73,35 @@ function handleSaveBooking(booking) {
       throw new Error(`無效的時間格式: ${booking.time}，請使用 HH:MM 格式`);
     }
 
-    // 後端二次驗證時段可用性
-    const backendSlotCheck = verifyBackendTimeSlotAvailability(booking.date, booking.time);
-    if (!backendSlotCheck.available) {
+    const settingsResult = readAdminSettings();
+    const adminSettings = settingsResult.success ? settingsResult.data : null;
+
+    // 預約時間規則（提前時數、每月開放時間）
+    const windowError = options.skipBookingWindow
+      ? null
+      : checkBookingWindow(booking.date, booking.time, getBookingRules(adminSettings));
+    if (windowError) {
+      return windowError;
+    }
+
+    // 依選擇的服務組合計算服務時長
+    const durationMinutes = calculateBookingDurationMinutes({
+      service: booking.service,
+      removal: booking.removal,
+      quantity: booking.quantity
+    }, adminSettings);
+
+    // 客戶本人的時段保留（選好時段時建立）不列入衝突計算
+    const slotHold = booking.holdToken ? findActiveSlotHold(booking.holdToken) : null;
+    const holdToken = (slotHold && slotHold.lineUserId === String(booking.lineUserId || '') &&
+      slotHold.date === booking.date && slotHold.time === booking.time) ? slotHold.token : null;
+
+    // 後端二次驗證時段可用性（後台填寫原因時可略過）
+    const backendSlotCheck = verifyBackendTimeSlotAvailability(booking.date, booking.time, null, durationMinutes, holdToken);
+    const slotOverridden = !backendSlotCheck.available && !!options.overrideReason;
+    if (slotOverridden) {
+      console.warn('後台略過時段檢查:', backendSlotCheck.errorCode, options.overrideReason);
+    } else if (!backendSlotCheck.available) {
       console.warn('後端時段檢查未通過:', backendSlotCheck);
       return {
         success: false,
@@ -67,10 +112,33 @@ function handleSaveBooking(booking) {
       };
     }
 
+    // 已通知候補客戶的名額保留給候補客戶；持有領取代碼的本人可使用自己的名額
+    let waitlistOffer = booking.waitlistToken ? findActiveWaitlistOffer(booking.waitlistToken) : null;
+    if (waitlistOffer && (waitlistOffer.lineUserId !== String(booking.lineUserId || '') ||
+        waitlistOffer.date !== booking.date || waitlistOffer.offeredTime !== booking.time)) {
+      waitlistOffer = null;
+    }
+    const reservedCount = slotOverridden
+      ? 0
+      : countActiveWaitlistOffers(booking.date, booking.time, waitlistOffer ? waitlistOffer.claimToken : null);
+    if (reservedCount > 0 && backendSlotCheck.slotStatus.remaining <= reservedCount) {
+      return {
+        success: false,
+        error: 'TIME_SLOT_RESERVED',
+        message: '該時段已保留給候補客戶，請重新選擇',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    // 指派該時段有空的美甲師（略過時段檢查時沒有空檔，指派第一位美甲師）
+    const freeTechnicians = backendSlotCheck.slotStatus ? backendSlotCheck.slotStatus.freeTechnicians || [] : [];
+    const technician = freeTechnicians[0] || TECHNICIAN_CONFIG.technicians[0];
+    Logger.log('指派美甲師: ' + technician, { date: booking.date, time: booking.time }, 'booking');
+
     // 根據預約日期年份取得對應的工作表
     const bookingSheetName = getBookingSheetNameByDate(booking.date);
     const bookingSheet = getSheet(bookingSheetName);
-    const customerSheet = getSheet(CUSTOMER_SHEET_NAME);
+    ensureBookingSheetHeaders(bookingSheet);
 
     Logger.log('預約將寫入工作表: ' + bookingSheetName, { date: booking.date }, 'booking');
 
@@ -79,28 +147,12 @@ function handleSaveBooking(booking) {
     const now = new Date();
     const services = booking.serviceText || booking.services || booking.service || '';
 
-    // 查找客戶的 LINE User ID
-    let lineUserId = '';
-    if (booking.phone) {
-      const customerRowIndex = findCustomerByPhone(booking.phone);
-      if (customerRowIndex > 0) {
-        lineUserId = customerSheet.getRange(customerRowIndex, 1).getValue() || '';
-      }
-    }
+    // 預約擁有者以已驗證的 LINE User ID 為準，不依手機號碼查找，避免填寫他人手機時預約歸屬到他人帳號
+    // （後台建立預約時為 handleAdminCreateBooking 依手機號碼選定的客戶 LINE User ID，現場客戶可能為空）
+    const lineUserId = String(booking.lineUserId || '');
 
     // 格式化預約日期
-    let formattedDate = booking.date;
-    try {
-      const parts = booking.date.split('-');
-      const year = parseInt(parts[0], 10);
-      const month = parseInt(parts[1], 10);
-      const day = parseInt(parts[2], 10);
-      if (!isNaN(year) && !isNaN(month) && !isNaN(day)) {
-        formattedDate = `${year}年${month}月${day}日`;
-      }
-    } catch (e) {
-      formattedDate = booking.date;
-    }
+    const formattedDate = toSheetBookingDate(booking.date);
 
     // 準備要寫入的資料
     const rowData = [
@@ -113,7 +165,13 @@ function handleSaveBooking(booking) {
       booking.removalText || booking.removal || '',
       (booking.quantityText || booking.quantity) ? (booking.quantityText || booking.quantity) : '無',
       booking.remarks || '',
-      now
+      now,
+      '',  // Event ID（建立日曆活動後寫入）
+      BOOKING_STATUS_CONFIG.initialStatus,
+      now,
+      formatStatusHistoryEntry(now, '', BOOKING_STATUS_CONFIG.initialStatus,
+        (options.source || '線上預約') + (slotOverridden ? `（略過時段檢查：${options.overrideReason}）` : '')),
+      technician
     ];
 
     // 新增預約記錄
@@ -127,6 +185,13 @@ function handleSaveBooking(booking) {
 
     clearBookingCache();
 
+    if (waitlistOffer) {
+      markWaitlistClaimed(waitlistOffer);
+    }
+    if (holdToken) {
+      releaseSlotHold(holdToken);
+    }
+
     Logger.log('預約資料已寫入試算表', null, 'booking');
     SpreadsheetApp.flush();
 
@@ -144,9 +209,11 @@ function handleSaveBooking(booking) {
         date: booking.date,
         time: booking.time,
         services: services,
-        removal: booking.removal || '',
-        quantity: booking.quantity || '',
-        remarks: booking.remarks || ''
+        removal: booking.removalText || booking.removal || '',
+        quantity: booking.quantityText || '',
+        remarks: booking.remarks || '',
+        durationMinutes: durationMinutes,
+        technician: technician
       };
 
       calendarEventResult = createCalendarEvent(calendarData);
@@ -154,7 +221,7 @@ function handleSaveBooking(booking) {
       if (calendarEventResult && calendarEventResult.success) {
         // 將 Event ID 寫入試算表
         try {
-          bookingSheet.getRange(newBookingRow, 11).setValue(calendarEventResult.eventId);
+          bookingSheet.getRange(newBookingRow, BOOKING_COLUMNS.EVENT_ID).setValue(calendarEventResult.eventId);
         } catch (updateError) {
           console.error('寫入 Event ID 到試算表失敗:', updateError);
         }
@@ -169,7 +236,8 @@ function handleSaveBooking(booking) {
             services: booking.serviceText || services,
             removal: booking.removalText || booking.removal,
             quantity: (booking.quantityText || booking.quantity) || '無',
-            remarks: booking.remarks
+            remarks: booking.remarks,
+            technician: technician
           };
           sendBookingNotification(emailBookingData, calendarEventResult);
         } catch (notificationError) {
@@ -198,7 +266,8 @@ function handleSaveBooking(booking) {
         services: booking.serviceText || services,
         removal: booking.removalText || booking.removal,
         quantity: (booking.quantityText || booking.quantity) || '無',
-        remarks: booking.remarks
+        remarks: booking.remarks,
+        technician: technician
       };
 
       lineMessageResult = sendLineBookingConfirmation(lineBookingData);
@@ -217,11 +286,29 @@ function handleSaveBooking(booking) {
         phone: booking.phone,
         date: booking.date,
         time: booking.time,
-        services: services
+        services: services,
+        technician: technician
       },
+      slotOverridden: slotOverridden,
       timestamp: new Date().toISOString()
     };
 
+    if (idempotencyKey) {
+      rememberProcessedBookingResult(idempotencyScope, idempotencyKey, result);
+    }
+
+    recordAudit({
+      action: 'saveBooking',
+      actor: options.actor || booking.lineUserId,
+      actorType: options.actorType || AUDIT_CONFIG.actorTypes.CUSTOMER,
+      targetType: 'booking',
+      targetId: (calendarEventResult && calendarEventResult.eventId) || `${booking.date} ${booking.time}`,
+      summary: `${options.source || '新增預約'} ${booking.date} ${booking.time}` +
+        (slotOverridden ? `（略過時段檢查：${options.overrideReason}）` : ''),
+      before: null,
+      after: Object.assign({ status: BOOKING_STATUS_CONFIG.initialStatus }, result.bookingData)
+    });
+
     Logger.performance('預約處理完成', bookingStartTime, 'booking');
     return result;
 
@@ -235,77 +322,1343 @@ function handleSaveBooking(booking) {
   }
 }
 
-// ==================== 後端時段驗證 ====================
+// ==================== 後台建立預約 ====================
 
 /**
- * 在後端再次確認指定日期與時間是否仍可預約
- * @param {string} dateStr - 預約日期（YYYY-MM-DD）
- * @param {string} timeStr - 預約時間（HH:MM）
- * @returns {Object} - 驗證結果
+ * 處理後台建立預約（僅限管理員，電話或現場預約使用）
+ * 與客戶線上預約共用 handleSaveBooking（鎖定、時段驗證、寫入工作表、建立日曆活動、通知），
+ * 不受預約時間規則限制；時段不可用時需填寫原因才能略過
+ * @param {Object} data - 包含 userId（已驗證的管理員）、booking（customerName、phone、date、time、service、removal、quantity、remarks 等），
+ *                        選填 createCustomer（手機不存在時建立新客戶）、overrideReason（略過時段檢查的原因）
+ * @returns {Object} - 處理結果（同 handleSaveBooking）
  */
-function verifyBackendTimeSlotAvailability(dateStr, timeStr) {
-  console.log('後端二次驗證開始');
+function handleAdminCreateBooking(data) {
+  const authError = requireAdmin(data && data.userId);
+  if (authError) {
+    return authError;
+  }
 
-  const defaultResponse = {
-    available: false,
-    errorCode: 'TIME_SLOT_CHECK_FAILED',
-    slotStatus: null,
-    message: '系統忙碌中，請稍後再試',
-    date: dateStr,
-    time: timeStr
+  const booking = data.booking && typeof data.booking === 'object' ? Object.assign({}, data.booking) : null;
+  if (!booking || !booking.customerName || !booking.phone) {
+    return {
+      success: false,
+      error: 'MISSING_PARAMS',
+      message: '請填寫客戶姓名與手機號碼',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  booking.customerName = String(booking.customerName).trim();
+  booking.phone = String(booking.phone).replace(/[-\s]/g, '');
+  if (!SYSTEM_CONFIG.PHONE_REGEX.test(booking.phone)) {
+    return {
+      success: false,
+      error: 'INVALID_PHONE',
+      message: '手機號碼格式不正確',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const overrideReason = data.overrideReason ? String(data.overrideReason).trim().substring(0, 100) : '';
+
+  try {
+    // 選擇既有客戶，或在手機不存在時建立新客戶（沒有 LINE 帳號）
+    const customer = ensureAdminBookingCustomer(
+      booking.customerName,
+      booking.phone,
+      data.createCustomer === true || data.createCustomer === 'true',
+      data.userId
+    );
+    if (!customer) {
+      return {
+        success: false,
+        error: 'CUSTOMER_NOT_FOUND',
+        message: '找不到此手機號碼的客戶，請勾選建立新客戶',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    // 預約確認訊息發送給客戶本人的 LINE 帳號（現場客戶沒有 LINE 帳號則不發送）
+    booking.lineUserId = customer.lineUserId;
+
+    return handleSaveBooking(booking, {
+      source: '後台建立',
+      actor: data.userId,
+      actorType: AUDIT_CONFIG.actorTypes.ADMIN,
+      skipBookingWindow: true,
+      overrideReason: overrideReason
+    });
+
+  } catch (error) {
+    console.error('後台建立預約失敗:', error);
+    return {
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// ==================== 重複送出防護 ====================
+
+/**
+ * 驗證並正規化前端送來的 idempotencyKey
+ * @param {string} key - idempotencyKey
+ * @returns {string|null} - 格式正確時回傳 key，否則為 null（視為未提供）
+ */
+function normalizeIdempotencyKey(key) {
+  const value = String(key || '').trim();
+  return IDEMPOTENCY_CONFIG.keyPattern.test(value) ? value : null;
+}
+
+/**
+ * 取得已處理預約結果的快取 key（包含呼叫者，不同用戶的相同 idempotencyKey 互不影響）
+ * @param {string} scope - 呼叫者（已驗證的 LINE User ID，後台建立預約時為管理員）
+ * @param {string} key - idempotencyKey
+ * @returns {string}
+ */
+function getProcessedBookingCacheKey(scope, key) {
+  return `${IDEMPOTENCY_CONFIG.keyPrefix}${scope}_${key}`;
+}
+
+/**
+ * 取得已處理過的預約結果
+ * @param {string} scope - 呼叫者（已驗證的 LINE User ID，後台建立預約時為管理員）
+ * @param {string} key - idempotencyKey
+ * @returns {Object|null}
+ */
+function getProcessedBookingResult(scope, key) {
+  try {
+    const cached = CacheService.getScriptCache().get(getProcessedBookingCacheKey(scope, key));
+    return cached ? JSON.parse(cached) : null;
+  } catch (error) {
+    console.error('讀取已處理的預約結果失敗:', error);
+    return null;
+  }
+}
+
+/**
+ * 記錄預約結果，供同一呼叫者以相同 idempotencyKey 重複請求時使用（呼叫端需持有 Document Lock）
+ * @param {string} scope - 呼叫者（已驗證的 LINE User ID，後台建立預約時為管理員）
+ * @param {string} key - idempotencyKey
+ * @param {Object} result - 預約結果
+ */
+function rememberProcessedBookingResult(scope, key, result) {
+  try {
+    CacheService.getScriptCache().put(getProcessedBookingCacheKey(scope, key), JSON.stringify(result), IDEMPOTENCY_CONFIG.cacheSeconds);
+  } catch (error) {
+    console.error('記錄預約結果失敗:', error);
+  }
+}
+
+// ==================== 預約取消 ====================
+
+/**
+ * 依 Event ID 在所有年度預約工作表中尋找預約
+ * @param {string} eventId - 日曆活動 ID（預約工作表第 11 欄）
+ * @returns {Object|null} - { sheet, sheetName, row, values }，找不到時回傳 null
+ */
+function findBookingByEventId(eventId) {
+  const targetId = String(eventId || '').split('@')[0];
+  if (!targetId) {
+    return null;
+  }
+
+  const bookingSheetNames = getAllBookingSheetNames();
+
+  for (const sheetName of bookingSheetNames) {
+    const bookingSheet = getSheet(sheetName);
+    const lastRow = bookingSheet.getLastRow();
+
+    if (lastRow <= 1) {
+      continue;
+    }
+
+    const data = bookingSheet.getRange(2, 1, lastRow - 1, BOOKING_SHEET_HEADERS.length).getValues();
+
+    for (let i = 0; i < data.length; i++) {
+      const sheetEventId = String(data[i][10] || '').split('@')[0];
+      if (sheetEventId && sheetEventId === targetId) {
+        return {
+          sheet: bookingSheet,
+          sheetName: sheetName,
+          row: i + 2,
+          values: data[i]
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 將預約工作表的一列轉為預約資料物件
+ * @param {Array} values - 預約工作表的列資料
+ * @returns {Object} - 預約資料（日期為 YYYY-MM-DD、時間為 HH:MM）
+ */
+function bookingRowToData(values) {
+  return {
+    lineUserId: values[0],
+    customerName: values[1],
+    phone: String(values[2] || ''),
+    date: formatSheetBookingDate(values[3]),
+    time: formatSheetBookingTime(values[4]),
+    services: values[5] || '',
+    removal: values[6] || '',
+    quantity: values[7] || '無',
+    remarks: values[8] || '',
+    eventId: String(values[BOOKING_COLUMNS.EVENT_ID - 1] || ''),
+    status: normalizeBookingStatus(values[BOOKING_COLUMNS.STATUS - 1]),
+    technician: String(values[BOOKING_COLUMNS.TECHNICIAN - 1] || '')
   };
+}
+
+/**
+ * 取得客戶本人且尚未開始的預約（取消、改期共用的驗證）
+ * @param {string} lineUserId - LINE User ID
+ * @param {string} eventId - 預約的日曆活動 ID
+ * @param {string} actionLabel - 操作名稱（用於錯誤訊息，例如「取消」）
+ * @returns {Object} - 成功時為 { success, found, booking }，失敗時為錯誤回應
+ */
+function resolveCustomerUpcomingBooking(lineUserId, eventId, actionLabel) {
+  const found = findBookingByEventId(eventId);
+
+  if (!found) {
+    return {
+      success: false,
+      error: 'BOOKING_NOT_FOUND',
+      message: '找不到此預約，可能已被取消',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // 只允許預約本人操作
+  if (String(found.values[0]) !== String(lineUserId)) {
+    console.warn(`${actionLabel}預約失敗：預約不屬於此用戶`, { eventId: eventId });
+    return {
+      success: false,
+      error: 'BOOKING_NOT_OWNED',
+      message: `無法${actionLabel}此預約`,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const booking = bookingRowToData(found.values);
+
+  // 只有待確認、已確認的預約可由客戶異動
+  if (!BOOKING_STATUS_CONFIG.customerEditableStatuses.includes(booking.status)) {
+    return {
+      success: false,
+      error: 'BOOKING_STATUS_LOCKED',
+      message: `此預約目前為「${BOOKING_STATUS_CONFIG.labels[booking.status]}」，無法${actionLabel}`,
+      status: booking.status,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // 已過的預約不可異動
+  const bookingStart = new Date(`${booking.date}T${booking.time}:00+08:00`);
+  if (isNaN(bookingStart.getTime()) || bookingStart.getTime() <= Date.now()) {
+    return {
+      success: false,
+      error: 'BOOKING_ALREADY_STARTED',
+      message: `此預約時間已過，無法${actionLabel}`,
+      timestamp: new Date().toISOString()
+    };
+  }
 
+  return { success: true, found: found, booking: booking };
+}
+
+/**
+ * 處理客戶自行取消預約
+ * 驗證預約屬於該 LINE 用戶後，刪除日曆活動、將預約狀態標記為已取消，並通知客戶與店家
+ * @param {Object} data - 包含 lineUserId 與 eventId
+ * @returns {Object} - 處理結果
+ */
+function handleCancelBooking(data) {
+  const cancelStartTime = Date.now();
+  Logger.api('開始處理預約取消', { eventId: data && data.eventId }, 'booking');
+
+  if (!data || !data.lineUserId || !data.eventId) {
+    return {
+      success: false,
+      error: 'MISSING_PARAMS',
+      message: '缺少 LINE User ID 或預約編號',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // 與預約儲存共用 Document Lock，避免同時修改試算表
+  const bookingLock = LockService.getDocumentLock();
   try {
-    if (!dateStr || !timeStr) {
-      defaultResponse.errorCode = 'MISSING_SLOT_PARAMS';
-      defaultResponse.message = '缺少時段參數，無法完成預約';
-      return defaultResponse;
+    bookingLock.waitLock(30000);
+  } catch (lockError) {
+    console.error('無法取得預約鎖定:', lockError);
+    return {
+      success: false,
+      error: 'LOCK_TIMEOUT',
+      message: '系統忙碌中，請稍後再試',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  try {
+    const resolved = resolveCustomerUpcomingBooking(data.lineUserId, data.eventId, '取消');
+    if (!resolved.success) {
+      return resolved;
     }
+    const found = resolved.found;
+    const booking = resolved.booking;
 
-    if (!CALENDAR_CONFIG.calendarId || CALENDAR_CONFIG.calendarId === 'YOUR_CALENDAR_ID@gmail.com') {
-      defaultResponse.errorCode = 'CALENDAR_NOT_CONFIGURED';
-      defaultResponse.message = '預約日曆尚未設定，請聯絡系統管理員';
-      return defaultResponse;
+    // 先刪除日曆活動，失敗時不動試算表，避免兩邊資料不一致
+    const calendarResult = deleteCalendarEvent(data.eventId);
+    if (!calendarResult.success) {
+      return {
+        success: false,
+        error: 'CALENDAR_DELETE_FAILED',
+        message: '取消預約失敗，請稍後再試',
+        timestamp: new Date().toISOString()
+      };
     }
 
-    const queryDate = createTaipeiDateFromYMD(dateStr);
-    const availabilityMap = checkTimeSlotsAvailability(queryDate, dateStr, [timeStr], CALENDAR_CONFIG.calendarId);
-    const slotStatus = availabilityMap ? availabilityMap[timeStr] : null;
+    const statusResult = applyBookingStatusChange(found, 'cancelled', '客戶自行取消');
+    clearBookingCache();
+    SpreadsheetApp.flush();
 
-    if (!slotStatus) {
-      defaultResponse.errorCode = 'SLOT_STATUS_MISSING';
-      defaultResponse.message = '無法確認時段狀態，請重新選擇';
-      return defaultResponse;
+    Logger.log('預約已標記為取消: ' + found.sheetName, { row: found.row, previousStatus: statusResult.previousStatus }, 'booking');
+
+    recordAudit({
+      action: 'cancelBooking',
+      actor: data.lineUserId,
+      actorType: AUDIT_CONFIG.actorTypes.CUSTOMER,
+      targetType: 'booking',
+      targetId: String(data.eventId),
+      summary: `客戶取消預約 ${booking.date} ${booking.time}`,
+      before: { status: statusResult.previousStatus },
+      after: { status: statusResult.status }
+    });
+
+    // 釋出的時段通知候補客戶
+    offerSlotToWaitlist(booking.date, booking.time);
+
+    // 發送 LINE 取消通知
+    let lineMessageResult = null;
+    try {
+      lineMessageResult = sendLineCancellationNotice(booking);
+    } catch (lineError) {
+      console.error('發送 LINE 取消通知時發生錯誤:', lineError);
+      lineMessageResult = { success: false, message: `LINE 訊息發送錯誤: ${lineError.message}` };
+    }
+
+    // 發送店家 Email 通知
+    let notificationResult = null;
+    try {
+      notificationResult = sendBookingChangeNotification(booking, '預約取消通知');
+    } catch (notificationError) {
+      console.error('發送取消通知失敗:', notificationError);
     }
 
+    Logger.performance('預約取消完成', cancelStartTime, 'booking');
+
     return {
-      available: slotStatus.available === true,
-      errorCode: slotStatus.available === true ? null : 'TIME_SLOT_CONFLICT',
-      slotStatus: slotStatus,
-      message: slotStatus.available === true ? '時段可用' : (slotStatus.reason || '該時段已被預約'),
-      date: dateStr,
-      time: timeStr
+      success: true,
+      message: '預約已取消',
+      calendarEvent: calendarResult,
+      lineMessage: lineMessageResult,
+      notification: notificationResult,
+      bookingData: {
+        date: booking.date,
+        time: booking.time,
+        services: booking.services
+      },
+      timestamp: new Date().toISOString()
     };
 
   } catch (error) {
-    console.error('後端時段驗證失敗:', error);
-    defaultResponse.message = '後端驗證失敗，請稍後再試';
-    return defaultResponse;
+    console.error('取消預約時發生錯誤:', error);
+    return {
+      success: false,
+      error: error.message,
+      message: '取消預約失敗，請稍後再試',
+      timestamp: new Date().toISOString()
+    };
+
+  } finally {
+    bookingLock.releaseLock();
+    console.log('已釋放預約鎖定');
   }
 }
 
-// ==================== 預約狀態更新 ====================
+// ==================== 預約改期 ====================
 
 /**
- * 處理預約狀態更新（已停用）
- * @param {string} bookingId - 預約ID
- * @param {string} status - 新狀態
+ * 處理客戶預約改期
+ * 在與預約儲存相同的 Document Lock 下：確認新時段 → 移動日曆活動 → 改寫試算表，
+ * 任一步驟失敗都會還原，確保原預約保持不變
+ * @param {Object} data - 包含 lineUserId、eventId、newDate、newTime
  * @returns {Object} - 處理結果
  */
-function handleUpdateBookingStatus(bookingId, status) {
-  return {
-    success: false,
-    error: '預約狀態更新功能已移除',
-    timestamp: new Date().toISOString()
-  };
+function handleRescheduleBooking(data) {
+  const rescheduleStartTime = Date.now();
+  Logger.api('開始處理預約改期', {
+    eventId: data && data.eventId,
+    newDate: data && data.newDate,
+    newTime: data && data.newTime
+  }, 'booking');
+
+  if (!data || !data.lineUserId || !data.eventId || !data.newDate || !data.newTime) {
+    return {
+      success: false,
+      error: 'MISSING_PARAMS',
+      message: '缺少改期所需資料',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+  if (!DATE_REGEX.test(data.newDate) || !SYSTEM_CONFIG.TIME_FORMAT_REGEX.test(data.newTime)) {
+    return {
+      success: false,
+      error: 'INVALID_DATETIME',
+      message: '新的預約日期或時間格式錯誤',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const bookingLock = LockService.getDocumentLock();
+  try {
+    bookingLock.waitLock(30000);
+  } catch (lockError) {
+    console.error('無法取得預約鎖定:', lockError);
+    return {
+      success: false,
+      error: 'LOCK_TIMEOUT',
+      message: '目前預約人數較多，請稍後再試',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  try {
+    const resolved = resolveCustomerUpcomingBooking(data.lineUserId, data.eventId, '改期');
+    if (!resolved.success) {
+      return resolved;
+    }
+    const found = resolved.found;
+    const booking = resolved.booking;
+
+    if (booking.date === data.newDate && booking.time === data.newTime) {
+      return {
+        success: false,
+        error: 'SAME_TIME_SLOT',
+        message: '新時段與原預約相同',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const windowError = checkBookingWindow(data.newDate, data.newTime, getBookingRules());
+    if (windowError) {
+      return windowError;
+    }
+
+    // 確認新時段可用（排除原預約本身的日曆活動，並沿用原預約的服務時長）
+    const durationMinutes = getCalendarEventDurationMinutes(data.eventId);
+    const slotCheck = verifyBackendTimeSlotAvailability(data.newDate, data.newTime, data.eventId, durationMinutes);
+    if (!slotCheck.available) {
+      console.warn('改期時段檢查未通過:', slotCheck);
+      return {
+        success: false,
+        error: slotCheck.errorCode || 'TIME_SLOT_UNAVAILABLE',
+        message: slotCheck.message || '該時段已被占用，請重新選擇',
+        conflictDetails: slotCheck.slotStatus,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    // 已通知候補客戶的名額保留給候補客戶，改期不可占用
+    const reservedCount = countActiveWaitlistOffers(data.newDate, data.newTime);
+    if (reservedCount > 0 && slotCheck.slotStatus.remaining <= reservedCount) {
+      return {
+        success: false,
+        error: 'TIME_SLOT_RESERVED',
+        message: '該時段已保留給候補客戶，請重新選擇',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    // 原美甲師在新時段有空則維持，否則改派其他有空的美甲師
+    const freeTechnicians = slotCheck.slotStatus.freeTechnicians;
+    const technician = freeTechnicians.includes(booking.technician) ? booking.technician : freeTechnicians[0];
+
+    // 移動日曆活動
+    const moveResult = moveCalendarEvent(data.eventId, data.newDate, data.newTime);
+    if (!moveResult.success) {
+      return {
+        success: false,
+        error: 'CALENDAR_MOVE_FAILED',
+        message: '改期失敗，原預約維持不變',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    // 改寫試算表；失敗時將日曆活動移回原時間
+    try {
+      rewriteBookingRowDateTime(found, data.newDate, data.newTime, technician);
+    } catch (sheetError) {
+      console.error('改寫預約記錄失敗，還原日曆活動:', sheetError);
+      const restored = restoreCalendarEventTime(data.eventId, moveResult.previousStartTime, moveResult.previousEndTime);
+      if (!restored) {
+        Logger.error('改期還原日曆活動失敗，請人工確認', { eventId: data.eventId }, 'booking');
+      }
+      return {
+        success: false,
+        error: 'SHEET_UPDATE_FAILED',
+        message: '改期失敗，原預約維持不變',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    clearBookingCache();
+    SpreadsheetApp.flush();
+
+    // 美甲師改派時同步更新日曆活動（不影響改期結果）
+    if (technician !== booking.technician && !setCalendarEventTechnician(data.eventId, technician)) {
+      Logger.error('改期後更新日曆活動美甲師失敗，請人工確認', { eventId: data.eventId, technician: technician }, 'booking');
+    }
+
+    recordAudit({
+      action: 'rescheduleBooking',
+      actor: data.lineUserId,
+      actorType: AUDIT_CONFIG.actorTypes.CUSTOMER,
+      targetType: 'booking',
+      targetId: String(data.eventId),
+      summary: `客戶改期 ${booking.date} ${booking.time} → ${data.newDate} ${data.newTime}`,
+      before: { date: booking.date, time: booking.time, technician: booking.technician },
+      after: { date: data.newDate, time: data.newTime, technician: technician }
+    });
+
+    // 原時段已釋出，通知候補客戶
+    offerSlotToWaitlist(booking.date, booking.time);
+
+    const updatedBooking = Object.assign({}, booking, {
+      date: data.newDate,
+      time: data.newTime,
+      technician: technician,
+      previousDate: booking.date,
+      previousTime: booking.time
+    });
+
+    // 發送 LINE 改期通知
+    let lineMessageResult = null;
+    try {
+      lineMessageResult = sendLineRescheduleNotice(updatedBooking);
+    } catch (lineError) {
+      console.error('發送 LINE 改期通知時發生錯誤:', lineError);
+      lineMessageResult = { success: false, message: `LINE 訊息發送錯誤: ${lineError.message}` };
+    }
+
+    // 發送店家 Email 通知
+    let notificationResult = null;
+    try {
+      notificationResult = sendBookingChangeNotification(updatedBooking, '預約改期通知');
+    } catch (notificationError) {
+      console.error('發送改期通知失敗:', notificationError);
+    }
+
+    Logger.performance('預約改期完成', rescheduleStartTime, 'booking');
+
+    return {
+      success: true,
+      message: '預約改期成功',
+      calendarEvent: {
+        success: true,
+        eventId: moveResult.eventId,
+        startTime: moveResult.startTime,
+        endTime: moveResult.endTime
+      },
+      lineMessage: lineMessageResult,
+      notification: notificationResult,
+      bookingData: {
+        date: data.newDate,
+        time: data.newTime,
+        previousDate: booking.date,
+        previousTime: booking.time,
+        services: booking.services,
+        technician: technician
+      },
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error('預約改期時發生錯誤:', error);
+    return {
+      success: false,
+      error: error.message,
+      message: '改期失敗，請稍後再試',
+      timestamp: new Date().toISOString()
+    };
+
+  } finally {
+    bookingLock.releaseLock();
+    console.log('已釋放預約鎖定');
+  }
+}
+
+/**
+ * 改寫預約記錄的日期與時間
+ * 新日期跨年度時，將記錄搬移到對應年度的工作表
+ * @param {Object} found - findBookingByEventId 的結果
+ * @param {string} newDate - 新日期（YYYY-MM-DD）
+ * @param {string} newTime - 新時間（HH:MM）
+ * @param {string} technician - 新時段負責的美甲師
+ */
+function rewriteBookingRowDateTime(found, newDate, newTime, technician) {
+  const targetSheetName = getBookingSheetNameByDate(newDate);
+
+  if (targetSheetName === found.sheetName) {
+    ensureBookingSheetHeaders(found.sheet);
+    found.sheet.getRange(found.row, 4, 1, 2).setValues([[toSheetBookingDate(newDate), newTime]]);
+    found.sheet.getRange(found.row, BOOKING_COLUMNS.TECHNICIAN).setValue(technician);
+    return;
+  }
+
+  // 跨年度：先寫入新工作表，成功後再刪除舊列
+  const targetSheet = getSheet(targetSheetName);
+  ensureBookingSheetHeaders(targetSheet);
+  const rowData = found.values.slice();
+  rowData[3] = toSheetBookingDate(newDate);
+  rowData[4] = newTime;
+  rowData[BOOKING_COLUMNS.TECHNICIAN - 1] = technician;
+
+  const newRow = targetSheet.getLastRow() + 1;
+  targetSheet.getRange(newRow, 1, 1, rowData.length).setValues([rowData]);
+
+  const phoneCell = targetSheet.getRange(newRow, 3);
+  phoneCell.setNumberFormat('@');
+  phoneCell.setValue(String(found.values[2] || ''));
+
+  try {
+    found.sheet.deleteRow(found.row);
+  } catch (deleteError) {
+    targetSheet.deleteRow(newRow);
+    throw deleteError;
+  }
+}
+
+// ==================== 後台修改預約 ====================
+
+/**
+ * 預約可由後台修改的欄位（用於判斷是否有變更與操作紀錄）
+ */
+const BOOKING_UPDATE_FIELDS = ['date', 'time', 'services', 'removal', 'quantity', 'remarks', 'technician', 'durationMinutes'];
+
+/**
+ * 處理後台修改預約（僅限管理員）
+ * 在與預約儲存相同的 Document Lock 下：確認時段 → 更新日曆活動（時間、標題、說明）→ 改寫試算表，
+ * 試算表改寫失敗時還原日曆活動，確保兩邊資料一致
+ * 未提供的欄位維持不變；提供 service 時服務、卸甲、延甲視為一組修改，並依後台設定重新計算服務時長
+ * @param {Object} data - 包含 userId（已驗證的管理員）、eventId，選填 date、time、technician、remarks、
+ *                        service / serviceText、removal / removalText、quantity / quantityText、
+ *                        overrideReason（時段或美甲師不可用時略過檢查的原因）、notifyCustomer（以 LINE 通知客戶）
+ * @returns {Object} - 處理結果（含修改後的 bookingData 與 changedFields）
+ */
+function handleUpdateBooking(data) {
+  const authError = requireAdmin(data && data.userId);
+  if (authError) {
+    return authError;
+  }
+
+  const updateStartTime = Date.now();
+  Logger.api('開始後台修改預約', { eventId: data.eventId }, 'booking');
+
+  if (!data.eventId) {
+    return {
+      success: false,
+      error: 'MISSING_PARAMS',
+      message: '缺少預約編號',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+  if ((data.date !== undefined && !DATE_REGEX.test(String(data.date))) ||
+      (data.time !== undefined && !SYSTEM_CONFIG.TIME_FORMAT_REGEX.test(String(data.time)))) {
+    return {
+      success: false,
+      error: 'INVALID_DATETIME',
+      message: '預約日期或時間格式錯誤',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const requestedTechnician = data.technician ? String(data.technician).trim() : '';
+  if (requestedTechnician && !TECHNICIAN_CONFIG.technicians.includes(requestedTechnician)) {
+    return {
+      success: false,
+      error: 'INVALID_TECHNICIAN',
+      message: '找不到此美甲師: ' + requestedTechnician,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const overrideReason = data.overrideReason ? String(data.overrideReason).trim().substring(0, 100) : '';
+  const notifyCustomer = data.notifyCustomer === true || data.notifyCustomer === 'true';
+
+  const bookingLock = LockService.getDocumentLock();
+  try {
+    bookingLock.waitLock(30000);
+  } catch (lockError) {
+    console.error('無法取得預約鎖定:', lockError);
+    return {
+      success: false,
+      error: 'LOCK_TIMEOUT',
+      message: '系統忙碌中，請稍後再試',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  try {
+    const found = findBookingByEventId(data.eventId);
+    if (!found) {
+      return {
+        success: false,
+        error: 'BOOKING_NOT_FOUND',
+        message: '找不到此預約',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const booking = bookingRowToData(found.values);
+    if (!BOOKING_STATUS_CONFIG.adminEditableStatuses.includes(booking.status)) {
+      return {
+        success: false,
+        error: 'BOOKING_STATUS_LOCKED',
+        message: `此預約目前為「${BOOKING_STATUS_CONFIG.labels[booking.status]}」，無法修改`,
+        status: booking.status,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const currentDuration = getCalendarEventDurationMinutes(booking.eventId);
+    const serviceChanged = !!data.service;
+    const updated = Object.assign({}, booking, {
+      date: data.date !== undefined ? String(data.date) : booking.date,
+      time: data.time !== undefined ? String(data.time) : booking.time,
+      remarks: data.remarks !== undefined ? String(data.remarks).trim() : booking.remarks,
+      technician: requestedTechnician || booking.technician,
+      durationMinutes: currentDuration
+    });
+
+    if (serviceChanged) {
+      updated.services = String(data.serviceText || data.service);
+      updated.removal = data.removal ? String(data.removalText || data.removal) : '';
+      updated.quantity = data.quantity ? String(data.quantityText || data.quantity) : '無';
+      updated.durationMinutes = calculateBookingDurationMinutes({
+        service: data.service,
+        removal: data.removal,
+        quantity: data.quantity
+      });
+    }
+
+    const before = Object.assign({}, booking, { durationMinutes: currentDuration });
+    const changedFields = BOOKING_UPDATE_FIELDS.filter(field => String(before[field]) !== String(updated[field]));
+    if (changedFields.length === 0) {
+      return {
+        success: false,
+        error: 'NO_CHANGES',
+        message: '預約內容沒有變更',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    // 時間、時長或美甲師變動時確認時段（排除預約本身的日曆活動）
+    let slotOverridden = false;
+    if (['date', 'time', 'durationMinutes', 'technician'].some(field => changedFields.includes(field))) {
+      const slotCheck = verifyBackendTimeSlotAvailability(updated.date, updated.time, booking.eventId, updated.durationMinutes);
+      const freeTechnicians = slotCheck.slotStatus ? slotCheck.slotStatus.freeTechnicians || [] : [];
+
+      // 未指定美甲師時，原美甲師有空則維持，否則改派其他有空的美甲師
+      if (!requestedTechnician && freeTechnicians.length > 0 && !freeTechnicians.includes(updated.technician)) {
+        updated.technician = freeTechnicians[0];
+        if (!changedFields.includes('technician')) {
+          changedFields.push('technician');
+        }
+      }
+
+      const technicianBusy = slotCheck.available && !freeTechnicians.includes(updated.technician);
+      if (!slotCheck.available || technicianBusy) {
+        if (!overrideReason) {
+          console.warn('修改預約時段檢查未通過:', slotCheck);
+          return {
+            success: false,
+            error: technicianBusy ? 'TECHNICIAN_UNAVAILABLE' : (slotCheck.errorCode || 'TIME_SLOT_UNAVAILABLE'),
+            message: technicianBusy ? `${updated.technician} 在該時段已有預約` : (slotCheck.message || '該時段已被占用，請重新選擇'),
+            conflictDetails: slotCheck.slotStatus,
+            timestamp: new Date().toISOString()
+          };
+        }
+        slotOverridden = true;
+        console.warn('後台略過時段檢查:', slotCheck.errorCode, overrideReason);
+      }
+    }
+
+    // 更新日曆活動（說明沿用 createEventDescription 格式）
+    const calendarResult = updateCalendarEventDetails(booking.eventId, {
+      customerName: booking.customerName,
+      phone: booking.phone,
+      date: updated.date,
+      time: updated.time,
+      services: updated.services,
+      removal: updated.removal,
+      quantity: updated.quantity === '無' ? '' : updated.quantity,
+      remarks: updated.remarks,
+      durationMinutes: updated.durationMinutes,
+      technician: updated.technician,
+      createdAt: found.values[9] instanceof Date ? found.values[9] : null,
+      updatedAt: new Date()
+    });
+    if (!calendarResult.success) {
+      return {
+        success: false,
+        error: 'CALENDAR_UPDATE_FAILED',
+        message: '修改預約失敗，原預約維持不變',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    // 改寫試算表；失敗時將日曆活動還原
+    try {
+      rewriteBookingRowDetails(found, updated);
+    } catch (sheetError) {
+      console.error('改寫預約記錄失敗，還原日曆活動:', sheetError);
+      if (!restoreCalendarEventDetails(booking.eventId, calendarResult.previous)) {
+        Logger.error('修改預約還原日曆活動失敗，請人工確認', { eventId: booking.eventId }, 'booking');
+      }
+      return {
+        success: false,
+        error: 'SHEET_UPDATE_FAILED',
+        message: '修改預約失敗，原預約維持不變',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    clearBookingCache();
+    SpreadsheetApp.flush();
+
+    // 原時段已釋出，通知候補客戶
+    if (changedFields.includes('date') || changedFields.includes('time')) {
+      offerSlotToWaitlist(booking.date, booking.time);
+    }
+
+    // 依管理員選擇以 LINE 通知客戶
+    let lineMessageResult = null;
+    if (notifyCustomer) {
+      try {
+        lineMessageResult = sendLineBookingUpdateNotice(Object.assign({}, updated, {
+          previousDate: booking.date,
+          previousTime: booking.time
+        }));
+      } catch (lineError) {
+        console.error('發送 LINE 預約變更通知時發生錯誤:', lineError);
+        lineMessageResult = { success: false, message: `LINE 訊息發送錯誤: ${lineError.message}` };
+      }
+    }
+
+    const pickFields = source => BOOKING_UPDATE_FIELDS.reduce((result, field) => {
+      result[field] = source[field];
+      return result;
+    }, {});
+
+    recordAudit({
+      action: 'updateBooking',
+      actor: data.userId,
+      actorType: AUDIT_CONFIG.actorTypes.ADMIN,
+      targetType: 'booking',
+      targetId: booking.eventId,
+      summary: `修改預約 ${updated.date} ${updated.time} ${booking.customerName}` +
+        (slotOverridden ? `（略過時段檢查：${overrideReason}）` : ''),
+      before: pickFields(before),
+      after: pickFields(updated)
+    });
+
+    Logger.performance('後台修改預約完成', updateStartTime, 'booking');
+
+    return {
+      success: true,
+      message: '預約已更新',
+      changedFields: changedFields,
+      slotOverridden: slotOverridden,
+      calendarEvent: {
+        success: true,
+        eventId: calendarResult.eventId,
+        startTime: calendarResult.startTime,
+        endTime: calendarResult.endTime
+      },
+      lineMessage: lineMessageResult,
+      bookingData: Object.assign({ eventId: booking.eventId, customerName: booking.customerName }, pickFields(updated)),
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error('後台修改預約時發生錯誤:', error);
+    return {
+      success: false,
+      error: error.message,
+      message: '修改預約失敗，請稍後再試',
+      timestamp: new Date().toISOString()
+    };
+
+  } finally {
+    bookingLock.releaseLock();
+    console.log('已釋放預約鎖定');
+  }
+}
+
+/**
+ * 改寫預約記錄的服務內容、日期時間與美甲師
+ * 新日期跨年度時，沿用 rewriteBookingRowDateTime 將記錄搬移到對應年度的工作表
+ * @param {Object} found - findBookingByEventId 的結果
+ * @param {Object} updated - 修改後的預約資料（date、time、services、removal、quantity、remarks、technician）
+ */
+function rewriteBookingRowDetails(found, updated) {
+  const detailValues = [updated.services, updated.removal, updated.quantity, updated.remarks];
+
+  if (getBookingSheetNameByDate(updated.date) === found.sheetName) {
+    ensureBookingSheetHeaders(found.sheet);
+    found.sheet.getRange(found.row, 4, 1, 6).setValues([
+      [toSheetBookingDate(updated.date), updated.time].concat(detailValues)
+    ]);
+    found.sheet.getRange(found.row, BOOKING_COLUMNS.TECHNICIAN).setValue(updated.technician);
+    return;
+  }
+
+  const moved = Object.assign({}, found, { values: found.values.slice() });
+  detailValues.forEach((value, index) => {
+    moved.values[5 + index] = value;
+  });
+  rewriteBookingRowDateTime(moved, updated.date, updated.time, updated.technician);
+}
+
+// ==================== 後台預約查詢 ====================
+
+/**
+ * 處理後台預約列表查詢（僅限管理員）
+ * 讀取所有年度預約工作表，依日期區間、狀態、服務項目與客戶篩選，依日期時間排序
+ * @param {Object} data - 包含 userId（已驗證的管理員）、startDate、endDate（YYYY-MM-DD），
+ *                        選填 status、service（服務項目部分比對）、customer（姓名或手機部分比對）
+ * @returns {Object} - { bookings, totalCount, truncated, technicians }（technicians 供後台修改預約選擇美甲師）
+ */
+function handleListBookings(data) {
+  const authError = requireAdmin(data && data.userId);
+  if (authError) {
+    return authError;
+  }
+
+  const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+  const startDate = String(data.startDate || '');
+  const endDate = String(data.endDate || '');
+  if (!DATE_REGEX.test(startDate) || !DATE_REGEX.test(endDate) || startDate > endDate) {
+    return {
+      success: false,
+      error: 'INVALID_DATE',
+      message: '請提供正確的日期區間（YYYY-MM-DD）',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const rangeDays = Math.round((createTaipeiDateFromYMD(endDate) - createTaipeiDateFromYMD(startDate)) / (24 * 60 * 60 * 1000)) + 1;
+  if (rangeDays > BOOKING_LIST_CONFIG.maxRangeDays) {
+    return {
+      success: false,
+      error: 'RANGE_TOO_LARGE',
+      message: `查詢區間不可超過 ${BOOKING_LIST_CONFIG.maxRangeDays} 天`,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const status = data.status ? String(data.status) : '';
+  if (status && !BOOKING_STATUS_CONFIG.statuses.includes(status)) {
+    return {
+      success: false,
+      error: 'INVALID_STATUS',
+      message: '無效的預約狀態: ' + status,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  try {
+    const serviceKeyword = data.service ? String(data.service).trim().toLowerCase() : '';
+    const customerKeyword = data.customer ? String(data.customer).trim().toLowerCase() : '';
+    const startYear = parseInt(startDate.substring(0, 4), 10);
+    const endYear = parseInt(endDate.substring(0, 4), 10);
+    const matched = [];
+
+    getAllBookingSheetNames().forEach(sheetName => {
+      // 年度工作表只讀取查詢區間涵蓋的年份（不含年份的主工作表一律讀取）
+      const year = parseInt(sheetName.replace(BOOKING_SHEET_NAME, ''), 10);
+      if (!isNaN(year) && (year < startYear || year > endYear)) {
+        return;
+      }
+
+      const sheet = getSheet(sheetName);
+      const lastRow = sheet.getLastRow();
+      if (lastRow <= 1) {
+        return;
+      }
+
+      const rows = sheet.getRange(2, 1, lastRow - 1, BOOKING_SHEET_HEADERS.length).getValues();
+      rows.forEach(values => {
+        const booking = bookingRowToData(values);
+        if (!booking.date || booking.date < startDate || booking.date > endDate) return;
+        if (status && booking.status !== status) return;
+        if (serviceKeyword && !String(booking.services).toLowerCase().includes(serviceKeyword)) return;
+        if (customerKeyword &&
+            !String(booking.customerName || '').toLowerCase().includes(customerKeyword) &&
+            !booking.phone.includes(customerKeyword)) return;
+
+        const createdAt = values[9];
+        booking.createdAt = createdAt instanceof Date ? createdAt.toISOString() : String(createdAt || '');
+        booking.statusLabel = BOOKING_STATUS_CONFIG.labels[booking.status] || booking.status;
+        matched.push(booking);
+      });
+    });
+
+    matched.sort((a, b) => (a.date + a.time).localeCompare(b.date + b.time));
+
+    return {
+      success: true,
+      bookings: matched.slice(0, BOOKING_LIST_CONFIG.maxResults),
+      totalCount: matched.length,
+      truncated: matched.length > BOOKING_LIST_CONFIG.maxResults,
+      technicians: TECHNICIAN_CONFIG.technicians,
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error('查詢後台預約列表失敗:', error);
+    return {
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// ==================== 後端時段驗證 ====================
+
+/**
+ * 在後端再次確認指定日期與時間是否仍可預約
+ * @param {string} dateStr - 預約日期（YYYY-MM-DD）
+ * @param {string} timeStr - 預約時間（HH:MM）
+ * @param {string} excludeEventId - 選填，改期時排除原預約的日曆活動
+ * @param {number} durationMinutes - 選填，服務時長（分鐘）
+ * @param {string} holdToken - 選填，客戶本人的時段保留代碼
+ * @returns {Object} - 驗證結果
+ */
+function verifyBackendTimeSlotAvailability(dateStr, timeStr, excludeEventId, durationMinutes, holdToken) {
+  console.log('後端二次驗證開始');
+
+  const defaultResponse = {
+    available: false,
+    errorCode: 'TIME_SLOT_CHECK_FAILED',
+    slotStatus: null,
+    message: '系統忙碌中，請稍後再試',
+    date: dateStr,
+    time: timeStr
+  };
+
+  try {
+    if (!dateStr || !timeStr) {
+      defaultResponse.errorCode = 'MISSING_SLOT_PARAMS';
+      defaultResponse.message = '缺少時段參數，無法完成預約';
+      return defaultResponse;
+    }
+
+    if (!CALENDAR_CONFIG.calendarId || CALENDAR_CONFIG.calendarId === 'YOUR_CALENDAR_ID@gmail.com') {
+      defaultResponse.errorCode = 'CALENDAR_NOT_CONFIGURED';
+      defaultResponse.message = '預約日曆尚未設定，請聯絡系統管理員';
+      return defaultResponse;
+    }
+
+    const queryDate = createTaipeiDateFromYMD(dateStr);
+    const availabilityMap = checkTimeSlotsAvailability(queryDate, dateStr, [timeStr], CALENDAR_CONFIG.calendarId, excludeEventId, durationMinutes, holdToken);
+    const slotStatus = availabilityMap ? availabilityMap[timeStr] : null;
+
+    if (!slotStatus) {
+      defaultResponse.errorCode = 'SLOT_STATUS_MISSING';
+      defaultResponse.message = '無法確認時段狀態，請重新選擇';
+      return defaultResponse;
+    }
+
+    return {
+      available: slotStatus.available === true,
+      errorCode: slotStatus.available === true ? null : 'TIME_SLOT_CONFLICT',
+      slotStatus: slotStatus,
+      message: slotStatus.available === true ? '時段可用' : (slotStatus.reason || '該時段已被預約'),
+      date: dateStr,
+      time: timeStr
+    };
+
+  } catch (error) {
+    console.error('後端時段驗證失敗:', error);
+    defaultResponse.message = '後端驗證失敗，請稍後再試';
+    return defaultResponse;
+  }
+}
+
+// ==================== 預約時間規則驗證 ====================
+
+/**
+ * 檢查預約時間是否符合預約規則
+ * 1. 預約開始時間需晚於現在 + advanceHours 小時
+ * 2. 只能預約本月；每月 openingDay 號 openingHour 點（台北時間）後開放下個月
+ * @param {string} dateStr - 預約日期（YYYY-MM-DD）
+ * @param {string} timeStr - 預約時間（HH:MM）
+ * @param {Object} rules - getBookingRules 的結果
+ * @returns {Object|null} - 不符合時回傳錯誤回應，符合時為 null
+ */
+function checkBookingWindow(dateStr, timeStr, rules) {
+  const now = new Date();
+  const bookingStart = new Date(`${dateStr}T${timeStr}:00+08:00`);
+
+  if (isNaN(bookingStart.getTime())) {
+    return {
+      success: false,
+      error: 'INVALID_DATETIME',
+      message: '預約日期或時間格式錯誤',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  if (bookingStart.getTime() < now.getTime() + rules.advanceHours * 60 * 60 * 1000) {
+    return {
+      success: false,
+      error: 'BOOKING_TOO_SOON',
+      message: `請於預約時間 ${rules.advanceHours} 小時前完成預約`,
+      advanceHours: rules.advanceHours,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const [year, month, day, hour] = Utilities.formatDate(now, SYSTEM_CONFIG.TIMEZONE || 'Asia/Taipei', 'yyyy-MM-dd-HH').split('-').map(Number);
+  const [bookingYear, bookingMonth] = dateStr.split('-').map(Number);
+  const nextMonthOpened = day > rules.openingDay || (day === rules.openingDay && hour >= rules.openingHour);
+  const lastOpenMonth = year * 12 + (month - 1) + (nextMonthOpened ? 1 : 0);
+
+  if (bookingYear * 12 + (bookingMonth - 1) > lastOpenMonth) {
+    return {
+      success: false,
+      error: 'BOOKING_NOT_OPEN',
+      message: `該月份尚未開放預約，每月 ${rules.openingDay} 日 ${rules.openingHour}:00 開放下個月預約`,
+      openingDay: rules.openingDay,
+      openingHour: rules.openingHour,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  return null;
+}
+
+// ==================== 預約狀態更新 ====================
+
+/**
+ * 正規化預約狀態；舊資料沒有狀態時視為初始狀態
+ * @param {string} status - 工作表中的狀態值
+ * @returns {string} - 預約狀態
+ */
+function normalizeBookingStatus(status) {
+  const value = String(status || '').trim();
+  return BOOKING_STATUS_CONFIG.statuses.includes(value) ? value : BOOKING_STATUS_CONFIG.initialStatus;
+}
+
+/**
+ * 判斷狀態轉換是否允許
+ * @param {string} fromStatus - 目前狀態
+ * @param {string} toStatus - 新狀態
+ * @returns {boolean} - 是否允許
+ */
+function canTransitionBookingStatus(fromStatus, toStatus) {
+  const allowed = BOOKING_STATUS_CONFIG.transitions[fromStatus] || [];
+  return allowed.includes(toStatus);
+}
+
+/**
+ * 建立一筆狀態紀錄文字
+ * @param {Date} changedAt - 變更時間
+ * @param {string} fromStatus - 原狀態（新預約為空字串）
+ * @param {string} toStatus - 新狀態
+ * @param {string} note - 備註（變更來源）
+ * @returns {string} - 例如「2025-07-01 14:00 已確認 → 已取消（客戶自行取消）」
+ */
+function formatStatusHistoryEntry(changedAt, fromStatus, toStatus, note) {
+  const timeText = Utilities.formatDate(changedAt, SYSTEM_CONFIG.TIMEZONE || 'Asia/Taipei', 'yyyy-MM-dd HH:mm');
+  const fromText = fromStatus ? `${BOOKING_STATUS_CONFIG.labels[fromStatus]} → ` : '';
+  const noteText = note ? `（${note}）` : '';
+  return `${timeText} ${fromText}${BOOKING_STATUS_CONFIG.labels[toStatus]}${noteText}`;
+}
+
+/**
+ * 套用預約狀態變更（呼叫端需持有 Document Lock）
+ * 寫入新狀態、變更時間，並在狀態紀錄欄追加一筆紀錄
+ * @param {Object} found - findBookingByEventId 的結果
+ * @param {string} newStatus - 新狀態
+ * @param {string} note - 備註（變更來源）
+ * @returns {Object} - { previousStatus, status, changedAt }
+ * @throws {Error} 不允許的狀態轉換
+ */
+function applyBookingStatusChange(found, newStatus, note) {
+  const previousStatus = normalizeBookingStatus(found.values[BOOKING_COLUMNS.STATUS - 1]);
+
+  if (!canTransitionBookingStatus(previousStatus, newStatus)) {
+    const error = new Error(`無法從「${BOOKING_STATUS_CONFIG.labels[previousStatus]}」變更為「${BOOKING_STATUS_CONFIG.labels[newStatus]}」`);
+    error.code = 'INVALID_STATUS_TRANSITION';
+    throw error;
+  }
+
+  ensureBookingSheetHeaders(found.sheet);
+
+  const changedAt = new Date();
+  const history = String(found.values[BOOKING_COLUMNS.STATUS_HISTORY - 1] || '');
+  const entry = formatStatusHistoryEntry(changedAt, previousStatus, newStatus, note);
+
+  found.sheet.getRange(found.row, BOOKING_COLUMNS.STATUS, 1, 3).setValues([[
+    newStatus,
+    changedAt,
+    history ? `${history}\n${entry}` : entry
+  ]]);
+
+  found.values[BOOKING_COLUMNS.STATUS - 1] = newStatus;
+
+  return {
+    previousStatus: previousStatus,
+    status: newStatus,
+    changedAt: changedAt.toISOString()
+  };
+}
+
+/**
+ * 處理預約狀態更新
+ * 依 BOOKING_STATUS_CONFIG.transitions 驗證狀態轉換；取消時一併刪除日曆活動以釋出時段
+ * @param {string} bookingId - 預約ID（日曆活動 Event ID）
+ * @param {string} status - 新狀態
+ * @param {string} actor - 操作的管理員 LINE User ID（寫入操作紀錄）
+ * @returns {Object} - 處理結果
+ */
+function handleUpdateBookingStatus(bookingId, status, actor) {
+  Logger.api('開始更新預約狀態', { bookingId: bookingId, status: status }, 'booking');
+
+  if (!bookingId || !status) {
+    return {
+      success: false,
+      error: 'MISSING_PARAMS',
+      message: '缺少預約ID或狀態',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  if (!BOOKING_STATUS_CONFIG.statuses.includes(status)) {
+    return {
+      success: false,
+      error: 'INVALID_STATUS',
+      message: '無效的預約狀態: ' + status,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const bookingLock = LockService.getDocumentLock();
+  try {
+    bookingLock.waitLock(30000);
+  } catch (lockError) {
+    console.error('無法取得預約鎖定:', lockError);
+    return {
+      success: false,
+      error: 'LOCK_TIMEOUT',
+      message: '系統忙碌中，請稍後再試',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  try {
+    const found = findBookingByEventId(bookingId);
+    if (!found) {
+      return {
+        success: false,
+        error: 'BOOKING_NOT_FOUND',
+        message: '找不到此預約',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const currentStatus = normalizeBookingStatus(found.values[BOOKING_COLUMNS.STATUS - 1]);
+    if (!canTransitionBookingStatus(currentStatus, status)) {
+      return {
+        success: false,
+        error: 'INVALID_STATUS_TRANSITION',
+        message: `無法從「${BOOKING_STATUS_CONFIG.labels[currentStatus]}」變更為「${BOOKING_STATUS_CONFIG.labels[status]}」`,
+        currentStatus: currentStatus,
+        allowedStatuses: BOOKING_STATUS_CONFIG.transitions[currentStatus],
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    // 取消時先刪除日曆活動，失敗則不變更狀態
+    if (status === 'cancelled') {
+      const calendarResult = deleteCalendarEvent(bookingId);
+      if (!calendarResult.success) {
+        return {
+          success: false,
+          error: 'CALENDAR_DELETE_FAILED',
+          message: '刪除日曆活動失敗，狀態未變更',
+          timestamp: new Date().toISOString()
+        };
+      }
+    }
+
+    const statusResult = applyBookingStatusChange(found, status, '後台更新');
+    clearBookingCache();
+    SpreadsheetApp.flush();
+
+    const booking = bookingRowToData(found.values);
+    recordAudit({
+      action: 'updateBookingStatus',
+      actor: actor,
+      actorType: AUDIT_CONFIG.actorTypes.ADMIN,
+      targetType: 'booking',
+      targetId: String(bookingId),
+      summary: `預約 ${booking.date} ${booking.time} ${booking.customerName}：` +
+        `${BOOKING_STATUS_CONFIG.labels[statusResult.previousStatus]} → ${BOOKING_STATUS_CONFIG.labels[statusResult.status]}`,
+      before: { status: statusResult.previousStatus },
+      after: { status: statusResult.status }
+    });
+
+    // 取消釋出的時段通知候補客戶
+    if (status === 'cancelled') {
+      offerSlotToWaitlist(booking.date, booking.time);
+    }
+
+    return {
+      success: true,
+      message: '預約狀態已更新',
+      bookingId: String(bookingId),
+      previousStatus: statusResult.previousStatus,
+      status: statusResult.status,
+      statusLabel: BOOKING_STATUS_CONFIG.labels[statusResult.status],
+      changedAt: statusResult.changedAt,
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error('更新預約狀態時發生錯誤:', error);
+    return {
+      success: false,
+      error: error.code || error.message,
+      message: error.message || '更新預約狀態失敗',
+      timestamp: new Date().toISOString()
+    };
+
+  } finally {
+    bookingLock.releaseLock();
+    console.log('已釋放預約鎖定');
+  }
 }
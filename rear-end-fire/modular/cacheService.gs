@@ -67,6 +67,13 @@ function getCachedConfig() {
       timeSlotsCalendarId: properties.getProperty('GOOGLE_TIMESLOTS_CALENDAR_ID'),
       notificationEmail: properties.getProperty('NOTIFICATION_EMAIL'),
       lineToken: properties.getProperty('LINE_CHANNEL_ACCESS_TOKEN'),
+      technicians: properties.getProperty('TECHNICIANS'),
+      bookingPageUrl: properties.getProperty('BOOKING_PAGE_URL'),
+      lineLoginChannelId: properties.getProperty('LINE_LOGIN_CHANNEL_ID'),
+      idTokenVerifier: properties.getProperty('ID_TOKEN_VERIFIER'),
+      idTokenLocalSecret: properties.getProperty('ID_TOKEN_LOCAL_SECRET'),
+      csrfSecret: properties.getProperty('CSRF_SECRET'),
+      accountLinkSender: properties.getProperty('ACCOUNT_LINK_SENDER'),
 
       hasApiKey: function() { return !!this.apiKey && this.apiKey !== 'YOUR_GOOGLE_CALENDAR_API_KEY'; },
       hasCalendarAccess: function() { return !!this.calendarId && this.calendarId !== 'YOUR_CALENDAR_ID@gmail.com'; },
@@ -95,6 +102,13 @@ function getCachedConfig() {
       timeSlotsCalendarId: null,
       notificationEmail: null,
       lineToken: null,
+      technicians: null,
+      bookingPageUrl: null,
+      lineLoginChannelId: null,
+      idTokenVerifier: null,
+      idTokenLocalSecret: null,
+      csrfSecret: null,
+      accountLinkSender: null,
       hasApiKey: function() { return false; },
       hasCalendarAccess: function() { return false; },
       hasLineIntegration: function() { return false; },
@@ -155,7 +169,14 @@ function getConfigValue(configKey, defaultValue = null) {
       'GOOGLE_CALENDAR_ID': 'calendarId',
       'GOOGLE_TIMESLOTS_CALENDAR_ID': 'timeSlotsCalendarId',
       'NOTIFICATION_EMAIL': 'notificationEmail',
-      'LINE_CHANNEL_ACCESS_TOKEN': 'lineToken'
+      'LINE_CHANNEL_ACCESS_TOKEN': 'lineToken',
+      'TECHNICIANS': 'technicians',
+      'BOOKING_PAGE_URL': 'bookingPageUrl',
+      'LINE_LOGIN_CHANNEL_ID': 'lineLoginChannelId',
+      'ID_TOKEN_VERIFIER': 'idTokenVerifier',
+      'ID_TOKEN_LOCAL_SECRET': 'idTokenLocalSecret',
+      'CSRF_SECRET': 'csrfSecret',
+      'ACCOUNT_LINK_SENDER': 'accountLinkSender'
     };
 
     const mappedKey = keyMapping[configKey] || configKey;
@@ -385,6 +406,7 @@ function buildBookingIndex() {
             indexMap.set(lineUserId, []);
           }
 
+          const status = normalizeBookingStatus(data[i][BOOKING_COLUMNS.STATUS - 1]);
           const booking = {
             lineUserId: data[i][0],
             customerName: data[i][1],
@@ -397,6 +419,10 @@ function buildBookingIndex() {
             remarks: data[i][8] || '',
             createdAt: data[i][9],
             eventId: data[i][10] || '',
+            status: status,
+            statusLabel: BOOKING_STATUS_CONFIG.labels[status],
+            statusUpdatedAt: data[i][BOOKING_COLUMNS.STATUS_UPDATED_AT - 1] || '',
+            technician: data[i][BOOKING_COLUMNS.TECHNICIAN - 1] || '',
             sheetName: sheetName  // 記錄來源工作表
           };
 
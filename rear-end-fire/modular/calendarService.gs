@@ -190,6 +190,10 @@ class AdvancedCalendarService {
           return new Date();
         },
         isAllDayEvent: () => !apiEvent.start.dateTime && apiEvent.start.date,
+        getTag: (key) => {
+          const privateProps = (apiEvent.extendedProperties && apiEvent.extendedProperties.private) || {};
+          return privateProps[key] !== undefined ? privateProps[key] : null;
+        },
         _originalApiEvent: apiEvent
       };
     });
@@ -279,10 +283,13 @@ function createCalendarEvent(bookingData) {
       ? bookingData.isoStart
       : `${bookingData.date}T${bookingData.time}:00+08:00`;
     const startTime = new Date(startIso);
-    const endTime = new Date(startTime.getTime() + CALENDAR_CONFIG.defaultDuration * 60 * 60 * 1000);
+    const durationMinutes = bookingData.durationMinutes || CALENDAR_CONFIG.defaultDuration * 60;
+    const endTime = new Date(startTime.getTime() + durationMinutes * 60 * 1000);
 
-    // 建立活動
-    const title = `${bookingData.customerName} - 美甲預約`;
+    // 建立活動（標題附上負責的美甲師）
+    const title = bookingData.technician
+      ? `${bookingData.customerName} - 美甲預約（${bookingData.technician}）`
+      : `${bookingData.customerName} - 美甲預約`;
     const description = createEventDescription(bookingData);
 
     const event = calendar.createEvent(title, startTime, endTime, {
@@ -290,6 +297,10 @@ function createCalendarEvent(bookingData) {
       location: ''
     });
 
+    if (bookingData.technician) {
+      event.setTag(TECHNICIAN_CONFIG.eventTagKey, bookingData.technician);
+    }
+
     // 處理 Event ID
     let eventId = event.getId();
     if (eventId.includes('@google.com')) {
@@ -300,6 +311,7 @@ function createCalendarEvent(bookingData) {
       success: true,
       eventId: eventId,
       title: title,
+      technician: bookingData.technician || null,
       startTime: startTime.toISOString(),
       endTime: endTime.toISOString(),
       calendarName: calendar.getName(),
@@ -316,21 +328,297 @@ function createCalendarEvent(bookingData) {
   }
 }
 
+/**
+ * 依試算表記錄的 Event ID 取得預約日曆中的活動
+ * @param {string} eventId - 試算表中記錄的 Event ID（不含 @google.com）
+ * @returns {CalendarEvent|null} - 日曆活動，不存在時回傳 null
+ */
+function getBookingCalendarEvent(eventId) {
+  const calendar = CalendarApp.getCalendarById(CALENDAR_CONFIG.calendarId);
+  if (!calendar) {
+    throw new Error(`找不到日曆ID: ${CALENDAR_CONFIG.calendarId}`);
+  }
+
+  const eventIdStr = String(eventId);
+  const fullEventId = eventIdStr.includes('@') ? eventIdStr : `${eventIdStr}@google.com`;
+  return calendar.getEventById(fullEventId);
+}
+
+/**
+ * 刪除 Google 日曆活動
+ * @param {string} eventId - 試算表中記錄的 Event ID（不含 @google.com）
+ * @returns {Object} - 刪除結果
+ */
+function deleteCalendarEvent(eventId) {
+  console.log('開始刪除日曆活動:', eventId);
+
+  try {
+    if (!eventId) {
+      return { success: false, error: '缺少 Event ID' };
+    }
+
+    const event = getBookingCalendarEvent(eventId);
+
+    // 活動已不存在（可能已由店家手動刪除），視為刪除成功
+    if (!event) {
+      console.warn('日曆活動不存在，略過刪除:', eventId);
+      return { success: true, alreadyDeleted: true, message: '日曆活動已不存在' };
+    }
+
+    event.deleteEvent();
+
+    return { success: true, eventId: String(eventId), message: '日曆活動刪除成功' };
+
+  } catch (error) {
+    console.error('刪除Google日曆活動失敗:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      message: '日曆活動刪除失敗'
+    };
+  }
+}
+
+/**
+ * 取得預約日曆活動的服務時長
+ * @param {string} eventId - 試算表中記錄的 Event ID（不含 @google.com）
+ * @returns {number} - 時長（分鐘），找不到活動時使用預設時長
+ */
+function getCalendarEventDurationMinutes(eventId) {
+  try {
+    const event = getBookingCalendarEvent(eventId);
+    if (event) {
+      return Math.round((event.getEndTime().getTime() - event.getStartTime().getTime()) / (60 * 1000));
+    }
+  } catch (error) {
+    console.error('讀取日曆活動時長失敗:', error);
+  }
+  return CALENDAR_CONFIG.defaultDuration * 60;
+}
+
+/**
+ * 取得日曆活動上記錄的美甲師
+ * @param {Object} event - CalendarEvent 或 AdvancedCalendarService 轉換後的事件
+ * @returns {string|null} - 美甲師名稱，未指派時為 null
+ */
+function getEventTechnician(event) {
+  try {
+    return typeof event.getTag === 'function' ? (event.getTag(TECHNICIAN_CONFIG.eventTagKey) || null) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 變更日曆活動的美甲師（改期時重新指派使用）
+ * @param {string} eventId - 試算表中記錄的 Event ID（不含 @google.com）
+ * @param {string} technician - 美甲師名稱
+ * @returns {boolean} - 是否成功
+ */
+function setCalendarEventTechnician(eventId, technician) {
+  try {
+    const event = getBookingCalendarEvent(eventId);
+    if (!event) {
+      return false;
+    }
+
+    const previousTechnician = event.getTag(TECHNICIAN_CONFIG.eventTagKey);
+    event.setTag(TECHNICIAN_CONFIG.eventTagKey, technician);
+
+    const title = event.getTitle();
+    const suffix = previousTechnician ? `（${previousTechnician}）` : '';
+    const baseTitle = suffix && title.endsWith(suffix) ? title.slice(0, -suffix.length) : title;
+    event.setTitle(`${baseTitle}（${technician}）`);
+    return true;
+
+  } catch (error) {
+    console.error('變更日曆活動美甲師失敗:', error);
+    return false;
+  }
+}
+
+/**
+ * 將 Google 日曆活動移動到新的日期與時間
+ * @param {string} eventId - 試算表中記錄的 Event ID（不含 @google.com）
+ * @param {string} date - 新日期（YYYY-MM-DD）
+ * @param {string} time - 新時間（HH:MM）
+ * @returns {Object} - 移動結果，包含原本的開始/結束時間供還原使用
+ */
+function moveCalendarEvent(eventId, date, time) {
+  console.log('開始移動日曆活動:', eventId, date, time);
+
+  try {
+    if (!eventId) {
+      return { success: false, error: '缺少 Event ID' };
+    }
+
+    if (!SYSTEM_CONFIG.TIME_FORMAT_REGEX.test(time)) {
+      throw new Error(`無效的時間格式: ${time}`);
+    }
+
+    const event = getBookingCalendarEvent(eventId);
+    if (!event) {
+      return { success: false, error: 'EVENT_NOT_FOUND', message: '找不到原預約的日曆活動' };
+    }
+
+    const previousStartTime = event.getStartTime();
+    const previousEndTime = event.getEndTime();
+
+    // 保留原活動長度
+    const startTime = new Date(`${date}T${time}:00+08:00`);
+    const endTime = new Date(startTime.getTime() + (previousEndTime.getTime() - previousStartTime.getTime()));
+
+    event.setTime(startTime, endTime);
+
+    return {
+      success: true,
+      eventId: String(eventId),
+      previousStartTime: previousStartTime,
+      previousEndTime: previousEndTime,
+      startTime: startTime.toISOString(),
+      endTime: endTime.toISOString(),
+      message: '日曆活動移動成功'
+    };
+
+  } catch (error) {
+    console.error('移動Google日曆活動失敗:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      message: '日曆活動移動失敗'
+    };
+  }
+}
+
+/**
+ * 將日曆活動還原到指定時間（改期失敗時回復原狀）
+ * @param {string} eventId - 試算表中記錄的 Event ID
+ * @param {Date} startTime - 原開始時間
+ * @param {Date} endTime - 原結束時間
+ * @returns {boolean} - 是否還原成功
+ */
+function restoreCalendarEventTime(eventId, startTime, endTime) {
+  try {
+    const event = getBookingCalendarEvent(eventId);
+    if (!event) {
+      return false;
+    }
+    event.setTime(startTime, endTime);
+    return true;
+  } catch (error) {
+    console.error('還原日曆活動時間失敗:', error);
+    return false;
+  }
+}
+
+/**
+ * 更新預約日曆活動的時間、標題、美甲師與說明（後台修改預約使用）
+ * @param {string} eventId - 試算表中記錄的 Event ID（不含 @google.com）
+ * @param {Object} bookingData - 修改後的預約資料（date、time、durationMinutes、customerName、technician 與說明欄位）
+ * @returns {Object} - 更新結果，成功時含 previous（原活動內容，供 restoreCalendarEventDetails 還原）
+ */
+function updateCalendarEventDetails(eventId, bookingData) {
+  console.log('開始更新日曆活動:', eventId);
+
+  try {
+    if (!SYSTEM_CONFIG.TIME_FORMAT_REGEX.test(bookingData.time)) {
+      throw new Error(`無效的時間格式: ${bookingData.time}`);
+    }
+
+    const event = getBookingCalendarEvent(eventId);
+    if (!event) {
+      return { success: false, error: 'EVENT_NOT_FOUND', message: '找不到預約的日曆活動' };
+    }
+
+    const previous = {
+      startTime: event.getStartTime(),
+      endTime: event.getEndTime(),
+      title: event.getTitle(),
+      description: event.getDescription(),
+      technician: event.getTag(TECHNICIAN_CONFIG.eventTagKey) || ''
+    };
+
+    const startTime = new Date(`${bookingData.date}T${bookingData.time}:00+08:00`);
+    const endTime = new Date(startTime.getTime() + bookingData.durationMinutes * 60 * 1000);
+    const title = bookingData.technician
+      ? `${bookingData.customerName} - 美甲預約（${bookingData.technician}）`
+      : `${bookingData.customerName} - 美甲預約`;
+
+    event.setTime(startTime, endTime);
+    event.setTitle(title);
+    event.setDescription(createEventDescription(bookingData));
+    if (bookingData.technician) {
+      event.setTag(TECHNICIAN_CONFIG.eventTagKey, bookingData.technician);
+    }
+
+    return {
+      success: true,
+      eventId: String(eventId),
+      previous: previous,
+      startTime: startTime.toISOString(),
+      endTime: endTime.toISOString(),
+      message: '日曆活動更新成功'
+    };
+
+  } catch (error) {
+    console.error('更新Google日曆活動失敗:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      message: '日曆活動更新失敗'
+    };
+  }
+}
+
+/**
+ * 將日曆活動還原為 updateCalendarEventDetails 之前的內容
+ * @param {string} eventId - 試算表中記錄的 Event ID（不含 @google.com）
+ * @param {Object} previous - updateCalendarEventDetails 回傳的 previous
+ * @returns {boolean} - 是否還原成功
+ */
+function restoreCalendarEventDetails(eventId, previous) {
+  try {
+    const event = getBookingCalendarEvent(eventId);
+    if (!event) {
+      return false;
+    }
+    event.setTime(previous.startTime, previous.endTime);
+    event.setTitle(previous.title);
+    event.setDescription(previous.description);
+    if (previous.technician) {
+      event.setTag(TECHNICIAN_CONFIG.eventTagKey, previous.technician);
+    } else {
+      event.deleteTag(TECHNICIAN_CONFIG.eventTagKey);
+    }
+    return true;
+  } catch (error) {
+    console.error('還原日曆活動內容失敗:', error);
+    return false;
+  }
+}
+
 /**
  * 建立活動說明內容
+ * 修改預約時傳入 createdAt 保留原建立時間，並附上修改時間
  */
 function createEventDescription(bookingData) {
   const parts = [];
 
   if (bookingData.phone) parts.push(`手機: ${bookingData.phone}`);
+  if (bookingData.technician) parts.push(`美甲師: ${bookingData.technician}`);
   if (bookingData.services) parts.push(`服務項目: ${bookingData.services}`);
   if (bookingData.removal) parts.push(`卸甲服務: ${bookingData.removal}`);
   if (bookingData.quantity) parts.push(`延甲: ${bookingData.quantity}`);
   if (bookingData.remarks) parts.push(`備註: ${bookingData.remarks}`);
+  if (bookingData.durationMinutes) parts.push(`預估時長: ${bookingData.durationMinutes} 分鐘`);
 
   parts.push('');
   parts.push('--- 系統資訊 ---');
-  parts.push(`建立時間: ${new Date().toLocaleString('zh-TW', { timeZone: SYSTEM_CONFIG.TIMEZONE })}`);
+  const createdAt = bookingData.createdAt instanceof Date ? bookingData.createdAt : new Date();
+  parts.push(`建立時間: ${createdAt.toLocaleString('zh-TW', { timeZone: SYSTEM_CONFIG.TIMEZONE })}`);
+  if (bookingData.updatedAt instanceof Date) {
+    parts.push(`修改時間: ${bookingData.updatedAt.toLocaleString('zh-TW', { timeZone: SYSTEM_CONFIG.TIMEZONE })}`);
+  }
   parts.push('此活動由美甲預約系統自動建立');
 
   return parts.join('\n');
@@ -396,10 +684,47 @@ function sendEmailNotification(bookingData, calendarResult) {
   return { success: true, recipient: NOTIFICATION_CONFIG.recipientEmail, subject: subject };
 }
 
+/**
+ * 發送預約異動通知（取消、改期等，Email 給店家）
+ * @param {Object} bookingData - 預約資料（改期時可帶 previousDate / previousTime）
+ * @param {string} headerTitle - 通知標題，例如「預約取消通知」
+ */
+function sendBookingChangeNotification(bookingData, headerTitle) {
+  console.log(`準備發送${headerTitle}...`);
+
+  if (!NOTIFICATION_CONFIG.enabled) {
+    return { success: true, skipped: true, message: '通知功能已停用' };
+  }
+
+  if (!NOTIFICATION_CONFIG.recipientEmail || NOTIFICATION_CONFIG.recipientEmail === 'your-email@gmail.com') {
+    return { success: false, error: '通知接收者Email尚未設定' };
+  }
+
+  try {
+    const subject = `${headerTitle} - ${bookingData.customerName} (${bookingData.date} ${bookingData.time})`;
+    const emailBody = createEmailBody(bookingData, null, headerTitle);
+
+    GmailApp.sendEmail(
+      NOTIFICATION_CONFIG.recipientEmail,
+      subject,
+      '',
+      { htmlBody: emailBody, name: NOTIFICATION_CONFIG.senderName }
+    );
+
+    return { success: true, recipient: NOTIFICATION_CONFIG.recipientEmail, subject: subject };
+  } catch (error) {
+    console.error(`發送${headerTitle}時發生錯誤:`, error);
+    return { success: false, error: error.message, message: '異動通知發送失敗' };
+  }
+}
+
 /**
  * 建立 Email 內容
+ * @param {Object} bookingData - 預約資料
+ * @param {Object} calendarResult - 日曆建立結果
+ * @param {string} headerTitle - 信件標題列文字（預設為新預約通知）
  */
-function createEmailBody(bookingData, calendarResult) {
+function createEmailBody(bookingData, calendarResult, headerTitle = '新預約通知') {
   let displayDate = bookingData.date;
   if (displayDate) {
     try {
@@ -432,13 +757,15 @@ function createEmailBody(bookingData, calendarResult) {
 <body>
     <div class="container">
         <div class="header">
-            <h1>新預約通知</h1>
+            <h1>${headerTitle}</h1>
         </div>
         <div class="content">
             <div class="info-row"><span class="label">客戶：</span>${bookingData.customerName || '未提供'}</div>
+            ${bookingData.previousDate ? `<div class="info-row"><span class="label">原預約：</span>${bookingData.previousDate} ${bookingData.previousTime || ''}</div>` : ''}
             <div class="info-row"><span class="label">電話：</span>${bookingData.phone}</div>
             <div class="info-row"><span class="label">日期：</span>${displayDate}</div>
             <div class="info-row"><span class="label">時間：</span>${bookingData.time}</div>
+            ${bookingData.technician ? `<div class="info-row"><span class="label">美甲師：</span>${bookingData.technician}</div>` : ''}
             <div class="info-row"><span class="label">服務：</span>${bookingData.services}</div>
             ${bookingData.removal ? `<div class="info-row"><span class="label">卸甲：</span>${bookingData.removal}</div>` : ''}
             <div class="info-row"><span class="label">延甲：</span>${bookingData.quantity || '無'}</div>
@@ -518,7 +845,8 @@ function syncCalendarDeletions() {
 
     } while (pageToken);
 
-    if (events.length > 0) {
+    // 上次因預約鎖定忙碌而未處理的刪除事件也需要處理
+    if (events.length > 0 || props.getProperty('CALENDAR_SYNC_PENDING_DELETIONS')) {
       processCalendarChanges(events);
     } else {
       console.log('日曆無變更');
@@ -533,11 +861,18 @@ function syncCalendarDeletions() {
 
 /**
  * 處理日曆變更事件（支援多年度工作表）
+ * 日曆上被刪除的活動，對應預約標記為已取消（保留記錄，不刪除列）
+ * 讀取與標記預約時持有與預約操作相同的 Document Lock；無法取得鎖定時，
+ * 刪除事件保存在 CALENDAR_SYNC_PENDING_DELETIONS 指令碼屬性，下次同步再處理（同步 Token 已前進，不會再收到這些事件）
  */
 function processCalendarChanges(events) {
-  const deletedEventIds = events
-    .filter(event => event.status === 'cancelled')
-    .map(event => event.id);
+  const props = PropertiesService.getScriptProperties();
+  const pendingEventIds = JSON.parse(props.getProperty('CALENDAR_SYNC_PENDING_DELETIONS') || '[]');
+  const deletedEventIds = Array.from(new Set(pendingEventIds.concat(
+    events
+      .filter(event => event.status === 'cancelled')
+      .map(event => String(event.id))
+  )));
 
   if (deletedEventIds.length === 0) {
     console.log('未發現刪除項目');
@@ -546,68 +881,106 @@ function processCalendarChanges(events) {
 
   console.log(`偵測到 ${deletedEventIds.length} 筆刪除事件`);
 
+  // 與預約取消、改期、狀態更新共用 Document Lock，避免以過期的資料覆寫其他操作的變更
+  const bookingLock = LockService.getDocumentLock();
+  try {
+    bookingLock.waitLock(30000);
+  } catch (lockError) {
+    console.warn('無法取得預約鎖定，刪除事件留待下次同步處理:', lockError);
+    props.setProperty('CALENDAR_SYNC_PENDING_DELETIONS', JSON.stringify(deletedEventIds));
+    return;
+  }
+
   // 取得所有年度預約工作表
   const bookingSheetNames = getAllBookingSheetNames();
   console.log('將搜尋的工作表:', bookingSheetNames);
 
-  let totalDeletedCount = 0;
+  let totalCancelledCount = 0;
+  const releasedSlots = [];
+  const auditEntries = [];
 
-  // 遍歷每個年度工作表
-  for (const sheetName of bookingSheetNames) {
-    try {
-      const bookingSheet = getSheet(sheetName);
-      const lastRow = bookingSheet.getLastRow();
-
-      if (lastRow <= 1) {
-        console.log(`工作表 ${sheetName} 無資料，略過`);
-        continue;
-      }
+  try {
+    // 遍歷每個年度工作表
+    for (const sheetName of bookingSheetNames) {
+      try {
+        const bookingSheet = getSheet(sheetName);
+        const lastRow = bookingSheet.getLastRow();
 
-      const eventIdRange = bookingSheet.getRange(2, 11, lastRow - 1, 1);
-      const eventIdsInSheet = eventIdRange.getValues().flat().map(id => String(id));
+        if (lastRow <= 1) {
+          console.log(`工作表 ${sheetName} 無資料，略過`);
+          continue;
+        }
 
-      const rowsToDelete = [];
+        ensureBookingSheetHeaders(bookingSheet);
+        const rows = bookingSheet.getRange(2, 1, lastRow - 1, BOOKING_SHEET_HEADERS.length).getValues();
+        let sheetCancelledCount = 0;
 
-      deletedEventIds.forEach(deletedId => {
-        const targetId = String(deletedId);
-        for (let i = 0; i < eventIdsInSheet.length; i++) {
-          let sheetId = String(eventIdsInSheet[i]);
-          if (sheetId.includes('@google.com')) {
-            sheetId = sheetId.split('@')[0];
+        rows.forEach((values, index) => {
+          const sheetId = String(values[BOOKING_COLUMNS.EVENT_ID - 1] || '').split('@')[0];
+          if (!sheetId || !deletedEventIds.includes(sheetId)) {
+            return;
           }
-          if (sheetId === targetId) {
-            rowsToDelete.push(i + 2);
-          }
-        }
-      });
 
-      if (rowsToDelete.length === 0) {
-        continue;
-      }
+          const status = normalizeBookingStatus(values[BOOKING_COLUMNS.STATUS - 1]);
+          if (!canTransitionBookingStatus(status, 'cancelled')) {
+            // 已取消或已結束的預約不再變更
+            return;
+          }
 
-      // 從後往前刪除，避免列號偏移
-      const uniqueRows = [...new Set(rowsToDelete)].sort((a, b) => b - a);
+          try {
+            applyBookingStatusChange(
+              { sheet: bookingSheet, sheetName: sheetName, row: index + 2, values: values },
+              'cancelled',
+              '日曆活動已刪除'
+            );
+            sheetCancelledCount++;
+            releasedSlots.push({
+              date: formatSheetBookingDate(values[3]),
+              time: formatSheetBookingTime(values[4])
+            });
+            auditEntries.push({
+              action: 'calendarSyncCancel',
+              actor: 'calendarSync',
+              actorType: AUDIT_CONFIG.actorTypes.SYSTEM,
+              targetType: 'booking',
+              targetId: sheetId,
+              summary: `日曆活動已刪除，${sheetName} 第 ${index + 2} 列標記為已取消`,
+              before: { status: status },
+              after: { status: 'cancelled' }
+            });
+          } catch (e) {
+            console.error(`標記 ${sheetName} 第 ${index + 2} 列為取消失敗:`, e);
+          }
+        });
 
-      uniqueRows.forEach(row => {
-        try {
-          bookingSheet.deleteRow(row);
-          totalDeletedCount++;
-        } catch (e) {
-          console.error(`刪除 ${sheetName} 第 ${row} 列失敗:`, e);
+        if (sheetCancelledCount > 0) {
+          totalCancelledCount += sheetCancelledCount;
+          console.log(`工作表 ${sheetName} 標記了 ${sheetCancelledCount} 筆取消`);
         }
-      });
 
-      console.log(`工作表 ${sheetName} 刪除了 ${uniqueRows.length} 筆記錄`);
+      } catch (error) {
+        console.error(`處理工作表 ${sheetName} 時發生錯誤:`, error);
+      }
+    }
 
-    } catch (error) {
-      console.error(`處理工作表 ${sheetName} 時發生錯誤:`, error);
+    if (totalCancelledCount > 0) {
+      clearBookingCache();
     }
+    SpreadsheetApp.flush();
+    props.deleteProperty('CALENDAR_SYNC_PENDING_DELETIONS');
+
+    // 釋出的時段依序通知候補客戶（已過的時段會在 offerSlotToWaitlist 中略過）
+    // 在同一個鎖定內通知，避免鎖定忙碌時略過通知而讓時段不再提供給候補客戶
+    releasedSlots.forEach(slot => offerSlotToWaitlist(slot.date, slot.time));
+  } finally {
+    bookingLock.releaseLock();
   }
 
-  if (totalDeletedCount > 0) {
-    clearBookingCache();
-    console.log(`同步完成！共刪除 ${totalDeletedCount} 筆預約資料`);
+  recordAuditEntries(auditEntries);
+
+  if (totalCancelledCount > 0) {
+    console.log(`同步完成！共標記 ${totalCancelledCount} 筆預約為已取消`);
   } else {
-    console.log('試算表中無對應的預約資料');
+    console.log('試算表中無需更新的預約資料');
   }
 }
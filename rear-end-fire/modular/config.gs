@@ -24,6 +24,61 @@ const SYSTEM_CONFIG = {
   TIME_FORMAT_REGEX: /^([01]?\d|2[0-3]):[0-5]\d$/
 };
 
+// ==================== 預約狀態設定 ====================
+const BOOKING_STATUS_CONFIG = {
+  // 所有預約狀態
+  statuses: ['pending', 'confirmed', 'checked-in', 'completed', 'no-show', 'cancelled'],
+
+  // 狀態中文名稱
+  labels: {
+    'pending': '待確認',
+    'confirmed': '已確認',
+    'checked-in': '已報到',
+    'completed': '已完成',
+    'no-show': '未到',
+    'cancelled': '已取消'
+  },
+
+  // 允許的狀態轉換（completed、no-show、cancelled 為終止狀態）
+  transitions: {
+    'pending': ['confirmed', 'cancelled'],
+    'confirmed': ['checked-in', 'no-show', 'cancelled'],
+    'checked-in': ['completed'],
+    'completed': [],
+    'no-show': [],
+    'cancelled': []
+  },
+
+  // 客戶線上預約成功即為已確認；舊資料沒有狀態時也視為已確認
+  initialStatus: 'confirmed',
+
+  // 客戶可自行取消或改期的狀態
+  customerEditableStatuses: ['pending', 'confirmed'],
+
+  // 後台可修改預約內容的狀態（日曆活動仍存在的預約）
+  adminEditableStatuses: ['pending', 'confirmed', 'checked-in']
+};
+
+// ==================== 預約時間規則設定 ====================
+const BOOKING_RULES_CONFIG = {
+  // 後台預約項目工作表中，預約規則列的類型
+  settingType: 'RULE',
+
+  // 後台未設定時的預設值
+  defaults: {
+    advanceHours: 3,    // 預約需提前的小時數
+    openingDay: 15,     // 每月幾號開放下個月預約
+    openingHour: 18     // 開放日的幾點開放（台北時間，0-23）
+  },
+
+  // 各規則的名稱與允許範圍
+  fields: {
+    advanceHours: { label: '預約需提前時數', min: 0, max: 72 },
+    openingDay: { label: '每月開放下月預約日', min: 1, max: 28 },
+    openingHour: { label: '開放下月預約時間（時）', min: 0, max: 23 }
+  }
+};
+
 // ==================== Advanced Calendar API 配置 ====================
 const ADVANCED_CALENDAR_CONFIG = {
   // 啟用 Advanced Calendar API
@@ -108,6 +163,253 @@ const CALENDAR_CONFIG = {
   }
 };
 
+// ==================== 美甲師設定 ====================
+const TECHNICIAN_CONFIG = {
+  // 從指令碼屬性 TECHNICIANS 讀取美甲師名單（以逗號分隔，例如「小美,小芳」）
+  // 未設定時視為只有一位美甲師，每個時段只能服務一位客戶
+  get technicians() {
+    const value = getConfigValue('TECHNICIANS');
+    const names = String(value || '')
+      .split(/[,，]/)
+      .map(name => name.trim())
+      .filter(name => name);
+    return names.length > 0 ? names : [this.defaultName];
+  },
+
+  // 未設定名單時的美甲師名稱
+  defaultName: '美甲師',
+
+  // 日曆活動上記錄美甲師的標籤鍵值（CalendarEvent.setTag / extendedProperties.private）
+  eventTagKey: 'technician'
+};
+
+// ==================== 重複送出防護設定 ====================
+const IDEMPOTENCY_CONFIG = {
+  // 已處理的預約請求保留時間（秒），期間內相同的 idempotencyKey 直接回傳原結果（CacheService 上限 6 小時）
+  cacheSeconds: 6 * 60 * 60,
+
+  // CacheService 鍵值前綴
+  keyPrefix: 'BOOKING_IDEMPOTENCY_',
+
+  // idempotencyKey 格式（英數字、底線、連字號，8～64 字元）
+  keyPattern: /^[A-Za-z0-9_-]{8,64}$/
+};
+
+// ==================== 時段暫時保留設定 ====================
+const SLOT_HOLD_CONFIG = {
+  // 客戶選好時段後，保留給該客戶填寫服務內容的時間（分鐘）
+  holdMinutes: 10,
+
+  // 保留資料存放的指令碼屬性（JSON 陣列，讀寫時自動清除逾時的保留）
+  propertyKey: 'SLOT_HOLDS'
+};
+
+// ==================== 候補名單設定 ====================
+const WAITLIST_CONFIG = {
+  // 候補名單工作表名稱（店家可直接在試算表查看）
+  sheetName: '候補名單',
+
+  // 候補狀態：waiting 等待中、offered 已通知、claimed 已預約、expired 逾時未領取、withdrawn 已取消候補
+  statuses: ['waiting', 'offered', 'claimed', 'expired', 'withdrawn'],
+
+  // 通知後保留給候補客戶的時間（分鐘），逾時自動通知下一位
+  offerExpiryMinutes: 30,
+
+  // 從快取讀取預約頁面網址（LINE 訊息中的領取連結），例如 https://liff.line.me/<LIFF ID>
+  get bookingPageUrl() {
+    return getConfigValue('BOOKING_PAGE_URL');
+  }
+};
+
+// ==================== 管理員設定 ====================
+const ADMIN_CONFIG = {
+  // 管理員名單工作表名稱（欄位：LINE User ID、名稱、啟用、新增時間）
+  // 名單為空時沒有任何人可以使用後台，請先將店家的 LINE User ID 加入並勾選啟用
+  sheetName: '管理員名單'
+};
+
+// ==================== 後台時段管理設定 ====================
+const TIMESLOT_ADMIN_CONFIG = {
+  // 後台建立的時段活動以此標籤記錄時段時間（HH:MM），讀取時段時以標籤為準，不再從標題判斷
+  eventTagKey: 'slotTime',
+
+  // 時段活動標題前綴（例如「可預約時段 14:00」）
+  titlePrefix: '可預約時段',
+
+  // 時段活動在日曆上的長度（分鐘），僅供顯示，不影響可預約判斷
+  eventMinutes: 60,
+
+  // 單次查詢的最大日期區間（天）
+  maxRangeDays: 31,
+
+  // 複製一週時段時最多可複製的週數
+  maxCopyWeeks: 12
+};
+
+// ==================== 每週時段範本設定 ====================
+const TIMESLOT_TEMPLATE_CONFIG = {
+  // 時段範本工作表名稱（欄位見 utils.gs 的 TIMESLOT_TEMPLATE_HEADERS）
+  sheetName: '時段範本',
+
+  // 每月開放下月預約日的前幾天自動發布下個月的時段（每日排程 generateTemplateSlotsForNextMonth）
+  publishLeadDays: 3,
+
+  // 記錄各月份發布時間的指令碼屬性前綴（例如 TIMESLOT_TEMPLATE_PUBLISHED_2025-07）
+  publishedPropertyPrefix: 'TIMESLOT_TEMPLATE_PUBLISHED_',
+
+  // 單一範本最多可設定的例外日期數
+  maxExceptions: 60
+};
+
+// ==================== 排程觸發條件設定 ====================
+const SCHEDULED_TRIGGER_CONFIG = {
+  // 需以時間驅動觸發條件執行的函式，由後台「啟用自動排程」安裝，每個函式只會建立一個觸發條件
+  triggers: [
+    // 每天依範本檢查並自動發布下個月的時段
+    { handler: 'generateTemplateSlotsForNextMonth', label: '範本時段自動發布', everyDays: 1, atHour: 3 },
+
+    // 每 5 分鐘處理逾時的候補通知並通知下一位
+    { handler: 'processWaitlistOffers', label: '候補通知逾時處理', everyMinutes: 5 }
+  ]
+};
+
+// ==================== 後台預約查詢設定 ====================
+const BOOKING_LIST_CONFIG = {
+  // 單次查詢的最大日期區間（天）
+  maxRangeDays: 62,
+
+  // 單次查詢最多回傳的預約筆數
+  maxResults: 500
+};
+
+// ==================== 後台設定格式 ====================
+const ADMIN_SETTINGS_SCHEMA = {
+  // 各類型的 ID 格式（與後台 generateUniqueId 產生的格式一致：前綴 + 5 位數字）
+  // 卸甲選項無法在後台新增，僅限制為英數字與連字號
+  idPatterns: {
+    SERVICE: /^SER\d{5}$/,
+    REMOVAL: /^[A-Za-z0-9-]{1,20}$/,
+    EXTENSION: /^EXT\d{5}$/,
+    'EXTENSION-Q': /^EXT-Q\d{5}$/
+  },
+
+  // 名稱長度上限（字元）
+  maxNameLength: 30,
+
+  // 每種類型的項目數量上限
+  maxItems: 50,
+
+  // 時長上限（分鐘）
+  maxDuration: 24 * 60
+};
+
+// ==================== LINE 身分驗證設定 ====================
+const ID_TOKEN_CONFIG = {
+  // LIFF 所屬的 LINE Login Channel ID（ID Token 的 audience）
+  get channelId() {
+    return getConfigValue('LINE_LOGIN_CHANNEL_ID');
+  },
+
+  // ID Token 驗證器：line 使用 LINE 官方驗證端點；local 使用 ID_TOKEN_LOCAL_SECRET 驗證 HS256（測試用）
+  get verifier() {
+    return getConfigValue('ID_TOKEN_VERIFIER', 'line');
+  },
+
+  // 本機驗證金鑰（僅 local 驗證器使用）
+  get localSecret() {
+    return getConfigValue('ID_TOKEN_LOCAL_SECRET');
+  },
+
+  // LINE ID Token 發行者與官方驗證端點
+  issuer: 'https://access.line.me',
+  verifyUrl: 'https://api.line.me/oauth2/v2.1/verify',
+
+  // 允許的時鐘誤差（秒）
+  clockSkewSeconds: 60,
+
+  // 驗證結果快取時間（秒，不超過 Token 剩餘有效期限）
+  cacheSeconds: 10 * 60,
+  cacheKeyPrefix: 'ID_TOKEN_'
+};
+
+// ==================== 客戶查詢限制設定 ====================
+const CUSTOMER_LOOKUP_CONFIG = {
+  // 每位 LINE 用戶在時間窗內可用手機號碼查詢的次數
+  maxAttempts: 5,
+
+  // 計算次數的時間窗（秒）
+  windowSeconds: 10 * 60,
+
+  // 查詢次數的快取鍵前綴
+  keyPrefix: 'CUSTOMER_LOOKUP_'
+};
+
+// ==================== 後台設定版本設定 ====================
+const SETTINGS_HISTORY_CONFIG = {
+  // 設定版本紀錄工作表名稱（每次儲存或還原後台設定都會新增一個版本）
+  sheetName: '設定版本紀錄',
+
+  // 後台版本列表最多顯示的版本數
+  maxListed: 30
+};
+
+// ==================== 帳號綁定設定 ====================
+const ACCOUNT_LINK_CONFIG = {
+  // 帳號綁定紀錄工作表（首次綁定、驗證碼寄送、重新綁定、店家審核都會留下紀錄）
+  sheetName: '帳號綁定紀錄',
+
+  // 驗證碼傳送方式：line 推播到原綁定的 LINE 帳號；local 只寫入日誌（測試用）
+  get sender() {
+    return getConfigValue('ACCOUNT_LINK_SENDER', 'line');
+  },
+
+  // 驗證碼位數與有效時間（分鐘）
+  codeLength: 6,
+  codeExpiryMinutes: 10,
+
+  // 每組驗證碼可輸入錯誤的次數，超過需重新取得
+  maxCodeAttempts: 5,
+
+  // 重新傳送驗證碼的間隔（秒）
+  resendCooldownSeconds: 60,
+
+  // 驗證碼的快取鍵前綴
+  cacheKeyPrefix: 'ACCOUNT_LINK_'
+};
+
+// ==================== 操作紀錄設定 ====================
+const AUDIT_CONFIG = {
+  // 操作紀錄工作表名稱（欄位見 utils.gs 的 AUDIT_LOG_HEADERS）
+  sheetName: '操作紀錄',
+
+  // 操作者類型：customer 客戶（LINE User ID）、admin 管理員（LINE User ID）、system 系統排程
+  actorTypes: {
+    CUSTOMER: 'customer',
+    ADMIN: 'admin',
+    SYSTEM: 'system'
+  },
+
+  // 變更內容欄位的最大字數（試算表單一儲存格上限為 50000 字）
+  maxChangesLength: 45000,
+
+  // 後台查詢一次最多回傳的筆數
+  maxQueryResults: 200
+};
+
+// ==================== CSRF Token 設定 ====================
+const CSRF_CONFIG = {
+  // 簽章金鑰 - 從快取讀取（未設定時由 getCsrfSecret 自動產生）
+  get secret() {
+    return getConfigValue('CSRF_SECRET');
+  },
+
+  // Token 有效時間（分鐘）
+  lifetimeMinutes: 30,
+
+  // 已使用 Token 的快取鍵前綴
+  usedKeyPrefix: 'CSRF_USED_'
+};
+
 // ==================== 通知設定 ====================
 const NOTIFICATION_CONFIG = {
   // 是否啟用通知
@@ -0,0 +1,173 @@
+/**
+ * csrfService.gs - CSRF Token 模組
+ * 美甲預約系統 - Google Apps Script
+ *
+ * 包含：簽發 CSRF Token、驗證簽章與有效期限、防止重複使用
+ */
+
+/**
+ * 需要 CSRF Token 的操作（所有會修改資料的動作）
+ * 前端 api-service.js 的 csrfProtectedActions 需保持一致
+ * 這些動作皆列於 LINE_IDENTITY_ACTIONS，Token 與驗證後的 LINE 用戶綁定
+ */
+const CSRF_PROTECTED_ACTIONS = [
+  'saveCustomer',
+  'saveBooking',
+  'updateBookingStatus',
+  'adminCreateBooking',
+  'updateBooking',
+  'createTimeSlots',
+  'moveTimeSlot',
+  'deleteTimeSlot',
+  'copyTimeSlotWeek',
+  'saveSlotTemplate',
+  'deleteSlotTemplate',
+  'publishSlotTemplates',
+  'cancelBooking',
+  'rescheduleBooking',
+  'joinWaitlist',
+  'leaveWaitlist',
+  'holdTimeSlot',
+  'updateAdminSettings',
+  'requestAccountLinkCode',
+  'confirmAccountLink',
+  'requestAccountLinkApproval',
+  'reviewAccountLinkRequest',
+  'restoreSettingsVersion',
+  'ensureScheduledTriggers'
+];
+
+// ==================== 簽章金鑰 ====================
+
+/**
+ * 取得 CSRF 簽章金鑰（CSRF_SECRET 指令碼屬性）
+ * 尚未設定時自動產生並儲存，之後所有 Token 都以同一把金鑰簽章
+ * @returns {string} - 簽章金鑰
+ */
+function getCsrfSecret() {
+  const secret = CSRF_CONFIG.secret;
+  if (secret) {
+    return secret;
+  }
+
+  const properties = PropertiesService.getScriptProperties();
+  const stored = properties.getProperty('CSRF_SECRET');
+  if (stored) {
+    clearConfigCache();
+    return stored;
+  }
+
+  const generated = Utilities.getUuid().replace(/-/g, '') + Utilities.getUuid().replace(/-/g, '');
+  properties.setProperty('CSRF_SECRET', generated);
+  clearConfigCache();
+  console.log('已自動產生 CSRF_SECRET 指令碼屬性');
+  return generated;
+}
+
+/**
+ * 計算 Token 簽章：HMAC-SHA256(LINE User ID + 到期時間 + 隨機值)
+ * @param {string} lineUserId - 已驗證的 LINE User ID
+ * @param {string} body - Token 內容（到期時間.隨機值）
+ * @returns {string} - Base64URL 簽章
+ */
+function signCsrfToken(lineUserId, body) {
+  return encodeBase64Url(
+    Utilities.computeHmacSha256Signature(String(lineUserId) + '.' + body, getCsrfSecret())
+  );
+}
+
+// ==================== 簽發 CSRF Token ====================
+
+/**
+ * 處理取得 CSRF Token
+ * Token 綁定 ID Token 驗證後的 LINE 用戶，CSRF_CONFIG.lifetimeMinutes 分鐘內有效，只能使用一次
+ * @param {Object} data - 包含 lineUserId（已由 applyVerifiedLineIdentity 驗證）
+ * @returns {Object} - { csrfToken, expiresAt }
+ */
+function handleGetCsrfToken(data) {
+  if (!data || !data.lineUserId) {
+    return {
+      success: false,
+      error: 'MISSING_PARAMS',
+      message: '缺少 LINE User ID',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const expiresAt = Date.now() + CSRF_CONFIG.lifetimeMinutes * 60 * 1000;
+  const body = expiresAt + '.' + Utilities.getUuid().replace(/-/g, '');
+
+  return {
+    success: true,
+    csrfToken: body + '.' + signCsrfToken(data.lineUserId, body),
+    expiresAt: new Date(expiresAt).toISOString(),
+    timestamp: new Date().toISOString()
+  };
+}
+
+// ==================== 驗證 CSRF Token ====================
+
+/**
+ * 驗證 CSRF Token 並標記為已使用
+ * 已使用的 Token 記錄在 CacheService 直到原本的到期時間，重送會被拒絕
+ * @param {string} csrfToken - 前端送出的 Token
+ * @param {string} lineUserId - 已驗證的 LINE User ID
+ * @returns {Object|null} - 驗證失敗時回傳錯誤結果，通過回傳 null
+ */
+function verifyCsrfToken(csrfToken, lineUserId) {
+  const reject = (error, message) => {
+    console.warn('CSRF Token 驗證失敗:', error);
+    return {
+      success: false,
+      error: error,
+      message: '安全驗證失敗：' + message,
+      timestamp: new Date().toISOString()
+    };
+  };
+
+  if (!csrfToken) {
+    return reject('CSRF_TOKEN_MISSING', '缺少 CSRF Token');
+  }
+
+  const parts = String(csrfToken).split('.');
+  if (parts.length !== 3 || !/^\d+$/.test(parts[0]) || !lineUserId) {
+    return reject('CSRF_TOKEN_INVALID', 'CSRF Token 格式錯誤');
+  }
+
+  const body = parts[0] + '.' + parts[1];
+  if (signCsrfToken(lineUserId, body) !== parts[2]) {
+    return reject('CSRF_TOKEN_INVALID', 'CSRF Token 簽章錯誤');
+  }
+
+  const remainingSeconds = Math.floor((Number(parts[0]) - Date.now()) / 1000);
+  if (remainingSeconds <= 0) {
+    return reject('CSRF_TOKEN_EXPIRED', 'CSRF Token 已過期，請重新操作');
+  }
+
+  // 檢查與標記已使用需在同一個鎖定內，避免同時送出的兩個請求都通過檢查
+  const csrfLock = LockService.getScriptLock();
+  try {
+    csrfLock.waitLock(5000);
+  } catch (lockError) {
+    console.error('無法取得 CSRF 鎖定:', lockError);
+    return {
+      success: false,
+      error: 'LOCK_TIMEOUT',
+      message: '系統忙碌中，請稍後再試',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  try {
+    const cache = CacheService.getScriptCache();
+    const usedKey = CSRF_CONFIG.usedKeyPrefix + parts[1];
+    if (cache.get(usedKey)) {
+      return reject('CSRF_TOKEN_USED', 'CSRF Token 已使用過，請重新操作');
+    }
+    cache.put(usedKey, '1', Math.min(Math.max(remainingSeconds, 1), 21600));
+  } finally {
+    csrfLock.releaseLock();
+  }
+
+  return null;
+}
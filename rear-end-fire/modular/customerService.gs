@@ -2,7 +2,7 @@
  * customerService.gs - 客戶服務模組
  * 美甲預約系統 - Google Apps Script
  *
- * 包含：客戶建檔、客戶查詢、客戶驗證
+ * 包含：客戶建檔、客戶查詢、客戶驗證、後台客戶搜尋
  */
 
 // ==================== 客戶建檔 ====================
@@ -37,7 +37,22 @@ function handleSaveCustomer(customer) {
     const existingRowByLineId = findCustomerByLineUserId(customer.lineUserId);
 
     if (existingRowByLineId > 0) {
+      // 手機號碼改為已綁定其他 LINE 帳號的號碼時不可直接覆寫，與新客戶相同需先完成驗證
+      const rowByPhone = findCustomerByPhone(customer.phone);
+      if (rowByPhone > 0 && rowByPhone !== existingRowByLineId) {
+        const phoneLineUserId = String(sheet.getRange(rowByPhone, 1).getValue() || '').trim();
+        if (phoneLineUserId && phoneLineUserId !== customer.lineUserId) {
+          return {
+            success: false,
+            error: 'LINK_VERIFICATION_REQUIRED',
+            message: '此手機號碼已綁定其他 LINE 帳號，請先完成驗證',
+            timestamp: new Date().toISOString()
+          };
+        }
+      }
+
       // 更新現有客戶資料
+      const previousValues = sheet.getRange(existingRowByLineId, 2, 1, 2).getValues()[0];
       const now = new Date();
       sheet.getRange(existingRowByLineId, 2).setValue(customer.name);
 
@@ -47,6 +62,17 @@ function handleSaveCustomer(customer) {
 
       sheet.getRange(existingRowByLineId, 4).setValue(now);
 
+      recordAudit({
+        action: 'saveCustomer',
+        actor: customer.lineUserId,
+        actorType: AUDIT_CONFIG.actorTypes.CUSTOMER,
+        targetType: 'customer',
+        targetId: customer.lineUserId,
+        summary: '更新客戶資料',
+        before: { name: previousValues[0], phone: String(previousValues[1] || '') },
+        after: { name: customer.name, phone: customer.phone }
+      });
+
       return {
         success: true,
         message: '客戶資料已更新',
@@ -59,12 +85,43 @@ function handleSaveCustomer(customer) {
     const existingRowByPhone = findCustomerByPhone(customer.phone);
 
     if (existingRowByPhone > 0) {
-      // 更新 LINE User ID
+      // 手機號碼已綁定其他 LINE 帳號時不可直接覆寫，需以驗證碼或店家審核改綁（accountLinkService.gs）
+      const linkedLineUserId = String(sheet.getRange(existingRowByPhone, 1).getValue() || '').trim();
+      if (linkedLineUserId && linkedLineUserId !== customer.lineUserId) {
+        return {
+          success: false,
+          error: 'LINK_VERIFICATION_REQUIRED',
+          message: '此手機號碼已綁定其他 LINE 帳號，請先完成驗證',
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      // 尚未綁定 LINE 帳號的客戶資料，直接關聯 LINE User ID 並留下紀錄
+      const previousName = sheet.getRange(existingRowByPhone, 2).getValue();
       const now = new Date();
       sheet.getRange(existingRowByPhone, 1).setValue(customer.lineUserId);
       sheet.getRange(existingRowByPhone, 2).setValue(customer.name);
       sheet.getRange(existingRowByPhone, 4).setValue(now);
 
+      appendAccountLinkLog({
+        action: 'linked',
+        phone: customer.phone,
+        newLineUserId: customer.lineUserId,
+        requestedName: customer.name,
+        actor: customer.lineUserId
+      });
+
+      recordAudit({
+        action: 'saveCustomer',
+        actor: customer.lineUserId,
+        actorType: AUDIT_CONFIG.actorTypes.CUSTOMER,
+        targetType: 'customer',
+        targetId: customer.lineUserId,
+        summary: '既有客戶資料關聯 LINE 帳號',
+        before: { name: previousName, phone: customer.phone, lineUserId: '' },
+        after: { name: customer.name, phone: customer.phone, lineUserId: customer.lineUserId }
+      });
+
       return {
         success: true,
         message: '客戶資料已更新（LINE User ID已關聯）',
@@ -91,6 +148,17 @@ function handleSaveCustomer(customer) {
     phoneCell.setNumberFormat('@');
     phoneCell.setValue(customer.phone);
 
+    recordAudit({
+      action: 'saveCustomer',
+      actor: customer.lineUserId,
+      actorType: AUDIT_CONFIG.actorTypes.CUSTOMER,
+      targetType: 'customer',
+      targetId: customer.lineUserId || customer.phone,
+      summary: '新客戶建檔',
+      before: null,
+      after: { name: customer.name, phone: customer.phone, lineUserId: customer.lineUserId || '' }
+    });
+
     return {
       success: true,
       message: '客戶建檔成功',
@@ -106,19 +174,59 @@ function handleSaveCustomer(customer) {
 
 // ==================== 客戶查詢 ====================
 
+/**
+ * 檢查並累計手機號碼查詢次數（每位 LINE 用戶獨立計算）
+ * @param {string} lineUserId - 已驗證的 LINE User ID
+ * @returns {boolean} - 是否仍可查詢
+ */
+function consumeCustomerLookupQuota(lineUserId) {
+  const cache = CacheService.getScriptCache();
+  const cacheKey = CUSTOMER_LOOKUP_CONFIG.keyPrefix + lineUserId;
+  const attempts = Number(cache.get(cacheKey)) || 0;
+
+  if (attempts >= CUSTOMER_LOOKUP_CONFIG.maxAttempts) {
+    return false;
+  }
+
+  cache.put(cacheKey, String(attempts + 1), CUSTOMER_LOOKUP_CONFIG.windowSeconds);
+  return true;
+}
+
 /**
  * 處理客戶查詢（依手機號碼）
+ * 只回傳屬於呼叫者本人的資料；號碼不存在或屬於他人時回傳相同的「查無資料」結果，避免被用來探測客戶名單
  * @param {string} phone - 手機號碼
+ * @param {string} lineUserId - 已驗證的 LINE User ID（由 ID Token 取得）
  * @returns {Object} - 查詢結果
  */
-function handleGetCustomer(phone) {
+function handleGetCustomer(phone, lineUserId) {
+  const notFound = {
+    success: true,
+    customer: null,
+    message: '查無客戶資料',
+    timestamp: new Date().toISOString()
+  };
+
   try {
-    const sheet = getSheet(CUSTOMER_SHEET_NAME);
-    const rowIndex = findCustomerByPhone(phone);
+    if (!lineUserId) {
+      return notFound;
+    }
 
-    if (rowIndex > 0) {
-      const row = sheet.getRange(rowIndex, 1, 1, 6).getValues()[0];
+    if (!consumeCustomerLookupQuota(lineUserId)) {
+      console.warn('手機號碼查詢次數過多');
+      return {
+        success: false,
+        error: 'RATE_LIMITED',
+        message: '查詢次數過多，請稍後再試',
+        timestamp: new Date().toISOString()
+      };
+    }
 
+    const sheet = getSheet(CUSTOMER_SHEET_NAME);
+    const rowIndex = phone ? findCustomerByPhone(phone) : -1;
+    const row = rowIndex > 0 ? sheet.getRange(rowIndex, 1, 1, 6).getValues()[0] : null;
+
+    if (row && String(row[0]) === String(lineUserId)) {
       return {
         success: true,
         customer: {
@@ -131,15 +239,10 @@ function handleGetCustomer(phone) {
         },
         timestamp: new Date().toISOString()
       };
-    } else {
-      return {
-        success: true,
-        customer: null,
-        message: '客戶不存在',
-        timestamp: new Date().toISOString()
-      };
     }
 
+    return notFound;
+
   } catch (error) {
     console.error('查詢客戶資料時發生錯誤:', error);
     throw error;
@@ -247,6 +350,107 @@ function handleVerifyCustomerByLineId(lineUserId) {
   }
 }
 
+// ==================== 後台客戶搜尋 ====================
+
+/**
+ * 處理後台客戶搜尋（僅限管理員，建立預約時選擇客戶）
+ * @param {Object} data - 包含 userId（已驗證的管理員）與 keyword（姓名或手機部分比對，至少 2 個字）
+ * @returns {Object} - { customers: [{ name, phone, hasLineAccount, lastBookingAt, bookingCount }] }
+ */
+function handleSearchCustomers(data) {
+  const authError = requireAdmin(data && data.userId);
+  if (authError) {
+    return authError;
+  }
+
+  const keyword = String(data.keyword || '').trim().toLowerCase();
+  if (keyword.length < 2) {
+    return {
+      success: false,
+      error: 'KEYWORD_TOO_SHORT',
+      message: '請輸入至少 2 個字的姓名或手機',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  try {
+    const sheet = getSheet(CUSTOMER_SHEET_NAME);
+    const lastRow = sheet.getLastRow();
+    const rows = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, 6).getValues() : [];
+
+    const customers = rows
+      .filter(row => String(row[1] || '').toLowerCase().includes(keyword) || String(row[2] || '').includes(keyword))
+      .slice(0, 20)
+      .map(row => ({
+        name: String(row[1] || ''),
+        phone: String(row[2] || ''),
+        hasLineAccount: !!String(row[0] || '').trim(),
+        lastBookingAt: row[4] instanceof Date ? row[4].toISOString() : '',
+        bookingCount: Number(row[5]) || 0
+      }));
+
+    return {
+      success: true,
+      customers: customers,
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error('搜尋客戶失敗:', error);
+    return {
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+/**
+ * 取得後台建立預約的客戶，手機不存在且允許時建立沒有 LINE 帳號的新客戶
+ * @param {string} name - 客戶姓名
+ * @param {string} phone - 手機號碼
+ * @param {boolean} allowCreate - 手機不存在時是否建立新客戶
+ * @param {string} actor - 操作的管理員 LINE User ID
+ * @returns {Object|null} - { lineUserId, isNew }，找不到且不允許建立時為 null
+ */
+function ensureAdminBookingCustomer(name, phone, allowCreate, actor) {
+  const sheet = getSheet(CUSTOMER_SHEET_NAME);
+  clearCustomerCache();
+
+  const rowIndex = findCustomerByPhone(phone);
+  if (rowIndex > 0) {
+    return {
+      lineUserId: String(sheet.getRange(rowIndex, 1).getValue() || '').trim(),
+      isNew: false
+    };
+  }
+
+  if (!allowCreate) {
+    return null;
+  }
+
+  const newRow = sheet.getLastRow() + 1;
+  sheet.appendRow(['', name, `'${phone}`, new Date(), '', 0]);
+
+  const phoneCell = sheet.getRange(newRow, 3);
+  phoneCell.setNumberFormat('@');
+  phoneCell.setValue(phone);
+  clearCustomerCache();
+
+  recordAudit({
+    action: 'saveCustomer',
+    actor: actor,
+    actorType: AUDIT_CONFIG.actorTypes.ADMIN,
+    targetType: 'customer',
+    targetId: phone,
+    summary: '後台建立預約時新增客戶',
+    before: null,
+    after: { name: name, phone: phone, lineUserId: '' }
+  });
+
+  return { lineUserId: '', isNew: true };
+}
+
 // ==================== 客戶預約資訊更新 ====================
 
 /**
@@ -310,6 +514,10 @@ function handleGetCustomerBookings(lineUserId) {
         processedBooking.createdAt = processedBooking.createdAt.toISOString();
       }
 
+      if (processedBooking.statusUpdatedAt instanceof Date) {
+        processedBooking.statusUpdatedAt = processedBooking.statusUpdatedAt.toISOString();
+      }
+
       return processedBooking;
     });
 
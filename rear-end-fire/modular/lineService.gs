@@ -13,6 +13,62 @@
  * @returns {Object} - 發送結果
  */
 function sendLineBookingConfirmation(bookingData) {
+  return pushLineMessage(bookingData.lineUserId, createLineBookingMessage(bookingData), '預約確認');
+}
+
+/**
+ * 發送 LINE 預約取消通知
+ * @param {Object} bookingData - 預約資料
+ * @returns {Object} - 發送結果
+ */
+function sendLineCancellationNotice(bookingData) {
+  return pushLineMessage(bookingData.lineUserId, createLineCancellationMessage(bookingData), '預約取消');
+}
+
+/**
+ * 發送 LINE 預約改期通知
+ * @param {Object} bookingData - 預約資料（含 previousDate / previousTime）
+ * @returns {Object} - 發送結果
+ */
+function sendLineRescheduleNotice(bookingData) {
+  return pushLineMessage(bookingData.lineUserId, createLineRescheduleMessage(bookingData), '預約改期');
+}
+
+/**
+ * 發送 LINE 預約內容變更通知（後台修改預約）
+ * @param {Object} bookingData - 修改後的預約資料（含 previousDate / previousTime）
+ * @returns {Object} - 發送結果
+ */
+function sendLineBookingUpdateNotice(bookingData) {
+  return pushLineMessage(bookingData.lineUserId, createLineBookingUpdateMessage(bookingData), '預約變更');
+}
+
+/**
+ * 發送 LINE 候補釋出通知
+ * @param {Object} offerData - 候補通知資料（含 claimUrl、expiryMinutes）
+ * @returns {Object} - 發送結果
+ */
+function sendLineWaitlistOffer(offerData) {
+  return pushLineMessage(offerData.lineUserId, createLineWaitlistOfferMessage(offerData), '候補通知');
+}
+
+/**
+ * 發送 LINE 帳號綁定驗證碼（傳給手機號碼原本綁定的 LINE 帳號）
+ * @param {Object} delivery - 傳送資料（currentLineUserId、phone、code、expiryMinutes）
+ * @returns {Object} - 發送結果
+ */
+function sendLineAccountLinkCode(delivery) {
+  return pushLineMessage(delivery.currentLineUserId, createLineAccountLinkCodeMessage(delivery), '帳號綁定驗證碼');
+}
+
+/**
+ * 推播 LINE 訊息給指定用戶
+ * @param {string} lineUserId - LINE User ID
+ * @param {Object} message - LINE 訊息物件
+ * @param {string} label - 訊息種類（用於日誌）
+ * @returns {Object} - 發送結果
+ */
+function pushLineMessage(lineUserId, message, label) {
   try {
     // 檢查 LINE 配置
     if (!LINE_CONFIG.enabled) {
@@ -25,17 +81,14 @@ function sendLineBookingConfirmation(bookingData) {
       return { success: false, message: 'LINE Token 未設定' };
     }
 
-    if (!bookingData.lineUserId) {
+    if (!lineUserId) {
       console.error('缺少 LINE User ID');
       return { success: false, message: '缺少 LINE User ID' };
     }
 
-    // 建立訊息內容
-    const message = createLineBookingMessage(bookingData);
-
     // 準備 API 請求
     const payload = {
-      to: bookingData.lineUserId,
+      to: lineUserId,
       messages: [message]
     };
 
@@ -49,12 +102,12 @@ function sendLineBookingConfirmation(bookingData) {
     };
 
     // 發送請求
-    console.log('發送 LINE 訊息給用戶:', bookingData.lineUserId);
+    console.log('發送 LINE 訊息給用戶:', lineUserId);
     const response = UrlFetchApp.fetch(LINE_CONFIG.messagingApiUrl, options);
     const responseCode = response.getResponseCode();
 
     if (responseCode === 200) {
-      console.log('LINE 預約確認訊息發送成功');
+      console.log(`LINE ${label}訊息發送成功`);
       return { success: true, message: 'LINE 訊息發送成功' };
     } else {
       const errorText = response.getContentText();
@@ -69,13 +122,12 @@ function sendLineBookingConfirmation(bookingData) {
 }
 
 /**
- * 建立 LINE 預約確認訊息
- * @param {Object} bookingData - 預約資料
- * @returns {Object} - LINE 訊息物件
+ * 將預約日期格式化為中文顯示
+ * @param {string} date - 預約日期
+ * @returns {string} - 例如 2025年7月15日（二）
  */
-function createLineBookingMessage(bookingData) {
-  // 格式化日期為中文格式
-  let displayDate = bookingData.date;
+function formatLineDisplayDate(date) {
+  let displayDate = date;
   if (displayDate) {
     try {
       const dateObj = new Date(displayDate);
@@ -91,6 +143,17 @@ function createLineBookingMessage(bookingData) {
       console.warn('日期格式化失敗:', displayDate);
     }
   }
+  return displayDate;
+}
+
+/**
+ * 建立 LINE 預約確認訊息
+ * @param {Object} bookingData - 預約資料
+ * @returns {Object} - LINE 訊息物件
+ */
+function createLineBookingMessage(bookingData) {
+  // 格式化日期為中文格式
+  const displayDate = formatLineDisplayDate(bookingData.date);
 
   // 建立訊息內容
   let messageText = `🎉 預約成功！\n\n`;
@@ -98,6 +161,11 @@ function createLineBookingMessage(bookingData) {
   messageText += `日期：${displayDate}\n`;
   messageText += `時間：${bookingData.time}\n`;
 
+  // 負責的美甲師
+  if (bookingData.technician) {
+    messageText += `美甲師：${bookingData.technician}\n`;
+  }
+
   // 只顯示非空的服務項目
   if (bookingData.services && bookingData.services.trim() !== '') {
     messageText += `服務：${bookingData.services}\n`;
@@ -116,7 +184,141 @@ function createLineBookingMessage(bookingData) {
     messageText += `備註：${bookingData.remarks}\n`;
   }
 
-  messageText += `\n感謝您的預約！如有任何需要取消或是更改時間，請透過私訊與我們聯繫，期待為您服務 💕`;
+  messageText += `\n感謝您的預約！如需取消，可至「我的預約」頁面自行取消；如需更改時間，請透過私訊與我們聯繫，期待為您服務 💕`;
+
+  return {
+    type: 'text',
+    text: messageText
+  };
+}
+
+/**
+ * 建立 LINE 預約取消訊息
+ * @param {Object} bookingData - 預約資料
+ * @returns {Object} - LINE 訊息物件
+ */
+function createLineCancellationMessage(bookingData) {
+  const displayDate = formatLineDisplayDate(bookingData.date);
+
+  let messageText = `❎ 預約已取消\n\n`;
+  messageText += `客戶：${bookingData.customerName || '未提供'}\n`;
+  messageText += `日期：${displayDate}\n`;
+  messageText += `時間：${bookingData.time}\n`;
+
+  if (bookingData.services && String(bookingData.services).trim() !== '') {
+    messageText += `服務：${bookingData.services}\n`;
+  }
+
+  messageText += `\n您的預約已成功取消，歡迎隨時再次預約 💕`;
+
+  return {
+    type: 'text',
+    text: messageText
+  };
+}
+
+/**
+ * 建立 LINE 預約改期訊息
+ * @param {Object} bookingData - 預約資料（含 previousDate / previousTime）
+ * @returns {Object} - LINE 訊息物件
+ */
+function createLineRescheduleMessage(bookingData) {
+  let messageText = `🔄 預約已改期\n\n`;
+  messageText += `客戶：${bookingData.customerName || '未提供'}\n`;
+  messageText += `原時間：${formatLineDisplayDate(bookingData.previousDate)} ${bookingData.previousTime}\n`;
+  messageText += `新日期：${formatLineDisplayDate(bookingData.date)}\n`;
+  messageText += `新時間：${bookingData.time}\n`;
+
+  if (bookingData.services && String(bookingData.services).trim() !== '') {
+    messageText += `服務：${bookingData.services}\n`;
+  }
+
+  messageText += `\n期待為您服務 💕`;
+
+  return {
+    type: 'text',
+    text: messageText
+  };
+}
+
+/**
+ * 建立 LINE 預約內容變更訊息
+ * @param {Object} bookingData - 修改後的預約資料（含 previousDate / previousTime）
+ * @returns {Object} - LINE 訊息物件
+ */
+function createLineBookingUpdateMessage(bookingData) {
+  let messageText = `✏️ 預約內容已更新\n\n`;
+  messageText += `客戶：${bookingData.customerName || '未提供'}\n`;
+
+  if (bookingData.previousDate !== bookingData.date || bookingData.previousTime !== bookingData.time) {
+    messageText += `原時間：${formatLineDisplayDate(bookingData.previousDate)} ${bookingData.previousTime}\n`;
+  }
+
+  messageText += `日期：${formatLineDisplayDate(bookingData.date)}\n`;
+  messageText += `時間：${bookingData.time}\n`;
+
+  if (bookingData.technician) {
+    messageText += `美甲師：${bookingData.technician}\n`;
+  }
+
+  if (bookingData.services && String(bookingData.services).trim() !== '') {
+    messageText += `服務：${bookingData.services}\n`;
+  }
+
+  if (bookingData.removal && String(bookingData.removal).trim() !== '') {
+    messageText += `卸甲：${bookingData.removal}\n`;
+  }
+
+  messageText += `延甲：${bookingData.quantity || '無'}\n`;
+
+  if (bookingData.remarks && String(bookingData.remarks).trim() !== '') {
+    messageText += `備註：${bookingData.remarks}\n`;
+  }
+
+  messageText += `\n如有疑問請透過私訊與我們聯繫，期待為您服務 💕`;
+
+  return {
+    type: 'text',
+    text: messageText
+  };
+}
+
+/**
+ * 建立 LINE 候補釋出訊息
+ * @param {Object} offerData - 候補通知資料（含 claimUrl、expiryMinutes）
+ * @returns {Object} - LINE 訊息物件
+ */
+function createLineWaitlistOfferMessage(offerData) {
+  let messageText = `🔔 候補時段釋出！\n\n`;
+  messageText += `客戶：${offerData.customerName || '未提供'}\n`;
+  messageText += `日期：${formatLineDisplayDate(offerData.date)}\n`;
+  messageText += `時間：${offerData.time}\n`;
+  messageText += `\n此時段將為您保留 ${offerData.expiryMinutes} 分鐘，逾時將通知下一位候補客戶。`;
+
+  if (offerData.claimUrl) {
+    messageText += `\n\n立即預約：\n${offerData.claimUrl}`;
+  }
+
+  return {
+    type: 'text',
+    text: messageText
+  };
+}
+
+/**
+ * 建立 LINE 帳號綁定驗證碼訊息
+ * @param {Object} delivery - 傳送資料（phone、code、expiryMinutes）
+ * @returns {Object} - LINE 訊息物件
+ */
+function createLineAccountLinkCodeMessage(delivery) {
+  const phone = String(delivery.phone || '');
+  const maskedPhone = phone.length >= 10 ? phone.substring(0, 4) + '***' + phone.substring(7) : phone;
+
+  let messageText = `🔐 帳號綁定驗證\n\n`;
+  messageText += `有人正在將手機號碼 ${maskedPhone} 的客戶資料綁定到新的 LINE 帳號。\n\n`;
+  messageText += `驗證碼：${delivery.code}\n`;
+  messageText += `（${delivery.expiryMinutes} 分鐘內有效）\n`;
+  messageText += `\n若不是您本人操作，請勿將驗證碼提供給任何人。`;
 
   return {
     type: 'text',
@@ -205,5 +407,27 @@ function checkScriptProperties() {
     console.log('LINE_CHANNEL_ACCESS_TOKEN 尚未設定');
   }
 
+  // 檢查預約頁面網址（候補通知的領取連結）
+  const bookingPageUrl = properties['BOOKING_PAGE_URL'];
+  if (bookingPageUrl) {
+    console.log('BOOKING_PAGE_URL 已設定');
+    console.log('URL:', bookingPageUrl);
+  } else {
+    console.log('BOOKING_PAGE_URL 尚未設定');
+  }
+
+  // 檢查 LINE Login Channel ID（驗證 LIFF ID Token）
+  const lineLoginChannelId = properties['LINE_LOGIN_CHANNEL_ID'];
+  if (lineLoginChannelId) {
+    console.log('LINE_LOGIN_CHANNEL_ID 已設定');
+    console.log('Channel ID:', lineLoginChannelId);
+    console.log('ID Token 驗證器:', properties['ID_TOKEN_VERIFIER'] || 'line');
+  } else {
+    console.log('LINE_LOGIN_CHANNEL_ID 尚未設定');
+  }
+
+  // 檢查帳號綁定驗證碼傳送方式
+  console.log('帳號綁定驗證碼傳送方式:', properties['ACCOUNT_LINK_SENDER'] || 'line');
+
   console.log('=== 檢查完成 ===');
 }
@@ -27,6 +27,14 @@ function doPost(e) {
 
 // ==================== 統一請求處理 ====================
 
+/**
+ * JSONP 請求中以 JSON 字串傳遞的巢狀物件參數（動作 → 參數名稱）
+ */
+const JSONP_JSON_PARAMS = {
+  adminCreateBooking: 'booking',
+  updateAdminSettings: 'settings'
+};
+
 /**
  * 共用的請求處理函數，支援 JSONP 和 CORS
  * @param {Object} e - 請求事件物件
@@ -67,61 +75,47 @@ function handleRequest(e) {
           // 如果解析失敗，保持原值
         }
       }
-    }
 
-    console.log('收到請求:', action, data);
+      // JSONP 無法傳遞巢狀物件，前端以 JSON 字串傳遞，需要重新解析
+      const jsonField = JSONP_JSON_PARAMS[action];
+      if (jsonField && typeof data[jsonField] === 'string') {
+        try {
+          data[jsonField] = JSON.parse(data[jsonField]);
+        } catch (parseError) {
+          console.error(`解析 ${jsonField} 參數失敗:`, parseError);
+          // 如果解析失敗，保持原值（由各處理函數回傳參數錯誤）
+        }
+      }
+    }
 
-    // ==================== CSRF Token 驗證 ====================
+    console.log('收到請求:', action, maskRequestForLog(data));
 
-    // 定義需要 CSRF Token 保護的操作
-    const csrfProtectedActions = ['saveCustomer', 'saveBooking', 'updateBookingStatus', 'deleteBooking'];
+    // ==================== LINE 身分驗證 ====================
 
-    if (csrfProtectedActions.includes(action)) {
-      // 檢查是否包含 CSRF Token
-      const csrfToken = data.csrfToken;
+    // 驗證 ID Token，並以 Token 內的用戶 ID 取代前端傳入的 User ID
+    const identityError = applyVerifiedLineIdentity(action, data);
+    if (identityError) {
+      const errorResult = JSON.stringify(identityError);
 
-      if (!csrfToken) {
-        console.warn('CSRF Token 缺失: ' + action);
+      if (callback) {
+        return ContentService
+          .createTextOutput(callback + "(" + errorResult + ")")
+          .setMimeType(ContentService.MimeType.JAVASCRIPT);
+      } else {
+        return ContentService
+          .createTextOutput(errorResult)
+          .setMimeType(ContentService.MimeType.JSON);
+      }
+    }
 
-        const errorResult = JSON.stringify({
-          success: false,
-          error: 'CSRF_TOKEN_MISSING',
-          message: '安全驗證失敗：缺少 CSRF Token',
-          timestamp: new Date().toISOString()
-        });
+    // ==================== CSRF Token 驗證 ====================
 
-        // 返回 CSRF 錯誤
-        if (callback) {
-          return ContentService
-            .createTextOutput(callback + "(" + errorResult + ")")
-            .setMimeType(ContentService.MimeType.JAVASCRIPT);
-        } else {
-          return ContentService
-            .createTextOutput(errorResult)
-            .setMimeType(ContentService.MimeType.JSON);
-        }
-      }
+    // 修改資料的操作需附上後端簽發、綁定已驗證用戶的一次性 Token
+    if (CSRF_PROTECTED_ACTIONS.includes(action)) {
+      const csrfError = verifyCsrfToken(data.csrfToken, data[LINE_IDENTITY_ACTIONS[action]]);
+      if (csrfError) {
+        const errorResult = JSON.stringify(csrfError);
 
-      // 驗證 CSRF Token 格式（基本檢查）
-      // 注意：完整的 Token 驗證應該包括：
-      // 1. Token 格式檢查（包含隨機值和時間戳記）
-      // 2. Token 時效性檢查
-      // 3. Token 使用次數限制（防止重放攻擊）
-
-      // 基本格式驗證：檢查 Token 是否包含 "_" 分隔符
-      if (!csrfToken.includes('_') || csrfToken.length < 20) {
-        console.warn('CSRF Token 格式錯誤: ' + action, {
-          tokenLength: csrfToken.length
-        });
-
-        const errorResult = JSON.stringify({
-          success: false,
-          error: 'CSRF_TOKEN_INVALID',
-          message: '安全驗證失敗：CSRF Token 格式錯誤',
-          timestamp: new Date().toISOString()
-        });
-
-        // 返回 CSRF 錯誤
         if (callback) {
           return ContentService
             .createTextOutput(callback + "(" + errorResult + ")")
@@ -132,11 +126,6 @@ function handleRequest(e) {
             .setMimeType(ContentService.MimeType.JSON);
         }
       }
-
-      // CSRF Token 驗證通過
-      console.log('CSRF Token 驗證通過 - ' + action, {
-        tokenLength: csrfToken.length
-      });
     }
 
     // ==================== 處理請求 ====================
@@ -164,11 +153,68 @@ function handleRequest(e) {
         break;
 
       case 'getCustomer':
-        result = handleGetCustomer(data.phone);
+        result = handleGetCustomer(data.phone, data.lineUserId);
+        break;
+
+      case 'cancelBooking':
+        result = handleCancelBooking(data);
+        break;
+
+      case 'rescheduleBooking':
+        result = handleRescheduleBooking(data);
         break;
 
       case 'updateBookingStatus':
-        result = handleUpdateBookingStatus(data.bookingId, data.status);
+        // 更新預約狀態為店家操作，僅限管理員
+        result = requireAdmin(data.userId) || handleUpdateBookingStatus(data.bookingId, data.status, data.userId);
+        break;
+
+      case 'adminCreateBooking':
+        result = handleAdminCreateBooking(data);
+        break;
+
+      case 'updateBooking':
+        result = handleUpdateBooking(data);
+        break;
+
+      case 'searchCustomers':
+        result = handleSearchCustomers(data);
+        break;
+
+      case 'listBookings':
+        result = handleListBookings(data);
+        break;
+
+      case 'holdTimeSlot':
+        result = handleHoldTimeSlot(data);
+        break;
+
+      case 'joinWaitlist':
+        result = handleJoinWaitlist(data);
+        break;
+
+      case 'leaveWaitlist':
+        result = handleLeaveWaitlist(data);
+        break;
+
+      case 'requestAccountLinkCode':
+        result = handleRequestAccountLinkCode(data);
+        break;
+
+      case 'confirmAccountLink':
+        result = handleConfirmAccountLink(data);
+        break;
+
+      case 'requestAccountLinkApproval':
+        result = handleRequestAccountLinkApproval(data);
+        break;
+
+      case 'getCsrfToken':
+        result = handleGetCsrfToken(data);
+        break;
+
+      case 'getWaitlistOffer':
+        result = handleGetWaitlistOffer(data.token, data.lineUserId);
         break;
 
       case 'verifyCustomerByLineId':
@@ -196,7 +242,7 @@ function handleRequest(e) {
         break;
 
       case 'checkTimeSlotAvailability':
-        result = handleCheckTimeSlotAvailability(data.date, data.timeSlots);
+        result = handleCheckTimeSlotAvailability(data.date, data.timeSlots, data.durationMinutes, data.holdToken);
         break;
 
       case 'getGoogleCalendarCredentials':
@@ -204,7 +250,51 @@ function handleRequest(e) {
         break;
 
       case 'handleBatchCheckTimeSlotAvailability':
-        result = handleBatchCheckTimeSlotAvailability(data.startDate, data.endDate);
+        result = handleBatchCheckTimeSlotAvailability(data.startDate, data.endDate, data.durationMinutes);
+        break;
+
+      case 'listTimeSlots':
+        result = handleListTimeSlots(data);
+        break;
+
+      case 'createTimeSlots':
+        result = handleCreateTimeSlots(data);
+        break;
+
+      case 'moveTimeSlot':
+        result = handleMoveTimeSlot(data);
+        break;
+
+      case 'deleteTimeSlot':
+        result = handleDeleteTimeSlot(data);
+        break;
+
+      case 'copyTimeSlotWeek':
+        result = handleCopyTimeSlotWeek(data);
+        break;
+
+      case 'listSlotTemplates':
+        result = handleListSlotTemplates(data);
+        break;
+
+      case 'saveSlotTemplate':
+        result = handleSaveSlotTemplate(data);
+        break;
+
+      case 'deleteSlotTemplate':
+        result = handleDeleteSlotTemplate(data);
+        break;
+
+      case 'previewSlotTemplates':
+        result = handlePreviewSlotTemplates(data);
+        break;
+
+      case 'publishSlotTemplates':
+        result = handlePublishSlotTemplates(data);
+        break;
+
+      case 'ensureScheduledTriggers':
+        result = handleEnsureScheduledTriggers(data);
         break;
 
       case 'getSystemCalendarInfo':
@@ -225,6 +315,30 @@ function handleRequest(e) {
         result = handleGetAdminSettings(data);
         break;
 
+      case 'getSettingsHistory':
+        result = handleGetSettingsHistory(data);
+        break;
+
+      case 'restoreSettingsVersion':
+        result = handleRestoreSettingsVersion(data);
+        break;
+
+      case 'getAuditLog':
+        result = handleGetAuditLog(data);
+        break;
+
+      case 'getAccountLinkRequests':
+        result = handleGetAccountLinkRequests(data);
+        break;
+
+      case 'reviewAccountLinkRequest':
+        result = handleReviewAccountLinkRequest(data);
+        break;
+
+      case 'getServiceMenu':
+        result = handleGetServiceMenu();
+        break;
+
       default:
         if (!action) {
           result = {
@@ -279,6 +393,36 @@ function handleRequest(e) {
   }
 }
 
+// ==================== 請求日誌 ====================
+
+/**
+ * 寫入日誌時需遮罩的憑證欄位（只記錄長度）
+ */
+const REQUEST_LOG_MASKED_FIELDS = ['idToken', 'csrfToken'];
+
+/**
+ * 不可寫入日誌的欄位（帳號綁定驗證碼只保存雜湊，明碼寫入日誌即可被用來完成綁定）
+ */
+const REQUEST_LOG_OMITTED_FIELDS = ['code'];
+
+/**
+ * 取得可寫入日誌的請求資料，遮罩 ID Token、CSRF Token 等憑證並移除驗證碼
+ * @param {Object} data - 請求資料（不會被修改）
+ * @returns {Object} - 遮罩後的副本
+ */
+function maskRequestForLog(data) {
+  const masked = Object.assign({}, data);
+  REQUEST_LOG_OMITTED_FIELDS.forEach(field => {
+    delete masked[field];
+  });
+  REQUEST_LOG_MASKED_FIELDS.forEach(field => {
+    if (masked[field]) {
+      masked[field] = `[${field} ${String(masked[field]).length} 字元]`;
+    }
+  });
+  return masked;
+}
+
 // ==================== 首頁專用 API ====================
 
 /**
@@ -316,6 +460,7 @@ function handleGetHomepageData(data) {
     Logger.performance('客戶驗證完成', customerStartTime, 'homepage');
 
     // 第三步：準備首頁所需的最小配置資料（精簡版）
+    const bookingRules = getBookingRules();
     const homepageConfig = {
       // 基本系統配置
       timezone: SYSTEM_CONFIG.TIMEZONE,
@@ -329,7 +474,9 @@ function handleGetHomepageData(data) {
 
       // 簡化的驗證規則（避免複雜物件序列化）
       timeFormatRegex: SYSTEM_CONFIG.TIME_FORMAT_REGEX.source,
-      bookingAdvanceHours: 3,
+      bookingAdvanceHours: bookingRules.advanceHours,
+      monthlyOpeningDay: bookingRules.openingDay,
+      monthlyOpeningHour: bookingRules.openingHour,
 
       // API版本資訊
       apiVersion: '2.0.0',
@@ -344,15 +491,13 @@ function handleGetHomepageData(data) {
       timestamp: Date.now() // 使用數字格式減少序列化時間
     };
 
-    // 第五步：如果客戶已建檔且系統配置完整，提供Google Calendar憑證
-    if (customerStatus && customerStatus.success && customerStatus.exists && config.hasApiKey() && config.hasCalendarAccess()) {
+    // 第五步：回報日曆是否可用（日曆讀取一律由後端代理，不提供 API Key 或日曆 ID）
+    if (customerStatus && customerStatus.success && customerStatus.exists && config.hasCalendarAccess()) {
       responseData.credentials = {
-        apiKey: config.apiKey,
-        calendarId: config.calendarId,
-        timeSlotsCalendarId: config.timeSlotsCalendarId || config.calendarId,
+        mode: 'backend_proxy',
         ready: true
       };
-      Logger.debug('已提供Calendar憑證給已建檔客戶', null, 'homepage');
+      Logger.debug('已建檔客戶可使用後端代理的日曆查詢', null, 'homepage');
     } else {
       responseData.credentials = {
         ready: false,
@@ -460,7 +605,7 @@ function handleGetCalendarConfig() {
 
       // 時間驗證規則
       timeFormatRegex: SYSTEM_CONFIG.TIME_FORMAT_REGEX.source, // 轉為字串格式
-      bookingAdvanceHours: 3, // 預約需提前的小時數
+      bookingAdvanceHours: getBookingRules().advanceHours, // 預約需提前的小時數
 
       // 功能開關
       notificationEnabled: NOTIFICATION_CONFIG.enabled,
@@ -506,12 +651,8 @@ function handleGetSystemCalendarInfo() {
     const timeSlotsCalendarId = cachedConfig.timeSlotsCalendarId;
     const bookingCalendarId = cachedConfig.calendarId;
 
-    // 準備日曆資訊回應
+    // 準備日曆資訊回應（不暴露實際日曆 ID，只回傳是否有設定）
     const calendarInfo = {
-      // 日曆ID配置
-      timeSlotsCalendarId: timeSlotsCalendarId,
-      bookingCalendarId: bookingCalendarId,
-
       // 配置狀態
       hasTimeSlotsCalendar: !!timeSlotsCalendarId,
       hasBookingCalendar: !!bookingCalendarId,
@@ -557,44 +698,19 @@ function handleGetSystemCalendarInfo() {
 
 /**
  * 處理取得 Google Calendar 憑證請求
- * 注意：此函數回傳敏感資訊，僅供前端使用
- * @returns {Object} - Google Calendar 憑證和配置
+ * 日曆讀取一律由後端代理，此 API 不回傳 API Key 或日曆 ID，只回傳前端需要的配置與代理狀態
+ * @returns {Object} - 日曆配置（不含敏感資訊）
  */
 function handleGetGoogleCalendarCredentials() {
   try {
-    console.log('處理 Google Calendar 憑證請求');
+    console.log('處理 Google Calendar 憑證請求（後端代理模式）');
 
-    // 使用快取的配置，避免重複讀取PropertiesService
     const cachedConfig = getCachedConfig();
-    const apiKey = cachedConfig.apiKey;
-    const calendarId = cachedConfig.calendarId;
-    const timeSlotsCalendarId = cachedConfig.timeSlotsCalendarId;
-
-    // 檢查必要的憑證是否存在
-    if (!apiKey) {
-      return {
-        success: false,
-        error: '未設定 Google API Key',
-        message: '請在指令碼屬性中設定 CALENDAR_API_KEY',
-        timestamp: new Date().toISOString()
-      };
-    }
 
-    if (!calendarId) {
-      return {
-        success: false,
-        error: '未設定 Google Calendar ID',
-        message: '請在指令碼屬性中設定 GOOGLE_CALENDAR_ID',
-        timestamp: new Date().toISOString()
-      };
-    }
-
-    // 準備憑證回應
     const credentials = {
-      // Google Calendar API 憑證
-      apiKey: apiKey,
-      calendarId: calendarId,
-      timeSlotsCalendarId: timeSlotsCalendarId || calendarId, // 如果沒有時段日曆，使用預約日曆
+      // 日曆存取模式：前端透過 getAvailableTimeSlots / checkTimeSlotAvailability 等後端 API 讀取
+      mode: 'backend_proxy',
+      ready: cachedConfig.hasCalendarAccess(),
 
       // 基本配置
       timezone: SYSTEM_CONFIG.TIMEZONE,
@@ -603,23 +719,21 @@ function handleGetGoogleCalendarCredentials() {
 
       // 時間驗證規則
       timeFormatRegex: SYSTEM_CONFIG.TIME_FORMAT_REGEX.source,
-      bookingAdvanceHours: 3,
+      bookingAdvanceHours: getBookingRules().advanceHours,
 
       // 功能開關
       notificationEnabled: NOTIFICATION_CONFIG.enabled,
       lineMessagingEnabled: LINE_CONFIG.enabled,
 
       // 系統資訊
-      apiVersion: '1.0.0',
+      apiVersion: '2.0.0',
       lastUpdated: new Date().toISOString()
     };
 
-    console.log('Google Calendar 憑證回應已準備（包含敏感資訊）');
-
     return {
       success: true,
       credentials: credentials,
-      message: 'Google Calendar 憑證取得成功',
+      message: 'Google Calendar 配置取得成功',
       timestamp: new Date().toISOString()
     };
 
@@ -0,0 +1,282 @@
+/**
+ * settingsHistoryService.gs - 後台設定版本模組
+ * 美甲預約系統 - Google Apps Script
+ *
+ * 包含：保存設定版本、修訂版本檢查（避免多人同時編輯互相覆蓋）、查詢版本紀錄（含與前一版的差異）、還原指定版本
+ *
+ * 最新的版本號即為後台設定目前的修訂版本（revision），getAdminSettings 會一併回傳
+ */
+
+// ==================== 版本紀錄讀寫 ====================
+
+/**
+ * 讀取設定版本紀錄所有資料列（依版本號由舊到新）
+ * @returns {Object} - { sheet, versions }，versions 每筆含 row、version、savedAt、author、note、settingsText
+ */
+function readSettingsVersions() {
+  const sheet = getSheet(SETTINGS_HISTORY_CONFIG.sheetName);
+  const lastRow = sheet.getLastRow();
+
+  if (lastRow <= 1) {
+    return { sheet: sheet, versions: [] };
+  }
+
+  const data = sheet.getRange(2, 1, lastRow - 1, SETTINGS_VERSION_HEADERS.length).getValues();
+  const versions = data
+    .map((values, index) => ({
+      row: index + 2,
+      version: Number(values[SETTINGS_VERSION_COLUMNS.VERSION - 1]) || 0,
+      savedAt: values[SETTINGS_VERSION_COLUMNS.SAVED_AT - 1],
+      author: String(values[SETTINGS_VERSION_COLUMNS.AUTHOR - 1] || ''),
+      note: String(values[SETTINGS_VERSION_COLUMNS.NOTE - 1] || ''),
+      settingsText: String(values[SETTINGS_VERSION_COLUMNS.SETTINGS - 1] || '')
+    }))
+    .filter(entry => entry.version > 0);
+
+  versions.sort((a, b) => a.version - b.version);
+  return { sheet: sheet, versions: versions };
+}
+
+/**
+ * 保存一個設定版本
+ * 尚無任何版本時，先把儲存前的設定保存為第一版，確保最初的服務選單也能還原
+ * @param {Object} settings - 儲存後的設定資料（readAdminSettings 格式）
+ * @param {string} author - 儲存者（管理員 LINE User ID）
+ * @param {string} note - 版本說明
+ * @param {Object} previousSettings - 儲存前的 readAdminSettings 結果
+ * @returns {number} - 新版本號
+ */
+function saveSettingsVersion(settings, author, note, previousSettings) {
+  const history = readSettingsVersions();
+  let lastVersion = history.versions.length > 0 ? history.versions[history.versions.length - 1].version : 0;
+
+  const rows = [];
+  if (lastVersion === 0 && previousSettings && previousSettings.success) {
+    lastVersion++;
+    rows.push([lastVersion, new Date(), '', '版本紀錄啟用前的設定', JSON.stringify(previousSettings.data)]);
+  }
+
+  lastVersion++;
+  rows.push([lastVersion, new Date(), author || '', note || '', JSON.stringify(settings)]);
+
+  history.sheet.getRange(history.sheet.getLastRow() + 1, 1, rows.length, SETTINGS_VERSION_HEADERS.length).setValues(rows);
+  console.log('已保存後台設定版本:', lastVersion);
+
+  return lastVersion;
+}
+
+/**
+ * 解析版本的設定內容
+ * @param {Object} entry - readSettingsVersions 的版本資料
+ * @returns {Object|null} - 設定資料，內容損毀時為 null
+ */
+function parseSettingsVersion(entry) {
+  try {
+    return JSON.parse(entry.settingsText);
+  } catch (error) {
+    console.error(`設定版本 ${entry.version} 內容無法解析:`, error);
+    return null;
+  }
+}
+
+/**
+ * 取得指定版本的設定內容
+ * @param {number} version - 版本號
+ * @returns {Object|null} - 設定資料，找不到或內容損毀時為 null
+ */
+function getSettingsVersionData(version) {
+  const entry = readSettingsVersions().versions.find(item => item.version === Number(version));
+  return entry ? parseSettingsVersion(entry) : null;
+}
+
+// ==================== 修訂版本檢查 ====================
+
+/**
+ * 取得後台設定目前的修訂版本（最新版本號，尚無版本紀錄時為 0）
+ * @returns {number}
+ */
+function getCurrentSettingsRevision() {
+  const versions = readSettingsVersions().versions;
+  return versions.length > 0 ? versions[versions.length - 1].version : 0;
+}
+
+/**
+ * 檢查儲存請求所依據的修訂版本是否仍為最新
+ * 呼叫端需持有設定鎖定，避免檢查後、寫入前被其他請求更新
+ * @param {number} revision - 前端載入設定時取得的修訂版本
+ * @param {Object} currentSettings - 目前的 readAdminSettings 結果
+ * @returns {Object|null} - 版本過期時回傳 CONFLICT 錯誤（含遠端設定與差異），否則回傳 null
+ */
+function checkSettingsRevision(revision, currentSettings) {
+  const versions = readSettingsVersions().versions;
+  const latest = versions.length > 0 ? versions[versions.length - 1] : null;
+  const currentRevision = latest ? latest.version : 0;
+
+  if (revision !== undefined && revision !== null && revision !== '' && Number(revision) === currentRevision) {
+    return null;
+  }
+
+  const baseEntry = versions.find(entry => entry.version === Number(revision));
+  const baseSettings = baseEntry ? parseSettingsVersion(baseEntry) : null;
+  const remoteSettings = currentSettings.success ? currentSettings.data : null;
+
+  console.warn(`後台設定版本衝突：請求依據版本 ${revision}，目前版本 ${currentRevision}`);
+
+  return {
+    success: false,
+    error: 'CONFLICT',
+    message: '設定已被其他管理員更新，請合併變更或重新載入後再儲存',
+    currentRevision: currentRevision,
+    remoteSettings: remoteSettings,
+    remoteChanges: baseSettings ? computeAuditDiff(baseSettings, remoteSettings) : null,
+    updatedBy: latest ? latest.author : '',
+    updatedAt: latest && latest.savedAt instanceof Date ? latest.savedAt.toISOString() : '',
+    timestamp: new Date().toISOString()
+  };
+}
+
+// ==================== 查詢版本紀錄 ====================
+
+/**
+ * 處理取得設定版本紀錄（僅限管理員）
+ * 最新版本在前，最多回傳 SETTINGS_HISTORY_CONFIG.maxListed 筆，每筆附上與前一版的差異
+ * @param {Object} data - 包含 userId（已驗證的管理員）
+ * @returns {Object} - { versions, currentVersion }
+ */
+function handleGetSettingsHistory(data) {
+  const authError = requireAdmin(data && data.userId);
+  if (authError) {
+    return authError;
+  }
+
+  try {
+    const versions = readSettingsVersions().versions;
+    const listed = versions.slice(-SETTINGS_HISTORY_CONFIG.maxListed);
+    const firstListedIndex = versions.length - listed.length;
+
+    const result = listed.map((entry, index) => {
+      const previousEntry = versions[firstListedIndex + index - 1];
+      const previous = previousEntry ? parseSettingsVersion(previousEntry) : null;
+
+      return {
+        version: entry.version,
+        savedAt: entry.savedAt instanceof Date ? entry.savedAt.toISOString() : String(entry.savedAt || ''),
+        author: entry.author,
+        note: entry.note,
+        changes: computeAuditDiff(previous, parseSettingsVersion(entry))
+      };
+    }).reverse();
+
+    return {
+      success: true,
+      versions: result,
+      currentVersion: versions.length > 0 ? versions[versions.length - 1].version : 0,
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error('讀取設定版本紀錄失敗:', error);
+    return {
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// ==================== 還原版本 ====================
+
+/**
+ * 處理還原設定版本（僅限管理員）
+ * 以指定版本的內容覆寫後台預約項目工作表，並保存為新的版本（原有版本不會被刪除）
+ * @param {Object} data - 包含 userId（已驗證的管理員）與 version
+ * @returns {Object} - 還原結果（含新版本號）
+ */
+function handleRestoreSettingsVersion(data) {
+  const authError = requireAdmin(data && data.userId);
+  if (authError) {
+    return authError;
+  }
+
+  const versionNumber = Number(data.version);
+  const settings = getSettingsVersionData(versionNumber);
+
+  if (!settings) {
+    return {
+      success: false,
+      error: 'VERSION_NOT_FOUND',
+      message: '找不到指定的設定版本',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // 舊版本可能早於格式驗證或被手動修改，還原前以與儲存設定相同的規則驗證
+  const fieldErrors = validateAdminSettingsPayload(settings);
+  if (fieldErrors.length > 0) {
+    console.warn(`設定版本 ${versionNumber} 格式錯誤，無法還原:`, JSON.stringify(fieldErrors));
+    return {
+      success: false,
+      error: 'VALIDATION_FAILED',
+      message: `版本 ${versionNumber} 的設定資料有 ${fieldErrors.length} 個錯誤：${fieldErrors[0].message}`,
+      errors: fieldErrors,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // 與儲存設定共用同一個鎖定，確保版本號不會重複
+  const settingsLock = LockService.getScriptLock();
+  try {
+    settingsLock.waitLock(30000);
+  } catch (lockError) {
+    console.error('無法取得後台設定鎖定:', lockError);
+    return {
+      success: false,
+      error: 'LOCK_TIMEOUT',
+      message: '設定正在被其他管理員儲存，請稍後再試',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  try {
+    const previousSettings = readAdminSettings();
+    const itemsUpdated = writeAdminSettings(settings);
+    const restoredSettings = readAdminSettings();
+
+    const version = saveSettingsVersion(
+      restoredSettings.success ? restoredSettings.data : settings,
+      data.userId,
+      `還原版本 ${versionNumber}`,
+      previousSettings
+    );
+
+    recordAudit({
+      action: 'restoreSettingsVersion',
+      actor: data.userId,
+      actorType: AUDIT_CONFIG.actorTypes.ADMIN,
+      targetType: 'settings',
+      targetId: '後台預約項目',
+      summary: `還原版本 ${versionNumber}，儲存為版本 ${version}`,
+      before: previousSettings.success ? previousSettings.data : null,
+      after: restoredSettings.success ? restoredSettings.data : settings
+    });
+
+    return {
+      success: true,
+      message: `已還原版本 ${versionNumber}`,
+      itemsUpdated: itemsUpdated,
+      version: version,
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error('還原設定版本失敗:', error);
+    return {
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+
+  } finally {
+    settingsLock.releaseLock();
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * slotHoldService.gs - 時段暫時保留模組
+ * 美甲預約系統 - Google Apps Script
+ *
+ * 包含：建立時段保留、保留查詢與釋放、保留轉換為時段衝突計算用的事件
+ */
+
+// ==================== 保留資料讀寫 ====================
+
+/**
+ * 讀取尚未逾時的時段保留
+ * @returns {Array} - 保留資料陣列 { token, lineUserId, date, time, durationMinutes, expiresAt }
+ */
+function readActiveSlotHolds() {
+  try {
+    const stored = PropertiesService.getScriptProperties().getProperty(SLOT_HOLD_CONFIG.propertyKey);
+    const holds = stored ? JSON.parse(stored) : [];
+    const now = Date.now();
+    return holds.filter(hold => new Date(hold.expiresAt).getTime() > now);
+  } catch (error) {
+    console.error('讀取時段保留失敗:', error);
+    return [];
+  }
+}
+
+/**
+ * 寫入時段保留（呼叫端需持有 Document Lock）
+ * @param {Array} holds - 保留資料陣列（已排除逾時項目）
+ */
+function writeSlotHolds(holds) {
+  const properties = PropertiesService.getScriptProperties();
+  if (holds.length === 0) {
+    properties.deleteProperty(SLOT_HOLD_CONFIG.propertyKey);
+  } else {
+    properties.setProperty(SLOT_HOLD_CONFIG.propertyKey, JSON.stringify(holds));
+  }
+}
+
+/**
+ * 依保留代碼找出尚未逾時的保留
+ * @param {string} holdToken - 保留代碼
+ * @returns {Object|null}
+ */
+function findActiveSlotHold(holdToken) {
+  if (!holdToken) {
+    return null;
+  }
+  return readActiveSlotHolds().find(hold => hold.token === String(holdToken)) || null;
+}
+
+/**
+ * 釋放時段保留（呼叫端需持有 Document Lock）
+ * @param {string} holdToken - 保留代碼
+ */
+function releaseSlotHold(holdToken) {
+  const holds = readActiveSlotHolds();
+  writeSlotHolds(holds.filter(hold => hold.token !== String(holdToken)));
+}
+
+/**
+ * 取得指定日期的保留，並轉換為與日曆活動相容的事件（未指派美甲師，各佔用一個名額）
+ * @param {string} dateStr - 日期（YYYY-MM-DD）
+ * @param {string} excludeHoldToken - 選填，排除客戶本人的保留
+ * @param {Array} holds - 選填，已讀取的保留資料
+ * @returns {Array} - 相容事件陣列
+ */
+function getSlotHoldEvents(dateStr, excludeHoldToken, holds) {
+  return (holds || readActiveSlotHolds())
+    .filter(hold => hold.date === dateStr && (!excludeHoldToken || hold.token !== String(excludeHoldToken)))
+    .map(hold => {
+      const start = new Date(`${hold.date}T${hold.time}:00+08:00`);
+      const end = new Date(start.getTime() + hold.durationMinutes * 60 * 1000);
+      return {
+        getId: () => 'hold_' + hold.token,
+        getTitle: () => '時段保留中',
+        getStartTime: () => start,
+        getEndTime: () => end,
+        getTag: () => null
+      };
+    });
+}
+
+// ==================== 時段保留 ====================
+
+/**
+ * 處理時段保留
+ * 客戶選擇時段後先保留 SLOT_HOLD_CONFIG.holdMinutes 分鐘，填寫服務內容期間其他人無法預約；
+ * 每位客戶同時只保留一個時段，重新選擇時會釋放先前的保留；
+ * 選好服務後可帶 service、removal、quantity 重新保留，依服務組合的時長保留整段時間
+ * @param {Object} data - 包含 lineUserId、date、time，選填 service、removal、quantity（後台項目 ID）
+ * @returns {Object} - 處理結果（含 holdToken 與 expiresAt）
+ */
+function handleHoldTimeSlot(data) {
+  Logger.api('開始處理時段保留', { date: data && data.date, time: data && data.time }, 'booking');
+
+  if (!data || !data.lineUserId || !data.date || !data.time) {
+    return {
+      success: false,
+      error: 'MISSING_PARAMS',
+      message: '缺少 LINE User ID 或時段資料',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+  if (!DATE_REGEX.test(data.date) || !SYSTEM_CONFIG.TIME_FORMAT_REGEX.test(data.time)) {
+    return {
+      success: false,
+      error: 'INVALID_DATETIME',
+      message: '預約日期或時間格式錯誤',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const settingsResult = readAdminSettings();
+  const adminSettings = settingsResult.success ? settingsResult.data : null;
+
+  // 與建立預約相同的預約時間規則，不開放預約的時段不接受保留
+  const windowError = checkBookingWindow(data.date, data.time, getBookingRules(adminSettings));
+  if (windowError) {
+    return windowError;
+  }
+
+  // 依選擇的服務組合計算保留時長（尚未選擇服務時為預設時長）
+  const durationMinutes = calculateBookingDurationMinutes({
+    service: data.service,
+    removal: data.removal,
+    quantity: data.quantity
+  }, adminSettings);
+
+  const holdLock = LockService.getDocumentLock();
+  try {
+    holdLock.waitLock(30000);
+  } catch (lockError) {
+    console.error('無法取得保留鎖定:', lockError);
+    return {
+      success: false,
+      error: 'LOCK_TIMEOUT',
+      message: '目前預約人數較多，請稍後再試',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  try {
+    // 先釋放此客戶先前的保留，再確認新時段
+    const holds = readActiveSlotHolds().filter(hold => hold.lineUserId !== String(data.lineUserId));
+    writeSlotHolds(holds);
+
+    const slotCheck = verifyBackendTimeSlotAvailability(data.date, data.time, null, durationMinutes);
+    const reservedCount = slotCheck.available ? countActiveWaitlistOffers(data.date, data.time) : 0;
+
+    if (!slotCheck.available || slotCheck.slotStatus.remaining <= reservedCount) {
+      return {
+        success: false,
+        error: slotCheck.available ? 'TIME_SLOT_RESERVED' : (slotCheck.errorCode || 'TIME_SLOT_UNAVAILABLE'),
+        message: slotCheck.available ? '該時段已保留給候補客戶，請重新選擇' : (slotCheck.message || '該時段已被占用，請重新選擇'),
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const expiresAt = new Date(Date.now() + SLOT_HOLD_CONFIG.holdMinutes * 60 * 1000);
+    const hold = {
+      token: Utilities.getUuid(),
+      lineUserId: String(data.lineUserId),
+      date: data.date,
+      time: data.time,
+      durationMinutes: durationMinutes,
+      expiresAt: expiresAt.toISOString()
+    };
+
+    holds.push(hold);
+    writeSlotHolds(holds);
+
+    Logger.log('時段已保留', { date: hold.date, time: hold.time, expiresAt: hold.expiresAt }, 'booking');
+
+    return {
+      success: true,
+      message: `已為您保留此時段 ${SLOT_HOLD_CONFIG.holdMinutes} 分鐘`,
+      holdToken: hold.token,
+      expiresAt: hold.expiresAt,
+      holdMinutes: SLOT_HOLD_CONFIG.holdMinutes,
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error('保留時段時發生錯誤:', error);
+    return {
+      success: false,
+      error: error.message,
+      message: '保留時段失敗，請稍後再試',
+      timestamp: new Date().toISOString()
+    };
+
+  } finally {
+    holdLock.releaseLock();
+  }
+}
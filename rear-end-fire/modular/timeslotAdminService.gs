@@ -0,0 +1,564 @@
+/**
+ * timeslotAdminService.gs - 後台時段管理模組
+ * 美甲預約系統 - Google Apps Script
+ *
+ * 包含：時段活動讀寫、查詢時段、新增時段、移動時段、刪除時段、複製一週時段
+ *
+ * 後台建立的時段為結構化活動：標題為「可預約時段 HH:MM」，並以 TIMESLOT_ADMIN_CONFIG.eventTagKey 標籤記錄時間，
+ * 客戶查詢時段時（extractTimeSlotsFromEvent）以標籤為準；直接在 Google 日曆建立的舊活動仍從標題判斷時間
+ */
+
+// ==================== 時段活動讀寫 ====================
+
+/**
+ * 取得時段日曆
+ * @returns {Calendar} - 時段日曆
+ */
+function getTimeSlotsCalendar() {
+  const calendar = CalendarApp.getCalendarById(CALENDAR_CONFIG.timeSlotsCalendarId);
+  if (!calendar) {
+    throw new Error(`找不到時段日曆ID: ${CALENDAR_CONFIG.timeSlotsCalendarId}`);
+  }
+  return calendar;
+}
+
+/**
+ * 依 Event ID 取得時段活動
+ * @param {string} eventId - 時段活動 ID（不含 @google.com）
+ * @returns {CalendarEvent|null} - 時段活動，不存在時回傳 null
+ */
+function getTimeSlotEvent(eventId) {
+  const eventIdStr = String(eventId || '');
+  if (!eventIdStr) {
+    return null;
+  }
+  const fullEventId = eventIdStr.includes('@') ? eventIdStr : `${eventIdStr}@google.com`;
+  return getTimeSlotsCalendar().getEventById(fullEventId);
+}
+
+/**
+ * 讀取日期區間內的所有時段
+ * 舊活動的標題可能包含多個時間，會拆成多筆（共用同一個 eventId）
+ * @param {string} startDate - 開始日期（YYYY-MM-DD）
+ * @param {string} endDate - 結束日期（YYYY-MM-DD）
+ * @returns {Array} - [{ eventId, date, time, structured, title }]，依日期時間排序
+ */
+function readTimeSlotEntries(startDate, endDate) {
+  const events = getTimeSlotsCalendar().getEvents(
+    createTaipeiDateFromYMD(startDate),
+    new Date(endDate + 'T23:59:59+08:00')
+  );
+  const entries = [];
+
+  events.forEach(event => {
+    const date = getTaipeiDateString(event.getStartTime());
+    if (date < startDate || date > endDate) {
+      return;
+    }
+
+    const structured = !!event.getTag(TIMESLOT_ADMIN_CONFIG.eventTagKey);
+    extractTimeSlotsFromEvent(event).forEach(slot => {
+      entries.push({
+        eventId: String(event.getId()).split('@')[0],
+        date: date,
+        time: slot.time,
+        structured: structured,
+        title: event.getTitle()
+      });
+    });
+  });
+
+  entries.sort((a, b) => (a.date + a.time).localeCompare(b.date + b.time));
+  return entries;
+}
+
+/**
+ * 建立結構化時段活動
+ * @param {Calendar} calendar - 時段日曆
+ * @param {string} date - 日期（YYYY-MM-DD）
+ * @param {string} time - 時間（HH:MM）
+ * @returns {string} - 新活動的 Event ID
+ */
+function createTimeSlotEvent(calendar, date, time) {
+  const startTime = new Date(`${date}T${time}:00+08:00`);
+  const endTime = new Date(startTime.getTime() + TIMESLOT_ADMIN_CONFIG.eventMinutes * 60 * 1000);
+
+  const event = calendar.createEvent(`${TIMESLOT_ADMIN_CONFIG.titlePrefix} ${time}`, startTime, endTime, {
+    description: '此時段由後台時段管理建立，請至後台修改或刪除'
+  });
+  event.setTag(TIMESLOT_ADMIN_CONFIG.eventTagKey, time);
+
+  return String(event.getId()).split('@')[0];
+}
+
+/**
+ * 檢查時段時間格式，並確認在營業時間內
+ * @param {string} time - 時間（HH:MM）
+ * @returns {Object|null} - 不符合時回傳錯誤回應，符合時為 null
+ */
+function validateTimeSlotTime(time) {
+  const businessHours = CALENDAR_CONFIG.businessHours;
+
+  if (!SYSTEM_CONFIG.TIME_FORMAT_REGEX.test(String(time || ''))) {
+    return {
+      success: false,
+      error: 'INVALID_TIME',
+      message: `時間格式錯誤: ${time}，請使用 HH:MM 格式`,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  if (time < businessHours.start || time >= businessHours.end) {
+    return {
+      success: false,
+      error: 'OUTSIDE_BUSINESS_HOURS',
+      message: `時段 ${time} 不在營業時間（${businessHours.start}～${businessHours.end}）內`,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  return null;
+}
+
+/**
+ * 取得時段管理用的鎖定（新增、移動、刪除、複製共用，避免重複建立相同時段）
+ * @returns {Object} - 成功時為 { lock }，失敗時為 LOCK_TIMEOUT 錯誤回應
+ */
+function acquireTimeSlotLock() {
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+    return { lock: lock };
+  } catch (lockError) {
+    console.error('無法取得時段管理鎖定:', lockError);
+    return {
+      success: false,
+      error: 'LOCK_TIMEOUT',
+      message: '系統忙碌中，請稍後再試',
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// ==================== 查詢時段 ====================
+
+/**
+ * 處理後台查詢時段（僅限管理員）
+ * @param {Object} data - 包含 userId（已驗證的管理員）、startDate、endDate（YYYY-MM-DD）
+ * @returns {Object} - { slots, businessHours }，slots 中 structured 為 false 的是直接在 Google 日曆建立的舊活動
+ */
+function handleListTimeSlots(data) {
+  const authError = requireAdmin(data && data.userId);
+  if (authError) {
+    return authError;
+  }
+
+  const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+  const startDate = String(data.startDate || '');
+  const endDate = String(data.endDate || '');
+  if (!DATE_REGEX.test(startDate) || !DATE_REGEX.test(endDate) || startDate > endDate) {
+    return {
+      success: false,
+      error: 'INVALID_DATE',
+      message: '請提供正確的日期區間（YYYY-MM-DD）',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  if (addDaysToDateString(startDate, TIMESLOT_ADMIN_CONFIG.maxRangeDays) <= endDate) {
+    return {
+      success: false,
+      error: 'RANGE_TOO_LARGE',
+      message: `查詢區間不可超過 ${TIMESLOT_ADMIN_CONFIG.maxRangeDays} 天`,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  try {
+    return {
+      success: true,
+      slots: readTimeSlotEntries(startDate, endDate),
+      businessHours: CALENDAR_CONFIG.businessHours,
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error('查詢後台時段失敗:', error);
+    return {
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// ==================== 新增時段 ====================
+
+/**
+ * 處理後台新增時段（僅限管理員）
+ * 當天已有的時段會略過，不會重複建立
+ * @param {Object} data - 包含 userId（已驗證的管理員）、date（YYYY-MM-DD）、
+ *                        times（時間陣列，JSONP 請求可為逗號分隔字串）
+ * @returns {Object} - { created: [{ eventId, time }], skipped: [time] }
+ */
+function handleCreateTimeSlots(data) {
+  const authError = requireAdmin(data && data.userId);
+  if (authError) {
+    return authError;
+  }
+
+  const date = String(data.date || '');
+  const times = (Array.isArray(data.times) ? data.times : String(data.times || '').split(','))
+    .map(time => String(time).trim())
+    .filter(time => time);
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || times.length === 0) {
+    return {
+      success: false,
+      error: 'MISSING_PARAMS',
+      message: '請提供日期與至少一個時段',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  for (const time of times) {
+    const timeError = validateTimeSlotTime(time);
+    if (timeError) {
+      return timeError;
+    }
+  }
+
+  const acquired = acquireTimeSlotLock();
+  if (!acquired.lock) {
+    return acquired;
+  }
+
+  try {
+    const calendar = getTimeSlotsCalendar();
+    const existingTimes = new Set(readTimeSlotEntries(date, date).map(entry => entry.time));
+    const created = [];
+    const skipped = [];
+
+    Array.from(new Set(times)).sort().forEach(time => {
+      if (existingTimes.has(time)) {
+        skipped.push(time);
+        return;
+      }
+      created.push({ eventId: createTimeSlotEvent(calendar, date, time), time: time });
+    });
+
+    if (created.length > 0) {
+      recordAudit({
+        action: 'createTimeSlots',
+        actor: data.userId,
+        actorType: AUDIT_CONFIG.actorTypes.ADMIN,
+        targetType: 'timeSlot',
+        targetId: date,
+        summary: `新增 ${date} 時段 ${created.map(slot => slot.time).join('、')}`,
+        before: null,
+        after: { date: date, times: created.map(slot => slot.time) }
+      });
+    }
+
+    return {
+      success: true,
+      message: `已新增 ${created.length} 個時段` + (skipped.length > 0 ? `，${skipped.length} 個時段已存在` : ''),
+      created: created,
+      skipped: skipped,
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error('新增時段失敗:', error);
+    return {
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+
+  } finally {
+    acquired.lock.releaseLock();
+  }
+}
+
+// ==================== 移動時段 ====================
+
+/**
+ * 處理後台移動時段（僅限管理員）
+ * 只能移動後台建立的結構化時段；舊活動請刪除後重新新增
+ * @param {Object} data - 包含 userId（已驗證的管理員）、eventId、newDate（YYYY-MM-DD）、newTime（HH:MM）
+ * @returns {Object} - 處理結果
+ */
+function handleMoveTimeSlot(data) {
+  const authError = requireAdmin(data && data.userId);
+  if (authError) {
+    return authError;
+  }
+
+  const newDate = String(data.newDate || '');
+  const newTime = String(data.newTime || '');
+  if (!data.eventId || !/^\d{4}-\d{2}-\d{2}$/.test(newDate)) {
+    return {
+      success: false,
+      error: 'MISSING_PARAMS',
+      message: '缺少時段編號或新的日期',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const timeError = validateTimeSlotTime(newTime);
+  if (timeError) {
+    return timeError;
+  }
+
+  const acquired = acquireTimeSlotLock();
+  if (!acquired.lock) {
+    return acquired;
+  }
+
+  try {
+    const event = getTimeSlotEvent(data.eventId);
+    if (!event) {
+      return {
+        success: false,
+        error: 'SLOT_NOT_FOUND',
+        message: '找不到此時段，可能已被刪除',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const previousTime = event.getTag(TIMESLOT_ADMIN_CONFIG.eventTagKey);
+    if (!previousTime) {
+      return {
+        success: false,
+        error: 'LEGACY_SLOT',
+        message: '此時段是直接在 Google 日曆建立的活動，請刪除後重新新增',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const previousDate = getTaipeiDateString(event.getStartTime());
+    const eventId = String(event.getId()).split('@')[0];
+    const occupied = readTimeSlotEntries(newDate, newDate)
+      .some(entry => entry.time === newTime && entry.eventId !== eventId);
+    if (occupied) {
+      return {
+        success: false,
+        error: 'SLOT_EXISTS',
+        message: `${newDate} ${newTime} 已有時段`,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const startTime = new Date(`${newDate}T${newTime}:00+08:00`);
+    event.setTime(startTime, new Date(startTime.getTime() + TIMESLOT_ADMIN_CONFIG.eventMinutes * 60 * 1000));
+    event.setTitle(`${TIMESLOT_ADMIN_CONFIG.titlePrefix} ${newTime}`);
+    event.setTag(TIMESLOT_ADMIN_CONFIG.eventTagKey, newTime);
+
+    recordAudit({
+      action: 'moveTimeSlot',
+      actor: data.userId,
+      actorType: AUDIT_CONFIG.actorTypes.ADMIN,
+      targetType: 'timeSlot',
+      targetId: eventId,
+      summary: `移動時段 ${previousDate} ${previousTime} → ${newDate} ${newTime}`,
+      before: { date: previousDate, time: previousTime },
+      after: { date: newDate, time: newTime }
+    });
+
+    return {
+      success: true,
+      message: '時段已移動',
+      slot: { eventId: eventId, date: newDate, time: newTime, structured: true },
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error('移動時段失敗:', error);
+    return {
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+
+  } finally {
+    acquired.lock.releaseLock();
+  }
+}
+
+// ==================== 刪除時段 ====================
+
+/**
+ * 處理後台刪除時段（僅限管理員）
+ * 只移除可預約時段，已成立的預約不受影響
+ * @param {Object} data - 包含 userId（已驗證的管理員）、eventId
+ * @returns {Object} - 處理結果（含被刪除的時段時間，舊活動可能包含多個時間）
+ */
+function handleDeleteTimeSlot(data) {
+  const authError = requireAdmin(data && data.userId);
+  if (authError) {
+    return authError;
+  }
+
+  if (!data.eventId) {
+    return {
+      success: false,
+      error: 'MISSING_PARAMS',
+      message: '缺少時段編號',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const acquired = acquireTimeSlotLock();
+  if (!acquired.lock) {
+    return acquired;
+  }
+
+  try {
+    const event = getTimeSlotEvent(data.eventId);
+    if (!event) {
+      return {
+        success: false,
+        error: 'SLOT_NOT_FOUND',
+        message: '找不到此時段，可能已被刪除',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const date = getTaipeiDateString(event.getStartTime());
+    const times = extractTimeSlotsFromEvent(event).map(slot => slot.time);
+    event.deleteEvent();
+
+    recordAudit({
+      action: 'deleteTimeSlot',
+      actor: data.userId,
+      actorType: AUDIT_CONFIG.actorTypes.ADMIN,
+      targetType: 'timeSlot',
+      targetId: String(data.eventId),
+      summary: `刪除 ${date} 時段 ${times.join('、')}`,
+      before: { date: date, times: times },
+      after: null
+    });
+
+    return {
+      success: true,
+      message: '時段已刪除',
+      date: date,
+      times: times,
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error('刪除時段失敗:', error);
+    return {
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+
+  } finally {
+    acquired.lock.releaseLock();
+  }
+}
+
+// ==================== 複製一週時段 ====================
+
+/**
+ * 處理將一週的時段複製到之後幾週（僅限管理員）
+ * 來源週為 weekStart 所在的週一到週日，依星期對應複製；目標日期已有的時段會略過
+ * @param {Object} data - 包含 userId（已驗證的管理員）、weekStart（來源週的任一天，YYYY-MM-DD）、weeks（複製週數）
+ * @returns {Object} - { sourceCount, createdCount, skippedCount, startDate, endDate }
+ */
+function handleCopyTimeSlotWeek(data) {
+  const authError = requireAdmin(data && data.userId);
+  if (authError) {
+    return authError;
+  }
+
+  const anchor = String(data.weekStart || '');
+  const weeks = parseInt(data.weeks, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(anchor) || isNaN(weeks) || weeks < 1 || weeks > TIMESLOT_ADMIN_CONFIG.maxCopyWeeks) {
+    return {
+      success: false,
+      error: 'INVALID_PARAMS',
+      message: `請提供來源週的日期，並選擇 1～${TIMESLOT_ADMIN_CONFIG.maxCopyWeeks} 週`,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // 來源週：週一到週日
+  const weekday = new Date(anchor + 'T00:00:00Z').getUTCDay();
+  const sourceStart = addDaysToDateString(anchor, -((weekday + 6) % 7));
+  const sourceEnd = addDaysToDateString(sourceStart, 6);
+  const targetStart = addDaysToDateString(sourceStart, 7);
+  const targetEnd = addDaysToDateString(sourceStart, 7 * (weeks + 1) - 1);
+
+  const acquired = acquireTimeSlotLock();
+  if (!acquired.lock) {
+    return acquired;
+  }
+
+  try {
+    const calendar = getTimeSlotsCalendar();
+    const sourceEntries = readTimeSlotEntries(sourceStart, sourceEnd);
+    if (sourceEntries.length === 0) {
+      return {
+        success: false,
+        error: 'NO_SOURCE_SLOTS',
+        message: `${sourceStart}～${sourceEnd} 沒有可複製的時段`,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const existingKeys = new Set(readTimeSlotEntries(targetStart, targetEnd).map(entry => `${entry.date} ${entry.time}`));
+    let createdCount = 0;
+    let skippedCount = 0;
+
+    for (let week = 1; week <= weeks; week++) {
+      sourceEntries.forEach(entry => {
+        const date = addDaysToDateString(entry.date, 7 * week);
+        const key = `${date} ${entry.time}`;
+        if (existingKeys.has(key)) {
+          skippedCount++;
+          return;
+        }
+        createTimeSlotEvent(calendar, date, entry.time);
+        existingKeys.add(key);
+        createdCount++;
+      });
+    }
+
+    recordAudit({
+      action: 'copyTimeSlotWeek',
+      actor: data.userId,
+      actorType: AUDIT_CONFIG.actorTypes.ADMIN,
+      targetType: 'timeSlot',
+      targetId: `${sourceStart}～${sourceEnd}`,
+      summary: `複製 ${sourceStart} 當週時段到之後 ${weeks} 週，新增 ${createdCount} 個、略過 ${skippedCount} 個`,
+      before: null,
+      after: { startDate: targetStart, endDate: targetEnd, createdCount: createdCount }
+    });
+
+    return {
+      success: true,
+      message: `已新增 ${createdCount} 個時段` + (skippedCount > 0 ? `，${skippedCount} 個時段已存在` : ''),
+      sourceCount: sourceEntries.length,
+      createdCount: createdCount,
+      skippedCount: skippedCount,
+      startDate: targetStart,
+      endDate: targetEnd,
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error('複製一週時段失敗:', error);
+    return {
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+
+  } finally {
+    acquired.lock.releaseLock();
+  }
+}
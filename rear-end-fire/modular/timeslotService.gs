@@ -3,6 +3,9 @@
  * 美甲預約系統 - Google Apps Script
  *
  * 包含：時段查詢、時段可用性檢查、批量時段檢查
+ *
+ * 時段來自時段日曆（GOOGLE_TIMESLOTS_CALENDAR_ID）的活動：後台建立的結構化時段以標籤記錄時間，
+ * 直接在 Google 日曆建立的活動則從標題判斷時間
  */
 
 // ==================== 時段查詢 ====================
@@ -93,12 +96,10 @@ function getAvailableTimeSlotsFromCalendar(date) {
     const availableSlots = [];
 
     for (const event of events) {
-      const title = event.getTitle();
-      const eventStartTime = event.getStartTime();
-      const eventDateStr = getTaipeiDateString(eventStartTime);
+      const eventDateStr = getTaipeiDateString(event.getStartTime());
 
       if (eventDateStr === queryDateStr) {
-        const timeSlots = extractTimeSlotsFromTitle(title, eventStartTime);
+        const timeSlots = extractTimeSlotsFromEvent(event);
 
         for (const slot of timeSlots) {
           const existingSlot = availableSlots.find(s => s.time === slot.time);
@@ -118,6 +119,43 @@ function getAvailableTimeSlotsFromCalendar(date) {
   }
 }
 
+/**
+ * 取得時段活動代表的時段
+ * 後台建立的結構化時段以標籤記錄時間；沒有標籤的活動沿用從標題判斷時間的方式
+ * @param {CalendarEvent} event - 時段日曆活動
+ * @returns {Array} - 時段陣列
+ */
+function extractTimeSlotsFromEvent(event) {
+  const slotTime = event.getTag(TIMESLOT_ADMIN_CONFIG.eventTagKey);
+  if (slotTime && SYSTEM_CONFIG.TIME_FORMAT_REGEX.test(slotTime)) {
+    return [createTimeSlotEntry(slotTime, 'admin_slot', event.getTitle())];
+  }
+  return extractTimeSlotsFromTitle(event.getTitle(), event.getStartTime());
+}
+
+/**
+ * 建立時段資料（依時間標示上午、下午、晚上）
+ * @param {string} timeStr - 時間（HH:MM）
+ * @param {string} source - 時段來源
+ * @param {string} title - 時段活動標題
+ * @returns {Object} - 時段資料
+ */
+function createTimeSlotEntry(timeStr, source, title) {
+  const hour = parseInt(timeStr.split(':')[0]);
+  let period = '晚上';
+  if (hour >= 6 && hour < 12) period = '上午';
+  else if (hour >= 12 && hour < 18) period = '下午';
+
+  return {
+    time: timeStr,
+    period: period,
+    label: `${period} ${timeStr}`,
+    available: true,
+    source: source,
+    originalTitle: title
+  };
+}
+
 /**
  * 從事件標題中提取時段資訊
  */
@@ -162,19 +200,7 @@ function extractTimeSlotsFromTitle(title, eventStartTime) {
     }
 
     for (const timeStr of foundTimes) {
-      const hour = parseInt(timeStr.split(':')[0]);
-      let period = '晚上';
-      if (hour >= 6 && hour < 12) period = '上午';
-      else if (hour >= 12 && hour < 18) period = '下午';
-
-      slots.push({
-        time: timeStr,
-        period: period,
-        label: `${period} ${timeStr}`,
-        available: true,
-        source: 'calendar_event',
-        originalTitle: title
-      });
+      slots.push(createTimeSlotEntry(timeStr, 'calendar_event', title));
     }
 
   } catch (error) {
@@ -188,8 +214,12 @@ function extractTimeSlotsFromTitle(title, eventStartTime) {
 
 /**
  * 處理時段可用性檢查請求
+ * @param {string} date - 查詢日期 (YYYY-MM-DD 格式)
+ * @param {Array} timeSlots - 時段陣列
+ * @param {number} durationMinutes - 服務時長（分鐘），省略時使用預設時長
+ * @param {string} holdToken - 選填，客戶本人的時段保留代碼（不列入衝突計算）
  */
-function handleCheckTimeSlotAvailability(date, timeSlots) {
+function handleCheckTimeSlotAvailability(date, timeSlots, durationMinutes, holdToken) {
   try {
     if (!date) throw new Error('缺少查詢日期參數');
     if (!timeSlots) throw new Error('缺少時段參數');
@@ -226,13 +256,15 @@ function handleCheckTimeSlotAvailability(date, timeSlots) {
       throw new Error('無效的日期格式');
     }
 
-    const availability = checkTimeSlotsAvailability(queryDate, date, timeSlots, bookingCalendarId);
+    const duration = normalizeDurationParam(durationMinutes);
+    const availability = checkTimeSlotsAvailability(queryDate, date, timeSlots, bookingCalendarId, null, duration, holdToken);
 
     return {
       success: true,
       date: date,
       availability: availability,
       checkedSlots: timeSlots.length,
+      durationMinutes: duration,
       message: '時段可用性檢查完成',
       timestamp: new Date().toISOString()
     };
@@ -252,24 +284,35 @@ function handleCheckTimeSlotAvailability(date, timeSlots) {
 
 /**
  * 檢查多個時段的可用性
+ * @param {string} excludeEventId - 不列入衝突計算的活動 ID（改期時排除原預約本身）
+ * @param {number} durationMinutes - 服務時長（分鐘），省略時使用預設時長
+ * @param {string} excludeHoldToken - 不列入衝突計算的時段保留（客戶本人的保留）
  */
-function checkTimeSlotsAvailability(date, dateStr, timeSlots, calendarId) {
+function checkTimeSlotsAvailability(date, dateStr, timeSlots, calendarId, excludeEventId, durationMinutes, excludeHoldToken) {
   const availability = {};
 
   try {
     const queryDateStr = dateStr;
     const { startTime, endTime } = getOptimizedQueryRange(queryDateStr);
-    const events = AdvancedCalendarService.getEvents(calendarId, startTime, endTime);
+    let events = AdvancedCalendarService.getEvents(calendarId, startTime, endTime);
+
+    if (excludeEventId) {
+      const excludeId = String(excludeEventId).split('@')[0];
+      events = events.filter(event => String(event.getId()).split('@')[0] !== excludeId);
+    }
+
+    // 其他客戶暫時保留中的時段視同已預約
+    events = events.concat(getSlotHoldEvents(queryDateStr, excludeHoldToken));
 
     for (const timeSlot of timeSlots) {
-      const slotAvailability = checkSingleTimeSlotAvailability(events, timeSlot, date, queryDateStr);
+      const slotAvailability = checkSingleTimeSlotAvailability(events, timeSlot, date, queryDateStr, durationMinutes);
       availability[timeSlot] = slotAvailability;
     }
 
   } catch (error) {
     console.error('檢查時段可用性時發生錯誤:', error);
     for (const slot of timeSlots) {
-      availability[slot] = { available: false, conflictCount: -1, reason: '檢查失敗: ' + error.message };
+      availability[slot] = { available: false, remaining: 0, conflictCount: -1, reason: '檢查失敗: ' + error.message };
     }
   }
 
@@ -278,65 +321,121 @@ function checkTimeSlotsAvailability(date, dateStr, timeSlots, calendarId) {
 
 /**
  * 檢查單一時段的可用性
+ * 以「開始時間 + 服務時長」的整段區間計算仍有空的美甲師數量
+ * @param {number} durationMinutes - 服務時長（分鐘）
+ * @returns {Object} - 含 remaining（剩餘容量）與 freeTechnicians 的檢查結果
  */
-function checkSingleTimeSlotAvailability(events, timeSlot, date, queryDateStr) {
+function checkSingleTimeSlotAvailability(events, timeSlot, date, queryDateStr, durationMinutes) {
   try {
     const [hour, minute] = timeSlot.split(':').map(Number);
 
     const slotStartStr = queryDateStr + 'T' + String(hour).padStart(2, '0') + ':' + String(minute).padStart(2, '0') + ':00+08:00';
     const slotStart = new Date(slotStartStr);
 
-    const endHour = hour + CALENDAR_CONFIG.defaultDuration;
-    const slotEndStr = queryDateStr + 'T' + String(endHour).padStart(2, '0') + ':' + String(minute).padStart(2, '0') + ':00+08:00';
-    const slotEnd = new Date(slotEndStr);
-
-    let conflictCount = 0;
-    const conflictingEvents = [];
+    const slotEnd = new Date(slotStart.getTime() + (durationMinutes || CALENDAR_CONFIG.defaultDuration * 60) * 60 * 1000);
 
-    for (const event of events) {
-      const eventStart = event.getStartTime();
-      const eventEnd = event.getEndTime();
-      const eventDateStr = getTaipeiDateString(eventStart);
-
-      if (eventDateStr !== queryDateStr) continue;
-
-      if (slotStart < eventEnd && slotEnd > eventStart) {
-        conflictCount++;
-        conflictingEvents.push({
-          title: event.getTitle(),
-          start: eventStart.toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' }),
-          end: eventEnd.toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' })
-        });
-      }
+    // 服務時長必須在營業時間內完成
+    if (!isWithinBusinessHours(queryDateStr, slotEnd)) {
+      return {
+        available: false,
+        capacity: TECHNICIAN_CONFIG.technicians.length,
+        remaining: 0,
+        conflictCount: 0,
+        conflictingEvents: [],
+        reason: '服務時長超出營業時間'
+      };
     }
 
-    const isAvailable = conflictCount === 0;
-
-    return {
-      available: isAvailable,
-      conflictCount: conflictCount,
-      conflictingEvents: conflictingEvents,
-      reason: isAvailable ? '可預約' : `與 ${conflictCount} 個預約衝突`
-    };
+    return evaluateSlotCapacity(events, slotStart, slotEnd, queryDateStr);
 
   } catch (error) {
     console.error(`檢查時段 ${timeSlot} 時發生錯誤:`, error);
     return {
       available: false,
+      remaining: 0,
       conflictCount: -1,
       reason: '檢查失敗: ' + error.message
     };
   }
 }
 
+/**
+ * 計算時段的剩餘容量（可服務的美甲師數量）
+ * 已指派美甲師的預約佔用該美甲師；未指派（舊資料或手動建立）的活動各佔用一個名額
+ * @param {Array} events - 當日預約日曆活動
+ * @param {Date} slotStart - 服務開始時間
+ * @param {Date} slotEnd - 服務結束時間
+ * @param {string} queryDateStr - 預約日期（YYYY-MM-DD）
+ * @returns {Object} - { available, capacity, remaining, freeTechnicians, conflictCount, conflictingEvents, reason }
+ */
+function evaluateSlotCapacity(events, slotStart, slotEnd, queryDateStr) {
+  const technicians = TECHNICIAN_CONFIG.technicians;
+  const busyTechnicians = new Set();
+  const conflictingEvents = [];
+  let unassignedCount = 0;
+
+  for (const event of events) {
+    const eventStart = event.getStartTime();
+    const eventEnd = event.getEndTime();
+    const eventDateStr = getTaipeiDateString(eventStart);
+
+    if (eventDateStr !== queryDateStr) continue;
+
+    if (slotStart < eventEnd && slotEnd > eventStart) {
+      const technician = getEventTechnician(event);
+      if (technician && technicians.includes(technician) && !busyTechnicians.has(technician)) {
+        busyTechnicians.add(technician);
+      } else {
+        unassignedCount++;
+      }
+
+      conflictingEvents.push({
+        title: event.getTitle(),
+        technician: technician,
+        start: eventStart.toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' }),
+        end: eventEnd.toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' })
+      });
+    }
+  }
+
+  const freeTechnicians = technicians.filter(name => !busyTechnicians.has(name));
+  const remaining = Math.max(0, freeTechnicians.length - unassignedCount);
+  const conflictCount = conflictingEvents.length;
+
+  return {
+    available: remaining > 0,
+    capacity: technicians.length,
+    remaining: remaining,
+    freeTechnicians: remaining > 0 ? freeTechnicians : [],
+    conflictCount: conflictCount,
+    conflictingEvents: conflictingEvents,
+    reason: remaining > 0 ? `可預約（剩餘 ${remaining} 位）` : `與 ${conflictCount} 個預約衝突，已額滿`
+  };
+}
+
+/**
+ * 判斷服務結束時間是否在營業時間內
+ * @param {string} queryDateStr - 預約日期（YYYY-MM-DD）
+ * @param {Date} slotEnd - 服務結束時間
+ * @returns {boolean} - 是否在營業結束前完成
+ */
+function isWithinBusinessHours(queryDateStr, slotEnd) {
+  const closingTime = new Date(`${queryDateStr}T${CALENDAR_CONFIG.businessHours.end}:00+08:00`);
+  return slotEnd <= closingTime;
+}
+
 // ==================== 批量時段檢查 ====================
 
 /**
  * 批量查詢多天所有時段的可預約狀態
+ * 每個時段回傳剩餘容量（remaining）；整段服務時長內仍有空閒美甲師的時段才會標記為可預約，
+ * 其他客戶暫時保留中的時段視同已預約
+ * @param {number} durationMinutes - 服務時長（分鐘），省略時使用預設時長
  */
-function handleBatchCheckTimeSlotAvailability(startDate, endDate) {
+function handleBatchCheckTimeSlotAvailability(startDate, endDate, durationMinutes) {
   try {
-    console.log('批量查詢多天所有時段可預約狀態:', { startDate, endDate });
+    const duration = normalizeDurationParam(durationMinutes);
+    console.log('批量查詢多天所有時段可預約狀態:', { startDate, endDate, duration });
 
     const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
     if (!dateRegex.test(startDate) || !dateRegex.test(endDate)) {
@@ -397,6 +496,8 @@ function handleBatchCheckTimeSlotAvailability(startDate, endDate) {
       }
     });
 
+    const slotHolds = readActiveSlotHolds();
+
     // 逐日處理
     const result = {};
     let totalDays = 0;
@@ -415,8 +516,8 @@ function handleBatchCheckTimeSlotAvailability(startDate, endDate) {
         }
 
         const timeSlotStrings = availableSlots.map(slot => slot.time || slot);
-        const dayBookingEvents = bookingsByDate[dateStr] || [];
-        const availability = checkTimeSlotsAvailabilityFromEvents(dayBookingEvents, timeSlotStrings, currentDate, dateStr);
+        const dayBookingEvents = (bookingsByDate[dateStr] || []).concat(getSlotHoldEvents(dateStr, null, slotHolds));
+        const availability = checkTimeSlotsAvailabilityFromEvents(dayBookingEvents, timeSlotStrings, currentDate, dateStr, duration);
 
         result[dateStr] = availability;
         totalSlots += timeSlotStrings.length;
@@ -433,6 +534,7 @@ function handleBatchCheckTimeSlotAvailability(startDate, endDate) {
       data: result,
       totalDays: totalDays,
       totalSlots: totalSlots,
+      durationMinutes: duration,
       message: `批量查詢完成，處理 ${totalDays} 天，總計 ${totalSlots} 個時段`,
       timestamp: new Date().toISOString()
     };
@@ -456,12 +558,10 @@ function extractTimeSlotsFromEvents(events, dateStr) {
 
   try {
     for (const event of events) {
-      const title = event.getTitle();
-      const eventStartTime = event.getStartTime();
-      const eventDateStr = getTaipeiDateString(eventStartTime);
+      const eventDateStr = getTaipeiDateString(event.getStartTime());
 
       if (eventDateStr === dateStr) {
-        const timeSlots = extractTimeSlotsFromTitle(title, eventStartTime);
+        const timeSlots = extractTimeSlotsFromEvent(event);
 
         for (const slot of timeSlots) {
           const existingSlot = availableSlots.find(s => s.time === slot.time);
@@ -483,13 +583,14 @@ function extractTimeSlotsFromEvents(events, dateStr) {
 
 /**
  * 從事件陣列中檢查時段可用性（批量處理）
+ * @param {number} durationMinutes - 服務時長（分鐘）
  */
-function checkTimeSlotsAvailabilityFromEvents(bookingEvents, timeSlots, date, queryDateStr) {
+function checkTimeSlotsAvailabilityFromEvents(bookingEvents, timeSlots, date, queryDateStr, durationMinutes) {
   const availability = {};
 
   try {
     for (const timeSlot of timeSlots) {
-      const slotAvailability = checkSingleTimeSlotAvailabilityFromEvents(bookingEvents, timeSlot, date, queryDateStr);
+      const slotAvailability = checkSingleTimeSlotAvailabilityFromEvents(bookingEvents, timeSlot, date, queryDateStr, durationMinutes);
       availability[timeSlot] = slotAvailability;
     }
     return availability;
@@ -497,7 +598,7 @@ function checkTimeSlotsAvailabilityFromEvents(bookingEvents, timeSlots, date, qu
   } catch (error) {
     console.error(`檢查時段可用性失敗 (${queryDateStr}):`, error);
     for (const slot of timeSlots) {
-      availability[slot] = { available: false, conflictCount: -1, reason: '檢查失敗: ' + error.message };
+      availability[slot] = { available: false, remaining: 0, conflictCount: -1, reason: '檢查失敗: ' + error.message };
     }
     return availability;
   }
@@ -505,48 +606,36 @@ function checkTimeSlotsAvailabilityFromEvents(bookingEvents, timeSlots, date, qu
 
 /**
  * 從事件陣列中檢查單一時段的可用性（批量處理）
+ * @param {number} durationMinutes - 服務時長（分鐘）
+ * @returns {Object} - 含 remaining（剩餘容量）的檢查結果
  */
-function checkSingleTimeSlotAvailabilityFromEvents(bookingEvents, timeSlot, date, queryDateStr) {
+function checkSingleTimeSlotAvailabilityFromEvents(bookingEvents, timeSlot, date, queryDateStr, durationMinutes) {
   try {
     const [hour, minute] = timeSlot.split(':').map(Number);
 
     const slotStartStr = queryDateStr + 'T' + String(hour).padStart(2, '0') + ':' + String(minute).padStart(2, '0') + ':00+08:00';
     const slotStart = new Date(slotStartStr);
 
-    const endHour = hour + CALENDAR_CONFIG.defaultDuration;
-    const slotEndStr = queryDateStr + 'T' + String(endHour).padStart(2, '0') + ':' + String(minute).padStart(2, '0') + ':00+08:00';
-    const slotEnd = new Date(slotEndStr);
-
-    let conflictCount = 0;
-    const conflictingEvents = [];
-
-    for (const event of bookingEvents) {
-      const eventStart = event.getStartTime();
-      const eventEnd = event.getEndTime();
-      const eventDateStr = getTaipeiDateString(eventStart);
+    const slotEnd = new Date(slotStart.getTime() + (durationMinutes || CALENDAR_CONFIG.defaultDuration * 60) * 60 * 1000);
 
-      if (eventDateStr !== queryDateStr) continue;
-
-      if (slotStart < eventEnd && slotEnd > eventStart) {
-        conflictCount++;
-        conflictingEvents.push({
-          title: event.getTitle(),
-          start: eventStart.toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' }),
-          end: eventEnd.toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' })
-        });
-      }
+    // 服務時長必須在營業時間內完成
+    if (!isWithinBusinessHours(queryDateStr, slotEnd)) {
+      return {
+        available: false,
+        capacity: TECHNICIAN_CONFIG.technicians.length,
+        remaining: 0,
+        conflictCount: 0,
+        conflictingEvents: [],
+        reason: '服務時長超出營業時間'
+      };
     }
 
-    return {
-      available: conflictCount === 0,
-      conflictCount: conflictCount,
-      conflictingEvents: conflictingEvents,
-      reason: conflictCount === 0 ? '可預約' : `與 ${conflictCount} 個預約衝突`
-    };
+    return evaluateSlotCapacity(bookingEvents, slotStart, slotEnd, queryDateStr);
 
   } catch (error) {
     return {
       available: false,
+      remaining: 0,
       conflictCount: -1,
       reason: '檢查失敗: ' + error.message
     };
@@ -0,0 +1,710 @@
+/**
+ * timeslotTemplateService.gs - 每週時段範本模組
+ * 美甲預約系統 - Google Apps Script
+ *
+ * 包含：範本讀寫、範本管理（新增、修改、刪除）、依範本產生月份時段計畫、預覽與發布、每日自動發布排程
+ *
+ * 範本依星期設定時段，並可設定生效區間與例外日期（公休或當天改用其他時段）；
+ * 同一天有多個範本生效時，以生效日最晚的範本為準。發布時透過 createTimeSlotEvent 建立結構化時段，
+ * 已存在的時段會略過，不會刪除或修改任何既有時段
+ */
+
+// ==================== 範本讀寫 ====================
+
+/**
+ * 將工作表中的日期欄位轉為 YYYY-MM-DD（試算表可能自動把日期字串轉成 Date）
+ * @param {*} value - 儲存格內容
+ * @returns {string} - YYYY-MM-DD，空白時為空字串
+ */
+function normalizeTemplateDateValue(value) {
+  if (value instanceof Date) {
+    return getTaipeiDateString(value);
+  }
+  return String(value || '').trim();
+}
+
+/**
+ * 解析範本的 JSON 欄位
+ * @param {*} text - 儲存格內容
+ * @param {*} fallback - 內容空白或損毀時的預設值
+ * @returns {*}
+ */
+function parseTemplateJson(text, fallback) {
+  if (!text) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(String(text));
+  } catch (error) {
+    console.error('時段範本內容無法解析:', error);
+    return fallback;
+  }
+}
+
+/**
+ * 讀取所有時段範本
+ * @returns {Object} - { sheet, templates }，templates 每筆含 row、id、name、enabled、effectiveFrom、effectiveTo、
+ *                     weekdays（{ 星期(0-6): [HH:MM] }）、exceptions（[{ date, times }]）、updatedAt、updatedBy
+ */
+function readSlotTemplates() {
+  const sheet = getSheet(TIMESLOT_TEMPLATE_CONFIG.sheetName);
+  const lastRow = sheet.getLastRow();
+
+  if (lastRow <= 1) {
+    return { sheet: sheet, templates: [] };
+  }
+
+  const data = sheet.getRange(2, 1, lastRow - 1, TIMESLOT_TEMPLATE_HEADERS.length).getValues();
+  const templates = data
+    .map((values, index) => ({
+      row: index + 2,
+      id: String(values[TIMESLOT_TEMPLATE_COLUMNS.ID - 1] || ''),
+      name: String(values[TIMESLOT_TEMPLATE_COLUMNS.NAME - 1] || ''),
+      enabled: values[TIMESLOT_TEMPLATE_COLUMNS.ENABLED - 1] === true || String(values[TIMESLOT_TEMPLATE_COLUMNS.ENABLED - 1]).toUpperCase() === 'TRUE',
+      effectiveFrom: normalizeTemplateDateValue(values[TIMESLOT_TEMPLATE_COLUMNS.EFFECTIVE_FROM - 1]),
+      effectiveTo: normalizeTemplateDateValue(values[TIMESLOT_TEMPLATE_COLUMNS.EFFECTIVE_TO - 1]),
+      weekdays: parseTemplateJson(values[TIMESLOT_TEMPLATE_COLUMNS.WEEKDAYS - 1], {}),
+      exceptions: parseTemplateJson(values[TIMESLOT_TEMPLATE_COLUMNS.EXCEPTIONS - 1], []),
+      updatedAt: values[TIMESLOT_TEMPLATE_COLUMNS.UPDATED_AT - 1],
+      updatedBy: String(values[TIMESLOT_TEMPLATE_COLUMNS.UPDATED_BY - 1] || '')
+    }))
+    .filter(template => template.id);
+
+  return { sheet: sheet, templates: templates };
+}
+
+/**
+ * 將範本轉為回傳給前端的格式（移除列號）
+ * @param {Object} template - readSlotTemplates 的範本資料
+ * @returns {Object}
+ */
+function toSlotTemplateResponse(template) {
+  return {
+    id: template.id,
+    name: template.name,
+    enabled: template.enabled,
+    effectiveFrom: template.effectiveFrom,
+    effectiveTo: template.effectiveTo,
+    weekdays: template.weekdays,
+    exceptions: template.exceptions,
+    updatedAt: template.updatedAt instanceof Date ? template.updatedAt.toISOString() : String(template.updatedAt || ''),
+    updatedBy: template.updatedBy
+  };
+}
+
+/**
+ * 將範本轉為工作表的一列
+ * @param {Object} template - 範本資料
+ * @returns {Array}
+ */
+function toSlotTemplateRow(template) {
+  return [
+    template.id,
+    template.name,
+    template.enabled,
+    template.effectiveFrom,
+    template.effectiveTo,
+    JSON.stringify(template.weekdays),
+    JSON.stringify(template.exceptions),
+    template.updatedAt,
+    template.updatedBy
+  ];
+}
+
+// ==================== 範本內容驗證 ====================
+
+/**
+ * 解析時段清單
+ * @param {Array|string} value - 時間陣列，或逗號分隔的時間字串（JSONP 請求）
+ * @returns {Array<string>} - 去除重複並排序的時間
+ */
+function parseTemplateTimes(value) {
+  const times = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(time => String(time).trim())
+    .filter(time => time);
+  return Array.from(new Set(times)).sort();
+}
+
+/**
+ * 建立範本驗證失敗的回應
+ * @param {string} message - 錯誤訊息
+ * @returns {Object}
+ */
+function createSlotTemplateError(message) {
+  return {
+    success: false,
+    error: 'INVALID_TEMPLATE',
+    message: message,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * 解析例外日期
+ * 每行（或以分號分隔）一筆：「YYYY-MM-DD」表示當天公休，「YYYY-MM-DD 13:00,16:00」表示當天改用這些時段
+ * @param {string} text - 例外日期文字
+ * @returns {Object} - { exceptions: [{ date, times }] } 或 { error }
+ */
+function parseTemplateExceptions(text) {
+  const exceptions = [];
+  const lines = String(text || '').split(/[\n;]+/).map(line => line.trim()).filter(line => line);
+
+  for (const line of lines) {
+    const match = line.match(/^(\d{4}-\d{2}-\d{2})(?:\s+(.+))?$/);
+    if (!match) {
+      return { error: createSlotTemplateError(`例外日期格式錯誤：${line}`) };
+    }
+    if (exceptions.some(exception => exception.date === match[1])) {
+      return { error: createSlotTemplateError(`例外日期重複：${match[1]}`) };
+    }
+
+    const times = parseTemplateTimes(match[2] || '');
+    for (const time of times) {
+      const timeError = validateTimeSlotTime(time);
+      if (timeError) {
+        return { error: timeError };
+      }
+    }
+    exceptions.push({ date: match[1], times: times });
+  }
+
+  if (exceptions.length > TIMESLOT_TEMPLATE_CONFIG.maxExceptions) {
+    return { error: createSlotTemplateError(`例外日期最多 ${TIMESLOT_TEMPLATE_CONFIG.maxExceptions} 筆`) };
+  }
+
+  exceptions.sort((a, b) => a.date.localeCompare(b.date));
+  return { exceptions: exceptions };
+}
+
+/**
+ * 驗證並整理儲存範本的請求內容
+ * @param {Object} data - 包含 name、enabled、effectiveFrom、effectiveTo、weekday0～weekday6（逗號分隔時間，0 為週日）、exceptions
+ * @returns {Object} - { template } 或 { error }
+ */
+function parseSlotTemplateInput(data) {
+  const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+  const name = String(data.name || '').trim();
+  const effectiveFrom = String(data.effectiveFrom || '').trim();
+  const effectiveTo = String(data.effectiveTo || '').trim();
+
+  if (!name) {
+    return { error: createSlotTemplateError('請填寫範本名稱') };
+  }
+  if ((effectiveFrom && !DATE_REGEX.test(effectiveFrom)) || (effectiveTo && !DATE_REGEX.test(effectiveTo))) {
+    return { error: createSlotTemplateError('生效日期格式錯誤，請使用 YYYY-MM-DD') };
+  }
+  if (effectiveFrom && effectiveTo && effectiveFrom > effectiveTo) {
+    return { error: createSlotTemplateError('結束日不可早於生效日') };
+  }
+
+  const weekdays = {};
+  for (let weekday = 0; weekday <= 6; weekday++) {
+    const times = parseTemplateTimes(data['weekday' + weekday]);
+    for (const time of times) {
+      const timeError = validateTimeSlotTime(time);
+      if (timeError) {
+        return { error: timeError };
+      }
+    }
+    if (times.length > 0) {
+      weekdays[weekday] = times;
+    }
+  }
+
+  if (Object.keys(weekdays).length === 0) {
+    return { error: createSlotTemplateError('請至少為一個星期設定時段') };
+  }
+
+  const parsedExceptions = parseTemplateExceptions(data.exceptions);
+  if (parsedExceptions.error) {
+    return { error: parsedExceptions.error };
+  }
+
+  return {
+    template: {
+      name: name,
+      enabled: data.enabled === true || data.enabled === 'true',
+      effectiveFrom: effectiveFrom,
+      effectiveTo: effectiveTo,
+      weekdays: weekdays,
+      exceptions: parsedExceptions.exceptions
+    }
+  };
+}
+
+// ==================== 範本管理 ====================
+
+/**
+ * 處理取得時段範本列表（僅限管理員）
+ * @param {Object} data - 包含 userId（已驗證的管理員）
+ * @returns {Object} - { templates, publishLeadDays, openingDay, missingTriggers: 尚未安裝的排程名稱 }
+ */
+function handleListSlotTemplates(data) {
+  const authError = requireAdmin(data && data.userId);
+  if (authError) {
+    return authError;
+  }
+
+  try {
+    return {
+      success: true,
+      templates: readSlotTemplates().templates.map(toSlotTemplateResponse),
+      publishLeadDays: TIMESLOT_TEMPLATE_CONFIG.publishLeadDays,
+      openingDay: getBookingRules().openingDay,
+      missingTriggers: getMissingScheduledTriggers().map(item => item.label),
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error('讀取時段範本失敗:', error);
+    return {
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+/**
+ * 處理新增或修改時段範本（僅限管理員）
+ * @param {Object} data - 包含 userId（已驗證的管理員）、templateId（修改時提供）與 parseSlotTemplateInput 的欄位
+ * @returns {Object} - { template }
+ */
+function handleSaveSlotTemplate(data) {
+  const authError = requireAdmin(data && data.userId);
+  if (authError) {
+    return authError;
+  }
+
+  const parsed = parseSlotTemplateInput(data);
+  if (parsed.error) {
+    return parsed.error;
+  }
+
+  const acquired = acquireTimeSlotLock();
+  if (!acquired.lock) {
+    return acquired;
+  }
+
+  try {
+    const stored = readSlotTemplates();
+    const templateId = String(data.templateId || '');
+    const existing = templateId ? stored.templates.find(template => template.id === templateId) : null;
+
+    if (templateId && !existing) {
+      return {
+        success: false,
+        error: 'TEMPLATE_NOT_FOUND',
+        message: '找不到此範本，可能已被刪除',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const template = Object.assign(parsed.template, {
+      id: existing ? existing.id : generateId(),
+      updatedAt: new Date(),
+      updatedBy: data.userId
+    });
+    const row = existing ? existing.row : stored.sheet.getLastRow() + 1;
+    stored.sheet.getRange(row, 1, 1, TIMESLOT_TEMPLATE_HEADERS.length).setValues([toSlotTemplateRow(template)]);
+
+    const saved = toSlotTemplateResponse(template);
+    recordAudit({
+      action: 'saveSlotTemplate',
+      actor: data.userId,
+      actorType: AUDIT_CONFIG.actorTypes.ADMIN,
+      targetType: 'slotTemplate',
+      targetId: template.id,
+      summary: `${existing ? '修改' : '新增'}時段範本「${template.name}」`,
+      before: existing ? toSlotTemplateResponse(existing) : null,
+      after: saved
+    });
+
+    return {
+      success: true,
+      message: existing ? '範本已更新' : '範本已新增',
+      template: saved,
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error('儲存時段範本失敗:', error);
+    return {
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+
+  } finally {
+    acquired.lock.releaseLock();
+  }
+}
+
+/**
+ * 處理刪除時段範本（僅限管理員）
+ * 只刪除範本，已發布的時段不受影響
+ * @param {Object} data - 包含 userId（已驗證的管理員）、templateId
+ * @returns {Object} - 處理結果
+ */
+function handleDeleteSlotTemplate(data) {
+  const authError = requireAdmin(data && data.userId);
+  if (authError) {
+    return authError;
+  }
+
+  if (!data.templateId) {
+    return {
+      success: false,
+      error: 'MISSING_PARAMS',
+      message: '缺少範本編號',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const acquired = acquireTimeSlotLock();
+  if (!acquired.lock) {
+    return acquired;
+  }
+
+  try {
+    const stored = readSlotTemplates();
+    const existing = stored.templates.find(template => template.id === String(data.templateId));
+    if (!existing) {
+      return {
+        success: false,
+        error: 'TEMPLATE_NOT_FOUND',
+        message: '找不到此範本，可能已被刪除',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    stored.sheet.deleteRow(existing.row);
+
+    recordAudit({
+      action: 'deleteSlotTemplate',
+      actor: data.userId,
+      actorType: AUDIT_CONFIG.actorTypes.ADMIN,
+      targetType: 'slotTemplate',
+      targetId: existing.id,
+      summary: `刪除時段範本「${existing.name}」`,
+      before: toSlotTemplateResponse(existing),
+      after: null
+    });
+
+    return {
+      success: true,
+      message: '範本已刪除',
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error('刪除時段範本失敗:', error);
+    return {
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+
+  } finally {
+    acquired.lock.releaseLock();
+  }
+}
+
+// ==================== 月份時段計畫 ====================
+
+/**
+ * 取得月份的第一天與最後一天
+ * @param {string} month - YYYY-MM
+ * @returns {Object} - { startDate, endDate }
+ */
+function getMonthDateRange(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const nextMonth = monthNumber === 12 ? `${year + 1}-01` : `${year}-${String(monthNumber + 1).padStart(2, '0')}`;
+  return {
+    startDate: `${month}-01`,
+    endDate: addDaysToDateString(`${nextMonth}-01`, -1)
+  };
+}
+
+/**
+ * 找出指定日期生效的範本（多個範本生效時以生效日最晚的為準）
+ * @param {Array} templates - 啟用中的範本
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Object|null}
+ */
+function findSlotTemplateForDate(templates, date) {
+  let matched = null;
+  templates.forEach(template => {
+    if ((template.effectiveFrom && date < template.effectiveFrom) || (template.effectiveTo && date > template.effectiveTo)) {
+      return;
+    }
+    if (!matched || template.effectiveFrom > matched.effectiveFrom) {
+      matched = template;
+    }
+  });
+  return matched;
+}
+
+/**
+ * 依啟用中的範本產生月份時段計畫（今天以前的日期不列入）
+ * @param {string} month - YYYY-MM
+ * @returns {Object} - { startDate, endDate, days, newCount, existingCount }
+ *                     days 每筆含 date、weekday、templateId、templateName、exception、times（[{ time, exists }]）
+ */
+function buildTemplateSlotPlan(month) {
+  const range = getMonthDateRange(month);
+  const today = getTaipeiDateString(new Date());
+  const templates = readSlotTemplates().templates.filter(template => template.enabled);
+  const existingKeys = new Set(
+    readTimeSlotEntries(range.startDate, range.endDate).map(entry => `${entry.date} ${entry.time}`)
+  );
+  const days = [];
+  let newCount = 0;
+  let existingCount = 0;
+
+  for (let date = range.startDate; date <= range.endDate; date = addDaysToDateString(date, 1)) {
+    const template = date >= today ? findSlotTemplateForDate(templates, date) : null;
+    if (!template) {
+      continue;
+    }
+
+    const weekday = new Date(date + 'T00:00:00Z').getUTCDay();
+    const exception = (template.exceptions || []).find(item => item.date === date);
+    const times = (exception ? exception.times : template.weekdays[weekday] || []).map(time => {
+      const exists = existingKeys.has(`${date} ${time}`);
+      if (exists) {
+        existingCount++;
+      } else {
+        newCount++;
+      }
+      return { time: time, exists: exists };
+    });
+
+    if (times.length > 0 || exception) {
+      days.push({
+        date: date,
+        weekday: weekday,
+        templateId: template.id,
+        templateName: template.name,
+        exception: !!exception,
+        times: times
+      });
+    }
+  }
+
+  return {
+    startDate: range.startDate,
+    endDate: range.endDate,
+    days: days,
+    newCount: newCount,
+    existingCount: existingCount
+  };
+}
+
+/**
+ * 取得月份的發布時間
+ * @param {string} month - YYYY-MM
+ * @returns {string} - ISO 時間，尚未發布時為空字串
+ */
+function getTemplatePublishedAt(month) {
+  return PropertiesService.getScriptProperties()
+    .getProperty(TIMESLOT_TEMPLATE_CONFIG.publishedPropertyPrefix + month) || '';
+}
+
+/**
+ * 依範本建立月份時段並記錄發布時間（呼叫端需持有時段管理鎖定）
+ * @param {string} month - YYYY-MM
+ * @param {string} actor - 操作者
+ * @param {string} actorType - AUDIT_CONFIG.actorTypes
+ * @returns {Object} - { plan, createdCount, publishedAt }
+ */
+function publishTemplateSlots(month, actor, actorType) {
+  const plan = buildTemplateSlotPlan(month);
+  const calendar = getTimeSlotsCalendar();
+  let createdCount = 0;
+
+  plan.days.forEach(day => {
+    day.times.forEach(slot => {
+      if (!slot.exists) {
+        createTimeSlotEvent(calendar, day.date, slot.time);
+        createdCount++;
+      }
+    });
+  });
+
+  const publishedAt = new Date().toISOString();
+  PropertiesService.getScriptProperties()
+    .setProperty(TIMESLOT_TEMPLATE_CONFIG.publishedPropertyPrefix + month, publishedAt);
+
+  recordAudit({
+    action: 'publishSlotTemplates',
+    actor: actor,
+    actorType: actorType,
+    targetType: 'timeSlot',
+    targetId: month,
+    summary: `依範本發布 ${month} 時段，新增 ${createdCount} 個、略過 ${plan.existingCount} 個`,
+    before: null,
+    after: { month: month, createdCount: createdCount }
+  });
+
+  return { plan: plan, createdCount: createdCount, publishedAt: publishedAt };
+}
+
+/**
+ * 檢查月份參數（YYYY-MM，且不早於本月）
+ * @param {*} value - 月份參數
+ * @returns {Object} - { month } 或 { error }
+ */
+function parseTemplateMonth(value) {
+  const month = String(value || '');
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month) || month < getTaipeiDateString(new Date()).substring(0, 7)) {
+    return {
+      error: {
+        success: false,
+        error: 'INVALID_MONTH',
+        message: '請選擇本月或之後的月份（YYYY-MM）',
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+  return { month: month };
+}
+
+// ==================== 預覽與發布 ====================
+
+/**
+ * 處理預覽範本產生的月份時段（僅限管理員）
+ * @param {Object} data - 包含 userId（已驗證的管理員）、month（YYYY-MM）
+ * @returns {Object} - buildTemplateSlotPlan 的結果，加上 month、publishedAt
+ */
+function handlePreviewSlotTemplates(data) {
+  const authError = requireAdmin(data && data.userId);
+  if (authError) {
+    return authError;
+  }
+
+  const parsed = parseTemplateMonth(data.month);
+  if (parsed.error) {
+    return parsed.error;
+  }
+
+  try {
+    return Object.assign({
+      success: true,
+      month: parsed.month,
+      publishedAt: getTemplatePublishedAt(parsed.month)
+    }, buildTemplateSlotPlan(parsed.month), {
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('預覽範本時段失敗:', error);
+    return {
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+/**
+ * 處理依範本發布月份時段（僅限管理員）
+ * 只新增範本中尚未存在的時段，可重複發布（例如修改範本後補上新增的時段）
+ * @param {Object} data - 包含 userId（已驗證的管理員）、month（YYYY-MM）
+ * @returns {Object} - { createdCount, skippedCount, publishedAt }
+ */
+function handlePublishSlotTemplates(data) {
+  const authError = requireAdmin(data && data.userId);
+  if (authError) {
+    return authError;
+  }
+
+  const parsed = parseTemplateMonth(data.month);
+  if (parsed.error) {
+    return parsed.error;
+  }
+
+  const acquired = acquireTimeSlotLock();
+  if (!acquired.lock) {
+    return acquired;
+  }
+
+  try {
+    if (buildTemplateSlotPlan(parsed.month).days.length === 0) {
+      return {
+        success: false,
+        error: 'NO_TEMPLATE_SLOTS',
+        message: `${parsed.month} 沒有啟用中的範本可產生時段`,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const result = publishTemplateSlots(parsed.month, data.userId, AUDIT_CONFIG.actorTypes.ADMIN);
+
+    return {
+      success: true,
+      message: `已新增 ${result.createdCount} 個時段` + (result.plan.existingCount > 0 ? `，${result.plan.existingCount} 個時段已存在` : ''),
+      createdCount: result.createdCount,
+      skippedCount: result.plan.existingCount,
+      publishedAt: result.publishedAt,
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error('發布範本時段失敗:', error);
+    return {
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+
+  } finally {
+    acquired.lock.releaseLock();
+  }
+}
+
+// ==================== 自動發布排程 ====================
+
+/**
+ * 自動發布下個月的範本時段（每天執行，由後台「啟用自動排程」安裝觸發條件，見 SCHEDULED_TRIGGER_CONFIG）
+ * 在每月開放下月預約日的 publishLeadDays 天前開始檢查，下個月尚未發布過才會發布；
+ * 發布後管理員刪除的時段不會再被自動補回，需要時可在後台手動重新發布
+ */
+function generateTemplateSlotsForNextMonth() {
+  const [year, month, day] = getTaipeiDateString(new Date()).split('-').map(Number);
+  const rules = getBookingRules();
+  if (day < rules.openingDay - TIMESLOT_TEMPLATE_CONFIG.publishLeadDays) {
+    return;
+  }
+
+  const nextMonth = month === 12 ? `${year + 1}-01` : `${year}-${String(month + 1).padStart(2, '0')}`;
+  if (getTemplatePublishedAt(nextMonth)) {
+    return;
+  }
+
+  const templateLock = LockService.getScriptLock();
+  if (!templateLock.tryLock(5000)) {
+    console.warn('系統忙碌中，跳過本次範本時段發布');
+    return;
+  }
+
+  try {
+    if (getTemplatePublishedAt(nextMonth)) {
+      return;
+    }
+
+    // 沒有範本可產生時段時不記錄發布，之後新增範本仍會自動發布
+    if (buildTemplateSlotPlan(nextMonth).days.length === 0) {
+      console.log(`${nextMonth} 沒有啟用中的範本，跳過自動發布`);
+      return;
+    }
+
+    const result = publishTemplateSlots(nextMonth, 'generateTemplateSlotsForNextMonth', AUDIT_CONFIG.actorTypes.SYSTEM);
+    console.log(`已依範本發布 ${nextMonth} 時段，新增 ${result.createdCount} 個`);
+
+  } catch (error) {
+    console.error('自動發布範本時段失敗:', error);
+  } finally {
+    templateLock.releaseLock();
+  }
+}
@@ -31,6 +31,18 @@ function createTaipeiDateFromYMD(dateString) {
   return new Date(normalizedIsoString);
 }
 
+/**
+ * 「YYYY-MM-DD」日期字串加減天數
+ * @param {string} dateString - YYYY-MM-DD 格式的日期字串
+ * @param {number} days - 天數（可為負數）
+ * @returns {string} - YYYY-MM-DD 格式的日期字串
+ */
+function addDaysToDateString(dateString, days) {
+  const date = new Date(dateString + 'T00:00:00Z');
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
 /**
  * 解析預約日期（支援多種格式）
  * @param {string|Date} dateString - 日期字串或 Date 物件
@@ -62,6 +74,69 @@ function parseBookingDate(dateString) {
   return new Date(dateString);
 }
 
+/**
+ * 將預約工作表中的日期欄位轉為 YYYY-MM-DD
+ * 工作表日期可能是 Date 物件或「2024年1月15日」字串
+ * @param {Date|string} value - 工作表日期欄位值
+ * @returns {string} - YYYY-MM-DD 格式的日期字串，無法解析時回傳空字串
+ */
+function formatSheetBookingDate(value) {
+  if (value instanceof Date) {
+    return Utilities.formatDate(value, SYSTEM_CONFIG.TIMEZONE || 'Asia/Taipei', 'yyyy-MM-dd');
+  }
+
+  const text = String(value || '');
+  const match = text.match(/(\d{4})[年\-\/](\d{1,2})[月\-\/](\d{1,2})/);
+  if (!match) {
+    return '';
+  }
+
+  return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+}
+
+/**
+ * 將 YYYY-MM-DD 轉為預約工作表使用的「2024年1月15日」格式
+ * @param {string} dateStr - YYYY-MM-DD 格式的日期字串
+ * @returns {string} - 中文日期字串，無法解析時回傳原字串
+ */
+function toSheetBookingDate(dateStr) {
+  try {
+    const parts = dateStr.split('-');
+    const year = parseInt(parts[0], 10);
+    const month = parseInt(parts[1], 10);
+    const day = parseInt(parts[2], 10);
+    if (!isNaN(year) && !isNaN(month) && !isNaN(day)) {
+      return `${year}年${month}月${day}日`;
+    }
+  } catch (e) {
+    // 保持原格式
+  }
+  return dateStr;
+}
+
+/**
+ * 將預約工作表中的時間欄位轉為 HH:MM
+ * 工作表時間可能是 Date 物件、日序數字或「14:00」字串
+ * @param {Date|number|string} value - 工作表時間欄位值
+ * @returns {string} - HH:MM 格式的時間字串
+ */
+function formatSheetBookingTime(value) {
+  if (value instanceof Date) {
+    return Utilities.formatDate(value, SYSTEM_CONFIG.TIMEZONE || 'Asia/Taipei', 'HH:mm');
+  }
+
+  if (typeof value === 'number') {
+    const totalMinutes = Math.round(value * 24 * 60);
+    const hours = Math.floor(totalMinutes / 60) % 24;
+    const minutes = totalMinutes % 60;
+    return String(hours).padStart(2, '0') + ':' + String(minutes).padStart(2, '0');
+  }
+
+  const text = String(value || '').trim();
+  const match = text.match(/^(\d{1,2}):(\d{2})/);
+  return match ? `${match[1].padStart(2, '0')}:${match[2]}` : text;
+}
+
 // ==================== 回應建立器 ====================
 
 /**
@@ -136,7 +211,132 @@ function generateId() {
 /**
  * 預約紀錄工作表的標題欄位
  */
-const BOOKING_SHEET_HEADERS = ['LINE User ID', '客戶姓名', '手機', '預約日期', '預約時間', '服務項目', '卸甲服務', '延甲', '備註', '建立時間', 'Event ID'];
+const BOOKING_SHEET_HEADERS = ['LINE User ID', '客戶姓名', '手機', '預約日期', '預約時間', '服務項目', '卸甲服務', '延甲', '備註', '建立時間', 'Event ID', '狀態', '狀態更新時間', '狀態紀錄', '美甲師'];
+
+/**
+ * 預約紀錄工作表的欄位位置（從 1 開始）
+ */
+const BOOKING_COLUMNS = {
+  EVENT_ID: 11,
+  STATUS: 12,
+  STATUS_UPDATED_AT: 13,
+  STATUS_HISTORY: 14,
+  TECHNICIAN: 15
+};
+
+/**
+ * 候補名單工作表的標題欄位
+ */
+const WAITLIST_SHEET_HEADERS = ['候補ID', 'LINE User ID', '客戶姓名', '手機', '候補日期', '候補時段', '狀態', '登記時間', '通知時段', '通知時間', '領取期限', '領取代碼'];
+
+/**
+ * 候補名單工作表的欄位位置（從 1 開始）
+ */
+const WAITLIST_COLUMNS = {
+  ID: 1,
+  LINE_USER_ID: 2,
+  CUSTOMER_NAME: 3,
+  PHONE: 4,
+  DATE: 5,
+  TIME: 6,
+  STATUS: 7,
+  CREATED_AT: 8,
+  OFFERED_TIME: 9,
+  OFFERED_AT: 10,
+  EXPIRES_AT: 11,
+  CLAIM_TOKEN: 12
+};
+
+/**
+ * 管理員名單工作表的標題欄位
+ */
+const ADMIN_ROSTER_HEADERS = ['LINE User ID', '名稱', '啟用', '新增時間'];
+
+/**
+ * 管理員名單工作表的欄位位置（從 1 開始）
+ */
+const ADMIN_ROSTER_COLUMNS = {
+  LINE_USER_ID: 1,
+  NAME: 2,
+  ENABLED: 3,
+  CREATED_AT: 4
+};
+
+/**
+ * 帳號綁定紀錄工作表的標題欄位
+ */
+const ACCOUNT_LINK_LOG_HEADERS = ['紀錄ID', '時間', '動作', '手機', '原 LINE User ID', '新 LINE User ID', '申請姓名', '操作者', '狀態', '備註'];
+
+/**
+ * 帳號綁定紀錄工作表的欄位位置（從 1 開始）
+ */
+const ACCOUNT_LINK_LOG_COLUMNS = {
+  ID: 1,
+  CREATED_AT: 2,
+  ACTION: 3,
+  PHONE: 4,
+  PREVIOUS_LINE_USER_ID: 5,
+  NEW_LINE_USER_ID: 6,
+  REQUESTED_NAME: 7,
+  ACTOR: 8,
+  STATUS: 9,
+  NOTE: 10
+};
+
+/**
+ * 操作紀錄工作表的標題欄位
+ */
+const AUDIT_LOG_HEADERS = ['時間', '動作', '操作者', '操作者類型', '對象類型', '對象ID', '摘要', '變更內容'];
+
+/**
+ * 操作紀錄工作表的欄位位置（從 1 開始）
+ */
+const AUDIT_LOG_COLUMNS = {
+  TIME: 1,
+  ACTION: 2,
+  ACTOR: 3,
+  ACTOR_TYPE: 4,
+  TARGET_TYPE: 5,
+  TARGET_ID: 6,
+  SUMMARY: 7,
+  CHANGES: 8
+};
+
+/**
+ * 設定版本紀錄工作表的標題欄位
+ */
+const SETTINGS_VERSION_HEADERS = ['版本', '儲存時間', '儲存者', '說明', '設定內容'];
+
+/**
+ * 設定版本紀錄工作表的欄位位置（從 1 開始）
+ */
+const SETTINGS_VERSION_COLUMNS = {
+  VERSION: 1,
+  SAVED_AT: 2,
+  AUTHOR: 3,
+  NOTE: 4,
+  SETTINGS: 5
+};
+
+/**
+ * 時段範本工作表的標題欄位
+ */
+const TIMESLOT_TEMPLATE_HEADERS = ['範本ID', '名稱', '啟用', '生效日', '結束日', '每週時段', '例外日期', '更新時間', '更新者'];
+
+/**
+ * 時段範本工作表的欄位位置（從 1 開始）
+ */
+const TIMESLOT_TEMPLATE_COLUMNS = {
+  ID: 1,
+  NAME: 2,
+  ENABLED: 3,
+  EFFECTIVE_FROM: 4,
+  EFFECTIVE_TO: 5,
+  WEEKDAYS: 6,
+  EXCEPTIONS: 7,
+  UPDATED_AT: 8,
+  UPDATED_BY: 9
+};
 
 /**
  * 取得指定的工作表
@@ -157,6 +357,18 @@ function getSheet(sheetName) {
     } else if (sheetName === BOOKING_SHEET_NAME || isBookingSheetName(sheetName)) {
       // 支援主預約工作表和年度預約工作表
       sheet.getRange(1, 1, 1, BOOKING_SHEET_HEADERS.length).setValues([BOOKING_SHEET_HEADERS]);
+    } else if (sheetName === WAITLIST_CONFIG.sheetName) {
+      sheet.getRange(1, 1, 1, WAITLIST_SHEET_HEADERS.length).setValues([WAITLIST_SHEET_HEADERS]);
+    } else if (sheetName === ADMIN_CONFIG.sheetName) {
+      sheet.getRange(1, 1, 1, ADMIN_ROSTER_HEADERS.length).setValues([ADMIN_ROSTER_HEADERS]);
+    } else if (sheetName === ACCOUNT_LINK_CONFIG.sheetName) {
+      sheet.getRange(1, 1, 1, ACCOUNT_LINK_LOG_HEADERS.length).setValues([ACCOUNT_LINK_LOG_HEADERS]);
+    } else if (sheetName === AUDIT_CONFIG.sheetName) {
+      sheet.getRange(1, 1, 1, AUDIT_LOG_HEADERS.length).setValues([AUDIT_LOG_HEADERS]);
+    } else if (sheetName === SETTINGS_HISTORY_CONFIG.sheetName) {
+      sheet.getRange(1, 1, 1, SETTINGS_VERSION_HEADERS.length).setValues([SETTINGS_VERSION_HEADERS]);
+    } else if (sheetName === TIMESLOT_TEMPLATE_CONFIG.sheetName) {
+      sheet.getRange(1, 1, 1, TIMESLOT_TEMPLATE_HEADERS.length).setValues([TIMESLOT_TEMPLATE_HEADERS]);
     }
 
     sheet.getRange(1, 1, 1, sheet.getLastColumn()).setFontWeight('bold');
@@ -165,6 +377,23 @@ function getSheet(sheetName) {
   return sheet;
 }
 
+/**
+ * 確保預約紀錄工作表包含所有標題欄位
+ * 舊的年度工作表建立時尚未有狀態欄位，補上缺少的標題
+ * @param {Sheet} sheet - 預約紀錄工作表
+ */
+function ensureBookingSheetHeaders(sheet) {
+  const lastColumn = sheet.getLastColumn();
+  if (lastColumn >= BOOKING_SHEET_HEADERS.length) {
+    return;
+  }
+
+  const missingHeaders = BOOKING_SHEET_HEADERS.slice(lastColumn);
+  sheet.getRange(1, lastColumn + 1, 1, missingHeaders.length)
+    .setValues([missingHeaders])
+    .setFontWeight('bold');
+}
+
 /**
  * 判斷是否為預約紀錄工作表（包含年度分表）
  * @param {string} sheetName - 工作表名稱
@@ -0,0 +1,522 @@
+/**
+ * waitlistService.gs - 候補名單模組
+ * 美甲預約系統 - Google Apps Script
+ *
+ * 包含：加入/取消候補、釋出時段時依序通知候補客戶、領取代碼驗證、逾時處理
+ */
+
+// ==================== 候補名單讀取 ====================
+
+/**
+ * 讀取候補名單所有資料列
+ * @returns {Object} - { sheet, entries }，entries 每筆含 row 與欄位資料
+ */
+function readWaitlistEntries() {
+  const sheet = getSheet(WAITLIST_CONFIG.sheetName);
+  const lastRow = sheet.getLastRow();
+
+  if (lastRow <= 1) {
+    return { sheet: sheet, entries: [] };
+  }
+
+  const data = sheet.getRange(2, 1, lastRow - 1, WAITLIST_SHEET_HEADERS.length).getValues();
+  const entries = data.map((values, index) => ({
+    row: index + 2,
+    id: String(values[WAITLIST_COLUMNS.ID - 1] || ''),
+    lineUserId: String(values[WAITLIST_COLUMNS.LINE_USER_ID - 1] || ''),
+    customerName: values[WAITLIST_COLUMNS.CUSTOMER_NAME - 1] || '',
+    phone: String(values[WAITLIST_COLUMNS.PHONE - 1] || ''),
+    date: formatSheetBookingDate(values[WAITLIST_COLUMNS.DATE - 1]),
+    time: values[WAITLIST_COLUMNS.TIME - 1] ? formatSheetBookingTime(values[WAITLIST_COLUMNS.TIME - 1]) : '',
+    status: String(values[WAITLIST_COLUMNS.STATUS - 1] || ''),
+    offeredTime: values[WAITLIST_COLUMNS.OFFERED_TIME - 1] ? formatSheetBookingTime(values[WAITLIST_COLUMNS.OFFERED_TIME - 1]) : '',
+    expiresAt: values[WAITLIST_COLUMNS.EXPIRES_AT - 1] ? new Date(values[WAITLIST_COLUMNS.EXPIRES_AT - 1]) : null,
+    claimToken: String(values[WAITLIST_COLUMNS.CLAIM_TOKEN - 1] || '')
+  }));
+
+  return { sheet: sheet, entries: entries };
+}
+
+/**
+ * 判斷候補通知是否仍在領取期限內
+ * @param {Object} entry - 候補資料
+ * @returns {boolean}
+ */
+function isWaitlistOfferActive(entry) {
+  return entry.status === 'offered' && entry.expiresAt instanceof Date && entry.expiresAt.getTime() > Date.now();
+}
+
+/**
+ * 將候補資料轉為回傳給前端的格式
+ * @param {Object} entry - 候補資料
+ * @returns {Object}
+ */
+function waitlistEntryToData(entry) {
+  return {
+    waitlistId: entry.id,
+    date: entry.date,
+    time: entry.time,
+    status: entry.status,
+    offeredTime: entry.offeredTime,
+    expiresAt: entry.expiresAt ? entry.expiresAt.toISOString() : ''
+  };
+}
+
+// ==================== 加入/取消候補 ====================
+
+/**
+ * 處理加入候補
+ * 可候補整天（time 留空，任一時段釋出都會通知）或指定時段
+ * @param {Object} data - 包含 lineUserId、date，選填 time
+ * @returns {Object} - 處理結果
+ */
+function handleJoinWaitlist(data) {
+  Logger.api('開始處理加入候補', { date: data && data.date, time: data && data.time }, 'waitlist');
+
+  if (!data || !data.lineUserId || !data.date) {
+    return {
+      success: false,
+      error: 'MISSING_PARAMS',
+      message: '缺少 LINE User ID 或候補日期',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+  const time = data.time ? String(data.time) : '';
+  if (!DATE_REGEX.test(data.date) || (time && !SYSTEM_CONFIG.TIME_FORMAT_REGEX.test(time))) {
+    return {
+      success: false,
+      error: 'INVALID_DATETIME',
+      message: '候補日期或時段格式錯誤',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  if (data.date < getTaipeiDateString(new Date())) {
+    return {
+      success: false,
+      error: 'DATE_PASSED',
+      message: '無法候補已過的日期',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // 必須是已註冊的客戶，通知時才能推播 LINE 訊息
+  const customerRowIndex = findCustomerByLineUserId(data.lineUserId);
+  if (customerRowIndex <= 0) {
+    return {
+      success: false,
+      error: 'CUSTOMER_NOT_FOUND',
+      message: '請先完成客戶資料登記',
+      timestamp: new Date().toISOString()
+    };
+  }
+  const customerRow = getSheet(CUSTOMER_SHEET_NAME).getRange(customerRowIndex, 1, 1, 3).getValues()[0];
+
+  const waitlistLock = LockService.getDocumentLock();
+  try {
+    waitlistLock.waitLock(30000);
+  } catch (lockError) {
+    console.error('無法取得候補鎖定:', lockError);
+    return {
+      success: false,
+      error: 'LOCK_TIMEOUT',
+      message: '系統忙碌中，請稍後再試',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  try {
+    const waitlist = readWaitlistEntries();
+
+    // 同一日期、同一時段不可重複候補
+    const duplicate = waitlist.entries.find(entry =>
+      entry.lineUserId === String(data.lineUserId) &&
+      entry.date === data.date &&
+      entry.time === time &&
+      (entry.status === 'waiting' || entry.status === 'offered')
+    );
+    if (duplicate) {
+      return {
+        success: false,
+        error: 'WAITLIST_DUPLICATE',
+        message: '您已在此候補名單中',
+        waitlist: waitlistEntryToData(duplicate),
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const waitlistId = generateId();
+    const now = new Date();
+    const newRow = waitlist.sheet.getLastRow() + 1;
+    waitlist.sheet.appendRow([
+      waitlistId,
+      data.lineUserId,
+      customerRow[1],
+      `'${customerRow[2]}`,
+      toSheetBookingDate(data.date),
+      time ? `'${time}` : '',
+      'waiting',
+      now,
+      '', '', '', ''
+    ]);
+
+    const phoneCell = waitlist.sheet.getRange(newRow, WAITLIST_COLUMNS.PHONE);
+    phoneCell.setNumberFormat('@');
+    phoneCell.setValue(String(customerRow[2] || ''));
+    SpreadsheetApp.flush();
+
+    Logger.log('已加入候補: ' + waitlistId, { date: data.date, time: time }, 'waitlist');
+
+    return {
+      success: true,
+      message: time ? '已加入此時段的候補名單' : '已加入當日候補名單',
+      waitlist: {
+        waitlistId: waitlistId,
+        date: data.date,
+        time: time,
+        status: 'waiting'
+      },
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error('加入候補時發生錯誤:', error);
+    return {
+      success: false,
+      error: error.message,
+      message: '加入候補失敗，請稍後再試',
+      timestamp: new Date().toISOString()
+    };
+
+  } finally {
+    waitlistLock.releaseLock();
+  }
+}
+
+/**
+ * 處理取消候補；若已收到通知，釋出的時段會改通知下一位
+ * @param {Object} data - 包含 lineUserId、waitlistId
+ * @returns {Object} - 處理結果
+ */
+function handleLeaveWaitlist(data) {
+  Logger.api('開始處理取消候補', { waitlistId: data && data.waitlistId }, 'waitlist');
+
+  if (!data || !data.lineUserId || !data.waitlistId) {
+    return {
+      success: false,
+      error: 'MISSING_PARAMS',
+      message: '缺少 LINE User ID 或候補編號',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const waitlistLock = LockService.getDocumentLock();
+  try {
+    waitlistLock.waitLock(30000);
+  } catch (lockError) {
+    console.error('無法取得候補鎖定:', lockError);
+    return {
+      success: false,
+      error: 'LOCK_TIMEOUT',
+      message: '系統忙碌中，請稍後再試',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  try {
+    const waitlist = readWaitlistEntries();
+    const entry = waitlist.entries.find(item => item.id === String(data.waitlistId));
+
+    if (!entry || entry.lineUserId !== String(data.lineUserId)) {
+      return {
+        success: false,
+        error: 'WAITLIST_NOT_FOUND',
+        message: '找不到此候補',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    if (entry.status !== 'waiting' && entry.status !== 'offered') {
+      return {
+        success: false,
+        error: 'WAITLIST_CLOSED',
+        message: '此候補已結束',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const wasOffered = isWaitlistOfferActive(entry);
+    waitlist.sheet.getRange(entry.row, WAITLIST_COLUMNS.STATUS).setValue('withdrawn');
+    SpreadsheetApp.flush();
+
+    // 放棄已通知的時段時，立即通知下一位
+    let nextOffer = null;
+    if (wasOffered) {
+      nextOffer = offerSlotToWaitlist(entry.date, entry.offeredTime);
+    }
+
+    return {
+      success: true,
+      message: '已取消候補',
+      nextOffer: nextOffer,
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error('取消候補時發生錯誤:', error);
+    return {
+      success: false,
+      error: error.message,
+      message: '取消候補失敗，請稍後再試',
+      timestamp: new Date().toISOString()
+    };
+
+  } finally {
+    waitlistLock.releaseLock();
+  }
+}
+
+// ==================== 候補通知 ====================
+
+/**
+ * 將釋出的時段通知給下一位候補客戶（呼叫端需持有 Document Lock）
+ * 依登記順序找出符合的候補（整天候補或同一時段），發送含領取連結的 LINE 訊息；
+ * 推播失敗時改通知下一位
+ * @param {string} dateStr - 釋出的日期（YYYY-MM-DD）
+ * @param {string} timeStr - 釋出的時段（HH:MM）
+ * @returns {Object} - 通知結果
+ */
+function offerSlotToWaitlist(dateStr, timeStr) {
+  try {
+    if (!dateStr || !timeStr) {
+      return { success: false, message: '缺少釋出時段' };
+    }
+
+    // 已開始的時段不再通知
+    const slotStart = new Date(`${dateStr}T${timeStr}:00+08:00`);
+    if (isNaN(slotStart.getTime()) || slotStart.getTime() <= Date.now()) {
+      return { success: false, message: '時段已過，不通知候補' };
+    }
+
+    const waitlist = readWaitlistEntries();
+    const candidates = waitlist.entries.filter(entry =>
+      entry.status === 'waiting' &&
+      entry.date === dateStr &&
+      (!entry.time || entry.time === timeStr)
+    );
+
+    if (candidates.length === 0) {
+      console.log('此時段無候補客戶:', dateStr, timeStr);
+      return { success: true, offered: false, message: '無候補客戶' };
+    }
+
+    // 確認時段仍有空位，且未被其他尚在期限內的候補通知占用
+    const slotCheck = verifyBackendTimeSlotAvailability(dateStr, timeStr);
+    const pendingOffers = countActiveWaitlistOffers(dateStr, timeStr, null, waitlist.entries);
+    if (!slotCheck.available || slotCheck.slotStatus.remaining <= pendingOffers) {
+      console.log('時段已無空位可通知候補:', dateStr, timeStr);
+      return { success: true, offered: false, message: '時段已無空位' };
+    }
+
+    const expiryMinutes = WAITLIST_CONFIG.offerExpiryMinutes;
+
+    for (const entry of candidates) {
+      const claimToken = Utilities.getUuid();
+      const offeredAt = new Date();
+      const expiresAt = new Date(offeredAt.getTime() + expiryMinutes * 60 * 1000);
+
+      const lineResult = sendLineWaitlistOffer({
+        lineUserId: entry.lineUserId,
+        customerName: entry.customerName,
+        date: dateStr,
+        time: timeStr,
+        claimUrl: buildWaitlistClaimUrl(claimToken),
+        expiryMinutes: expiryMinutes
+      });
+
+      if (!lineResult || !lineResult.success) {
+        // 無法通知的候補不保留時段，改通知下一位
+        console.warn('候補通知推播失敗，改通知下一位:', entry.id, lineResult && lineResult.message);
+        continue;
+      }
+
+      waitlist.sheet.getRange(entry.row, WAITLIST_COLUMNS.STATUS).setValue('offered');
+      waitlist.sheet.getRange(entry.row, WAITLIST_COLUMNS.OFFERED_TIME, 1, 4).setValues([[
+        `'${timeStr}`,
+        offeredAt,
+        expiresAt,
+        claimToken
+      ]]);
+      SpreadsheetApp.flush();
+
+      Logger.log('已通知候補客戶: ' + entry.id, { date: dateStr, time: timeStr, expiresAt: expiresAt.toISOString() }, 'waitlist');
+
+      return {
+        success: true,
+        offered: true,
+        waitlistId: entry.id,
+        expiresAt: expiresAt.toISOString()
+      };
+    }
+
+    return { success: true, offered: false, message: '候補客戶皆無法通知' };
+
+  } catch (error) {
+    console.error('通知候補客戶時發生錯誤:', error);
+    return { success: false, message: `通知候補失敗: ${error.message}` };
+  }
+}
+
+/**
+ * 計算指定時段尚在領取期限內的候補通知數（保留給候補客戶的名額）
+ * @param {string} dateStr - 日期（YYYY-MM-DD）
+ * @param {string} timeStr - 時段（HH:MM）
+ * @param {string} excludeToken - 選填，排除此領取代碼（客戶本人領取時）
+ * @param {Array} entries - 選填，已讀取的候補資料
+ * @returns {number}
+ */
+function countActiveWaitlistOffers(dateStr, timeStr, excludeToken, entries) {
+  const list = entries || readWaitlistEntries().entries;
+  return list.filter(entry =>
+    isWaitlistOfferActive(entry) &&
+    entry.date === dateStr &&
+    entry.offeredTime === timeStr &&
+    (!excludeToken || entry.claimToken !== String(excludeToken))
+  ).length;
+}
+
+/**
+ * 建立候補領取連結
+ * @param {string} claimToken - 領取代碼
+ * @returns {string}
+ */
+function buildWaitlistClaimUrl(claimToken) {
+  const baseUrl = WAITLIST_CONFIG.bookingPageUrl || '';
+  if (!baseUrl) {
+    console.warn('BOOKING_PAGE_URL 未設定，候補通知將不含領取連結');
+    return '';
+  }
+  const separator = baseUrl.includes('?') ? '&' : '?';
+  return `${baseUrl}${separator}mode=waitlist&token=${encodeURIComponent(claimToken)}`;
+}
+
+// ==================== 候補領取 ====================
+
+/**
+ * 依領取代碼找出尚在期限內的候補通知
+ * @param {string} claimToken - 領取代碼
+ * @returns {Object|null} - 候補資料（含 sheet），找不到或已逾時回傳 null
+ */
+function findActiveWaitlistOffer(claimToken) {
+  if (!claimToken) {
+    return null;
+  }
+
+  const waitlist = readWaitlistEntries();
+  const entry = waitlist.entries.find(item => item.claimToken === String(claimToken));
+
+  if (!entry || !isWaitlistOfferActive(entry)) {
+    return null;
+  }
+
+  return Object.assign({ sheet: waitlist.sheet }, entry);
+}
+
+/**
+ * 處理查詢候補通知（客戶點擊領取連結時）
+ * @param {string} claimToken - 領取代碼
+ * @param {string} lineUserId - LINE User ID
+ * @returns {Object} - 查詢結果
+ */
+function handleGetWaitlistOffer(claimToken, lineUserId) {
+  try {
+    if (!claimToken || !lineUserId) {
+      return {
+        success: false,
+        error: 'MISSING_PARAMS',
+        message: '缺少領取代碼或 LINE User ID',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const offer = findActiveWaitlistOffer(claimToken);
+    if (!offer || offer.lineUserId !== String(lineUserId)) {
+      return {
+        success: false,
+        error: 'WAITLIST_OFFER_EXPIRED',
+        message: '此候補通知已逾時或無效',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    return {
+      success: true,
+      offer: {
+        date: offer.date,
+        time: offer.offeredTime,
+        expiresAt: offer.expiresAt.toISOString()
+      },
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error('查詢候補通知時發生錯誤:', error);
+    throw error;
+  }
+}
+
+/**
+ * 將候補通知標記為已預約（呼叫端需持有 Document Lock）
+ * @param {Object} offer - findActiveWaitlistOffer 的結果
+ */
+function markWaitlistClaimed(offer) {
+  offer.sheet.getRange(offer.row, WAITLIST_COLUMNS.STATUS).setValue('claimed');
+  Logger.log('候補已完成預約: ' + offer.id, { date: offer.date, time: offer.offeredTime }, 'waitlist');
+}
+
+// ==================== 逾時處理 ====================
+
+/**
+ * 處理逾時的候補通知（每 5 分鐘執行，由後台「啟用自動排程」安裝觸發條件，見 SCHEDULED_TRIGGER_CONFIG）
+ * 逾時未領取的通知標記為 expired 並通知下一位；日期已過的候補一併結束
+ */
+function processWaitlistOffers() {
+  const waitlistLock = LockService.getDocumentLock();
+  if (!waitlistLock.tryLock(5000)) {
+    console.warn('系統忙碌中，跳過本次候補處理');
+    return;
+  }
+
+  try {
+    const waitlist = readWaitlistEntries();
+    const today = getTaipeiDateString(new Date());
+    const now = Date.now();
+    const releasedSlots = [];
+
+    waitlist.entries.forEach(entry => {
+      if (entry.status === 'offered' && (!entry.expiresAt || entry.expiresAt.getTime() <= now)) {
+        waitlist.sheet.getRange(entry.row, WAITLIST_COLUMNS.STATUS).setValue('expired');
+        releasedSlots.push({ date: entry.date, time: entry.offeredTime });
+      } else if (entry.status === 'waiting' && entry.date < today) {
+        waitlist.sheet.getRange(entry.row, WAITLIST_COLUMNS.STATUS).setValue('expired');
+      }
+    });
+
+    SpreadsheetApp.flush();
+
+    releasedSlots.forEach(slot => {
+      offerSlotToWaitlist(slot.date, slot.time);
+    });
+
+    if (releasedSlots.length > 0) {
+      console.log(`候補處理完成，${releasedSlots.length} 筆通知逾時`);
+    }
+
+  } catch (error) {
+    console.error('處理候補逾時失敗:', error);
+  } finally {
+    waitlistLock.releaseLock();
+  }
+}
@@ -186,10 +186,6 @@ class NailBookingCalendar {
             // 時間相關配置
             CALENDAR_WEEKS: 6,                    // 行事曆顯示週數 (6週 × 7天 = 42格)
             CALENDAR_DAYS: 42,                    // 行事曆總日期格數
-            BOOKING_ADVANCE_HOURS: 3,             // 預約提前時間限制（小時）
-            MONTHLY_OPENING_DAY: 15,              // 月度開放日期（每月15號）
-            MONTHLY_OPENING_HOUR: 18,             // 月度開放時間（晚上6點）
-            
             
             // 日期時間常數
             MS_PER_DAY: 24 * 60 * 60 * 1000,     // 一天的毫秒數
@@ -205,6 +201,13 @@ class NailBookingCalendar {
             WEEKDAY_NAMES: ['日', '一', '二', '三', '四', '五', '六']
         };
         
+        // 📏 預約規則（由後台設定，透過 getHomepageData 載入；載入前使用後端預設值）
+        this.bookingRules = {
+            advanceHours: 3,                      // 預約提前時間限制（小時）
+            openingDay: 15,                       // 月度開放日期（每月15號）
+            openingHour: 18                       // 月度開放時間（晚上6點）
+        };
+        
         // 當前顯示的日期（用於行事曆導航）
         this.currentDate = new Date();
         // 使用者選擇的預約日期
@@ -239,6 +242,13 @@ class NailBookingCalendar {
         // 🚩 資料載入狀態
         this.isDataLoaded = false;
         
+        // 🔄 改期模式：從「我的預約」進入時帶入原預約資訊，選好時段後直接改期，不經過服務選擇
+        this.rescheduleInfo = this.loadRescheduleInfo();
+        
+        // 🔔 候補領取：從 LINE 候補通知的連結進入時帶有領取代碼
+        const urlParams = new URLSearchParams(window.location.search);
+        this.waitlistToken = urlParams.get('mode') === 'waitlist' ? urlParams.get('token') : null;
+        
         // 初始化行事曆
         this.init();
     }
@@ -258,6 +268,7 @@ class NailBookingCalendar {
 
         // 1. 立即綁定事件（不依賴資料）
         this.bindEvents();
+        this.showRescheduleBanner();
 
         // 2. 立即渲染日曆骨架（雖然還沒資料，但先顯示出來）
         // 此時日期會呈現不可點選的載入狀態
@@ -297,6 +308,11 @@ class NailBookingCalendar {
             })();
             initPromises.push(liffTask);
 
+            // 任務 D: 候補領取（需要 UserID 驗證通知對象）
+            if (this.waitlistToken) {
+                initPromises.push(liffTask.then(() => this.claimWaitlistOffer()));
+            }
+
             // 任務 B: 載入行事曆資料 (為了顯示忙碌狀態)
             // 即使 LIFF 還沒好，我們也可以先嘗試載入資料 (如果後端允許的話)
             // 但考量到後端可能需要 LIFF UserID 來記錄 Log，我們盡量並行
@@ -332,6 +348,9 @@ class NailBookingCalendar {
             })();
             initPromises.push(authPrefetchTask);
 
+            // 任務 E: 載入後台設定的預約規則（提前時數、每月開放時間）
+            initPromises.push(liffTask.then(() => this.loadBookingRules()));
+
             // 我們不需要 await 所有任務完成才讓使用者操作
             // 使用者現在已經可以看到日曆了 (雖然還不能點)
             // 等 dataTask 完成，日曆就會自動變亮
@@ -346,6 +365,42 @@ class NailBookingCalendar {
         }
     }
 
+    /**
+     * 📏 載入後台設定的預約規則
+     * 後端 saveBooking 也會以相同規則驗證，這裡只用於畫面（可否切換月份、時段是否可預約）
+     */
+    async loadBookingRules() {
+        const lineUserId = typeof getLineUserId === 'function' ? getLineUserId() : null;
+        if (!lineUserId) {
+            console.warn('⚠️ 無法取得 UserID，使用預設預約規則');
+            return;
+        }
+        
+        try {
+            const result = await ApiService.getHomepageData(lineUserId);
+            const config = result && result.success ? result.config : null;
+            if (!config) {
+                console.warn('⚠️ 無法載入預約規則，使用預設值');
+                return;
+            }
+            
+            this.bookingRules = {
+                advanceHours: Number.isInteger(config.bookingAdvanceHours) ? config.bookingAdvanceHours : this.bookingRules.advanceHours,
+                openingDay: Number.isInteger(config.monthlyOpeningDay) ? config.monthlyOpeningDay : this.bookingRules.openingDay,
+                openingHour: Number.isInteger(config.monthlyOpeningHour) ? config.monthlyOpeningHour : this.bookingRules.openingHour
+            };
+            FLog.debug('預約規則已載入', this.bookingRules, 'booking');
+            
+            // 依新規則更新月份導航與已顯示的時段
+            this.updateNavigationButtons();
+            if (this.selectedDate) {
+                await this.loadTimeSlotsFromCache();
+            }
+        } catch (error) {
+            console.warn('載入預約規則失敗，使用預設值:', error);
+        }
+    }
+
     /**
      * 🚀 預先擷取客戶資料 (快取接力)
      * 在首頁就開始查客戶資料，並將結果存入 sessionStorage 供下一頁使用
@@ -966,6 +1021,13 @@ class NailBookingCalendar {
 
         // 🎯 事件委派：時段預約按鈕點擊處理
         this.domElements.timeSlots.addEventListener('click', async (e) => {
+            // 🔔 候補按鈕（單一時段或整天）
+            if (e.target.classList.contains('waitlist-btn') || e.target.classList.contains('waitlist-day-btn')) {
+                e.stopPropagation();
+                await this.joinWaitlist(e.target.dataset.time || '', e.target);
+                return;
+            }
+            
             // 🔍 檢查點擊的是否為預約按鈕
             if (e.target.classList.contains('book-btn')) {
                 e.stopPropagation(); // 防止事件繼續冒泡
@@ -984,8 +1046,20 @@ class NailBookingCalendar {
                         狀態: '可預約'
                     }, 'booking');
                     
+                    // 🔄 改期模式：直接送出改期，不進入服務選擇
+                    if (this.rescheduleInfo) {
+                        await this.submitReschedule(e.target);
+                        return;
+                    }
+                    
+                    // 🔒 先暫時保留時段，避免填寫服務內容期間被其他人預約
+                    const hold = await this.holdSelectedTimeSlot(e.target);
+                    if (!hold) {
+                        return;
+                    }
+                    
                     // 🔐 儲存預約資訊時改採用 await，確保加密寫入流程完成後再進行頁面跳轉
-                    await this.saveBookingInfo();
+                    await this.saveBookingInfo(hold);
                     
                     // 跳轉到服務選擇頁面
                     window.location.href = 'service-selection.html';
@@ -1077,6 +1151,15 @@ class NailBookingCalendar {
                         dayElement.dataset.day = date.getDate();
                         
                         availableDatesCount++;
+                    } else if (dateData && dateData.timeSlots && dateData.timeSlots.length > 0 && !this.rescheduleInfo) {
+                        // 有時段但已額滿 -> 可點選以加入候補
+                        dayElement.classList.add('clickable', 'full');
+                        dayElement.style.cursor = 'pointer';
+                        
+                        dayElement.dataset.date = dateStr;
+                        dayElement.dataset.year = date.getFullYear();
+                        dayElement.dataset.month = date.getMonth();
+                        dayElement.dataset.day = date.getDate();
                     } else {
                         // 沒空位 -> 反灰
                         dayElement.classList.add('past');
@@ -1139,12 +1222,12 @@ class NailBookingCalendar {
             const currentHour = now.getHours();
             
             // 如果還沒到15號，不能切換到下個月
-            if (currentDay < this.CONSTANTS.MONTHLY_OPENING_DAY) {
+            if (currentDay < this.bookingRules.openingDay) {
                 return false;
             }
             
             // 如果是15號但還沒到晚上8點，不能切換到下個月
-            if (currentDay === this.CONSTANTS.MONTHLY_OPENING_DAY && currentHour < this.CONSTANTS.MONTHLY_OPENING_HOUR) {
+            if (currentDay === this.bookingRules.openingDay && currentHour < this.bookingRules.openingHour) {
                 return false;
             }
             
@@ -1237,7 +1320,8 @@ class NailBookingCalendar {
                 return;
             }
             
-            if (!dateData.hasAvailableSlots || dateData.timeSlots.length === 0) {
+            // 額滿日期仍顯示時段以便候補；改期模式不提供候補
+            if (dateData.timeSlots.length === 0 || (!dateData.hasAvailableSlots && this.rescheduleInfo)) {
                 console.log(`日期 ${dateStr} 沒有可預約時段`);
                 this.showNoTimeSlotsMessage('該日期無可預約時段');
                 return;
@@ -1267,6 +1351,11 @@ class NailBookingCalendar {
             // 生成時段HTML
             this.generateBackendTimeSlotsHTML(dateData.timeSlots, availabilityResult);
             
+            // 整天額滿時提供當日候補
+            if (!dateData.hasAvailableSlots) {
+                this.appendDayWaitlistOption();
+            }
+            
         } catch (error) {
             console.error('從快取載入時段失敗:', error);
             this.showNoTimeSlotsMessage('載入時段失敗，請稍後再試');
@@ -1302,13 +1391,25 @@ class NailBookingCalendar {
                 periodText = '無法預約';
             } else if (availability && !availability.available) {
                 timeSlotElement.classList.add('booked');
-                buttonText = '已滿';
-                buttonDisabled = true;
                 periodText = '已滿';
+                
+                if (this.rescheduleInfo) {
+                    buttonText = '已滿';
+                    buttonDisabled = true;
+                } else {
+                    // 額滿時段可加入候補
+                    timeSlotElement.classList.add('waitlist');
+                    buttonText = '候補';
+                }
             } else {
                 buttonText = '預約';
                 buttonDisabled = false;
                 periodText = availability?.period || this.getTimePeriod(time);
+                
+                // 多位美甲師時顯示剩餘名額
+                if (availability && availability.capacity > 1 && availability.remaining > 0) {
+                    periodText += `・剩 ${availability.remaining} 位`;
+                }
             }
             
             timeSlotElement.innerHTML = `
@@ -1316,7 +1417,7 @@ class NailBookingCalendar {
                     <span class="time">${time}</span>
                     <span class="period">${periodText}</span>
                 </div>
-                <button class="book-btn" data-time="${time}" ${buttonDisabled ? 'disabled' : ''}>${buttonText}</button>
+                <button class="book-btn${timeSlotElement.classList.contains('waitlist') ? ' waitlist-btn' : ''}" data-time="${time}" ${buttonDisabled ? 'disabled' : ''}>${buttonText}</button>
             `;
             
             slotsContainer.appendChild(timeSlotElement);
@@ -1326,6 +1427,144 @@ class NailBookingCalendar {
         this.domElements.bookBtns = document.querySelectorAll('.book-btn');
     }
 
+    /**
+     * 🔒 暫時保留選擇的時段
+     * 保留成功回傳 {holdToken, holdExpiresAt}；時段已被占用時提示並回傳 null；
+     * 無法取得用戶或連線失敗時不保留，仍可繼續預約（送出時後端會再次檢查）
+     * @param {HTMLButtonElement} button - 被點擊的時段按鈕
+     * @returns {Promise<Object|null>}
+     */
+    async holdSelectedTimeSlot(button) {
+        const lineUserId = typeof getLineUserId === 'function' ? getLineUserId() : null;
+        if (!lineUserId) {
+            console.warn('⚠️ 無法取得用戶資訊，略過時段保留');
+            return {};
+        }
+        
+        const originalText = button.textContent;
+        button.disabled = true;
+        button.textContent = '保留中...';
+        
+        try {
+            const result = await ApiService.holdTimeSlot({
+                lineUserId: lineUserId,
+                date: this.formatDateToString(this.selectedDate),
+                time: this.selectedTime
+            });
+            
+            if (result.success) {
+                FLog.debug('時段已保留', { time: this.selectedTime, expiresAt: result.expiresAt }, 'booking');
+                return { holdToken: result.holdToken, holdExpiresAt: result.expiresAt };
+            }
+            
+            if (['TIME_SLOT_CONFLICT', 'TIME_SLOT_RESERVED', 'BOOKING_TOO_SOON', 'BOOKING_NOT_OPEN'].includes(result.error)) {
+                alert(result.message || '該時段已被占用，請重新選擇');
+                button.disabled = false;
+                button.textContent = originalText;
+                return null;
+            }
+            
+            console.warn('⚠️ 時段保留失敗，繼續預約流程:', result.error);
+        } catch (error) {
+            console.warn('⚠️ 時段保留時發生錯誤，繼續預約流程:', error);
+        }
+        
+        button.disabled = false;
+        button.textContent = originalText;
+        return {};
+    }
+
+    /**
+     * 🔔 在時段列表下方加入「當日候補」選項
+     */
+    appendDayWaitlistOption() {
+        const slotsContainer = this.domElements.timeSlots.querySelector('.slots-container');
+        const option = document.createElement('div');
+        option.className = 'waitlist-day';
+        option.innerHTML = `
+            <p>當日時段皆已額滿，可加入當日候補，任一時段釋出時將以 LINE 通知您</p>
+            <button class="waitlist-day-btn">加入當日候補</button>
+        `;
+        slotsContainer.appendChild(option);
+    }
+
+    /**
+     * 🔔 加入候補名單
+     * @param {string} time - 候補時段（空字串表示候補整天）
+     * @param {HTMLButtonElement} button - 被點擊的按鈕
+     */
+    async joinWaitlist(time, button) {
+        const date = this.formatDateToString(this.selectedDate);
+        const label = time ? `${this.formatDate(this.selectedDate)} ${time}` : `${this.formatDate(this.selectedDate)} 整天`;
+        
+        if (!confirm(`確定要候補 ${label} 嗎？有空位時將以 LINE 通知您`)) {
+            return;
+        }
+        
+        const lineUserId = typeof getLineUserId === 'function' ? getLineUserId() : null;
+        if (!lineUserId) {
+            alert('無法取得用戶資訊，請重新進入LINE應用程式');
+            return;
+        }
+        
+        const originalText = button.textContent;
+        button.disabled = true;
+        button.textContent = '處理中...';
+        
+        try {
+            const result = await ApiService.joinWaitlist({ lineUserId, date, time });
+            
+            if (result.success) {
+                FLog.debug('已加入候補', { date, time }, 'booking');
+                alert(`${result.message || '已加入候補名單'}，有空位時將以 LINE 通知您`);
+                button.textContent = '已候補';
+                return;
+            }
+            
+            console.warn('❌ 加入候補失敗:', result.error);
+            alert(result.message || '加入候補失敗，請稍後再試');
+        } catch (error) {
+            console.error('💥 加入候補時發生錯誤:', error);
+            alert('加入候補失敗，請稍後再試');
+        }
+        
+        button.disabled = false;
+        button.textContent = originalText;
+    }
+
+    /**
+     * 🔔 領取候補通知
+     * 驗證領取代碼後直接帶入釋出的時段並前往服務選擇；逾時則回到一般預約
+     */
+    async claimWaitlistOffer() {
+        const lineUserId = typeof getLineUserId === 'function' ? getLineUserId() : null;
+        if (!lineUserId) {
+            alert('無法取得用戶資訊，請重新進入LINE應用程式');
+            return;
+        }
+        
+        try {
+            const result = await ApiService.getWaitlistOffer(this.waitlistToken, lineUserId);
+            
+            if (!result.success) {
+                console.warn('❌ 候補通知無效:', result.error);
+                alert(result.message || '此候補通知已逾時，請重新選擇時段');
+                this.waitlistToken = null;
+                return;
+            }
+            
+            const [year, month, day] = result.offer.date.split('-').map(Number);
+            this.selectedDate = new Date(year, month - 1, day);
+            this.selectedTime = result.offer.time;
+            
+            await this.saveBookingInfo({ waitlistToken: this.waitlistToken });
+            window.location.href = 'service-selection.html';
+        } catch (error) {
+            console.error('💥 領取候補通知時發生錯誤:', error);
+            alert('無法確認候補通知，請稍後再試');
+        }
+    }
+
     /**
      * 根據時間計算時段標籤
      */
@@ -1410,8 +1649,9 @@ class NailBookingCalendar {
     
     /**
      * 儲存預約資訊到本地存儲
+     * @param {Object} extraInfo - 額外資訊（例如候補領取代碼 waitlistToken）
      */
-    async saveBookingInfo() {
+    async saveBookingInfo(extraInfo = {}) {
         // 將日期統一存為本地格式 YYYY-MM-DD，並另外提供帶 +08:00 的 ISO 時間字串
         const dateStr = this.formatDateToString(this.selectedDate);
         const timeStr = this.selectedTime || '';
@@ -1422,7 +1662,8 @@ class NailBookingCalendar {
             time: timeStr,                 // HH:mm
             isoStart: isoStart,            // ISO 8601
             dateFormatted: this.formatDate(this.selectedDate),
-            timestamp: new Date().toISOString()
+            timestamp: new Date().toISOString(),
+            ...extraInfo
         };
         
         try {
@@ -1462,6 +1703,98 @@ class NailBookingCalendar {
         }
     }
     
+    /**
+     * 🔄 讀取改期資訊
+     * 只有網址帶 mode=reschedule 且 sessionStorage 有原預約資訊時才進入改期模式
+     * @returns {Object|null} 原預約資訊 {eventId, date, time, label}
+     */
+    loadRescheduleInfo() {
+        try {
+            const params = new URLSearchParams(window.location.search);
+            if (params.get('mode') !== 'reschedule') {
+                return null;
+            }
+            
+            const stored = sessionStorage.getItem('rescheduleBookingInfo');
+            const info = stored ? JSON.parse(stored) : null;
+            
+            if (!info || !info.eventId) {
+                console.warn('⚠️ 改期模式缺少原預約資訊，改用一般預約模式');
+                return null;
+            }
+            
+            FLog.debug('進入改期模式', { date: info.date, time: info.time }, 'booking');
+            return info;
+        } catch (error) {
+            console.warn('讀取改期資訊失敗:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * 🔄 顯示改期模式提示列
+     */
+    showRescheduleBanner() {
+        const banner = document.getElementById('rescheduleBanner');
+        if (!banner || !this.rescheduleInfo) {
+            return;
+        }
+        
+        document.getElementById('rescheduleBannerText').textContent =
+            `改期中：原預約 ${this.rescheduleInfo.label || `${this.rescheduleInfo.date} ${this.rescheduleInfo.time}`}，請選擇新的時段`;
+        banner.classList.remove('hidden');
+    }
+    
+    /**
+     * 🔄 送出改期
+     * 後端會在同一個鎖定內確認新時段、移動日曆活動並改寫預約記錄，失敗時原預約不變
+     * @param {HTMLButtonElement} button - 被點擊的時段按鈕
+     */
+    async submitReschedule(button) {
+        const newDate = this.formatDateToString(this.selectedDate);
+        const newTime = this.selectedTime;
+        const newLabel = `${this.formatDate(this.selectedDate)} ${newTime}`;
+        
+        if (!confirm(`確定要將預約改到 ${newLabel} 嗎？`)) {
+            return;
+        }
+        
+        const lineUserId = typeof getLineUserId === 'function' ? getLineUserId() : null;
+        if (!lineUserId) {
+            alert('無法取得用戶資訊，請重新進入LINE應用程式');
+            return;
+        }
+        
+        const originalText = button.textContent;
+        button.disabled = true;
+        button.textContent = '改期中...';
+        
+        try {
+            const result = await ApiService.rescheduleBooking({
+                lineUserId: lineUserId,
+                eventId: this.rescheduleInfo.eventId,
+                newDate: newDate,
+                newTime: newTime
+            });
+            
+            if (result.success) {
+                sessionStorage.removeItem('rescheduleBookingInfo');
+                alert(`改期成功！新的預約時間為 ${newLabel}`);
+                window.location.href = 'mybooking.html';
+                return;
+            }
+            
+            console.warn('❌ 改期失敗:', result.error);
+            alert(result.message || '改期失敗，請重新選擇時段');
+        } catch (error) {
+            console.error('💥 改期時發生錯誤:', error);
+            alert('改期失敗，原預約維持不變，請稍後再試');
+        }
+        
+        button.disabled = false;
+        button.textContent = originalText;
+    }
+    
     /**
      * 重置選擇狀態
      */
@@ -1484,7 +1817,7 @@ class NailBookingCalendar {
         
         appointmentDateTime.setHours(hours, minutes, 0, 0);
         
-        const advanceTime = this.CONSTANTS.BOOKING_ADVANCE_HOURS * this.CONSTANTS.MS_PER_HOUR;
+        const advanceTime = this.bookingRules.advanceHours * this.CONSTANTS.MS_PER_HOUR;
         const cutoffTime = new Date(appointmentDateTime.getTime() - advanceTime);
         
         return now <= cutoffTime;
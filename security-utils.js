@@ -242,6 +242,7 @@ class SecurityUtils {
      * - lineUserId, userId, user_id
      * - name, userName, customerName
      * - email, emailAddress
+     * - idToken, csrfToken
      */
     static maskSensitiveData(data) {
         // Null 或 undefined
@@ -282,6 +283,14 @@ class SecurityUtils {
             else if (lowerKey.includes('email')) {
                 masked[key] = this.maskEmail(value);
             }
+            // LINE ID Token 欄位（只顯示長度）
+            else if (lowerKey === 'idtoken') {
+                masked[key] = value ? `[ID Token ${String(value).length} 字元]` : value;
+            }
+            // CSRF Token 欄位（只顯示長度）
+            else if (lowerKey === 'csrftoken') {
+                masked[key] = value ? `[CSRF Token ${String(value).length} 字元]` : value;
+            }
             // 其他欄位：遞迴處理
             else if (typeof value === 'object') {
                 masked[key] = this.maskSensitiveData(value);
@@ -1,6 +1,10 @@
 // ==================== 全域狀態 ====================
 let isCustomerVerificationComplete = false;
 let customerVerificationPromise = null;
+// 後台預約項目設定（由 loadServiceSettings 載入）
+let serviceSettings = null;
+// 預約請求的 idempotencyKey 存放位置（重試或重複觸發時沿用，預約成功後清除）
+const BOOKING_IDEMPOTENCY_STORAGE_KEY = 'bookingIdempotencyKey';
 
 /**
  * 使用LINE User ID檢查客戶資料
@@ -150,17 +154,53 @@ const ELEMENTS = {
 
 const REQUIRED_DOM_ELEMENTS = ['serviceForm', 'quantitySelector', 'backBtn'];
 
+// 服務項目未設定時長時的預設值（與後端 CALENDAR_CONFIG.defaultDuration 一致）
+const DEFAULT_SERVICE_DURATION_MINUTES = 60;
+
 const MESSAGES = {
     SYSTEM_LOAD_FAILED: '系統載入失敗，請重新整理頁面',
     LIFF_LOGIN_REQUIRED: '請重新進入LINE應用程式',
     LIFF_INIT_FAILED: '系統初始化失敗，請重新進入LINE應用程式',
     SYSTEM_ERROR: '系統錯誤，請重試',
     MISSING_BOOKING_INFO: '缺少預約資訊，跳轉到首頁',
-    CUSTOMER_NOT_REGISTERED: '客戶未建檔，跳轉到建檔頁面'
+    CUSTOMER_NOT_REGISTERED: '客戶未建檔，跳轉到建檔頁面',
+    SERVICE_SETTINGS_FAILED: '無法載入服務項目，請稍後再試'
 };
 
 // ==================== 工具函數 ====================
 
+/**
+ * 🔒 依選擇的服務重新保留時段
+ * 選擇時段時尚未選服務，只以預設時長保留；送出前帶服務組合重新保留，後端依實際服務時長保留整段時間
+ * 重新保留失敗時不中斷預約（接下來的最終時段檢查會判斷是否仍可預約）
+ * @param {Object} bookingData - prepareBookingData 的結果（含 lineUserId、date、time、holdToken）
+ * @param {Object} serviceData - getCurrentServiceData 的結果
+ * @returns {Promise<string>} - 新的保留代碼，失敗時為原本的保留代碼
+ */
+async function refreshSlotHoldForServices(bookingData, serviceData) {
+    try {
+        const result = await ApiService.holdTimeSlot({
+            lineUserId: bookingData.lineUserId,
+            date: bookingData.date,
+            time: bookingData.time,
+            service: serviceData.service,
+            removal: serviceData.removal,
+            quantity: serviceData.hasQuantity ? serviceData.quantity : null
+        });
+        
+        if (result.success) {
+            console.log('🔒 已依服務時長重新保留時段:', result.expiresAt);
+            return result.holdToken;
+        }
+        
+        console.warn('⚠️ 重新保留時段失敗:', result.error);
+    } catch (error) {
+        console.warn('⚠️ 重新保留時段時發生錯誤:', error);
+    }
+    
+    return bookingData.holdToken;
+}
+
 /**
  * 🚨 預約前最終時段檢查函數
  * 在用戶確認預約前，檢查預約日曆的時段是否已被占用
@@ -180,9 +220,11 @@ const MESSAGES = {
  * 
  * @param {string} date - 預約日期 (支援多種格式，會自動轉換為 YYYY-MM-DD)
  * @param {string} time - 預約時間 (格式: HH:MM)
+ * @param {number} durationMinutes - 服務時長（分鐘），整段時長都不衝突才算可用
+ * @param {string} holdToken - 本人的時段保留代碼（選擇時段時建立），不列入衝突計算
  * @returns {Promise<Object>} - 時段可用性結果 {available: boolean, message: string}
  */
-async function checkTimeSlotBeforeBooking(date, time) {
+async function checkTimeSlotBeforeBooking(date, time, durationMinutes, holdToken) {
     try {
         console.log('🔍 開始檢查時段可用性...');
         console.log('📅 原始日期:', date);
@@ -256,7 +298,7 @@ async function checkTimeSlotBeforeBooking(date, time) {
         });
         
         // 呼叫後端API檢查時段可用性（使用格式化後的日期）
-        const result = await ApiService.checkTimeSlotAvailability(formattedDate, timeSlots);
+        const result = await ApiService.checkTimeSlotAvailability(formattedDate, timeSlots, durationMinutes, holdToken);
         
         console.log('📡 後端回應:', result);
         
@@ -275,7 +317,7 @@ async function checkTimeSlotBeforeBooking(date, time) {
                 console.log('❌ 時段狀態:', timeSlotStatus);
                 return {
                     available: false,
-                    message: '時段已被占用'
+                    message: (timeSlotStatus && timeSlotStatus.reason) || '時段已被占用'
                 };
             }
         } else {
@@ -403,10 +445,13 @@ async function ensureLiffReady() {
 
 /**
  * 初始化所有UI組件
+ * 服務項目、卸甲與延甲選項依賴後台設定，需先載入設定再渲染
  */
-function initializeAllComponents() {
+async function initializeAllComponents() {
     console.log('✅ 客戶已建檔，初始化服務選擇系統');
     
+    await loadServiceSettings();
+    
     const initSteps = [
         { name: '服務項目選擇', func: initServiceSelection },
         { name: '卸甲選擇', func: initRemovalSelection },
@@ -419,7 +464,7 @@ function initializeAllComponents() {
     for (const step of initSteps) {
         try {
             console.log(`🔧 初始化${step.name}...`);
-            step.func();
+            await step.func();
         } catch (error) {
             console.error(`💥 初始化${step.name}失敗:`, error);
             throw error;
@@ -491,7 +536,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         // 任務 A: 初始化 UI 組件
         const uiInitPromise = (async () => {
             try {
-                initializeAllComponents();
+                await initializeAllComponents();
                 return true;
             } catch (e) {
                 console.error('UI 初始化失敗', e);
@@ -576,12 +621,111 @@ document.addEventListener('DOMContentLoaded', async () => {
 
 // ==================== UI 組件初始化函數 ====================
 
+/**
+ * 載入後台預約項目設定
+ * 服務項目、卸甲選項與延甲數量皆以後台（後台預約項目工作表）為準
+ * @returns {Promise<Object>} 後台設定 {services, removals, extension}
+ * @throws {Error} 無法取得設定時拋出
+ */
+async function loadServiceSettings() {
+    console.log('📖 載入後台預約項目設定...');
+    
+    try {
+        const response = await ApiService.getServiceMenu();
+        if (!response.success) {
+            throw new Error(response.error || '取得服務選單失敗');
+        }
+        serviceSettings = response.data || {};
+        console.log('✅ 後台預約項目設定載入完成');
+        return serviceSettings;
+    } catch (error) {
+        console.error('❌ 載入後台預約項目設定失敗:', error);
+        throw new Error(MESSAGES.SERVICE_SETTINGS_FAILED);
+    }
+}
+
+/**
+ * 取得啟用中的項目，並依後台排序
+ * @param {Array} items - 後台設定項目陣列
+ * @returns {Array} 已過濾並排序的項目
+ */
+function getEnabledItems(items) {
+    return (items || [])
+        .filter(item => item.enabled === true)
+        .sort((a, b) => (Number(a.sort) || 0) - (Number(b.sort) || 0));
+}
+
+/**
+ * 計算目前選擇的服務組合總時長
+ * 規則與後端 calculateBookingDurationMinutes 相同：服務未設定時長用預設值，卸甲、延甲未設定不加時
+ * @param {Object} serviceData - getCurrentServiceData() 的結果
+ * @returns {number} 總時長（分鐘）
+ */
+function calculateSelectedDuration(serviceData) {
+    if (!serviceSettings) {
+        return DEFAULT_SERVICE_DURATION_MINUTES;
+    }
+    
+    const findItem = (items, id) => (items || []).find(item => String(item.id) === String(id));
+    const service = findItem(serviceSettings.services, serviceData.service);
+    const removal = findItem(serviceSettings.removals, serviceData.removal);
+    const quantity = serviceData.hasQuantity && serviceSettings.extension
+        ? findItem(serviceSettings.extension.quantities, serviceData.quantity)
+        : null;
+    
+    let total = service && service.duration !== null && service.duration !== undefined
+        ? service.duration
+        : DEFAULT_SERVICE_DURATION_MINUTES;
+    if (removal && removal.duration) total += removal.duration;
+    if (quantity && quantity.duration) total += quantity.duration;
+    
+    return total > 0 ? total : DEFAULT_SERVICE_DURATION_MINUTES;
+}
+
+/**
+ * 建立選項元素
+ * 使用 textContent 寫入名稱，避免後台輸入的內容被當作 HTML 解析
+ * @param {string} className - 元素 class
+ * @param {string} textClassName - 文字元素 class
+ * @param {Object} dataset - data 屬性
+ * @param {string} text - 顯示文字
+ * @returns {HTMLElement} 選項元素
+ */
+function createOptionElement(className, textClassName, dataset, text) {
+    const element = document.createElement('div');
+    element.className = className;
+    Object.assign(element.dataset, dataset);
+    
+    const textElement = document.createElement('span');
+    if (textClassName) textElement.className = textClassName;
+    textElement.textContent = text;
+    element.appendChild(textElement);
+    
+    return element;
+}
+
 /**
  * 服務項目選擇功能初始化
  */
 function initServiceSelection() {
+    // 依後台設定產生服務項目
+    const serviceOptions = document.getElementById('serviceOptions');
+    serviceOptions.innerHTML = '';
+    
+    getEnabledItems(serviceSettings && serviceSettings.services).forEach(service => {
+        const item = createOptionElement('service-item', 'service-text', { service: service.id }, service.name);
+        
+        const checkIcon = document.createElement('span');
+        checkIcon.className = 'check-icon hidden';
+        checkIcon.textContent = '✓';
+        item.appendChild(checkIcon);
+        
+        serviceOptions.appendChild(item);
+    });
+    
     // 取得所有服務項目元素
-    const serviceItems = document.querySelectorAll('.service-item');
+    const serviceItems = serviceOptions.querySelectorAll('.service-item');
+    console.log(`📋 已載入 ${serviceItems.length} 個服務項目`);
     
     // 為每個服務項目添加點擊事件監聽器
     serviceItems.forEach(item => {
@@ -607,8 +751,19 @@ function initServiceSelection() {
  * 卸甲服務選擇功能初始化
  */
 function initRemovalSelection() {
+    // 依後台設定產生卸甲選項
+    const removalOptions = document.getElementById('removalOptions');
+    removalOptions.innerHTML = '';
+    
+    getEnabledItems(serviceSettings && serviceSettings.removals).forEach(removal => {
+        removalOptions.appendChild(
+            createOptionElement('removal-item', 'removal-text', { removal: removal.id }, removal.name)
+        );
+    });
+    
     // 取得所有卸甲選項元素
-    const removalItems = document.querySelectorAll('.removal-item');
+    const removalItems = removalOptions.querySelectorAll('.removal-item');
+    console.log(`📋 已載入 ${removalItems.length} 個卸甲選項`);
     
     // 為每個卸甲選項添加點擊事件監聽器
     removalItems.forEach(item => {
@@ -628,10 +783,35 @@ function initRemovalSelection() {
  * 數量選擇功能初始化
  */
 function initQuantitySelection() {
+    const extension = (serviceSettings && serviceSettings.extension) || {};
+    const enabledQuantities = getEnabledItems(extension.quantities);
+    const extensionSection = document.getElementById('extensionSection');
+    
+    // 後台停用延甲（或沒有任何啟用的數量選項）時，隱藏整個延甲區域
+    if (extension.enabled !== true || enabledQuantities.length === 0) {
+        extensionSection.classList.add('hidden');
+        console.log('ℹ️ 延甲功能未啟用，隱藏延甲區域');
+        return;
+    }
+    extensionSection.classList.remove('hidden');
+    
+    // 依後台設定產生數量選項
+    const quantityOptionsContainer = document.getElementById('quantityOptions');
+    quantityOptionsContainer.innerHTML = '';
+    
+    // 數量選項 ID 對應顯示文字
+    const quantityTexts = {};
+    enabledQuantities.forEach(quantity => {
+        quantityTexts[quantity.id] = quantity.name;
+        quantityOptionsContainer.appendChild(
+            createOptionElement('quantity-option', '', { quantity: quantity.id }, quantity.name)
+        );
+    });
+    
     // 取得數量選擇器和模態框相關元素
     const quantitySelector = document.getElementById('quantitySelector');
     const quantityModal = document.getElementById('quantityModal');
-    const quantityOptions = document.querySelectorAll('.quantity-option');
+    const quantityOptions = quantityOptionsContainer.querySelectorAll('.quantity-option');
     const confirmQuantityBtn = document.getElementById('confirmQuantity');
     const removeQuantityBtn = document.getElementById('removeQuantity');
     const quantityText = document.getElementById('quantityText');
@@ -667,16 +847,12 @@ function initQuantitySelection() {
     // 確認數量按鈕點擊事件
     confirmQuantityBtn.addEventListener('click', function() {
         if (selectedQuantity) {
-            // 根據選中的數量值更新顯示文字
-            const quantityTexts = {
-                '1-3': '一到三隻',
-                '4-7': '四到七隻',
-                '7+': '七隻以上'
-            };
-            
             // 更新數量選擇器的顯示文字為"延甲 - 選項"
             quantityText.textContent = `延甲 - ${quantityTexts[selectedQuantity]}`;
             
+            // 記錄選中的數量選項 ID（計算服務時長用）
+            quantitySelector.dataset.quantity = selectedQuantity;
+            
             // 為數量選擇器添加選中樣式
             quantitySelector.classList.add('selected');
             
@@ -724,6 +900,7 @@ function initQuantitySelection() {
         
         // 移除選中樣式
         quantitySelector.classList.remove('selected');
+        delete quantitySelector.dataset.quantity;
         
         // 隱藏打勾圖示
         checkIcon.classList.add('hidden');
@@ -827,15 +1004,20 @@ function initConfirmButton() {
                 loadingModalContent.textContent = '正在檢查時段可用性...';
             }
             
+            // 依選擇的服務重新保留時段，保留整段服務時長直到送出預約
+            const serviceData = getCurrentServiceData();
+            bookingData.holdToken = await refreshSlotHoldForServices(bookingData, serviceData);
+            
             // 檢查指定日曆的時段是否已被占用
-            const timeSlotAvailability = await checkTimeSlotBeforeBooking(bookingData.date, bookingData.time);
+            const durationMinutes = calculateSelectedDuration(serviceData);
+            const timeSlotAvailability = await checkTimeSlotBeforeBooking(bookingData.date, bookingData.time, durationMinutes, bookingData.holdToken);
             
             if (!timeSlotAvailability.available) {
                 // 時段已被占用，停止預約流程
                 loadingModal.classList.add('hidden');
                 
                 console.log('❌ 時段已被占用，取消預約');
-                alert('很抱歉，這個時段剛好被其他客戶預約了，請重新選擇其他時段。');
+                alert(`很抱歉，這個時段無法安排您選擇的服務（${timeSlotAvailability.message}），請重新選擇其他時段。`);
                 
                 // 跳轉回首頁重新選擇時段
                 window.location.href = 'index.html';
@@ -857,7 +1039,8 @@ function initConfirmButton() {
             loadingModal.classList.add('hidden');
             
             if (result.success) {
-                // 成功時，保存服務記錄到本地並顯示成功模態框
+                // 成功時，清除 idempotencyKey、保存服務記錄到本地並顯示成功模態框
+                sessionStorage.removeItem(BOOKING_IDEMPOTENCY_STORAGE_KEY);
                 saveServiceData();
                 successModal.classList.remove('hidden');
             } else {
@@ -932,9 +1115,10 @@ function validateForm() {
         return false;
     }
     
-    // 檢查是否選擇了卸甲選項
+    // 檢查是否選擇了卸甲選項（後台有啟用卸甲選項時才需選擇）
+    const hasRemovalOptions = document.querySelector('.removal-item') !== null;
     const selectedRemoval = document.querySelector('.removal-item.selected');
-    if (!selectedRemoval) {
+    if (hasRemovalOptions && !selectedRemoval) {
         alert('請選擇是否需要卸甲');
         return false;
     }
@@ -976,6 +1160,7 @@ function getCurrentServiceData() {
         removal: selectedRemoval ? selectedRemoval.dataset.removal : null,
         removalText: selectedRemoval ? selectedRemoval.querySelector('.removal-text').textContent : '',
         hasQuantity: quantitySelector ? quantitySelector.classList.contains('selected') : false,
+        quantity: quantitySelector ? (quantitySelector.dataset.quantity || null) : null,
         quantityText: quantitySelector ? document.getElementById('quantityText').textContent : '',
         remarks: remarks
     };
@@ -1017,6 +1202,12 @@ async function showServiceConfirmation() {
         `;
     }
     
+    detailsHTML += `
+        <div class="detail-item">
+            <strong>預估時長：</strong>${calculateSelectedDuration(serviceData)} 分鐘
+        </div>
+    `;
+    
     if (serviceData.remarks) {
         detailsHTML += `
             <div class="detail-item">
@@ -1148,6 +1339,32 @@ function formatBookingTime(timeInput) {
     }
 }
 
+/**
+ * 取得本次預約的 idempotencyKey
+ * 同一日期時段沿用 sessionStorage 中的 key（頁面重新整理也不變），換時段時重新產生
+ * @param {string} date - 預約日期
+ * @param {string} time - 預約時間
+ * @returns {string} idempotencyKey
+ */
+function getBookingIdempotencyKey(date, time) {
+    try {
+        const stored = JSON.parse(sessionStorage.getItem(BOOKING_IDEMPOTENCY_STORAGE_KEY) || 'null');
+        if (stored && stored.key && stored.date === date && stored.time === time) {
+            return stored.key;
+        }
+    } catch (error) {
+        console.warn('讀取 idempotencyKey 失敗，重新產生:', error);
+    }
+    
+    const randomArray = new Uint32Array(4);
+    crypto.getRandomValues(randomArray);
+    const key = `${Array.from(randomArray).map(num => num.toString(36)).join('')}_${Date.now().toString(36)}`;
+    
+    sessionStorage.setItem(BOOKING_IDEMPOTENCY_STORAGE_KEY, JSON.stringify({ key, date, time }));
+    console.log('🔑 已產生預約 idempotencyKey');
+    return key;
+}
+
 /**
  * 準備預約資料
  * @returns {Promise<Object>} 完整的預約資料
@@ -1201,6 +1418,12 @@ async function prepareBookingData() {
             time: bookingInfo.time,
             // 做法B：帶 +08:00 的 ISO 絕對時刻，避免時區位移（若存在）
             isoStart: bookingInfo.isoStart,
+            // 候補領取代碼（從 LINE 候補通知進入時才有）
+            waitlistToken: bookingInfo.waitlistToken || '',
+            // 時段保留代碼（選擇時段時建立，保留期間其他人無法預約）
+            holdToken: bookingInfo.holdToken || '',
+            // 防止重複送出：同一次預約的重試都帶相同的 key，後端只會建立一筆預約
+            idempotencyKey: getBookingIdempotencyKey(bookingInfo.date, bookingInfo.time),
             
             // 服務資訊
             service: serviceData.service,
@@ -1208,6 +1431,7 @@ async function prepareBookingData() {
             removal: serviceData.removal,
             removalText: serviceData.removalText,
             hasQuantity: serviceData.hasQuantity,
+            quantity: serviceData.hasQuantity ? serviceData.quantity : '',
             quantityText: serviceData.hasQuantity ? serviceData.quantityText : '', // 只有選擇延甲時才傳送文字
             remarks: serviceData.remarks,
             